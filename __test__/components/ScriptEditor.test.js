@@ -3,6 +3,7 @@ import { shallow } from "enzyme";
 import { Editor } from "draft-js";
 
 import ScriptEditor from "../../src/components/ScriptEditor";
+import SegmentCounter from "../../src/components/SegmentCounter";
 import { sleep } from "../test_helpers";
 
 describe("ScriptEditor component", () => {
@@ -33,4 +34,18 @@ describe("ScriptEditor component", () => {
     await sleep(300); // wait until it's ready: see readyToAdd in component
     expect(wrapper.state().readyToAdd).toEqual(true);
   });
+
+  test("counts segments with script fields at their longest", () => {
+    const wrapper = shallow(
+      <ScriptEditor
+        scriptFields={["firstName"]}
+        scriptText={"Hi {firstName} ✓"}
+        onChange={editorState => {}}
+        name={"Canned Response"}
+      />
+    );
+    const counter = wrapper.find(SegmentCounter);
+    expect(counter.prop("text")).toBe("Hi xxxxxxxxxxxx ✓");
+    expect(counter.prop("expanded")).toBe(true);
+  });
 });
@@ -0,0 +1,198 @@
+import express from "express";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import fetch from "node-fetch";
+
+import {
+  getMediaUrls,
+  isAllowedContentType,
+  storeIncomingMedia
+} from "../../../src/extensions/media-storage";
+import * as localStorage from "../../../src/extensions/media-storage/local";
+import { resolvers } from "../../../src/server/api/message";
+
+const PNG = Buffer.from(
+  "89504e470d0a1a0a0000000d4948445200000001000000010806000000" +
+    "1f15c4890000000d49444154789c6360000002000154a24f5d0000000049454e44ae426082",
+  "hex"
+);
+
+describe("media-storage", () => {
+  let server;
+  let baseUrl;
+  let storageDir;
+
+  beforeAll(async () => {
+    const vendor = express();
+    vendor.get("/image.png", (req, res) => res.type("image/png").send(PNG));
+    vendor.get("/page.html", (req, res) =>
+      res.type("text/html").send("<script>alert(1)</script>")
+    );
+    vendor.get("/missing", (req, res) => res.status(404).end());
+    localStorage.addServerEndpoints(vendor);
+    await new Promise(resolve => {
+      server = vendor.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "media-storage-"));
+    global.MEDIA_STORAGE = "local";
+    global.MEDIA_STORAGE_LOCAL_DIR = storageDir;
+    global.BASE_URL = baseUrl;
+  });
+
+  afterEach(() => {
+    delete global.MEDIA_STORAGE;
+    delete global.MEDIA_STORAGE_LOCAL_DIR;
+    delete global.MEDIA_STORAGE_MAX_BYTES;
+    delete global.BASE_URL;
+    fs.rmSync(storageDir, { recursive: true });
+  });
+
+  const incoming = media => ({
+    service_id: "SM123",
+    is_from_contact: true,
+    media
+  });
+
+  it("copies vendor media into storage and links to it with expiring urls", async () => {
+    const message = await storeIncomingMedia(
+      incoming([{ type: "image/png", url: `${baseUrl}/image.png` }])
+    );
+    const [stored] = message.media;
+    expect(stored).toMatchObject({
+      type: "image/png",
+      storage: "local",
+      size: PNG.length
+    });
+    expect(stored.url).toBeUndefined();
+    expect(fs.readFileSync(path.join(storageDir, stored.key))).toEqual(PNG);
+
+    const [media] = resolvers.Message.media({
+      media: JSON.stringify(message.media)
+    });
+    expect(media.type).toEqual("image/png");
+    expect(media.url).toMatch(`${baseUrl}/media/${stored.key}?`);
+    const res = await fetch(media.url);
+    expect(res.status).toEqual(200);
+    expect(res.headers.get("content-type")).toEqual("image/png");
+    expect(await res.buffer()).toEqual(PNG);
+
+    const tampered = media.url.replace("type=image%2Fpng", "type=text%2Fhtml");
+    expect((await fetch(tampered)).status).toEqual(403);
+
+    // sharp is not installed here, so the thumbnail is the full image
+    expect(stored.thumbnailKey).toBeUndefined();
+    expect(media.thumbnailUrl).toMatch(`${baseUrl}/media/${stored.key}?`);
+  });
+
+  it("stores a resized thumbnail next to images with an expiring link", async () => {
+    const thumbnail = Buffer.from("thumbnail");
+    const resize = jest.fn();
+    const image = {
+      resize: (...args) => {
+        resize(...args);
+        return image;
+      },
+      jpeg: () => image,
+      toBuffer: async () => thumbnail
+    };
+    global.MEDIA_STORAGE_THUMBNAIL_SIZE = "100";
+    jest.doMock("sharp", () => () => image, { virtual: true });
+    let mediaStorage;
+    jest.isolateModules(() => {
+      mediaStorage = require("../../../src/extensions/media-storage");
+    });
+    try {
+      const message = await mediaStorage.storeIncomingMedia(
+        incoming([{ type: "image/png", url: `${baseUrl}/image.png` }])
+      );
+      const [stored] = message.media;
+      expect(stored).toMatchObject({
+        thumbnailKey: `${stored.key}-thumb`,
+        thumbnailType: "image/jpeg"
+      });
+      expect(resize).toHaveBeenCalledWith(100, 100, {
+        fit: "inside",
+        withoutEnlargement: true
+      });
+      expect(
+        fs.readFileSync(path.join(storageDir, stored.thumbnailKey))
+      ).toEqual(thumbnail);
+
+      const media = mediaStorage.getMediaUrls(stored);
+      expect(media.thumbnailUrl).toMatch(
+        `${baseUrl}/media/${stored.thumbnailKey}?`
+      );
+      const res = await fetch(media.thumbnailUrl);
+      expect(res.headers.get("content-type")).toEqual("image/jpeg");
+      expect(await res.buffer()).toEqual(thumbnail);
+    } finally {
+      jest.dontMock("sharp");
+      delete global.MEDIA_STORAGE_THUMBNAIL_SIZE;
+    }
+  });
+
+  it("does not serve links after they expire", async () => {
+    const url = localStorage.getUrl("abc123", {
+      contentType: "image/png",
+      expiresIn: -1
+    });
+    const query = new URL(url).searchParams;
+    expect(
+      localStorage.verifyUrl("abc123", {
+        type: query.get("type"),
+        expires: query.get("expires"),
+        signature: query.get("signature")
+      })
+    ).toBe(false);
+    expect((await fetch(url)).status).toEqual(403);
+  });
+
+  it("rejects unsupported types and media over the size limit", async () => {
+    global.MEDIA_STORAGE_MAX_BYTES = "10";
+    const message = await storeIncomingMedia(
+      incoming([
+        { type: "image/png", url: `${baseUrl}/page.html` },
+        { type: "image/png", url: `${baseUrl}/image.png` }
+      ])
+    );
+    expect(message.media).toEqual([
+      { type: "text/html", error: "unsupported media type" },
+      { type: "image/png", error: "media is too large" }
+    ]);
+    expect(fs.readdirSync(storageDir)).toEqual([]);
+    expect(getMediaUrls(message.media[1])).toEqual({
+      type: "image/png",
+      error: "media is too large"
+    });
+  });
+
+  it("keeps the vendor url when the download fails", async () => {
+    const vendorMedia = { type: "image/png", url: `${baseUrl}/missing` };
+    const message = await storeIncomingMedia(incoming([vendorMedia]));
+    expect(message.media).toEqual([vendorMedia]);
+    expect(getMediaUrls(vendorMedia)).toEqual(vendorMedia);
+  });
+
+  it("leaves vendor urls alone when MEDIA_STORAGE is not set", async () => {
+    delete global.MEDIA_STORAGE;
+    const vendorMedia = { type: "image/png", url: `${baseUrl}/image.png` };
+    const message = await storeIncomingMedia(incoming([vendorMedia]));
+    expect(message.media).toEqual([vendorMedia]);
+  });
+
+  it("only allows the configured content types", () => {
+    expect(isAllowedContentType("image/jpeg")).toBe(true);
+    expect(isAllowedContentType("video/mp4")).toBe(true);
+    expect(isAllowedContentType("image/svg+xml")).toBe(false);
+    expect(isAllowedContentType("application/pdf")).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+import { cacheableData, r } from "../../../src/server/models";
+import {
+  setupTest,
+  cleanupTest,
+  createStartedCampaign,
+  runGql
+} from "../../test_helpers";
+
+const CacheableMessage = require("../../../src/server/models/cacheable_queries/message");
+const saveMessage = CacheableMessage.default.save;
+
+describe("Auto Opt-In", () => {
+  let startedCampaign;
+  let contact;
+  let organization;
+
+  const service = "twilio";
+  const messageServiceSID = "message_service_sid_optin";
+
+  const reply = async text =>
+    saveMessage({
+      messageInstance: {
+        is_from_contact: true,
+        contact_number: contact.cell,
+        service,
+        messageservice_sid: messageServiceSID,
+        text,
+        send_status: "DELIVERED"
+      }
+    });
+
+  const loadContact = () =>
+    r
+      .knex("campaign_contact")
+      .where("id", contact.id)
+      .first();
+
+  beforeEach(async () => {
+    await setupTest();
+    global.MESSAGE_HANDLERS = "auto-optout,auto-optin";
+    startedCampaign = await createStartedCampaign();
+    contact = startedCampaign.testContacts[0];
+    organization = startedCampaign.testOrganization.data.createOrganization;
+    await saveMessage({
+      messageInstance: {
+        is_from_contact: false,
+        contact_number: contact.cell,
+        campaign_contact_id: contact.id,
+        send_status: "SENT",
+        text: "Hey now!",
+        service,
+        messageservice_sid: messageServiceSID
+      },
+      contact,
+      organization,
+      texter: startedCampaign.testTexterUser
+    });
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    delete global.MESSAGE_HANDLERS;
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  it("opts contacts back in when they text START after STOP", async () => {
+    await reply("STOP");
+    expect((await loadContact()).is_opted_out).toBe(true);
+    expect(await r.knex("opt_out").where("cell", contact.cell)).toHaveLength(1);
+
+    await reply(" Start ");
+    expect((await loadContact()).is_opted_out).toBe(false);
+    expect(await r.knex("opt_out").where("cell", contact.cell)).toHaveLength(0);
+    expect(
+      await cacheableData.optOut.query({
+        cell: contact.cell,
+        organizationId: organization.id
+      })
+    ).toBe(false);
+
+    const result = await runGql(
+      `query getConversations(
+        $organizationId: String!
+      ) {
+        conversations(
+          cursor: { offset: 0, limit: 10 }
+          organizationId: $organizationId
+          contactsFilter: { messageStatus: "needsResponse" }
+        ) {
+          conversations {
+            contact {
+              id
+              optOutHistory {
+                event
+                reason
+                user {
+                  id
+                }
+              }
+            }
+          }
+        }
+      }`,
+      { organizationId: organization.id },
+      startedCampaign.testAdminUser
+    );
+    expect(result.errors).toBeUndefined();
+    const [conversation] = result.data.conversations.conversations;
+    expect(conversation.contact.id).toEqual(String(contact.id));
+    expect(conversation.contact.optOutHistory).toEqual([
+      { event: "OPTOUT", reason: "stop", user: null },
+      { event: "OPTIN", reason: "start", user: null }
+    ]);
+  });
+
+  it("ignores START from contacts who are not opted out", async () => {
+    await reply("START");
+    expect((await loadContact()).is_opted_out).toBe(false);
+    expect(await r.knex("opt_out_history")).toHaveLength(0);
+  });
+});
@@ -1,4 +1,7 @@
-import { postMessageSave } from "../../../src/extensions/message-handlers/auto-optout";
+import {
+  postMessageSave,
+  preMessageSave
+} from "../../../src/extensions/message-handlers/auto-optout";
 import { cacheableData, r } from "../../../src/server/models";
 
 import {
@@ -90,6 +93,87 @@ describe("Auto Opt-Out Tests", () => {
   });
 });
 
+describe("Auto Opt-Out languages", () => {
+  const organization = { id: 1, features: JSON.stringify({}) };
+
+  beforeEach(() => {
+    global.AUTO_OPTOUT_LANGUAGES = JSON.stringify([
+      {
+        code: "es",
+        name: "Spanish",
+        phrases: ["alto", "no me escriban"],
+        reply: "Le daremos de baja."
+      },
+      { code: "fr", name: "Français", phrases: [], reply: "Désinscrit." }
+    ]);
+    global.AUTO_OPTOUT_LANGUAGE_FIELD = "language";
+  });
+
+  afterEach(() => {
+    delete global.AUTO_OPTOUT_LANGUAGES;
+    delete global.AUTO_OPTOUT_LANGUAGE_FIELD;
+    jest.restoreAllMocks();
+  });
+
+  it("matches phrases ignoring case, accents and punctuation", () => {
+    expect(AutoOptout.matchOptOut("¡ALTO!", organization)).toEqual({
+      reason: "stop",
+      language: "es",
+      shouldAutoRespond: true
+    });
+    expect(
+      AutoOptout.matchOptOut("Por favor, no me escríban", organization)
+    ).toMatchObject({ reason: "stop", language: "es" });
+    expect(AutoOptout.matchOptOut("alto ahí", organization)).toBeNull();
+    expect(AutoOptout.matchOptOut("stop", organization).language).toBeNull();
+  });
+
+  it("replies in the contact's language, then the message's", () => {
+    expect(
+      AutoOptout.getOptOutReply({
+        organization,
+        contact: { custom_fields: JSON.stringify({ language: "francais" }) },
+        messageLanguage: "es"
+      }).reply
+    ).toEqual("Désinscrit.");
+    expect(
+      AutoOptout.getOptOutReply({
+        organization,
+        contact: { custom_fields: "{}" },
+        messageLanguage: "es"
+      }).reply
+    ).toEqual("Le daremos de baja.");
+    expect(
+      AutoOptout.getOptOutReply({ organization, contact: {} }).language
+    ).toBeNull();
+  });
+
+  it("sends the reply in the matched language", async () => {
+    jest.spyOn(cacheableData.optOut, "save").mockResolvedValue(null);
+    jest.spyOn(cacheableData.campaignContact, "load").mockResolvedValue({
+      id: 1,
+      custom_fields: "{}"
+    });
+    jest.spyOn(sendMessage, "sendRawMessage").mockResolvedValue(null);
+
+    const message = {
+      is_from_contact: true,
+      contact_number: "+123456",
+      campaign_contact_id: 1,
+      text: "alto"
+    };
+    const { handlerContext } = await preMessageSave({
+      messageToSave: { ...message },
+      organization
+    });
+    await postMessageSave({ message, organization, handlerContext });
+
+    expect(sendMessage.sendRawMessage).toHaveBeenCalledWith(
+      expect.objectContaining({ finalText: "Le daremos de baja." })
+    );
+  });
+});
+
 describe("Tests for Auto Opt-Out's members getting called from messageCache.save", () => {
   let contacts;
   let organization;
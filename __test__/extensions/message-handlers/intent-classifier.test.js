@@ -0,0 +1,150 @@
+import { chooseLabel } from "../../../src/extensions/message-handlers/intent-classifier";
+import * as keywords from "../../../src/extensions/message-handlers/intent-classifier/classifiers/keywords";
+import { cacheableData, r } from "../../../src/server/models";
+import {
+  setupTest,
+  cleanupTest,
+  createStartedCampaign
+} from "../../test_helpers";
+
+const CacheableMessage = require("../../../src/server/models/cacheable_queries/message");
+const saveMessage = CacheableMessage.default.save;
+
+describe("intent-classifier keywords", () => {
+  const bestLabel = async text => {
+    const results = await keywords.classify({ text, organization: {} });
+    return chooseLabel(results, {});
+  };
+
+  it("labels replies by intent", async () => {
+    expect(await bestLabel("Sorry, wrong number")).toEqual("wrong number");
+    expect(await bestLabel("I don't live there anymore")).toEqual("moved");
+    expect(await bestLabel("Yes! Count me in")).toEqual("supporter");
+    expect(await bestLabel("I'm not voting for her")).toEqual("opposed");
+    expect(await bestLabel("what time is it")).toBeNull();
+  });
+
+  it("uses custom keywords and does not choose ties", async () => {
+    global.INTENT_CLASSIFIER_KEYWORDS = JSON.stringify({
+      volunteer: ["volunteer", "help out"],
+      donate: ["donate"]
+    });
+    try {
+      const results = await keywords.classify({
+        text: "I can volunteer or donate",
+        organization: {}
+      });
+      expect(results.map(result => result.label).sort()).toEqual([
+        "donate",
+        "volunteer"
+      ]);
+      expect(chooseLabel(results, {})).toBeNull();
+    } finally {
+      delete global.INTENT_CLASSIFIER_KEYWORDS;
+    }
+  });
+});
+
+describe("intent-classifier tagging", () => {
+  let startedCampaign;
+  let tagIds;
+
+  const service = "fakeservice";
+  const messageServiceSID = "message_service_sid_intents";
+
+  const replyFrom = async (contact, text) =>
+    saveMessage({
+      messageInstance: {
+        is_from_contact: true,
+        contact_number: contact.cell,
+        service,
+        messageservice_sid: messageServiceSID,
+        text,
+        send_status: "DELIVERED"
+      }
+    });
+
+  const contactTagIds = async contact =>
+    (
+      await r
+        .knex("tag_campaign_contact")
+        .where("campaign_contact_id", contact.id)
+        .select("tag_id")
+    ).map(row => Number(row.tag_id));
+
+  beforeEach(async () => {
+    await setupTest();
+    startedCampaign = await createStartedCampaign();
+    const organizationId = startedCampaign.organizationId;
+    tagIds = {};
+    for (const name of ["wrong number", "supporter"]) {
+      const [tag] = await r
+        .knex("tag")
+        .insert(
+          { organization_id: organizationId, name, description: name },
+          "id"
+        );
+      tagIds[name] = Number(tag.id || tag);
+    }
+    global.MESSAGE_HANDLERS = "intent-classifier";
+    global.INTENT_CLASSIFIER_TAGS = JSON.stringify(tagIds);
+
+    const organization = await cacheableData.organization.load(organizationId);
+    for (const contact of startedCampaign.testContacts.slice(0, 2)) {
+      await saveMessage({
+        messageInstance: {
+          is_from_contact: false,
+          contact_number: contact.cell,
+          campaign_contact_id: contact.id,
+          send_status: "SENT",
+          text: "Hey now!",
+          service,
+          messageservice_sid: messageServiceSID,
+          user_id: startedCampaign.testTexterUser.id
+        },
+        contact,
+        organization,
+        texter: startedCampaign.testTexterUser
+      });
+    }
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    delete global.MESSAGE_HANDLERS;
+    delete global.INTENT_CLASSIFIER_TAGS;
+    delete global.INTENT_CLASSIFIER;
+    jest.restoreAllMocks();
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  it("tags contacts with the tag of their reply's intent", async () => {
+    const [first, second] = startedCampaign.testContacts;
+    await replyFrom(first, "you have the wrong number");
+    await replyFrom(second, "I moved");
+    expect(await contactTagIds(first)).toEqual([tagIds["wrong number"]]);
+    // moved has no tag configured
+    expect(await contactTagIds(second)).toEqual([]);
+  });
+
+  it("uses the keywords classifier for unknown classifiers", async () => {
+    global.INTENT_CLASSIFIER = "../../../../../package";
+    const contact = startedCampaign.testContacts[0];
+    await replyFrom(contact, "wrong number");
+    expect(await contactTagIds(contact)).toEqual([tagIds["wrong number"]]);
+  });
+
+  it("saves messages when the classifier fails", async () => {
+    jest
+      .spyOn(keywords, "classify")
+      .mockRejectedValue(new Error("classifier is down"));
+    const contact = startedCampaign.testContacts[0];
+    await replyFrom(contact, "wrong number");
+    expect(await contactTagIds(contact)).toEqual([]);
+    expect(
+      await r
+        .knex("message")
+        .where({ campaign_contact_id: contact.id, is_from_contact: true })
+    ).toHaveLength(1);
+  });
+});
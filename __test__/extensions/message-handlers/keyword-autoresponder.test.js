@@ -0,0 +1,186 @@
+import {
+  findMatchingRule,
+  validateRules
+} from "../../../src/extensions/message-handlers/keyword-autoresponder";
+import * as keywordAutoresponder from "../../../src/extensions/service-managers/keyword-autoresponder";
+import { cacheableData, r } from "../../../src/server/models";
+import {
+  setupTest,
+  cleanupTest,
+  createStartedCampaign
+} from "../../test_helpers";
+
+const CacheableMessage = require("../../../src/server/models/cacheable_queries/message");
+const saveMessage = CacheableMessage.default.save;
+
+describe("keyword-autoresponder rules", () => {
+  const rules = [
+    { keyword: "HELP", matchType: "exact", reply: "campaign help" },
+    { keyword: "\\binfo\\b", matchType: "regex", reply: "info" },
+    { keyword: "help", matchType: "exact", reply: "org help" }
+  ];
+
+  it("matches the whole message or a regular expression, in order", () => {
+    expect(findMatchingRule(" help ", rules).reply).toEqual("campaign help");
+    expect(findMatchingRule("more INFO please", rules).reply).toEqual("info");
+    expect(findMatchingRule("help me", rules)).toBeUndefined();
+  });
+
+  it("rejects incomplete rules", () => {
+    expect(() => validateRules([{ keyword: "HELP" }])).toThrow(
+      /needs a reply, a tag or to close/
+    );
+    expect(() =>
+      validateRules([{ keyword: "(", matchType: "regex", reply: "x" }])
+    ).toThrow(/not a valid regular expression/);
+    expect(
+      validateRules([{ keyword: " HELP ", reply: " Hi ", tagId: 3 }])
+    ).toEqual([
+      {
+        keyword: "HELP",
+        matchType: "exact",
+        reply: "Hi",
+        tagId: "3",
+        close: false
+      }
+    ]);
+  });
+});
+
+describe("keyword-autoresponder replies", () => {
+  let startedCampaign;
+  let organization;
+  let campaign;
+  let tagId;
+
+  const service = "fakeservice";
+  const messageServiceSID = "message_service_sid_keywords";
+
+  const replyFrom = async (contact, text) =>
+    saveMessage({
+      messageInstance: {
+        is_from_contact: true,
+        contact_number: contact.cell,
+        service,
+        messageservice_sid: messageServiceSID,
+        text,
+        send_status: "DELIVERED"
+      }
+    });
+
+  const autoReplies = contact =>
+    r
+      .knex("message")
+      .where({ campaign_contact_id: contact.id, is_from_contact: false })
+      .whereNull("user_id");
+
+  beforeEach(async () => {
+    await setupTest();
+    global.MESSAGE_HANDLERS = "keyword-autoresponder";
+    startedCampaign = await createStartedCampaign();
+    organization = await cacheableData.organization.load(
+      startedCampaign.organizationId
+    );
+    campaign = await cacheableData.campaign.load(
+      startedCampaign.testCampaign.id
+    );
+    const [tag] = await r.knex("tag").insert(
+      {
+        organization_id: organization.id,
+        name: "info",
+        description: "info"
+      },
+      "id"
+    );
+    tagId = tag.id || tag;
+
+    const { data } = await keywordAutoresponder.onOrganizationUpdateSignal({
+      organization,
+      updateData: {
+        rules: [
+          { keyword: "HELP", reply: "Org help" },
+          { keyword: "info", tagId, close: true }
+        ]
+      }
+    });
+    expect(data.handlerEnabled).toBe(true);
+    organization = await cacheableData.organization.load(organization.id);
+    await keywordAutoresponder.onCampaignUpdateSignal({
+      organization,
+      campaign,
+      updateData: {
+        rules: [{ keyword: "HELP", reply: "Hi {firstName}, text STOP to stop" }]
+      }
+    });
+
+    for (const contact of startedCampaign.testContacts.slice(0, 2)) {
+      await saveMessage({
+        messageInstance: {
+          is_from_contact: false,
+          contact_number: contact.cell,
+          campaign_contact_id: contact.id,
+          send_status: "SENT",
+          text: "Hey now!",
+          service,
+          messageservice_sid: messageServiceSID,
+          user_id: startedCampaign.testTexterUser.id
+        },
+        contact,
+        organization,
+        texter: startedCampaign.testTexterUser
+      });
+    }
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    delete global.MESSAGE_HANDLERS;
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  it("replies with the campaign's rule once per contact in the rate limit", async () => {
+    const contact = startedCampaign.testContacts[0];
+    await replyFrom(contact, "help");
+    const replies = await autoReplies(contact);
+    expect(replies.map(message => message.text)).toEqual([
+      `Hi ${contact.first_name}, text STOP to stop`
+    ]);
+
+    await replyFrom(contact, "HELP");
+    expect(await autoReplies(contact)).toHaveLength(1);
+  });
+
+  it("tags and closes conversations without replying", async () => {
+    const contact = startedCampaign.testContacts[1];
+    await replyFrom(contact, "Info");
+    expect(await autoReplies(contact)).toHaveLength(0);
+    const updatedContact = await r
+      .knex("campaign_contact")
+      .where("id", contact.id)
+      .first();
+    expect(updatedContact.message_status).toEqual("closed");
+    expect(
+      await r
+        .knex("tag_campaign_contact")
+        .where({ campaign_contact_id: contact.id, tag_id: tagId })
+    ).toHaveLength(1);
+  });
+
+  it("reports the handler enabled in the organization's MESSAGE_HANDLERS", async () => {
+    delete global.MESSAGE_HANDLERS;
+    const settings = async feature =>
+      (
+        await keywordAutoresponder.getOrganizationData({
+          organization: { ...organization, feature }
+        })
+      ).data;
+    expect((await settings({})).handlerEnabled).toBe(false);
+    expect(
+      (
+        await settings({
+          MESSAGE_HANDLERS: "auto-optout,keyword-autoresponder"
+        })
+      ).handlerEnabled
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,243 @@
+import { isWrongNumberReply } from "../../../src/extensions/message-handlers/wrong-number";
+import * as wrongNumberAction from "../../../src/extensions/action-handlers/wrong-number";
+import { completeContactLoad } from "../../../src/workers/jobs";
+import { cacheableData, r } from "../../../src/server/models";
+import {
+  setupTest,
+  cleanupTest,
+  createCampaign,
+  createContacts,
+  createStartedCampaign,
+  runGql
+} from "../../test_helpers";
+
+const CacheableMessage = require("../../../src/server/models/cacheable_queries/message");
+const saveMessage = CacheableMessage.default.save;
+
+const wrongNumbersQuery = `
+  query getWrongNumbers($organizationId: String!) {
+    organization(id: $organizationId) {
+      id
+      wrongNumbers {
+        cell
+        source
+        campaignContactId
+        firstName
+      }
+    }
+  }`;
+
+describe("wrong-number replies", () => {
+  it("matches replies saying it is the wrong number", () => {
+    expect(isWrongNumberReply("Sorry, WRONG NUMBER", {})).toBe(true);
+    expect(isWrongNumberReply("no one here by that name", {})).toBe(true);
+    expect(isWrongNumberReply("Not me!", {})).toBe(true);
+    expect(isWrongNumberReply("not me, but my wife will vote", {})).toBe(false);
+    expect(isWrongNumberReply("wrong candidate", {})).toBe(false);
+    expect(isWrongNumberReply("Sorry, you've got the wrong person", {})).toBe(
+      true
+    );
+    expect(isWrongNumberReply("he's the wrong person for the job", {})).toBe(
+      false
+    );
+  });
+});
+
+describe("wrong-number flags", () => {
+  let startedCampaign;
+  let organizationId;
+  let tagId;
+
+  const service = "fakeservice";
+  const messageServiceSID = "message_service_sid_wrong_number";
+
+  const wrongNumbers = async () =>
+    r
+      .knex("organization_contact")
+      .where("organization_id", organizationId)
+      .whereNotNull("wrong_number_at");
+
+  beforeEach(async () => {
+    await setupTest();
+    startedCampaign = await createStartedCampaign();
+    organizationId = startedCampaign.organizationId;
+    const [tag] = await r.knex("tag").insert(
+      {
+        organization_id: organizationId,
+        name: "wrong number",
+        description: "wrong number"
+      },
+      "id"
+    );
+    tagId = tag.id || tag;
+    global.MESSAGE_HANDLERS = "wrong-number";
+    global.WRONG_NUMBER_TAG_ID = String(tagId);
+
+    const organization = await cacheableData.organization.load(organizationId);
+    const contact = startedCampaign.testContacts[0];
+    await saveMessage({
+      messageInstance: {
+        is_from_contact: false,
+        contact_number: contact.cell,
+        campaign_contact_id: contact.id,
+        send_status: "SENT",
+        text: "Hi Ann!",
+        service,
+        messageservice_sid: messageServiceSID,
+        user_id: startedCampaign.testTexterUser.id
+      },
+      contact,
+      organization,
+      texter: startedCampaign.testTexterUser
+    });
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    delete global.MESSAGE_HANDLERS;
+    delete global.WRONG_NUMBER_TAG_ID;
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  it("flags and tags the cell, leaving it out of later contact loads", async () => {
+    const contact = startedCampaign.testContacts[0];
+    await saveMessage({
+      messageInstance: {
+        is_from_contact: true,
+        contact_number: contact.cell,
+        service,
+        messageservice_sid: messageServiceSID,
+        text: "you have the wrong number",
+        send_status: "DELIVERED"
+      }
+    });
+    const flagged = await wrongNumbers();
+    expect(flagged).toHaveLength(1);
+    expect(flagged[0]).toMatchObject({
+      contact_number: contact.cell,
+      wrong_number_source: "message"
+    });
+    expect(
+      await r
+        .knex("tag_campaign_contact")
+        .where({ campaign_contact_id: contact.id, tag_id: tagId })
+    ).toHaveLength(1);
+
+    const result = await runGql(
+      wrongNumbersQuery,
+      { organizationId },
+      startedCampaign.testAdminUser
+    );
+    expect(result.data.organization.wrongNumbers).toEqual([
+      {
+        cell: contact.cell,
+        source: "message",
+        campaignContactId: String(contact.id),
+        firstName: contact.first_name
+      }
+    ]);
+
+    // the next campaign loads the same cells
+    const nextCampaign = await createCampaign(
+      startedCampaign.testAdminUser,
+      startedCampaign.testOrganization,
+      "next campaign"
+    );
+    const nextContacts = await createContacts(nextCampaign, 2);
+    expect(nextContacts.map(c => c.cell)).toContain(contact.cell);
+    await completeContactLoad({
+      campaign_id: nextCampaign.id,
+      job_type: "ingest.csv-upload"
+    });
+    const loadedCells = (
+      await r.knex("campaign_contact").where("campaign_id", nextCampaign.id)
+    ).map(c => c.cell);
+    expect(loadedCells).toHaveLength(1);
+    expect(loadedCells).not.toContain(contact.cell);
+    const campaignAdmin = await r
+      .knex("campaign_admin")
+      .where("campaign_id", nextCampaign.id)
+      .first();
+    expect(campaignAdmin.deleted_wrong_numbers_count).toEqual(1);
+  });
+
+  it("flags the cell when texters apply the wrong number tag", async () => {
+    const organization = await cacheableData.organization.load(organizationId);
+    const [, contact] = startedCampaign.testContacts;
+    await wrongNumberAction.onTagUpdate(
+      [{ id: "999999" }],
+      contact,
+      startedCampaign.testCampaign,
+      organization,
+      startedCampaign.testTexterUser
+    );
+    expect(await wrongNumbers()).toHaveLength(0);
+
+    await wrongNumberAction.onTagUpdate(
+      [{ id: String(tagId) }],
+      contact,
+      startedCampaign.testCampaign,
+      organization,
+      startedCampaign.testTexterUser
+    );
+    const flagged = await wrongNumbers();
+    expect(flagged).toHaveLength(1);
+    expect(flagged[0]).toMatchObject({
+      contact_number: contact.cell,
+      wrong_number_source: "tag"
+    });
+  });
+
+  it("unflags a cell flagged by mistake", async () => {
+    const organization = await cacheableData.organization.load(organizationId);
+    const contact = startedCampaign.testContacts[1];
+    await cacheableData.organizationContact.markWrongNumber({
+      organizationId,
+      cell: contact.cell,
+      campaignContactId: contact.id,
+      source: "tag"
+    });
+    expect(await wrongNumbers()).toHaveLength(1);
+
+    const unflagMutation = `
+      mutation unflagWrongNumber($organizationId: String!, $cell: String!) {
+        unflagWrongNumber(organizationId: $organizationId, cell: $cell) {
+          id
+        }
+      }`;
+    const variables = { organizationId, cell: contact.cell };
+    const denied = await runGql(
+      unflagMutation,
+      variables,
+      startedCampaign.testTexterUser
+    );
+    expect(denied.errors).toBeDefined();
+    expect(await wrongNumbers()).toHaveLength(1);
+
+    const result = await runGql(
+      unflagMutation,
+      variables,
+      startedCampaign.testAdminUser
+    );
+    expect(result.errors).toBeUndefined();
+    expect(await wrongNumbers()).toHaveLength(0);
+    expect(
+      (
+        await cacheableData.organizationContact.query({
+          organizationId,
+          contactNumber: contact.cell
+        })
+      ).wrong_number_at
+    ).toBeFalsy();
+
+    // it can be flagged again
+    await wrongNumberAction.onTagUpdate(
+      [{ id: String(tagId) }],
+      contact,
+      startedCampaign.testCampaign,
+      organization,
+      startedCampaign.testTexterUser
+    );
+    expect(await wrongNumbers()).toHaveLength(1);
+  });
+});
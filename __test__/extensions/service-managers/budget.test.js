@@ -0,0 +1,209 @@
+import * as budget from "../../../src/extensions/service-managers/budget";
+import { processServiceManagers } from "../../../src/extensions/service-managers";
+import { cacheableData, r } from "../../../src/server/models";
+import { buyPhoneNumbers } from "../../../src/workers/jobs";
+import {
+  cleanupTest,
+  createStartedCampaign,
+  runGql,
+  setupTest
+} from "../../test_helpers";
+
+// 4 segments with the unicode quote, more than the cost ratio
+const LONG_MESSAGE = `“${"Hello from Spoke! ".repeat(12)}`;
+
+describe("service manager budgets", () => {
+  let organization;
+  let campaign;
+  let testAdminUser;
+  let testTexterUser;
+
+  beforeEach(async () => {
+    await setupTest();
+    const startedCampaign = await createStartedCampaign();
+    testAdminUser = startedCampaign.testAdminUser;
+    testTexterUser = startedCampaign.testTexterUser;
+    campaign = startedCampaign.testCampaign;
+    organization = await cacheableData.organization.load(
+      startedCampaign.organizationId
+    );
+    organization.feature = {
+      ...organization.feature,
+      SERVICE_MANAGERS: "mms-when-cheaper",
+      COST_RATIO_MMS_SMS: 3
+    };
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  const setBudget = async (monthlyLimit, whenExceeded) => {
+    organization = await budget.updateBudget(
+      organization,
+      testAdminUser,
+      "mms",
+      { monthlyLimit, whenExceeded }
+    );
+  };
+
+  const sendMessage = async () =>
+    processServiceManagers("onMessageSend", organization, {
+      message: { text: LONG_MESSAGE },
+      contact: {},
+      campaign: {},
+      service: {}
+    });
+
+  const events = async event =>
+    r.knex("service_manager_budget_event").where({ event });
+
+  it("records spending and skips money-spending hooks over budget", async () => {
+    expect(await sendMessage()).toEqual({ forceMms: true });
+    await setBudget(2, "block");
+    expect(await sendMessage()).toEqual({ forceMms: true });
+    expect(await sendMessage()).toEqual({});
+    expect(await sendMessage()).toEqual({});
+
+    const usage = await budget.getBudgetUsage(
+      organization.id,
+      "mms",
+      budget.budgetMonth()
+    );
+    expect(usage).toEqual({ spent: 2, blocked: 2, approved: 0 });
+    // only logged the first time
+    expect(await events("exceeded")).toHaveLength(1);
+    expect(await events("changed")).toHaveLength(1);
+  });
+
+  it("waits for an owner's approval when configured to", async () => {
+    await expect(
+      budget.approveBudget(organization, testAdminUser, "mms", 5)
+    ).rejects.toThrow(/does not take approvals/);
+    await setBudget(1, "approval");
+    await sendMessage();
+    expect(await sendMessage()).toEqual({});
+
+    await budget.approveBudget(organization, testAdminUser, "mms", 1);
+    expect(await sendMessage()).toEqual({ forceMms: true });
+    expect(await sendMessage()).toEqual({});
+
+    // operations users run explain why they did not happen
+    await expect(
+      budget.budgetBlocks(organization, "mms", "test", "onCampaignStart")
+    ).rejects.toThrow(/budget of 1 \(\+1 approved\) for MMS messages/);
+  });
+
+  it("checks the budget against what a hook expects to spend", async () => {
+    organization.feature = {
+      ...organization.feature,
+      SERVICE_MANAGERS: "carrier-lookup",
+      CARRIER_LOOKUP_ON_CONTACT_LOAD: true
+    };
+    const lookupBudget = async monthlyLimit => {
+      organization = await budget.updateBudget(
+        organization,
+        testAdminUser,
+        "lookups",
+        { monthlyLimit, whenExceeded: "block" }
+      );
+    };
+    const contactLoad = () =>
+      processServiceManagers("onCampaignContactLoad", organization, {
+        campaign
+      });
+    const contactCount = await r.getCount(
+      r.knex("campaign_contact").where("campaign_id", campaign.id)
+    );
+    const usage = () =>
+      budget.getBudgetUsage(organization.id, "lookups", budget.budgetMonth());
+
+    // one short of every number: the whole load is skipped
+    await lookupBudget(contactCount - 1);
+    await contactLoad();
+    expect(await r.getCount(r.knex("organization_contact"))).toBe(0);
+    expect(await usage()).toMatchObject({ spent: 0, blocked: 1 });
+
+    await lookupBudget(contactCount);
+    await contactLoad();
+    expect(await usage()).toMatchObject({ spent: contactCount });
+  });
+
+  it("records the numbers the buy job bought", async () => {
+    await buyPhoneNumbers({
+      organization_id: organization.id,
+      payload: JSON.stringify({ areaCode: "212", limit: 2 })
+    });
+    expect(
+      await budget.getBudgetUsage(
+        organization.id,
+        "numbers",
+        budget.budgetMonth()
+      )
+    ).toMatchObject({ spent: 2 });
+  });
+
+  it("only shows and changes budgets for owners", async () => {
+    const budgetsQuery = `query getBudgets($organizationId: String!) {
+      organization(id: $organizationId) {
+        id
+        serviceManagerBudgets {
+          category
+          monthlyLimit
+          whenExceeded
+          spent
+          exceeded
+          serviceManagers
+        }
+        serviceManagerBudgetEvents {
+          event
+          amount
+          userName
+        }
+      }
+    }`;
+    const updateMutation = `mutation updateServiceManagerBudget(
+      $organizationId: String!
+      $category: String!
+      $monthlyLimit: Int
+      $whenExceeded: String
+    ) {
+      updateServiceManagerBudget(
+        organizationId: $organizationId
+        category: $category
+        monthlyLimit: $monthlyLimit
+        whenExceeded: $whenExceeded
+      ) {
+        id
+      }
+    }`;
+    const variables = { organizationId: organization.id };
+    const updateVariables = {
+      ...variables,
+      category: "lookups",
+      monthlyLimit: 100,
+      whenExceeded: "approval"
+    };
+
+    let result = await runGql(updateMutation, updateVariables, testTexterUser);
+    expect(result.errors[0].message).toMatch(/not authorized/i);
+    result = await runGql(budgetsQuery, variables, testTexterUser);
+    expect(result.errors[0].message).toMatch(/not authorized/i);
+
+    result = await runGql(updateMutation, updateVariables, testAdminUser);
+    expect(result.errors).toBeUndefined();
+    result = await runGql(budgetsQuery, variables, testAdminUser);
+    const budgets = result.data.organization.serviceManagerBudgets;
+    expect(budgets.map(b => b.category)).toEqual(["numbers", "lookups", "mms"]);
+    expect(budgets[1]).toMatchObject({
+      monthlyLimit: 100,
+      whenExceeded: "approval",
+      spent: 0,
+      exceeded: false
+    });
+    expect(result.data.organization.serviceManagerBudgetEvents).toEqual([
+      { event: "changed", amount: 100, userName: expect.any(String) }
+    ]);
+  });
+});
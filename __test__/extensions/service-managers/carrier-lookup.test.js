@@ -0,0 +1,165 @@
+import * as carrierLookup from "../../../src/extensions/service-managers/carrier-lookup";
+import * as fakeservice from "../../../src/extensions/service-vendors/fakeservice";
+import { cacheableData, r } from "../../../src/server/models";
+import {
+  cleanupTest,
+  createStartedCampaign,
+  setupTest
+} from "../../test_helpers";
+
+describe("carrier-lookup service manager", () => {
+  let organization;
+  let campaign;
+  let testContacts;
+  let testAdminUser;
+
+  beforeEach(async () => {
+    await setupTest();
+    const startedCampaign = await createStartedCampaign();
+    testContacts = startedCampaign.testContacts;
+    testAdminUser = startedCampaign.testAdminUser;
+    organization = await cacheableData.organization.load(
+      startedCampaign.organizationId
+    );
+    campaign = await cacheableData.campaign.load(
+      startedCampaign.testCampaign.id
+    );
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  const configure = async updateData => {
+    const result = await carrierLookup.onOrganizationUpdateSignal({
+      organization,
+      user: testAdminUser,
+      updateData
+    });
+    organization = await cacheableData.organization.load(organization.id);
+    return result;
+  };
+
+  it("saves the organization's lookup settings", async () => {
+    expect(
+      (await carrierLookup.getOrganizationData({ organization })).data
+    ).toMatchObject({
+      onlyErrors: false,
+      samplePercent: 100,
+      campaignPrefix: "",
+      onContactLoad: false,
+      contactLoadMax: 1000,
+      freeLookups: false,
+      contactLoadLookups: true
+    });
+    const result = await configure({
+      onlyErrors: true,
+      samplePercent: 25,
+      campaignPrefix: "GOTV",
+      onContactLoad: true,
+      contactLoadMax: 500
+    });
+    expect(result.data).toMatchObject({
+      onlyErrors: true,
+      samplePercent: 25,
+      campaignPrefix: "GOTV",
+      onContactLoad: true,
+      contactLoadMax: 500
+    });
+    await expect(configure({ samplePercent: 200 })).rejects.toThrow(
+      /between 1 and 100/
+    );
+  });
+
+  it("only looks up contacts of undelivered messages when configured to", async () => {
+    await configure({ onlyErrors: true });
+    const report = (contact, newStatus) =>
+      carrierLookup.onDeliveryReport({
+        contactNumber: contact.cell,
+        service: "fakeservice",
+        newStatus,
+        organization,
+        lookup: { campaign_id: campaign.id }
+      });
+    const organizationContact = contact =>
+      r
+        .knex("organization_contact")
+        .where("contact_number", contact.cell)
+        .first();
+
+    await report(testContacts[0], "DELIVERED");
+    expect(await organizationContact(testContacts[0])).toBeUndefined();
+    await report(testContacts[0], "ERROR");
+    expect(await organizationContact(testContacts[0])).toBeDefined();
+
+    await configure({ campaignPrefix: "GOTV" });
+    await report(testContacts[1], "DELIVERED");
+    expect(await organizationContact(testContacts[1])).toBeUndefined();
+  });
+
+  it("looks up uploaded contacts up to the limit", async () => {
+    const contactLoad = () =>
+      carrierLookup.onCampaignContactLoad({ organization, campaign });
+    const lookedUp = () =>
+      r.getCount(
+        r
+          .knex("organization_contact")
+          .whereNotNull("organization_contact.status_code")
+      );
+
+    await contactLoad();
+    expect(await lookedUp()).toBe(0);
+
+    await configure({ onContactLoad: true, campaignPrefix: "GOTV" });
+    await contactLoad();
+    expect(await lookedUp()).toBe(0);
+
+    await configure({ onContactLoad: true, contactLoadMax: 40 });
+    await contactLoad();
+    expect(await lookedUp()).toBe(40);
+    // numbers that were looked up already are not looked up again
+    expect(
+      await carrierLookup.lookupCampaignContacts(organization, campaign)
+    ).toMatchObject({ lookedUp: 40, capped: true });
+    expect(
+      await carrierLookup.lookupCampaignContacts(organization, campaign)
+    ).toMatchObject({ lookedUp: 20, capped: false });
+    expect(await lookedUp()).toBe(100);
+    // fakeservice reports +1515550002X as landlines
+    expect(
+      await r.getCount(r.knex("organization_contact").where("status_code", -1))
+    ).toBe(10);
+  });
+
+  it("skips numbers whose lookup fails", async () => {
+    const getContactInfo = fakeservice.getContactInfo;
+    const failing = testContacts[0].cell;
+    jest.spyOn(fakeservice, "getContactInfo").mockImplementation(async args => {
+      if (args.contactNumber === failing) {
+        throw new Error("lookup service unavailable");
+      }
+      return getContactInfo(args);
+    });
+    const result = await carrierLookup.lookupCampaignContacts(
+      organization,
+      campaign
+    );
+    expect(result).toMatchObject({
+      lookedUp: testContacts.length - 1,
+      failed: 1
+    });
+    expect(
+      await r
+        .knex("organization_contact")
+        .where("contact_number", failing)
+        .first()
+    ).toBeUndefined();
+    // the budget is only charged for the lookups that were made
+    await configure({ onContactLoad: true });
+    expect(
+      await carrierLookup.onCampaignContactLoad({ organization, campaign })
+    ).toEqual({ budgetSpent: 0 });
+  });
+});
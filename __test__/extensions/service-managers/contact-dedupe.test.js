@@ -0,0 +1,181 @@
+import * as contactDedupe from "../../../src/extensions/service-managers/contact-dedupe";
+import { getFeatures } from "../../../src/server/api/lib/config";
+import { cacheableData, Message, r } from "../../../src/server/models";
+import {
+  cleanupTest,
+  createCampaign,
+  createStartedCampaign,
+  setupTest
+} from "../../test_helpers";
+
+describe("contact-dedupe service manager", () => {
+  let startedCampaign;
+  let organization;
+  let newCampaign;
+
+  const createTag = async tagName => {
+    const [tag] = await r.knex("tag").insert(
+      {
+        organization_id: organization.id,
+        name: tagName,
+        description: tagName
+      },
+      "id"
+    );
+    return tag.id || tag;
+  };
+
+  const addContacts = async cells => {
+    await r.knex("campaign_contact").insert(
+      cells.map((cell, i) => ({
+        campaign_id: newCampaign.id,
+        cell,
+        first_name: `New${i}`,
+        last_name: "Contact"
+      }))
+    );
+  };
+
+  const newCampaignContacts = () =>
+    r
+      .knex("campaign_contact")
+      .where("campaign_id", newCampaign.id)
+      .orderBy("cell");
+
+  beforeEach(async () => {
+    await setupTest();
+    startedCampaign = await createStartedCampaign();
+    organization = await cacheableData.organization.load(
+      startedCampaign.organizationId
+    );
+    newCampaign = await cacheableData.campaign.load(
+      (
+        await createCampaign(
+          startedCampaign.testAdminUser,
+          startedCampaign.testOrganization
+        )
+      ).id
+    );
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    delete global.PROFANITY_CONTACT_TAG_ID;
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  it("removes contacts texted recently or in other active campaigns after a load", async () => {
+    const { testContacts, testTexterUser } = startedCampaign;
+    await Message.save({
+      campaign_contact_id: testContacts[1].id,
+      contact_number: testContacts[1].cell,
+      is_from_contact: false,
+      send_status: "SENT",
+      service: "fakeservice",
+      text: "hello",
+      user_id: testTexterUser.id
+    });
+    await addContacts([
+      testContacts[0].cell,
+      testContacts[1].cell,
+      "+12025550101",
+      "+12025550102"
+    ]);
+
+    await contactDedupe.onCampaignContactLoad({
+      organization,
+      campaign: { id: newCampaign.id }
+    });
+
+    expect((await newCampaignContacts()).map(c => c.cell)).toEqual([
+      "+12025550101",
+      "+12025550102"
+    ]);
+    const campaign = await cacheableData.campaign.load(newCampaign.id, {
+      forceLoad: true
+    });
+    expect(getFeatures(campaign).contactDedupeReport).toMatchObject({
+      recentlyTexted: 1,
+      otherCampaigns: 1,
+      total: 2,
+      action: "removed",
+      hostileUnavailable: true
+    });
+  });
+
+  it("tags contacts who replied with hostile messages before", async () => {
+    const { testContacts } = startedCampaign;
+    const hostileTagId = await createTag("hostile");
+    const duplicateTagId = await createTag("duplicate");
+    global.PROFANITY_CONTACT_TAG_ID = String(hostileTagId);
+    await r.knex("tag_campaign_contact").insert({
+      tag_id: hostileTagId,
+      campaign_contact_id: testContacts[2].id
+    });
+    // contacts of archived campaigns can be texted again
+    await r
+      .knex("campaign")
+      .where("id", startedCampaign.testCampaign.id)
+      .update({ is_archived: true });
+    await addContacts([testContacts[0].cell, testContacts[2].cell]);
+
+    const { data } = await contactDedupe.onCampaignUpdateSignal({
+      organization,
+      campaign: newCampaign,
+      updateData: {
+        mode: "tag",
+        tagId: String(duplicateTagId),
+        recentDays: 0,
+        otherCampaigns: true,
+        hostile: true,
+        dedupeNow: true
+      }
+    });
+
+    expect(data).toMatchObject({
+      mode: "tag",
+      recentDays: 0,
+      otherCampaigns: true,
+      hostile: true,
+      hostileTagged: true,
+      report: { hostile: 1, otherCampaigns: 0, total: 1, action: "tagged" }
+    });
+    const contacts = await newCampaignContacts();
+    expect(contacts).toHaveLength(2);
+    const tags = await r
+      .knex("tag_campaign_contact")
+      .where("tag_id", duplicateTagId);
+    expect(tags.map(tag => tag.campaign_contact_id)).toEqual([
+      contacts.find(c => c.cell === testContacts[2].cell).id
+    ]);
+  });
+
+  it("needs a tag to tag duplicate contacts", async () => {
+    await expect(
+      contactDedupe.onCampaignUpdateSignal({
+        organization,
+        campaign: newCampaign,
+        updateData: { mode: "tag", recentDays: 7 }
+      })
+    ).rejects.toThrow(/Choose the tag/);
+  });
+
+  it("keeps the contacts when tagging without a tag", async () => {
+    const { testContacts } = startedCampaign;
+    organization.feature = { CONTACT_DEDUPE_MODE: "tag" };
+    await addContacts([testContacts[0].cell, "+12025550101"]);
+
+    await contactDedupe.onCampaignContactLoad({
+      organization,
+      campaign: { id: newCampaign.id }
+    });
+
+    expect(await newCampaignContacts()).toHaveLength(2);
+    const campaign = await cacheableData.campaign.load(newCampaign.id, {
+      forceLoad: true
+    });
+    const report = getFeatures(campaign).contactDedupeReport;
+    expect(report.error).toMatch(/Choose the tag/);
+    expect(report.total).toBeUndefined();
+  });
+});
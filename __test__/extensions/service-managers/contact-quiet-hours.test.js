@@ -0,0 +1,168 @@
+import * as fakeservice from "../../../src/extensions/service-vendors/fakeservice";
+import * as contactQuietHours from "../../../src/extensions/service-managers/contact-quiet-hours";
+import { cacheableData, Message, r } from "../../../src/server/models/";
+import { invokeTaskFunction, Tasks } from "../../../src/workers/tasks";
+import {
+  cleanupTest,
+  createStartedCampaign,
+  setupTest
+} from "../../test_helpers";
+
+// a timezone_offset where it is currently localHour o'clock
+const offsetWithLocalHour = localHour => {
+  const utcHour = new Date().getUTCHours();
+  return `${((localHour - utcHour + 36) % 24) - 12}_0`;
+};
+
+describe("contact-quiet-hours service manager", () => {
+  const organization = {
+    id: 1,
+    texting_hours_start: 9,
+    texting_hours_end: 21,
+    feature: {}
+  };
+
+  describe("getHoldTimes", () => {
+    it("holds messages until the contact's texting hours start", async () => {
+      const hold = await contactQuietHours.getHoldTimes(
+        { timezone_offset: "-5_1" },
+        organization,
+        null,
+        new Date("2021-01-15T03:30:00Z")
+      );
+      expect(hold).toEqual({
+        sendAfter: new Date("2021-01-15T14:00:00Z"),
+        sendBefore: new Date("2021-01-16T02:00:00Z")
+      });
+    });
+
+    it("does not hold messages within the contact's texting hours", async () => {
+      const hold = await contactQuietHours.getHoldTimes(
+        { timezone_offset: "-5_1" },
+        organization,
+        null,
+        new Date("2021-01-15T15:00:00Z")
+      );
+      expect(hold).toBeNull();
+    });
+
+    it("uses the contact's zip without a timezone_offset", async () => {
+      const hold = await contactQuietHours.getHoldTimes(
+        { zip: "94110" },
+        organization,
+        null,
+        new Date("2021-01-15T16:00:00Z")
+      );
+      expect(hold.sendAfter).toEqual(new Date("2021-01-15T17:00:00Z"));
+    });
+
+    it("prefers CONTACT_QUIET_HOURS_START/END over the texting hours", async () => {
+      const hold = await contactQuietHours.getHoldTimes(
+        { timezone_offset: "-5_1" },
+        {
+          ...organization,
+          feature: {
+            CONTACT_QUIET_HOURS_START: 11,
+            CONTACT_QUIET_HOURS_END: 20
+          }
+        },
+        null,
+        new Date("2021-01-15T15:00:00Z")
+      );
+      expect(hold.sendAfter).toEqual(new Date("2021-01-15T16:00:00Z"));
+    });
+  });
+
+  describe("sending", () => {
+    let testContacts;
+    let testTexterUser;
+    let fakeSend;
+
+    beforeEach(async () => {
+      await setupTest();
+      const startedCampaign = await createStartedCampaign();
+      testContacts = startedCampaign.testContacts;
+      testTexterUser = startedCampaign.testTexterUser;
+      global.SERVICE_MANAGERS = "contact-quiet-hours";
+      fakeSend = jest.spyOn(fakeservice, "sendMessage");
+    }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      delete global.SERVICE_MANAGERS;
+      await cleanupTest();
+      if (r.redis) r.redis.flushdb();
+    }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+    const send = async (contact, localHour) => {
+      await r
+        .knex("campaign_contact")
+        .where("id", contact.id)
+        .update({ timezone_offset: offsetWithLocalHour(localHour) });
+      await cacheableData.campaignContact.clear(contact.id);
+      const message = await Message.save({
+        campaign_contact_id: contact.id,
+        contact_number: contact.cell,
+        is_from_contact: false,
+        send_status: "SENDING",
+        service: "fakeservice",
+        text: "hello",
+        user_id: testTexterUser.id
+      });
+      const organizationRecord = await cacheableData.organization.load(
+        (await cacheableData.campaign.load(contact.campaign_id)).organization_id
+      );
+      await invokeTaskFunction(Tasks.SEND_MESSAGE, {
+        message,
+        contact: { id: contact.id, campaign_id: contact.campaign_id },
+        organization: organizationRecord,
+        campaign: { id: contact.campaign_id }
+      });
+      return Message.get(message.id);
+    };
+
+    it("holds messages to contacts outside their texting hours", async () => {
+      const message = await send(testContacts[0], 3);
+      expect(fakeSend).not.toHaveBeenCalled();
+      expect(message.send_status).toEqual("QUEUED");
+      expect(new Date(message.send_after).getTime()).toBeGreaterThan(
+        Date.now()
+      );
+      expect(new Date(message.send_before).getTime()).toBeGreaterThan(
+        new Date(message.send_after).getTime()
+      );
+    });
+
+    it("keeps the sending number chosen for held messages", async () => {
+      // as when a numpicker ran before contact-quiet-hours
+      jest
+        .spyOn(contactQuietHours, "onMessageSend")
+        .mockImplementation(async () => ({
+          holdUntil: new Date(Date.now() + 3600000),
+          user_number: "+12125550100",
+          messageservice_sid: "MGheld"
+        }));
+      const message = await send(testContacts[0], 3);
+      expect(message.send_status).toEqual("QUEUED");
+      expect(message.user_number).toEqual("+12125550100");
+      expect(message.messageservice_sid).toEqual("MGheld");
+    });
+
+    it("sends messages to contacts within their texting hours", async () => {
+      const message = await send(testContacts[1], 12);
+      expect(fakeSend).toHaveBeenCalledTimes(1);
+      expect(message.send_after).toBeFalsy();
+    });
+  });
+
+  describe("onOrganizationUpdateSignal", () => {
+    it("rejects hours that do not start before they end", async () => {
+      await expect(
+        contactQuietHours.onOrganizationUpdateSignal({
+          organization,
+          updateData: { customHours: true, start: 20, end: 8 }
+        })
+      ).rejects.toThrow(/start before they end/);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import { cacheableData, r } from "../../../src/server/models";
+import {
+  cleanupTest,
+  createStartedCampaign,
+  runGql,
+  setupTest
+} from "../../test_helpers";
+
+const dryRunMutation = `
+  mutation dryRunServiceManager(
+    $organizationId: String!
+    $campaignId: String!
+    $serviceManagerName: String!
+  ) {
+    updateServiceManager(
+      organizationId: $organizationId
+      campaignId: $campaignId
+      serviceManagerName: $serviceManagerName
+      updateData: {}
+      fromCampaignStatsPage: true
+      dryRun: true
+    ) {
+      id
+      dryRunReport
+    }
+  }
+`;
+
+describe("service manager dry runs", () => {
+  let startedCampaign;
+
+  beforeEach(async () => {
+    await setupTest();
+    startedCampaign = await createStartedCampaign();
+    await r
+      .knex("organization")
+      .where("id", startedCampaign.organizationId)
+      .update({
+        features: JSON.stringify({
+          SERVICE_MANAGERS: "mms-when-cheaper,scrub-bad-mobilenums",
+          COST_RATIO_MMS_SMS: 3
+        })
+      });
+    await cacheableData.organization.clear(startedCampaign.organizationId);
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  const dryRun = async serviceManagerName => {
+    const result = await runGql(
+      dryRunMutation,
+      {
+        organizationId: startedCampaign.organizationId,
+        campaignId: startedCampaign.testCampaign.id,
+        serviceManagerName
+      },
+      startedCampaign.testAdminUser
+    );
+    expect(result.errors).toBeUndefined();
+    return result.data.updateServiceManager.dryRunReport;
+  };
+
+  it("reports the initial messages mms-when-cheaper would send as MMS", async () => {
+    await r
+      .knex("interaction_step")
+      .where("campaign_id", startedCampaign.testCampaign.id)
+      .delete();
+    await r.knex("interaction_step").insert({
+      campaign_id: startedCampaign.testCampaign.id,
+      question: "",
+      // 4 segments with the unicode quote, more than the cost ratio
+      script: `“Hi {firstName}! ${"Hello from Spoke! ".repeat(12)}`
+    });
+
+    const report = await dryRun("mms-when-cheaper");
+    expect(report).toMatchObject({
+      sampleSize: 100,
+      sampleMmsCount: 100,
+      estimatedMmsCount: 100,
+      estimatedSaving: null
+    });
+    expect(report.summary).toMatch(
+      /About 100 of 100 initial messages would be sent as MMS/
+    );
+    expect(await r.knex("service_manager_budget_event")).toHaveLength(0);
+  });
+
+  it("reports what scrub-bad-mobilenums would look up and scrub without looking up", async () => {
+    const { testContacts, organizationId } = startedCampaign;
+    await r.knex("organization_contact").insert([
+      {
+        organization_id: organizationId,
+        contact_number: testContacts[0].cell,
+        status_code: -1
+      },
+      {
+        organization_id: organizationId,
+        contact_number: testContacts[1].cell,
+        status_code: 1
+      }
+    ]);
+    // a landline for another organization is not counted
+    const [otherOrganization] = await r
+      .knex("organization")
+      .insert({ name: "other organization", uuid: "other-organization" })
+      .returning("id");
+    await r.knex("organization_contact").insert({
+      organization_id: otherOrganization.id || otherOrganization,
+      contact_number: testContacts[1].cell,
+      status_code: -1
+    });
+
+    const report = await dryRun("scrub-bad-mobilenums");
+    expect(report).toMatchObject({
+      sampleSize: 100,
+      lookupCount: 98,
+      knownLandlineCount: 1,
+      estimatedLandlineCount: 49,
+      estimatedCost: null
+    });
+    expect(report.summary).toMatch(/^98 numbers would be looked up; about 49/);
+    expect(await r.knex("job_request")).toHaveLength(0);
+    expect(await r.knex("organization_contact")).toHaveLength(3);
+    expect(
+      await r
+        .knex("campaign_contact")
+        .where("campaign_id", startedCampaign.testCampaign.id)
+    ).toHaveLength(100);
+  });
+
+  it("lists managers that can be dry-run on the campaign stats page", async () => {
+    const result = await runGql(
+      `query getCampaign($campaignId: String!) {
+        campaign(id: $campaignId) {
+          serviceManagers(fromCampaignStatsPage: true) {
+            name
+            supportsDryRun
+          }
+        }
+      }`,
+      { campaignId: startedCampaign.testCampaign.id },
+      startedCampaign.testAdminUser
+    );
+    expect(result.data.campaign.serviceManagers).toEqual(
+      expect.arrayContaining([
+        { name: "mms-when-cheaper", supportsDryRun: true },
+        { name: "scrub-bad-mobilenums", supportsDryRun: true }
+      ])
+    );
+  });
+});
@@ -0,0 +1,140 @@
+import * as numberHealth from "../../../src/extensions/service-managers/number-health";
+import * as numpickerBasic from "../../../src/extensions/service-managers/numpicker-basic";
+import * as stickySender from "../../../src/extensions/service-managers/sticky-sender";
+import ownedPhoneNumber from "../../../src/server/api/lib/owned-phone-number";
+import { cacheableData, r } from "../../../src/server/models";
+import {
+  cleanupTest,
+  createStartedCampaign,
+  setupTest
+} from "../../test_helpers";
+
+const HEALTHY = "+12125550100";
+const FILTERED = "+12125550101";
+
+describe("number-health service manager", () => {
+  let organization;
+
+  beforeEach(async () => {
+    await setupTest();
+    const startedCampaign = await createStartedCampaign();
+    organization = await cacheableData.organization.load(
+      startedCampaign.organizationId
+    );
+    organization.feature = {
+      ...organization.feature,
+      NUMBER_HEALTH_MIN_REPORTS: 10
+    };
+    await r.knex("owned_phone_number").insert(
+      [HEALTHY, FILTERED].map(phoneNumber => ({
+        organization_id: organization.id,
+        service: "fakeservice",
+        phone_number: phoneNumber,
+        area_code: "212"
+      }))
+    );
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  const report = (userNumber, newStatus, errorCode) =>
+    numberHealth.onDeliveryReport({
+      userNumber,
+      newStatus,
+      errorCode,
+      organization
+    });
+
+  const sendReports = async (userNumber, delivered, filtered) => {
+    for (let i = 0; i < delivered; i++) {
+      await report(userNumber, "DELIVERED", 0);
+    }
+    for (let i = 0; i < filtered; i++) {
+      await report(userNumber, "ERROR", 30007);
+    }
+  };
+
+  const quarantinedNumbers = async () =>
+    (
+      await r
+        .knex("owned_phone_number")
+        .whereNotNull("quarantined_at")
+        .select("phone_number")
+    ).map(row => row.phone_number);
+
+  it("counts delivery reports per number and day", async () => {
+    await sendReports(HEALTHY, 3, 1);
+    await report(HEALTHY, "ERROR", 30003);
+    expect(
+      await numberHealth.getNumberHealth(organization.id, HEALTHY, 3)
+    ).toEqual({ delivered: 3, errors: 2, flagged: 1 });
+    expect(await r.knex("phone_number_health")).toHaveLength(1);
+  });
+
+  it("quarantines numbers carriers filter once there are enough reports", async () => {
+    await sendReports(HEALTHY, 19, 1);
+    await sendReports(FILTERED, 5, 3);
+    // 3 of 8 filtered, but fewer than NUMBER_HEALTH_MIN_REPORTS
+    expect(await quarantinedNumbers()).toEqual([]);
+    await sendReports(FILTERED, 1, 1);
+    expect(await quarantinedNumbers()).toEqual([FILTERED]);
+    const [quarantined] = await r
+      .knex("owned_phone_number")
+      .where("phone_number", FILTERED);
+    expect(quarantined.quarantine_reason).toMatch(/4 of 10 messages/);
+
+    const [counts] = await ownedPhoneNumber.listOrganizationCounts(
+      organization
+    );
+    expect(counts).toMatchObject({
+      areaCode: "212",
+      availableCount: 1,
+      quarantinedCount: 1,
+      deliveredCount: 25,
+      errorCount: 5,
+      flaggedCount: 5
+    });
+  });
+
+  it("stops sending from quarantined numbers until they are released", async () => {
+    await r
+      .knex("owned_phone_number")
+      .where("phone_number", FILTERED)
+      .update({ quarantined_at: new Date(), quarantine_reason: "test" });
+    await r.knex("organization_contact").insert({
+      organization_id: organization.id,
+      contact_number: "+12125551234",
+      user_number: FILTERED,
+      service: "fakeservice"
+    });
+    const send = async serviceManager =>
+      serviceManager.onMessageSend({
+        message: { contact_number: "+12125551234" },
+        organization,
+        serviceManagerData: {}
+      });
+
+    // sticky-sender only checks for quarantines when number-health is enabled
+    expect(await send(stickySender)).toEqual({ user_number: FILTERED });
+    organization.feature.SERVICE_MANAGERS = "sticky-sender,number-health";
+    expect(await send(stickySender)).toBeUndefined();
+    const organizationContact = await cacheableData.organizationContact.query({
+      organizationId: organization.id,
+      contactNumber: "+12125551234"
+    });
+    expect(organizationContact.user_number).toBeNull();
+    for (let i = 0; i < 5; i++) {
+      expect(await send(numpickerBasic)).toEqual({ user_number: HEALTHY });
+    }
+
+    await sendReports(FILTERED, 0, 2);
+    await ownedPhoneNumber.releaseQuarantinedNumbers(organization, "212");
+    expect(await quarantinedNumbers()).toEqual([]);
+    expect(
+      await numberHealth.getNumberHealth(organization.id, FILTERED, 3)
+    ).toEqual({ delivered: 0, errors: 0, flagged: 0 });
+  });
+});
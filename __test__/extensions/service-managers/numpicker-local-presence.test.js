@@ -0,0 +1,119 @@
+import * as localPresence from "../../../src/extensions/service-managers/numpicker-local-presence";
+import { cacheableData, r } from "../../../src/server/models/";
+import {
+  cleanupTest,
+  createStartedCampaign,
+  setupTest
+} from "../../test_helpers";
+
+const NUMBERS = {
+  "212": "+12125550100", // New York
+  "518": "+15185550100", // New York
+  "310": "+13105550100" // California
+};
+
+describe("numpicker-local-presence service manager", () => {
+  let organization;
+  let testCampaign;
+  let testContacts;
+
+  beforeEach(async () => {
+    await setupTest();
+    const startedCampaign = await createStartedCampaign();
+    testCampaign = startedCampaign.testCampaign;
+    testContacts = startedCampaign.testContacts;
+    organization = await cacheableData.organization.load(
+      startedCampaign.organizationId
+    );
+    await r.knex("owned_phone_number").insert(
+      Object.keys(NUMBERS).map(areaCode => ({
+        organization_id: organization.id,
+        service: "fakeservice",
+        phone_number: NUMBERS[areaCode],
+        area_code: areaCode
+      }))
+    );
+    await r.knex("zip_code").insert({
+      zip: "90210",
+      city: "Beverly Hills",
+      state: "CA",
+      latitude: 34.09,
+      longitude: -118.41,
+      timezone_offset: -8,
+      has_dst: true
+    });
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  const pick = (contactNumber, contact = {}, serviceManagerData = {}) =>
+    localPresence.onMessageSend({
+      message: { contact_number: contactNumber },
+      contact,
+      organization,
+      serviceManagerData
+    });
+
+  it("picks a number in the contact's area code", async () => {
+    expect(await pick("+12125551234")).toEqual({
+      user_number: NUMBERS["212"]
+    });
+    expect(await pick("+15185551234")).toEqual({
+      user_number: NUMBERS["518"]
+    });
+  });
+
+  it("falls back to the same state, then the zip's state, then any number", async () => {
+    // 347 is also New York
+    expect([NUMBERS["212"], NUMBERS["518"]]).toContain(
+      (await pick("+13475551234")).user_number
+    );
+    // 617 is Massachusetts, where there are no numbers
+    expect(await pick("+16175551234", { zip: "90210" })).toEqual({
+      user_number: NUMBERS["310"]
+    });
+    expect(Object.values(NUMBERS)).toContain(
+      (await pick("+16175551234")).user_number
+    );
+  });
+
+  it("leaves numbers other service managers picked", async () => {
+    expect(
+      await pick("+12125551234", {}, { user_number: "+15555550123" })
+    ).toBeUndefined();
+    await r.knex("owned_phone_number").delete();
+    expect(await pick("+12125551234")).toBeUndefined();
+  });
+
+  it("counts sent messages by how local their number was", async () => {
+    const sent = [
+      [testContacts[0], "+12125551234", NUMBERS["212"]],
+      [testContacts[1], "+13475551234", NUMBERS["212"]],
+      [testContacts[2], "+16175551234", NUMBERS["310"]],
+      [testContacts[3], "+16175551234", NUMBERS["518"]]
+    ];
+    await r
+      .knex("campaign_contact")
+      .where("id", testContacts[2].id)
+      .update({ zip: "90210" });
+    await r.knex("message").insert(
+      sent.map(([contact, contactNumber, userNumber]) => ({
+        campaign_contact_id: contact.id,
+        contact_number: contactNumber,
+        user_number: userNumber,
+        is_from_contact: false,
+        send_status: "SENT",
+        text: "hello"
+      }))
+    );
+    expect(await localPresence.getLocalPresenceStats(testCampaign.id)).toEqual({
+      total: 4,
+      areaCode: 1,
+      state: 1,
+      zipState: 1
+    });
+  });
+});
@@ -0,0 +1,223 @@
+import fetch from "node-fetch";
+
+import * as optoutWebhook from "../../../src/extensions/service-managers/optout-webhook";
+import { jobRunner } from "../../../src/extensions/job-runners";
+import { cacheableData, r } from "../../../src/server/models";
+import {
+  cleanupTest,
+  createStartedCampaign,
+  setupTest
+} from "../../test_helpers";
+
+jest.mock("node-fetch");
+
+const URL = "https://crm.example.com/spoke-optouts";
+
+describe("optout-webhook service manager", () => {
+  let organization;
+  let campaign;
+  let testContacts;
+  let testAdminUser;
+
+  beforeEach(async () => {
+    await setupTest();
+    const startedCampaign = await createStartedCampaign();
+    testContacts = startedCampaign.testContacts;
+    testAdminUser = startedCampaign.testAdminUser;
+    campaign = await cacheableData.campaign.load(
+      startedCampaign.testCampaign.id
+    );
+    organization = await cacheableData.organization.load(
+      startedCampaign.organizationId
+    );
+    await configure({ url: URL, secret: "s3cret", maxAttempts: 2 });
+    fetch.mockReset();
+    fetch.mockImplementation(async () => ({ ok: true, status: 200 }));
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  async function configure(updateData) {
+    const result = await optoutWebhook.onOrganizationUpdateSignal({
+      organization,
+      user: testAdminUser,
+      updateData
+    });
+    organization = await cacheableData.organization.load(organization.id);
+    organization.feature = {
+      ...organization.feature,
+      SERVICE_MANAGERS: "optout-webhook"
+    };
+    return result;
+  }
+
+  const optOut = contact =>
+    cacheableData.optOut.save({
+      cell: contact.cell,
+      campaignContactId: contact.id,
+      campaign,
+      reason: "stop",
+      contact,
+      organization,
+      user: testAdminUser
+    });
+
+  const deliveries = () =>
+    r.knex("optout_webhook_delivery").orderBy("id", "asc");
+
+  it("posts signed opt-outs rendered from the template", async () => {
+    await configure({
+      url: URL,
+      method: "PUT",
+      secret: "<Encrypted>",
+      template: JSON.stringify({
+        phone: "{{cell}}",
+        source: "spoke {{campaign_title}}",
+        campaign: "{{campaign_id}}",
+        note: "{{unknown}}"
+      })
+    });
+    await optOut(testContacts[0]);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe(URL);
+    expect(request.method).toBe("PUT");
+    expect(JSON.parse(request.body)).toEqual({
+      phone: testContacts[0].cell,
+      source: `spoke ${campaign.title}`,
+      campaign: Number(campaign.id),
+      note: null
+    });
+    // the secret is kept from the first save and signs the body
+    expect(request.headers["X-Spoke-Signature"]).toBe(
+      optoutWebhook.signPayload(
+        "s3cret",
+        request.headers["X-Spoke-Timestamp"],
+        request.body
+      )
+    );
+    expect(await deliveries()).toMatchObject([
+      { status: "DELIVERED", attempts: 1, cell: testContacts[0].cell }
+    ]);
+
+    const { data } = await optoutWebhook.getOrganizationData({ organization });
+    expect(data.secret).toBe("<Encrypted>");
+    expect(JSON.stringify(organization.feature)).not.toMatch(/s3cret/);
+  });
+
+  it("retries failed posts until it gives up", async () => {
+    fetch.mockImplementation(async () => ({ ok: false, status: 503 }));
+    await optOut(testContacts[0]);
+    expect(await deliveries()).toMatchObject([
+      { status: "PENDING", attempts: 1, last_error: "HTTP 503" }
+    ]);
+
+    // not due yet
+    expect(await optoutWebhook.retryDeliveries()).toBe(0);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    await r
+      .knex("optout_webhook_delivery")
+      .update({ next_attempt_at: new Date(Date.now() - 1000) });
+    expect(await optoutWebhook.retryDeliveries()).toBe(0);
+    expect(await deliveries()).toMatchObject([
+      { status: "FAILED", attempts: 2 }
+    ]);
+    const { data } = await optoutWebhook.getOrganizationData({ organization });
+    expect(data).toMatchObject({
+      pending: 0,
+      failed: 1,
+      lastError: "HTTP 503"
+    });
+
+    // an owner can retry the ones that failed
+    fetch.mockImplementation(async () => ({ ok: true, status: 200 }));
+    await configure({ retryFailed: true });
+    expect(await optoutWebhook.retryDeliveries()).toBe(1);
+    expect(await deliveries()).toMatchObject([
+      { status: "DELIVERED", attempts: 1, last_error: null }
+    ]);
+    // every attempt posts the same body
+    expect(fetch.mock.calls[2][1].body).toBe(fetch.mock.calls[0][1].body);
+  });
+
+  it("posts from a task, or the retry process when the task does not run", async () => {
+    jest.spyOn(jobRunner, "dispatchTask").mockResolvedValue(undefined);
+    await optOut(testContacts[0]);
+    expect(fetch).not.toHaveBeenCalled();
+    const [delivery] = await deliveries();
+    expect(jobRunner.dispatchTask).toHaveBeenCalledWith(
+      "extension_task",
+      expect.objectContaining({
+        method: "deliverQueuedWebhook",
+        deliveryId: delivery.id
+      })
+    );
+
+    expect(await optoutWebhook.retryDeliveries()).toBe(1);
+    // the task is a no-op once the delivery was attempted
+    await optoutWebhook.deliverQueuedWebhook({ deliveryId: delivery.id });
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(await deliveries()).toMatchObject([
+      { status: "DELIVERED", attempts: 1 }
+    ]);
+  });
+
+  it("posts once when the task and the retry process run together", async () => {
+    jest.spyOn(jobRunner, "dispatchTask").mockResolvedValue(undefined);
+    await optOut(testContacts[0]);
+    const [delivery] = await deliveries();
+
+    await Promise.all([
+      optoutWebhook.deliverQueuedWebhook({ deliveryId: delivery.id }),
+      optoutWebhook.retryDeliveries()
+    ]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(await deliveries()).toMatchObject([
+      { status: "DELIVERED", attempts: 1 }
+    ]);
+  });
+
+  it("posts opt-ins", async () => {
+    await optOut(testContacts[0]);
+    await cacheableData.optOut.remove({
+      cell: testContacts[0].cell,
+      organizationId: organization.id,
+      campaignContactId: testContacts[0].id,
+      reason: "start",
+      organization
+    });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(fetch.mock.calls[1][1].body)).toMatchObject({
+      event: "optin",
+      cell: testContacts[0].cell,
+      first_name: testContacts[0].first_name,
+      campaign_id: Number(campaign.id),
+      campaign_title: campaign.title,
+      reason: "start"
+    });
+    expect(await deliveries()).toMatchObject([
+      { event: "optout", status: "DELIVERED" },
+      { event: "optin", status: "DELIVERED" }
+    ]);
+  });
+
+  it("validates settings", async () => {
+    await expect(configure({ url: "crm.example.com" })).rejects.toThrow(
+      /must start with http/
+    );
+    await expect(configure({ url: URL, template: "{nope" })).rejects.toThrow(
+      /not valid JSON/
+    );
+    await configure({ url: "" });
+    await optOut(testContacts[0]);
+    expect(fetch).not.toHaveBeenCalled();
+    expect(await deliveries()).toHaveLength(0);
+  });
+});
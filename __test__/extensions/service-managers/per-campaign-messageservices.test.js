@@ -0,0 +1,137 @@
+import * as perCampaignMessageServices from "../../../src/extensions/service-managers/per-campaign-messageservices";
+import * as twilio from "../../../src/extensions/service-vendors/twilio";
+import { cacheableData, r } from "../../../src/server/models/";
+import {
+  cleanupTest,
+  createCampaign,
+  createInvite,
+  createOrganization,
+  createUser,
+  setupTest
+} from "../../test_helpers";
+
+describe("per-campaign-messageservices registration", () => {
+  let testAdminUser;
+  let organization;
+  let campaignId;
+
+  const loadCampaign = () =>
+    r
+      .knex("campaign")
+      .where("id", campaignId)
+      .first();
+
+  const update = async updateData =>
+    perCampaignMessageServices.onCampaignUpdateSignal({
+      organization,
+      campaign: await loadCampaign(),
+      user: testAdminUser,
+      updateData
+    });
+
+  const start = async () =>
+    perCampaignMessageServices.onCampaignStart({
+      organization,
+      campaign: await loadCampaign(),
+      user: testAdminUser
+    });
+
+  beforeEach(async () => {
+    await setupTest();
+    testAdminUser = await createUser();
+    const testOrganization = await createOrganization(
+      testAdminUser,
+      await createInvite()
+    );
+    organization = await cacheableData.organization.load(
+      testOrganization.data.createOrganization.id
+    );
+    campaignId = (await createCampaign(testAdminUser, testOrganization)).id;
+    global.PER_CAMPAIGN_MESSAGESERVICES_REQUIRE_REGISTRATION = "1";
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    delete global.PER_CAMPAIGN_MESSAGESERVICES_REQUIRE_REGISTRATION;
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  it("only starts campaigns whose messaging service is registered", async () => {
+    await expect(start()).rejects.toThrow(/approved registration/);
+
+    const { data, fullyConfigured } = await update({
+      messageserviceSid: " MG123 ",
+      registration: {
+        registrationType: "10DLC",
+        brandRegistrationSid: "BN123",
+        campaignRegistrationSid: "QE123",
+        status: "PENDING"
+      }
+    });
+    expect(data.messageserviceSid).toEqual("MG123");
+    expect(data.registrationRequired).toBeTruthy();
+    expect(data.registration).toMatchObject({
+      messageserviceSid: "MG123",
+      registrationType: "10DLC",
+      brandRegistrationSid: "BN123",
+      campaignRegistrationSid: "QE123",
+      status: "PENDING"
+    });
+    expect(fullyConfigured).toBe(false);
+    await expect(start()).rejects.toThrow(/approved registration/);
+
+    const approved = await update({ registration: { status: "APPROVED" } });
+    expect(approved.data.registration.campaignRegistrationSid).toEqual("QE123");
+    expect(approved.fullyConfigured).toBe(true);
+    await start();
+    const campaign = await loadCampaign();
+    expect(campaign.is_started).toBe(true);
+    expect(campaign.messageservice_sid).toEqual("MG123");
+  });
+
+  it("updates the 10DLC status from Twilio", async () => {
+    const getA2pRegistration = jest
+      .spyOn(twilio, "getMessagingServiceA2pRegistration")
+      .mockResolvedValue({
+        sid: "QE456",
+        brandRegistrationSid: "BN456",
+        campaignStatus: "VERIFIED"
+      });
+    organization = { ...organization, feature: { service: "twilio" } };
+    await update({ messageserviceSid: "MG456" });
+    const { data } = await update({ refreshRegistration: true });
+    expect(getA2pRegistration).toHaveBeenCalledWith(organization, "MG456");
+    expect(data.registration).toMatchObject({
+      registrationType: "10DLC",
+      brandRegistrationSid: "BN456",
+      campaignRegistrationSid: "QE456",
+      status: "APPROVED",
+      statusDetails: "VERIFIED"
+    });
+  });
+
+  it("keeps an assigned messaging service when adding numbers fails", async () => {
+    jest
+      .spyOn(twilio, "addNumbersToMessagingService")
+      .mockRejectedValue(new Error("twilio is down"));
+    const deleteMessagingService = jest
+      .spyOn(twilio, "deleteMessagingService")
+      .mockResolvedValue();
+    organization = { ...organization, feature: { service: "twilio" } };
+    await update({
+      messageserviceSid: "MG321",
+      registration: { registrationType: "10DLC", status: "APPROVED" }
+    });
+    await expect(start()).rejects.toThrow(/Failed to add numbers/);
+    expect(deleteMessagingService).not.toHaveBeenCalled();
+    expect((await loadCampaign()).messageservice_sid).toEqual("MG321");
+  });
+
+  it("rejects unknown registration statuses", async () => {
+    await update({ messageserviceSid: "MG789" });
+    await expect(update({ registration: { status: "MAYBE" } })).rejects.toThrow(
+      /Unknown registration status/
+    );
+  });
+});
@@ -0,0 +1,81 @@
+import * as testFakeExample from "../../../src/extensions/service-managers/test-fake-example";
+import { cacheableData, r } from "../../../src/server/models";
+import {
+  cleanupTest,
+  createStartedCampaign,
+  sendMessage,
+  setupTest
+} from "../../test_helpers";
+
+describe("test-fake-example service manager", () => {
+  let c;
+
+  beforeEach(async () => {
+    await setupTest();
+    c = await createStartedCampaign();
+    await r
+      .knex("organization")
+      .where("id", c.organizationId)
+      .update(
+        "features",
+        JSON.stringify({ SERVICE_MANAGERS: "test-fake-example" })
+      );
+    await cacheableData.organization.clear(c.organizationId);
+    jest.spyOn(testFakeExample, "onIncomingMessage");
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  const receive = (contact, text) =>
+    cacheableData.message.save({
+      contact,
+      messageInstance: {
+        is_from_contact: true,
+        text,
+        contact_number: contact.cell,
+        service: "fakeservice",
+        messageservice_sid: "fakeservice",
+        send_status: "DELIVERED"
+      }
+    });
+
+  it("gets onIncomingMessage when a contact replies", async () => {
+    const contact = c.testContacts[0];
+    await sendMessage(contact.id, c.testTexterUser, {
+      userId: c.testTexterUser.id,
+      contactNumber: contact.cell,
+      text: "hi from spoke",
+      assignmentId: c.assignmentId
+    });
+    await r
+      .knex("message")
+      .where("user_id", c.testTexterUser.id)
+      .update("messageservice_sid", "fakeservice");
+    expect(testFakeExample.onIncomingMessage).not.toHaveBeenCalled();
+
+    const result = await receive(contact, "hi back");
+    expect(testFakeExample.onIncomingMessage).toHaveBeenCalledTimes(1);
+    const args = testFakeExample.onIncomingMessage.mock.calls[0][0];
+    expect(args.message).toMatchObject({
+      text: "hi back",
+      campaign_contact_id: contact.id
+    });
+    expect(args.contact.id).toBe(contact.id);
+    expect(Number(args.campaign.id)).toBe(Number(c.testCampaign.id));
+    expect(Number(args.organization.id)).toBe(Number(c.organizationId));
+    expect(args.contactStatus).toBe("needsResponse");
+    expect(args.serviceManagerData).toBeDefined();
+    expect(result.serviceManagerData).toEqual({
+      testFakeIncomingMessageId: result.message.id
+    });
+  });
+
+  it("is not called for messages that match no contact", async () => {
+    await receive({ cell: "+15005550000" }, "who is this");
+    expect(testFakeExample.onIncomingMessage).not.toHaveBeenCalled();
+  });
+});
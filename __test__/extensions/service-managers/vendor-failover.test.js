@@ -0,0 +1,190 @@
+import * as fakeservice from "../../../src/extensions/service-vendors/fakeservice";
+import * as plivo from "../../../src/extensions/service-vendors/plivo";
+import * as vendorFailover from "../../../src/extensions/service-managers/vendor-failover";
+import { cacheableData, Message, r } from "../../../src/server/models/";
+import telemetry from "../../../src/server/telemetry";
+import { invokeTaskFunction, Tasks } from "../../../src/workers/tasks";
+import {
+  cleanupTest,
+  createStartedCampaign,
+  setupTest
+} from "../../test_helpers";
+
+const BACKUP_NUMBER = "+12125550111";
+
+describe("vendor-failover service manager", () => {
+  let organization;
+  let testContacts;
+  let testTexterUser;
+  let fakeSend;
+  let plivoSend;
+  let reportEvent;
+
+  beforeEach(async () => {
+    await setupTest();
+    const startedCampaign = await createStartedCampaign();
+    testContacts = startedCampaign.testContacts;
+    testTexterUser = startedCampaign.testTexterUser;
+    organization = await cacheableData.organization.load(
+      startedCampaign.organizationId
+    );
+    await r.knex("owned_phone_number").insert({
+      organization_id: organization.id,
+      service: "plivo",
+      phone_number: BACKUP_NUMBER,
+      area_code: "212"
+    });
+    global.SERVICE_MANAGERS = "vendor-failover,sticky-sender,numpicker-basic";
+    global.VENDOR_FAILOVER_SERVICE = "plivo";
+    global.VENDOR_FAILOVER_THRESHOLD = "3";
+    fakeSend = jest
+      .spyOn(fakeservice, "sendMessage")
+      .mockRejectedValue(new Error("vendor is down"));
+    plivoSend = jest.spyOn(plivo, "sendMessage").mockResolvedValue({});
+    reportEvent = jest.spyOn(telemetry, "reportEvent");
+    await vendorFailover.resetFailover(organization.id);
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    delete global.SERVICE_MANAGERS;
+    delete global.VENDOR_FAILOVER_SERVICE;
+    delete global.VENDOR_FAILOVER_THRESHOLD;
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  const send = async (contact, text = "hello") => {
+    const message = await Message.save({
+      campaign_contact_id: contact.id,
+      contact_number: contact.cell,
+      is_from_contact: false,
+      send_status: "SENDING",
+      service: "fakeservice",
+      text,
+      user_id: testTexterUser.id
+    });
+    try {
+      await invokeTaskFunction(Tasks.SEND_MESSAGE, {
+        message,
+        contact,
+        organization,
+        campaign: { id: contact.campaign_id }
+      });
+    } catch (err) {
+      // failed sends are expected while the vendor is down
+    }
+    return Message.get(message.id);
+  };
+
+  const failoverEvents = () =>
+    reportEvent.mock.calls.filter(([type]) => type === "Vendor Failover");
+
+  it("switches new sends to the backup vendor after consecutive failures", async () => {
+    for (let i = 0; i < 3; i++) {
+      await send(testContacts[i]);
+    }
+    expect(fakeSend).toHaveBeenCalledTimes(3);
+    expect(failoverEvents()).toHaveLength(1);
+    expect(failoverEvents()[0][1]).toMatchObject({
+      organizationId: organization.id,
+      fromService: "fakeservice",
+      toService: "plivo",
+      consecutiveFailures: 3
+    });
+
+    const message = await send(testContacts[3]);
+    expect(fakeSend).toHaveBeenCalledTimes(3);
+    expect(plivoSend).toHaveBeenCalledTimes(1);
+    expect(plivoSend.mock.calls[0][0].serviceManagerData).toMatchObject({
+      service: "plivo",
+      user_number: BACKUP_NUMBER
+    });
+    expect(message.service).toEqual("plivo");
+  });
+
+  it("only counts consecutive failures", async () => {
+    await send(testContacts[0]);
+    await send(testContacts[1]);
+    fakeSend.mockResolvedValueOnce({});
+    await send(testContacts[2]);
+    await send(testContacts[3]);
+    await send(testContacts[4]);
+    expect(failoverEvents()).toHaveLength(0);
+    expect(await vendorFailover.getActiveFailover(organization.id)).toBeNull();
+  });
+
+  it("keeps existing conversations with the vendor of their sticky number", async () => {
+    for (let i = 0; i < 3; i++) {
+      await send(testContacts[i]);
+    }
+    await cacheableData.organizationContact.save({
+      organization_id: organization.id,
+      contact_number: testContacts[5].cell,
+      user_number: "+12125550122",
+      service: "fakeservice"
+    });
+    await send(testContacts[5]);
+    expect(fakeSend).toHaveBeenCalledTimes(4);
+    expect(plivoSend).not.toHaveBeenCalled();
+
+    // contacts first texted by the backup stay with it after recovery
+    await cacheableData.organizationContact.save({
+      organization_id: organization.id,
+      contact_number: testContacts[6].cell,
+      user_number: BACKUP_NUMBER,
+      service: "plivo"
+    });
+    await vendorFailover.resetFailover(organization.id);
+    await send(testContacts[6]);
+    expect(plivoSend).toHaveBeenCalledTimes(1);
+    expect(plivoSend.mock.calls[0][0].serviceManagerData.user_number).toEqual(
+      BACKUP_NUMBER
+    );
+  });
+
+  it("can be switched back from Settings", async () => {
+    for (let i = 0; i < 3; i++) {
+      await send(testContacts[i]);
+    }
+    let info = await vendorFailover.getOrganizationData({ organization });
+    expect(info.data.activeFailover).toMatchObject({ service: "plivo" });
+    info = await vendorFailover.onOrganizationUpdateSignal({
+      organization,
+      user: testTexterUser,
+      updateData: { resetFailover: true }
+    });
+    expect(info.data.activeFailover).toBeNull();
+    expect(reportEvent).toHaveBeenCalledWith(
+      "Vendor Failover Reset",
+      expect.objectContaining({ organizationId: organization.id })
+    );
+  });
+
+  it("saves the backup vendor in the organization settings", async () => {
+    delete global.VENDOR_FAILOVER_SERVICE;
+    await expect(
+      vendorFailover.onOrganizationUpdateSignal({
+        organization,
+        updateData: { backupService: "fakeservice" }
+      })
+    ).rejects.toThrow(/differ/);
+
+    const info = await vendorFailover.onOrganizationUpdateSignal({
+      organization,
+      updateData: {
+        backupService: "plivo",
+        failureThreshold: "5",
+        recoveryMinutes: "10"
+      }
+    });
+    expect(info.data).toMatchObject({
+      primaryService: "fakeservice",
+      backupService: "plivo",
+      failureThreshold: 5,
+      recoveryMinutes: 10
+    });
+    // plivo has no credentials in the test environment
+    expect(info.fullyConfigured).toEqual(false);
+  });
+});
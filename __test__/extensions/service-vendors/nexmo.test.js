@@ -0,0 +1,326 @@
+import fetch from "node-fetch";
+
+import * as nexmo from "../../../src/extensions/service-vendors/nexmo";
+import { cacheableData, Message, r } from "../../../src/server/models/";
+import {
+  cleanupTest,
+  createStartedCampaign,
+  setupTest
+} from "../../test_helpers";
+
+jest.mock("node-fetch");
+
+const USER_NUMBER = "+12125550199";
+
+describe("nexmo", () => {
+  let organization;
+  let dbCampaignContact;
+  let testTexterUser;
+  let mockSendSms;
+  let mockNumbers;
+
+  beforeAll(() => {
+    global.NEXMO_API_KEY = "testkey";
+    global.NEXMO_API_SECRET = "testsecret";
+    global.NEXMO_BASE_CALLBACK_URL = "https://spoke.example.com";
+  });
+
+  afterAll(() => {
+    delete global.NEXMO_API_KEY;
+    delete global.NEXMO_API_SECRET;
+    delete global.NEXMO_BASE_CALLBACK_URL;
+  });
+
+  beforeEach(async () => {
+    mockSendSms = jest.fn((from, to, text, opts, cb) => {
+      cb(null, { messages: [{ status: "0", "message-id": "NX12345" }] });
+    });
+    mockNumbers = {};
+    jest.spyOn(nexmo, "getNexmo").mockImplementation(async () => ({
+      message: { sendSms: mockSendSms },
+      number: {
+        search: (country, params, cb) => {
+          const numbers = [];
+          for (let i = 0; i < params.size; i++) {
+            numbers.push({
+              msisdn: `${params.pattern}555${String(i).padStart(4, "0")}`
+            });
+          }
+          cb(null, { count: numbers.length, numbers });
+        },
+        buy: (country, msisdn, cb) => {
+          mockNumbers[msisdn] = {};
+          cb(null, { "error-code": "200", "error-code-label": "success" });
+        },
+        update: (country, msisdn, params, cb) => {
+          mockNumbers[msisdn] = params;
+          cb(null, { "error-code": "200" });
+        },
+        cancel: (country, msisdn, cb) => {
+          delete mockNumbers[msisdn];
+          cb(null, { "error-code": "200" });
+        }
+      }
+    }));
+
+    await setupTest();
+    const startedCampaign = await createStartedCampaign();
+    dbCampaignContact = startedCampaign.dbCampaignContact;
+    testTexterUser = startedCampaign.testTexterUser;
+    organization = await cacheableData.organization.load(
+      startedCampaign.organizationId
+    );
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  const saveMessage = text =>
+    Message.save({
+      campaign_contact_id: dbCampaignContact.id,
+      contact_number: dbCampaignContact.cell,
+      is_from_contact: false,
+      send_status: "SENDING",
+      service: "nexmo",
+      text,
+      user_id: testTexterUser.id
+    });
+
+  const send = message =>
+    nexmo.sendMessage({
+      message,
+      contact: dbCampaignContact,
+      organization,
+      serviceManagerData: { user_number: USER_NUMBER }
+    });
+
+  it("should send sms messages with a delivery receipt callback", async () => {
+    let message = await saveMessage("hello there");
+    await send(message);
+    expect(mockSendSms).toHaveBeenCalledTimes(1);
+    const [from, to, text, opts] = mockSendSms.mock.calls[0];
+    expect(from).toEqual("12125550199");
+    expect(to).toEqual(dbCampaignContact.cell.slice(1));
+    expect(text).toEqual("hello there");
+    expect(opts).toMatchObject({
+      "status-report-req": 1,
+      "client-ref": String(message.id),
+      type: "text",
+      callback: `https://spoke.example.com/nexmo-message-report/${organization.id}`
+    });
+    message = await Message.get(message.id);
+    expect(message).toMatchObject({
+      service_id: "NX12345",
+      send_status: "SENT",
+      user_number: USER_NUMBER,
+      messageservice_sid: null
+    });
+  });
+
+  it("should send sms with characters outside GSM as unicode", async () => {
+    await send(await saveMessage("hola, ¿cómo estás? 👋"));
+    expect(mockSendSms.mock.calls[0][3].type).toEqual("unicode");
+  });
+
+  it("should send messages with an image as mms", async () => {
+    fetch.mockResolvedValue({
+      ok: true,
+      status: 202,
+      json: async () => ({ message_uuid: "aaaa-bbbb" })
+    });
+    let message = await saveMessage("look [https://example.com/a.jpg]");
+    await send(message);
+    expect(mockSendSms).not.toHaveBeenCalled();
+    expect(fetch).toHaveBeenCalledTimes(1);
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body).toMatchObject({
+      channel: "mms",
+      message_type: "image",
+      image: { url: "https://example.com/a.jpg", caption: "look" },
+      from: "12125550199"
+    });
+    message = await Message.get(message.id);
+    expect(message).toMatchObject({
+      service_id: "aaaa-bbbb",
+      send_status: "SENT"
+    });
+  });
+
+  it("should fail immediately when nexmo rejects the message", async () => {
+    mockSendSms.mockImplementation((from, to, text, opts, cb) => {
+      cb(null, { messages: [{ status: "7", "error-text": "Number barred" }] });
+    });
+    let message = await saveMessage("hello there");
+    await expect(send(message)).rejects.toThrow(/Number barred/);
+    message = await Message.get(message.id);
+    expect(message.send_status).toEqual("ERROR");
+    expect(message.error_code).toEqual(2007);
+    expect(nexmo.errorDescription(2007).description).toMatch(/barred/);
+  });
+
+  it("should retry when nexmo is throttling", async () => {
+    mockSendSms.mockImplementation((from, to, text, opts, cb) => {
+      cb(null, { messages: [{ status: "1", "error-text": "Throttled" }] });
+    });
+    let message = await saveMessage("hello there");
+    await expect(send(message)).rejects.toThrow();
+    message = await Message.get(message.id);
+    expect(message.send_status).toEqual("SENDING");
+    expect(message.error_code).toEqual(-1);
+  });
+
+  it("should handle delivery receipts", async () => {
+    let message = await saveMessage("hello there");
+    await send(message);
+    await nexmo.handleDeliveryReport(
+      {
+        messageId: "NX12345",
+        msisdn: dbCampaignContact.cell.slice(1),
+        to: "12125550199",
+        status: "failed",
+        "err-code": "6"
+      },
+      organization.id
+    );
+    message = await Message.get(message.id);
+    expect(message.send_status).toEqual("ERROR");
+    expect(message.error_code).toEqual(6);
+    const contact = await r
+      .knex("campaign_contact")
+      .where("id", dbCampaignContact.id)
+      .first();
+    expect(contact.error_code).toEqual(6);
+  });
+
+  it("should handle messages api status webhooks", async () => {
+    let message = await saveMessage("hello there");
+    await send(message);
+    await nexmo.handleDeliveryReport({
+      message_uuid: "NX12345",
+      to: dbCampaignContact.cell.slice(1),
+      from: "12125550199",
+      status: "delivered"
+    });
+    message = await Message.get(message.id);
+    expect(message.send_status).toEqual("DELIVERED");
+  });
+
+  it("should save incoming messages", async () => {
+    await send(await saveMessage("hello there"));
+    await nexmo.handleIncomingMessage({
+      msisdn: dbCampaignContact.cell.slice(1),
+      to: "12125550199",
+      messageId: "NXIN1",
+      text: "hi back",
+      type: "text"
+    });
+    await nexmo.handleIncomingMessage({
+      message_uuid: "NXIN2",
+      from: dbCampaignContact.cell.slice(1),
+      to: "12125550199",
+      channel: "mms",
+      message_type: "image",
+      image: { url: "https://example.com/b.jpg", caption: "pic" }
+    });
+    const replies = await r
+      .knex("message")
+      .where({ is_from_contact: true })
+      .orderBy("id");
+    expect(replies).toHaveLength(2);
+    expect(replies[0]).toMatchObject({
+      campaign_contact_id: dbCampaignContact.id,
+      text: "hi back",
+      user_number: USER_NUMBER,
+      service: "nexmo"
+    });
+    expect(replies[1]).toMatchObject({
+      campaign_contact_id: dbCampaignContact.id,
+      text: "pic",
+      service_id: "NXIN2"
+    });
+  });
+
+  it("should save concatenated message parts for reassembly", async () => {
+    await nexmo.handleIncomingMessage({
+      msisdn: dbCampaignContact.cell.slice(1),
+      to: "12125550199",
+      messageId: "NXPART1",
+      text: "first half",
+      concat: "true",
+      "concat-ref": "77",
+      "concat-part": "1",
+      "concat-total": "2"
+    });
+    const parts = await r
+      .knex("pending_message_part")
+      .where("service", "nexmo");
+    expect(parts).toHaveLength(1);
+    expect(parts[0]).toMatchObject({ parent_id: "77", service_id: "77" });
+  });
+
+  it("should buy and delete numbers", async () => {
+    const bought = await nexmo.buyNumbersInAreaCode(organization, "212", 3);
+    expect(bought).toEqual(3);
+    let owned = await r
+      .knex("owned_phone_number")
+      .where({ organization_id: organization.id, service: "nexmo" });
+    expect(owned).toHaveLength(3);
+    owned.forEach(n => {
+      expect(n.area_code).toEqual("212");
+      expect(n.phone_number).toMatch(/^\+1212555/);
+      expect(mockNumbers[n.service_id]).toEqual({
+        moHttpUrl: `https://spoke.example.com/nexmo/${organization.id}`
+      });
+    });
+
+    const deleted = await nexmo.deleteNumbersInAreaCode(organization, "212");
+    expect(deleted).toEqual(3);
+    owned = await r
+      .knex("owned_phone_number")
+      .where({ organization_id: organization.id, service: "nexmo" });
+    expect(owned).toHaveLength(0);
+    expect(Object.keys(mockNumbers)).toHaveLength(0);
+  });
+
+  it("should encrypt and obscure the api secret in org config", async () => {
+    const newConfig = await nexmo.updateConfig(
+      {},
+      { nexmoApiKey: "orgkey", nexmoApiSecret: "orgsecret" },
+      organization
+    );
+    expect(newConfig.NEXMO_API_KEY).toEqual("orgkey");
+    expect(newConfig.NEXMO_API_SECRET_ENCRYPTED).not.toEqual("orgsecret");
+    const obscured = await nexmo.getServiceConfig(newConfig, organization);
+    expect(obscured).toMatchObject({
+      apiKey: "orgkey",
+      apiSecret: "<Encrypted>"
+    });
+    const unobscured = await nexmo.getServiceConfig(newConfig, organization, {
+      obscureSensitiveInformation: false
+    });
+    expect(unobscured.apiSecret).toEqual("orgsecret");
+
+    // saving without a new secret keeps the old one
+    const resaved = await nexmo.updateConfig(
+      newConfig,
+      { nexmoApiKey: "orgkey2", nexmoApiSecret: false },
+      organization
+    );
+    expect(resaved.NEXMO_API_SECRET_ENCRYPTED).toEqual(
+      newConfig.NEXMO_API_SECRET_ENCRYPTED
+    );
+  });
+
+  it("fullyConfigured requires credentials and number picking service managers", async () => {
+    expect(await nexmo.fullyConfigured(organization)).toEqual(false);
+    global.SERVICE_MANAGERS = "sticky-sender,numpicker-basic";
+    try {
+      expect(await nexmo.fullyConfigured(organization)).toEqual(true);
+    } finally {
+      delete global.SERVICE_MANAGERS;
+    }
+  });
+});
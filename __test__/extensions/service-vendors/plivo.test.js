@@ -0,0 +1,276 @@
+import bodyParser from "body-parser";
+import express from "express";
+import request from "supertest";
+
+import * as plivo from "../../../src/extensions/service-vendors/plivo";
+import { createMockServer } from "../../../src/extensions/service-vendors/plivo/mock-server";
+import { addServerEndpoints } from "../../../src/extensions/service-vendors/service_map";
+import { cacheableData, Message, r } from "../../../src/server/models/";
+import {
+  cleanupTest,
+  createStartedCampaign,
+  setupTest,
+  sleep
+} from "../../test_helpers";
+
+const AUTH_ID = "MOCKAUTHID";
+const AUTH_TOKEN = "mockauthtoken";
+const USER_NUMBER = "+12125550199";
+
+const listen = app =>
+  new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+
+const waitFor = async check => {
+  for (let i = 0; i < 20; i++) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    await sleep(100);
+  }
+  return null;
+};
+
+describe("plivo", () => {
+  let mock;
+  let mockServer;
+  let spokeApp;
+  let spokeServer;
+  let organization;
+  let dbCampaignContact;
+  let testTexterUser;
+
+  beforeAll(async () => {
+    spokeApp = express();
+    spokeApp.use(bodyParser.urlencoded({ extended: true }));
+    spokeServer = await listen(spokeApp);
+    const spokeUrl = `http://localhost:${spokeServer.address().port}`;
+
+    mock = createMockServer({
+      authId: AUTH_ID,
+      authToken: AUTH_TOKEN,
+      callbackBaseUrl: spokeUrl
+    });
+    mockServer = await listen(mock.app);
+
+    global.PLIVO_API_URL = `http://localhost:${mockServer.address().port}/v1/`;
+    global.PLIVO_AUTH_ID = AUTH_ID;
+    global.PLIVO_AUTH_TOKEN = AUTH_TOKEN;
+    global.PLIVO_BASE_CALLBACK_URL = spokeUrl;
+    addServerEndpoints(spokeApp, {
+      post: (app, route, ...handlers) => app.post(route, ...handlers),
+      get: (app, route, ...handlers) => app.get(route, ...handlers)
+    });
+  });
+
+  afterAll(async () => {
+    delete global.PLIVO_API_URL;
+    delete global.PLIVO_AUTH_ID;
+    delete global.PLIVO_AUTH_TOKEN;
+    delete global.PLIVO_BASE_CALLBACK_URL;
+    await new Promise(resolve => mockServer.close(resolve));
+    await new Promise(resolve => spokeServer.close(resolve));
+  });
+
+  beforeEach(async () => {
+    await setupTest();
+    const startedCampaign = await createStartedCampaign();
+    dbCampaignContact = startedCampaign.dbCampaignContact;
+    testTexterUser = startedCampaign.testTexterUser;
+    organization = await cacheableData.organization.load(
+      startedCampaign.organizationId
+    );
+    mock.state.messages.length = 0;
+    mock.state.callbacks.length = 0;
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  const saveMessage = text =>
+    Message.save({
+      campaign_contact_id: dbCampaignContact.id,
+      contact_number: dbCampaignContact.cell,
+      is_from_contact: false,
+      send_status: "SENDING",
+      service: "plivo",
+      text,
+      user_id: testTexterUser.id
+    });
+
+  it("should send messages and record delivery reports", async () => {
+    const message = await saveMessage("hello there");
+    await plivo.sendMessage({
+      message,
+      contact: dbCampaignContact,
+      organization,
+      serviceManagerData: { user_number: USER_NUMBER }
+    });
+
+    expect(mock.state.messages).toHaveLength(1);
+    expect(mock.state.messages[0]).toMatchObject({
+      src: USER_NUMBER.slice(1),
+      dst: dbCampaignContact.cell.slice(1),
+      text: "hello there",
+      type: "sms"
+    });
+    // the mock's delivery report can arrive before this check, so wait for it
+    const delivered = await waitFor(async () => {
+      const updated = await Message.get(message.id);
+      return updated.send_status === "DELIVERED" && updated;
+    });
+    expect(delivered).toMatchObject({
+      service_id: mock.state.messages[0].messageUuid,
+      send_status: "DELIVERED",
+      user_number: USER_NUMBER,
+      messageservice_sid: null
+    });
+    expect(mock.state.callbacks[0].url).toMatch(
+      new RegExp(`/plivo-message-report/${organization.id}$`)
+    );
+  });
+
+  it("should save delivery report errors", async () => {
+    let message = await saveMessage("plivoerror200 [http://example.com/a.jpg]");
+    await plivo.sendMessage({
+      message,
+      contact: dbCampaignContact,
+      organization,
+      serviceManagerData: { user_number: USER_NUMBER }
+    });
+    expect(mock.state.messages[0]).toMatchObject({
+      type: "mms",
+      mediaUrls: ["http://example.com/a.jpg"]
+    });
+    message = await waitFor(async () => {
+      const updated = await Message.get(message.id);
+      return updated.send_status === "ERROR" && updated;
+    });
+    expect(message.error_code).toEqual(200);
+    const contact = await r
+      .knex("campaign_contact")
+      .where("id", dbCampaignContact.id)
+      .first();
+    expect(contact.error_code).toEqual(200);
+    expect(plivo.errorDescription(200).description).toMatch(/STOP/);
+  });
+
+  it("should save incoming messages from the contact", async () => {
+    const message = await saveMessage("hello there");
+    await plivo.sendMessage({
+      message,
+      contact: dbCampaignContact,
+      organization,
+      serviceManagerData: { user_number: USER_NUMBER }
+    });
+    await request(mock.app)
+      .post("/mock/incoming")
+      .send({
+        from: dbCampaignContact.cell,
+        to: USER_NUMBER,
+        text: "hi back",
+        orgId: organization.id
+      })
+      .expect(200);
+    const reply = await waitFor(async () =>
+      r
+        .knex("message")
+        .where({ is_from_contact: true, text: "hi back" })
+        .first()
+    );
+    expect(reply).toMatchObject({
+      campaign_contact_id: dbCampaignContact.id,
+      contact_number: dbCampaignContact.cell,
+      user_number: USER_NUMBER,
+      service: "plivo"
+    });
+  });
+
+  it("should reject webhooks without a valid signature", async () => {
+    await request(spokeApp)
+      .post(`/plivo/${organization.id}`)
+      .type("form")
+      .send({ From: "12125550100", To: "12125550199", MessageUUID: "x" })
+      .set("X-Plivo-Signature-V2", "bad")
+      .set("X-Plivo-Signature-V2-Nonce", "12345")
+      .expect(403);
+  });
+
+  it("postMessageSend network error should decrement and then fail", async () => {
+    let message = await saveMessage("some message");
+    for (let i = 1; i < 7; i++) {
+      await expect(
+        plivo.postMessageSend({
+          message,
+          contact: dbCampaignContact,
+          err: new Error("ETIMEDOUT")
+        })
+      ).rejects.toThrow();
+      message = await Message.get(message.id);
+      const contact = await r
+        .knex("campaign_contact")
+        .where("id", dbCampaignContact.id)
+        .first();
+      expect(message.error_code).toEqual(-i);
+      expect(contact.error_code).toEqual(-i);
+      expect(message.send_status).toEqual(i < 6 ? "SENDING" : "ERROR");
+    }
+  });
+
+  it("postMessageSend api rejection should fail immediately", async () => {
+    let message = await saveMessage("some message");
+    const err = new Error("bad request");
+    err.status = 400;
+    await expect(
+      plivo.postMessageSend({ message, contact: dbCampaignContact, err })
+    ).rejects.toThrow();
+    message = await Message.get(message.id);
+    expect(message.send_status).toEqual("ERROR");
+    expect(message.error_code).toEqual(400);
+  });
+
+  it("should buy and delete numbers", async () => {
+    const bought = await plivo.buyNumbersInAreaCode(organization, "212", 3);
+    expect(bought).toEqual(3);
+    let owned = await r
+      .knex("owned_phone_number")
+      .where({ organization_id: organization.id, service: "plivo" });
+    expect(owned).toHaveLength(3);
+    owned.forEach(n => {
+      expect(n.area_code).toEqual("212");
+      expect(mock.state.ownedNumbers[n.service_id]).toBeTruthy();
+    });
+
+    const deleted = await plivo.deleteNumbersInAreaCode(organization, "212");
+    expect(deleted).toEqual(3);
+    owned = await r
+      .knex("owned_phone_number")
+      .where({ organization_id: organization.id, service: "plivo" });
+    expect(owned).toHaveLength(0);
+    expect(Object.keys(mock.state.ownedNumbers)).toHaveLength(0);
+  });
+
+  it("should encrypt and obscure the auth token in org config", async () => {
+    const finalConfig = await plivo.updateConfig(
+      {},
+      { authId: AUTH_ID, authToken: AUTH_TOKEN, applicationId: "app123" },
+      organization
+    );
+    expect(finalConfig.authToken).not.toEqual(AUTH_TOKEN);
+    const obscured = await plivo.getServiceConfig(finalConfig, organization);
+    expect(obscured).toMatchObject({
+      authId: AUTH_ID,
+      authToken: "<Encrypted>",
+      applicationId: "app123"
+    });
+    const unobscured = await plivo.getServiceConfig(finalConfig, organization, {
+      obscureSensitiveInformation: false
+    });
+    expect(unobscured.authToken).toEqual(AUTH_TOKEN);
+  });
+});
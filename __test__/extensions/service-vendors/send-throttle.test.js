@@ -0,0 +1,223 @@
+import * as bandwidth from "../../../src/extensions/service-vendors/bandwidth";
+import * as sendThrottle from "../../../src/extensions/service-vendors/send-throttle";
+import * as twilio from "../../../src/extensions/service-vendors/twilio";
+import { cacheableData, Message, r } from "../../../src/server/models/";
+import { sendMessages } from "../../../src/workers/jobs";
+import {
+  cleanupTest,
+  createStartedCampaign,
+  setupTest
+} from "../../test_helpers";
+
+describe("send-throttle", () => {
+  let now;
+
+  const freezeTime = () => {
+    now = Date.now();
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  };
+
+  beforeEach(() => {
+    sendThrottle.clearMemoryBuckets();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.SEND_RATE_LIMIT_PER_NUMBER;
+    delete global.SEND_RATE_LIMIT_PER_MESSAGING_SERVICE;
+    delete global.SEND_RATE_LIMIT_BURST;
+  });
+
+  describe("takeSendTokens", () => {
+    beforeEach(freezeTime);
+
+    it("refills each bucket at its rate up to the burst size", async () => {
+      global.SEND_RATE_LIMIT_PER_NUMBER = "0.5";
+      global.SEND_RATE_LIMIT_BURST = "2";
+      const buckets = sendThrottle.getSendBuckets(null, {
+        userNumber: "+12125550101"
+      });
+      expect(buckets).toHaveLength(1);
+      expect(await sendThrottle.takeSendTokens(buckets)).toBe(true);
+      expect(await sendThrottle.takeSendTokens(buckets)).toBe(true);
+      expect(await sendThrottle.takeSendTokens(buckets)).toBe(false);
+      now += 1000;
+      expect(await sendThrottle.takeSendTokens(buckets)).toBe(false);
+      now += 1000;
+      expect(await sendThrottle.takeSendTokens(buckets)).toBe(true);
+      // never holds more than the burst
+      now += 60000;
+      expect(await sendThrottle.takeSendTokens(buckets)).toBe(true);
+      expect(await sendThrottle.takeSendTokens(buckets)).toBe(true);
+      expect(await sendThrottle.takeSendTokens(buckets)).toBe(false);
+    });
+
+    it("only takes tokens when every bucket has one", async () => {
+      global.SEND_RATE_LIMIT_PER_NUMBER = "1";
+      global.SEND_RATE_LIMIT_PER_MESSAGING_SERVICE = "1";
+      const first = sendThrottle.getSendBuckets(null, {
+        userNumber: "+12125550101",
+        messagingServiceSid: "MG1"
+      });
+      const second = sendThrottle.getSendBuckets(null, {
+        userNumber: "+12125550102",
+        messagingServiceSid: "MG1"
+      });
+      const numberOnly = sendThrottle.getSendBuckets(null, {
+        userNumber: "+12125550102"
+      });
+      expect(await sendThrottle.takeSendTokens(first)).toBe(true);
+      expect(await sendThrottle.takeSendTokens(second)).toBe(false);
+      // the failed attempt did not use up +12125550102's token
+      expect(await sendThrottle.takeSendTokens(numberOnly)).toBe(true);
+    });
+
+    it("does nothing when no limit is set", async () => {
+      expect(
+        sendThrottle.getSendBuckets(null, {
+          userNumber: "+12125550101",
+          messagingServiceSid: "MG1"
+        })
+      ).toEqual([]);
+      expect(await sendThrottle.takeSendTokens([])).toBe(true);
+    });
+
+    it("uses a redis script so limits hold across processes", async () => {
+      global.SEND_RATE_LIMIT_PER_NUMBER = "2";
+      const evalAsync = jest.fn().mockResolvedValueOnce(1);
+      evalAsync.mockResolvedValueOnce(0);
+      const redis = r.redis;
+      r.redis = { evalAsync };
+      try {
+        const buckets = sendThrottle.getSendBuckets(null, {
+          userNumber: "+12125550101"
+        });
+        expect(await sendThrottle.takeSendTokens(buckets)).toBe(true);
+        expect(await sendThrottle.takeSendTokens(buckets)).toBe(false);
+        expect(evalAsync.mock.calls[0].slice(1)).toEqual([
+          1,
+          "send-throttle-number-+12125550101",
+          now,
+          0.002,
+          2
+        ]);
+      } finally {
+        r.redis = redis;
+      }
+    });
+  });
+
+  describe("vendors", () => {
+    let organization;
+    let testContacts;
+    let testTexterUser;
+
+    beforeEach(async () => {
+      await setupTest();
+      const startedCampaign = await createStartedCampaign();
+      testContacts = startedCampaign.testContacts;
+      testTexterUser = startedCampaign.testTexterUser;
+      organization = await cacheableData.organization.load(
+        startedCampaign.organizationId
+      );
+    }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await cleanupTest();
+      if (r.redis) r.redis.flushdb();
+    }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+    const saveMessage = (contact, service, text) =>
+      Message.save({
+        campaign_contact_id: contact.id,
+        contact_number: contact.cell,
+        is_from_contact: false,
+        send_status: "SENDING",
+        service,
+        text,
+        user_id: testTexterUser.id
+      });
+
+    it("queues twilio messages over the per-number limit", async () => {
+      global.SEND_RATE_LIMIT_PER_NUMBER = "1";
+      freezeTime();
+      const serviceManagerData = {
+        user_number: "+12125550101",
+        messageservice_sid: "MGtest"
+      };
+      const send = message =>
+        twilio.sendMessage({
+          message,
+          contact: testContacts[0],
+          organization,
+          serviceManagerData
+        });
+      const first = await saveMessage(
+        testContacts[0],
+        "twilio",
+        "twilioapitest one"
+      );
+      const second = await saveMessage(
+        testContacts[1],
+        "twilio",
+        "twilioapitest two"
+      );
+      await send(first);
+      expect(await send(second)).toBe(sendThrottle.THROTTLED);
+      expect(await Message.get(first.id)).toMatchObject({
+        send_status: "SENT"
+      });
+      expect(await Message.get(second.id)).toMatchObject({
+        send_status: "QUEUED",
+        user_number: "+12125550101",
+        messageservice_sid: "MGtest"
+      });
+
+      // still over the limit: the message sender leaves it queued
+      await sendMessages();
+      expect((await Message.get(second.id)).send_status).toEqual("QUEUED");
+
+      now += 1000;
+      await sendMessages();
+      expect(await Message.get(second.id)).toMatchObject({
+        send_status: "SENT",
+        user_number: "+12125550101"
+      });
+    });
+
+    it("queues bandwidth messages over the per-application limit", async () => {
+      global.SEND_RATE_LIMIT_PER_MESSAGING_SERVICE = "1";
+      freezeTime();
+      const send = (message, userNumber) =>
+        bandwidth.sendMessage({
+          message,
+          contact: testContacts[0],
+          organization,
+          serviceManagerData: {
+            user_number: userNumber,
+            messageservice_sid: "bw-app"
+          }
+        });
+      const first = await saveMessage(
+        testContacts[0],
+        "bandwidth",
+        "bandwidthapitest one"
+      );
+      const second = await saveMessage(
+        testContacts[1],
+        "bandwidth",
+        "bandwidthapitest two"
+      );
+      await send(first, "+12125550101");
+      expect(await send(second, "+12125550102")).toBe(sendThrottle.THROTTLED);
+      // (bandwidthapitest records its fake response as an error)
+      expect((await Message.get(first.id)).send_status).not.toEqual("QUEUED");
+      expect(await Message.get(second.id)).toMatchObject({
+        send_status: "QUEUED",
+        user_number: "+12125550102",
+        messageservice_sid: "bw-app"
+      });
+    });
+  });
+});
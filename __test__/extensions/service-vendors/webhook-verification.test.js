@@ -0,0 +1,293 @@
+import express from "express";
+import request from "supertest";
+
+import * as webhookVerification from "../../../src/extensions/service-vendors/webhook-verification";
+import { r } from "../../../src/server/models/";
+import {
+  cleanupTest,
+  createStartedCampaign,
+  setupTest
+} from "../../test_helpers";
+import { createWebhookApp, postSigned, signers } from "./webhook_test_helpers";
+
+const TWILIO_AUTH_TOKEN = "twiliotesttoken";
+const PLIVO_AUTH_TOKEN = "plivotesttoken";
+const NEXMO_SECRET = "nexmosignaturesecret";
+
+describe("webhook verification", () => {
+  let app;
+  let orgId;
+  let contactCell;
+
+  beforeAll(() => {
+    global.TWILIO_AUTH_TOKEN = TWILIO_AUTH_TOKEN;
+    global.PLIVO_AUTH_ID = "PLIVOAUTHID";
+    global.PLIVO_AUTH_TOKEN = PLIVO_AUTH_TOKEN;
+    global.PLIVO_BASE_CALLBACK_URL = "https://spoke.test";
+    app = createWebhookApp();
+  });
+
+  afterAll(() => {
+    delete global.TWILIO_AUTH_TOKEN;
+    delete global.PLIVO_AUTH_ID;
+    delete global.PLIVO_AUTH_TOKEN;
+    delete global.PLIVO_BASE_CALLBACK_URL;
+  });
+
+  beforeEach(async () => {
+    await setupTest();
+    const startedCampaign = await createStartedCampaign();
+    orgId = startedCampaign.organizationId;
+    contactCell = startedCampaign.dbCampaignContact.cell;
+    webhookVerification.clearSeenWebhooks();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    delete global.NEXMO_SIGNATURE_SECRET;
+    delete global.WEBHOOK_SKIP_VERIFICATION;
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  describe("twilio", () => {
+    const incoming = () => ({
+      MessageSid: "SMtest1",
+      From: contactCell,
+      To: "+12125550199",
+      Body: "hello",
+      SmsStatus: "received",
+      NumMedia: "0"
+    });
+
+    it("accepts signed webhooks and rejects forged ones", async () => {
+      const path = `/twilio/${orgId}`;
+      await postSigned(
+        request(app),
+        path,
+        signers.twilio({
+          authToken: TWILIO_AUTH_TOKEN,
+          path,
+          body: incoming()
+        })
+      ).expect(200, /Response/);
+
+      await postSigned(
+        request(app),
+        path,
+        signers.twilio({
+          authToken: "not-the-token",
+          path,
+          body: { ...incoming(), MessageSid: "SMtest2" }
+        })
+      ).expect(403);
+    });
+
+    it("acknowledges replays without handling them again", async () => {
+      const path = `/twilio/${orgId}`;
+      const signed = signers.twilio({
+        authToken: TWILIO_AUTH_TOKEN,
+        path,
+        body: incoming()
+      });
+      await postSigned(request(app), path, signed).expect(200, /Response/);
+      await postSigned(request(app), path, signed).expect(
+        200,
+        "Duplicate webhook ignored"
+      );
+    });
+  });
+
+  describe("plivo", () => {
+    it("rejects a reused nonce", async () => {
+      const path = `/plivo-message-report/${orgId}`;
+      const signed = signers.plivo({
+        authToken: PLIVO_AUTH_TOKEN,
+        path,
+        body: { MessageUUID: "abc", Status: "delivered" }
+      });
+      await postSigned(request(app), path, signed).expect(200, /Response/);
+      await postSigned(request(app), path, signed).expect(
+        200,
+        "Duplicate webhook ignored"
+      );
+      await postSigned(
+        request(app),
+        path,
+        signers.plivo({
+          authToken: "wrong",
+          path,
+          body: { MessageUUID: "abc", Status: "delivered" }
+        })
+      ).expect(403);
+    });
+  });
+
+  describe("bandwidth", () => {
+    const events = () => [
+      {
+        type: "message-delivered",
+        time: new Date().toISOString(),
+        to: contactCell,
+        message: { id: "bw-1", owner: "+12125550199" }
+      }
+    ];
+
+    it("requires the application's basic auth", async () => {
+      const res = await postSigned(
+        request(app),
+        `/bandwidth/${orgId}`,
+        { headers: {}, body: events() },
+        "json"
+      ).expect(401);
+      expect(res.headers["www-authenticate"]).toMatch(/Basic/);
+
+      const signed = signers.bandwidth({ orgId, body: events() });
+      await postSigned(
+        request(app),
+        `/bandwidth/${orgId}`,
+        signed,
+        "json"
+      ).expect(200, '{"success": true}');
+      await postSigned(
+        request(app),
+        `/bandwidth/${orgId}`,
+        signed,
+        "json"
+      ).expect(200, "Duplicate webhook ignored");
+    });
+  });
+
+  describe("nexmo", () => {
+    const report = () => ({
+      messageId: "nx-1",
+      msisdn: contactCell.slice(1),
+      to: "12125550199",
+      status: "delivered"
+    });
+
+    it("rejects webhooks when no signature secret is set", async () => {
+      const path = `/nexmo-message-report/${orgId}`;
+      await postSigned(request(app), path, {
+        headers: {},
+        body: report()
+      }).expect(403);
+      await postSigned(
+        request(app),
+        path,
+        signers.nexmo({ secret: NEXMO_SECRET, body: report() })
+      ).expect(403);
+    });
+
+    it("verifies signed sms webhooks", async () => {
+      global.NEXMO_SIGNATURE_SECRET = NEXMO_SECRET;
+      const path = `/nexmo-message-report/${orgId}`;
+      await postSigned(request(app), path, {
+        headers: {},
+        body: report()
+      }).expect(403);
+      await postSigned(
+        request(app),
+        path,
+        signers.nexmo({ secret: "wrong", body: report() })
+      ).expect(403);
+      await postSigned(
+        request(app),
+        path,
+        signers.nexmo({ secret: NEXMO_SECRET, body: report() })
+      ).expect(200, "done");
+    });
+
+    it("rejects signed timestamps outside the replay window", async () => {
+      global.NEXMO_SIGNATURE_SECRET = NEXMO_SECRET;
+      await postSigned(
+        request(app),
+        `/nexmo-message-report/${orgId}`,
+        signers.nexmo({
+          secret: NEXMO_SECRET,
+          body: report(),
+          timestamp: Math.floor(Date.now() / 1000) - 2 * 3600
+        })
+      ).expect(403, "Stale webhook");
+    });
+
+    it("verifies messages api jwts", async () => {
+      global.NEXMO_SIGNATURE_SECRET = NEXMO_SECRET;
+      const path = `/nexmo-message-report/${orgId}`;
+      const body = {
+        message_uuid: "aaaa-bbbb",
+        to: contactCell.slice(1),
+        from: "12125550199",
+        status: "delivered"
+      };
+      await postSigned(
+        request(app),
+        path,
+        signers.nexmoJwt({ secret: "wrong", body }),
+        "json"
+      ).expect(403);
+      await postSigned(
+        request(app),
+        path,
+        signers.nexmoJwt({ secret: NEXMO_SECRET, body }),
+        "json"
+      ).expect(200, "done");
+    });
+  });
+
+  it("processes the retry of a webhook whose handler failed", async () => {
+    const failing = jest
+      .fn()
+      .mockImplementationOnce((req, res) => res.status(500).send("error"))
+      .mockImplementation((req, res) => res.send("done"));
+    const verifier = webhookVerification.webhookVerifier("testvendor", () => ({
+      valid: true,
+      replayKey: "retry-1"
+    }));
+    const failingApp = express();
+    failingApp.post("/retry", verifier, failing);
+
+    await request(failingApp)
+      .post("/retry")
+      .expect(500);
+    await request(failingApp)
+      .post("/retry")
+      .expect(200, "done");
+    await request(failingApp)
+      .post("/retry")
+      .expect(200, "Duplicate webhook ignored");
+    expect(failing).toHaveBeenCalledTimes(2);
+  });
+
+  it("can be turned off with WEBHOOK_SKIP_VERIFICATION", async () => {
+    global.WEBHOOK_SKIP_VERIFICATION = "1";
+    await postSigned(request(app), `/twilio/${orgId}`, {
+      headers: {},
+      body: { MessageSid: "SMskip", From: contactCell, To: "+12125550199" }
+    }).expect(200, /Response/);
+  });
+
+  it("uses redis to remember webhooks across processes", async () => {
+    const setAsync = jest.fn().mockResolvedValueOnce("OK");
+    setAsync.mockResolvedValueOnce(null);
+    const redis = r.redis;
+    r.redis = { setAsync };
+    try {
+      expect(await webhookVerification.markWebhookSeen("twilio", "k1")).toBe(
+        true
+      );
+      expect(await webhookVerification.markWebhookSeen("twilio", "k1")).toBe(
+        false
+      );
+      expect(setAsync).toHaveBeenCalledWith(
+        "webhook-seen-twilio-k1",
+        "1",
+        "NX",
+        "EX",
+        3600
+      );
+    } finally {
+      r.redis = redis;
+    }
+  });
+});
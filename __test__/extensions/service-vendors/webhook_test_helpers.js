@@ -0,0 +1,89 @@
+import bodyParser from "body-parser";
+import express from "express";
+import jwt from "jsonwebtoken";
+import Nexmo from "nexmo";
+import { getExpectedTwilioSignature } from "twilio/lib/webhooks/webhooks";
+import uuid from "uuid";
+
+import { webhookBasicAuthPw } from "../../../src/extensions/service-vendors/bandwidth/setup-and-numbers";
+import { computeSignature as plivoSignature } from "../../../src/extensions/service-vendors/plivo/api";
+import { addServerEndpoints } from "../../../src/extensions/service-vendors/service_map";
+
+// Host header sent with signed requests, so signatures can be
+// computed against a stable external url
+export const WEBHOOK_HOST = "spoke.test";
+
+// An express app with every vendor's routes, registered the same way as
+// the real server (including the shared webhook verification)
+export const createWebhookApp = () => {
+  const app = express();
+  app.use(bodyParser.json());
+  app.use(bodyParser.urlencoded({ extended: true }));
+  addServerEndpoints(app, {
+    post: (expressApp, route, ...handlers) =>
+      expressApp.post(route, ...handlers),
+    get: (expressApp, route, ...handlers) => expressApp.get(route, ...handlers)
+  });
+  return app;
+};
+
+// Each signer returns { headers, body } for a request to `path`
+// that the vendor's verifyWebhook will accept
+export const signers = {
+  twilio: ({ authToken, path, body }) => ({
+    headers: {
+      "X-Twilio-Signature": getExpectedTwilioSignature(
+        authToken,
+        `https://${WEBHOOK_HOST}${path}`,
+        body
+      )
+    },
+    body
+  }),
+  plivo: ({ authToken, path, body, nonce = uuid.v4() }) => ({
+    headers: {
+      "X-Plivo-Signature-V2": plivoSignature(
+        authToken,
+        `https://${WEBHOOK_HOST}${path}`,
+        nonce
+      ),
+      "X-Plivo-Signature-V2-Nonce": nonce
+    },
+    body
+  }),
+  bandwidth: ({ orgId, body }) => ({
+    headers: {
+      Authorization: `Basic ${Buffer.from(
+        `bandwidth.com:${webhookBasicAuthPw(orgId)}`
+      ).toString("base64")}`
+    },
+    body
+  }),
+  nexmo: ({
+    secret,
+    body,
+    method = "md5hash",
+    timestamp = Math.floor(Date.now() / 1000)
+  }) => {
+    const signed = { ...body, timestamp: String(timestamp) };
+    return {
+      headers: {},
+      body: { ...signed, sig: Nexmo.generateSignature(method, secret, signed) }
+    };
+  },
+  // Messages API (MMS) webhooks carry a signed JWT instead
+  nexmoJwt: ({ secret, body, iat = Math.floor(Date.now() / 1000) }) => ({
+    headers: {
+      Authorization: `Bearer ${jwt.sign({ iat, jti: uuid.v4() }, secret)}`
+    },
+    body
+  })
+};
+
+export const postSigned = (agent, path, { headers, body }, type = "form") =>
+  agent
+    .post(path)
+    .set("Host", WEBHOOK_HOST)
+    .set(headers)
+    .type(type)
+    .send(body);
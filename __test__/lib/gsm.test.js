@@ -0,0 +1,47 @@
+import {
+  expandScriptFields,
+  forcesUcs2,
+  getSegmentInfo,
+  SCRIPT_FIELD_LENGTHS
+} from "../../src/lib/gsm";
+
+describe("getSegmentInfo", () => {
+  it("counts GSM segments", () => {
+    expect(getSegmentInfo("a".repeat(161))).toEqual({
+      charCount: 161,
+      segmentCount: 2,
+      charsPerSegment: 153,
+      encoding: "GSM",
+      nonGsmChars: []
+    });
+  });
+
+  it("measures text after the easy GSM replacements", () => {
+    const info = getSegmentInfo("“Quotes” and ‘apostrophes’");
+    expect(info.encoding).toEqual("GSM");
+    expect(info.nonGsmChars).toEqual([]);
+  });
+
+  it("lists the characters that force UCS-2", () => {
+    const info = getSegmentInfo("Vote ✓ today 😀 ✓");
+    expect(info.encoding).toEqual("UCS2");
+    expect(info.charsPerSegment).toEqual(70);
+    expect(info.nonGsmChars).toEqual(["✓", "😀"]);
+  });
+
+  it("knows which characters force UCS-2", () => {
+    expect(forcesUcs2("é")).toBe(false);
+    expect(forcesUcs2("“")).toBe(false);
+    expect(forcesUcs2("✓")).toBe(true);
+  });
+});
+
+describe("expandScriptFields", () => {
+  it("expands fields to their longest plausible length", () => {
+    expect(expandScriptFields("Hi {firstName}!")).toEqual(
+      `Hi ${"x".repeat(SCRIPT_FIELD_LENGTHS.firstName)}!`
+    );
+    expect(expandScriptFields("{custom}", { custom: 3 })).toEqual("xxx");
+    expect(expandScriptFields("{custom}")).toEqual("x".repeat(20));
+  });
+});
@@ -11,7 +11,8 @@ import {
   getContactTimezone,
   getUtcFromOffsetAndHour,
   getUtcFromTimezoneAndHour,
-  getSendBeforeTimeUtc
+  getSendBeforeTimeUtc,
+  getScheduledSendTimesUtc
 } from "../../src/lib/index";
 
 import { getProcessEnvDstReferenceTimezone } from "../../src/lib/tz-helpers";
@@ -1296,3 +1297,117 @@ describe("test getSendBeforeTimewUtc", () => {
     ).toEqual(Date("2018-09-04T01:00:00.000Z"));
   });
 });
+
+describe("test getScheduledSendTimesUtc", () => {
+  const tzHelpers = require("../../src/lib/tz-helpers");
+  const organization = {
+    textingHoursStart: 9,
+    textingHoursEnd: 21,
+    textingHoursEnforced: true
+  };
+  const campaign = {
+    overrideOrganizationTextingHours: true,
+    textingHoursEnforced: true,
+    textingHoursStart: 10,
+    textingHoursEnd: 18,
+    timezone: "US/Pacific"
+  };
+  const times = (...args) => {
+    const result = getScheduledSendTimesUtc(...args);
+    return {
+      sendAfter: result.sendAfter.toISOString(),
+      sendBefore: result.sendBefore && result.sendBefore.toISOString()
+    };
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("keeps the scheduled time when texting hours are not enforced", () => {
+    expect(
+      times(
+        "2018-09-03T03:00:00.000Z",
+        { offset: -5, hasDST: 1 },
+        { ...organization, textingHoursEnforced: false },
+        {}
+      )
+    ).toEqual({ sendAfter: "2018-09-03T03:00:00.000Z", sendBefore: null });
+  });
+
+  it("keeps a scheduled time inside the contact's texting hours", () => {
+    // 11am EDT
+    expect(
+      times(
+        "2018-09-03T15:00:00.000Z",
+        { offset: -5, hasDST: 1 },
+        organization,
+        {}
+      )
+    ).toEqual({
+      sendAfter: "2018-09-03T15:00:00.000Z",
+      sendBefore: "2018-09-04T01:00:00.000Z"
+    });
+  });
+
+  it("waits for texting hours to start", () => {
+    // 7am EDT -> 9am EDT
+    expect(
+      times(
+        "2018-09-03T11:00:00.000Z",
+        { offset: -5, hasDST: 1 },
+        organization,
+        {}
+      )
+    ).toEqual({
+      sendAfter: "2018-09-03T13:00:00.000Z",
+      sendBefore: "2018-09-04T01:00:00.000Z"
+    });
+    // the same time is 4am PDT -> 9am PDT
+    expect(
+      times(
+        "2018-09-03T11:00:00.000Z",
+        { offset: -8, hasDST: 1 },
+        organization,
+        {}
+      )
+    ).toEqual({
+      sendAfter: "2018-09-03T16:00:00.000Z",
+      sendBefore: "2018-09-04T04:00:00.000Z"
+    });
+  });
+
+  it("moves to the next day after texting hours end", () => {
+    // 10pm EDT -> 9am EDT the next day
+    expect(
+      times(
+        "2018-09-04T02:00:00.000Z",
+        { offset: -5, hasDST: 1 },
+        organization,
+        {}
+      )
+    ).toEqual({
+      sendAfter: "2018-09-04T13:00:00.000Z",
+      sendBefore: "2018-09-05T01:00:00.000Z"
+    });
+  });
+
+  it("uses campaign texting hours and timezone when they override", () => {
+    // 8am PDT -> 10am PDT
+    expect(
+      times("2018-09-03T15:00:00.000Z", {}, organization, campaign)
+    ).toEqual({
+      sendAfter: "2018-09-03T17:00:00.000Z",
+      sendBefore: "2018-09-04T01:00:00.000Z"
+    });
+  });
+
+  it("uses TZ when the contact has no offset", () => {
+    tzHelpers.getProcessEnvTz.mockImplementation(() => "US/Central");
+    // 8am CDT -> 9am CDT
+    expect(times("2018-09-03T13:00:00.000Z", {}, organization, {})).toEqual({
+      sendAfter: "2018-09-03T14:00:00.000Z",
+      sendBefore: "2018-09-04T02:00:00.000Z"
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import { cacheableData, r } from "../../../../src/server/models";
+import {
+  cleanupTest,
+  createScript,
+  createStartedCampaign,
+  runGql,
+  setupTest
+} from "../../../test_helpers";
+
+const costEstimateQuery = `
+  query getCampaign($campaignId: String!) {
+    campaign(id: $campaignId) {
+      id
+      costEstimate {
+        service
+        smsSegmentCost
+        initialMessageSegments
+        initialMessageEncoding
+        initialMessageIsMms
+        initialMessageCost
+        contactsCount
+        unmessagedCount
+        totalCost
+        remainingCost
+      }
+    }
+  }`;
+
+const rootStep = script => ({
+  id: "new_1",
+  questionText: "",
+  script,
+  answerOption: "",
+  answerActions: "",
+  parentInteractionId: null,
+  isDeleted: false,
+  interactionSteps: []
+});
+
+describe("campaign cost estimate", () => {
+  let testAdminUser;
+  let testCampaign;
+  let testContacts;
+  let organizationId;
+  let defaultService;
+
+  beforeEach(async () => {
+    await setupTest();
+    const startedCampaign = await createStartedCampaign();
+    testAdminUser = startedCampaign.testAdminUser;
+    testCampaign = startedCampaign.testCampaign;
+    testContacts = startedCampaign.testContacts;
+    organizationId = startedCampaign.organizationId;
+    // fakeservice has no prices
+    defaultService = global.DEFAULT_SERVICE;
+    global.DEFAULT_SERVICE = "twilio";
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    global.DEFAULT_SERVICE = defaultService;
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  const getCostEstimate = async () => {
+    const result = await runGql(
+      costEstimateQuery,
+      { campaignId: testCampaign.id },
+      testAdminUser
+    );
+    expect(result.errors).toBeUndefined();
+    return result.data.campaign.costEstimate;
+  };
+
+  it("prices the initial message with long names for every contact", async () => {
+    // one segment as written, but two once the names are expanded
+    const script = `Hi {firstName} {lastName}, ${"a".repeat(158 - 27)}`;
+    expect(script.length).toEqual(158);
+    await createScript(testAdminUser, testCampaign, {
+      interactionSteps: rootStep(script)
+    });
+    await r
+      .knex("campaign_contact")
+      .where("id", testContacts[0].id)
+      .update({ message_status: "messaged" });
+
+    const estimate = await getCostEstimate();
+    expect(estimate).toMatchObject({
+      service: "twilio",
+      initialMessageSegments: 2,
+      initialMessageEncoding: "GSM",
+      initialMessageIsMms: false,
+      contactsCount: testContacts.length,
+      unmessagedCount: testContacts.length - 1
+    });
+    expect(estimate.initialMessageCost).toBeCloseTo(
+      2 * estimate.smsSegmentCost
+    );
+    expect(estimate.totalCost).toBeCloseTo(
+      estimate.initialMessageCost * testContacts.length
+    );
+    expect(estimate.remainingCost).toBeCloseTo(
+      estimate.initialMessageCost * (testContacts.length - 1)
+    );
+  });
+
+  it("notices initial messages that need UCS-2", async () => {
+    await createScript(testAdminUser, testCampaign, {
+      interactionSteps: rootStep("Hi {firstName} ✓")
+    });
+    expect(await getCostEstimate()).toMatchObject({
+      initialMessageSegments: 1,
+      initialMessageEncoding: "UCS2",
+      initialMessageIsMms: false
+    });
+  });
+
+  it("prices initial messages with an image as MMS", async () => {
+    await createScript(testAdminUser, testCampaign, {
+      interactionSteps: rootStep("Hi {firstName} [https://example.com/a.png]")
+    });
+    expect(await getCostEstimate()).toMatchObject({
+      initialMessageSegments: null,
+      initialMessageIsMms: true,
+      initialMessageCost: 0.02
+    });
+  });
+
+  it("uses the organization's COST_RATIO_MMS_SMS for mms-when-cheaper", async () => {
+    const script = `Hi {firstName} {lastName}, ${"a".repeat(158 - 27)}`;
+    await createScript(testAdminUser, testCampaign, {
+      interactionSteps: rootStep(script)
+    });
+    const setFeatures = async features => {
+      await r
+        .knex("organization")
+        .where("id", organizationId)
+        .update({ features: JSON.stringify(features) });
+      await cacheableData.organization.clear(organizationId);
+    };
+
+    // two segments cost less than twilio's MMS price
+    await setFeatures({ SERVICE_MANAGERS: "mms-when-cheaper" });
+    expect(await getCostEstimate()).toMatchObject({
+      initialMessageSegments: 2,
+      initialMessageIsMms: false
+    });
+
+    await setFeatures({
+      SERVICE_MANAGERS: "mms-when-cheaper",
+      COST_RATIO_MMS_SMS: 1.5
+    });
+    expect(await getCostEstimate()).toMatchObject({
+      initialMessageSegments: null,
+      initialMessageIsMms: true,
+      initialMessageCost: 0.02
+    });
+  });
+});
@@ -0,0 +1,226 @@
+import * as twilio from "../../../../src/extensions/service-vendors/twilio";
+import messageCost from "../../../../src/server/api/lib/message-cost";
+import { cacheableData, r } from "../../../../src/server/models";
+import {
+  cleanupTest,
+  createStartedCampaign,
+  runGql,
+  sendMessage,
+  setupTest
+} from "../../../test_helpers";
+
+const campaignCostsQuery = `
+  query getCampaign($campaignId: String!) {
+    campaign(id: $campaignId) {
+      id
+      messageCosts {
+        messageCount
+        segmentCount
+        mmsCount
+        estimatedCost
+        actualCost
+        reportedCount
+      }
+      texterMessageCosts {
+        id
+        name
+        messageCount
+        estimatedCost
+      }
+    }
+  }`;
+
+const organizationCostsQuery = `
+  query getOrganizationBilling(
+    $organizationId: String!
+    $fromDate: Date
+    $toDate: Date
+  ) {
+    organization(id: $organizationId) {
+      id
+      messageCosts(fromDate: $fromDate, toDate: $toDate) {
+        messageCount
+        estimatedCost
+      }
+      campaignMessageCosts(fromDate: $fromDate, toDate: $toDate) {
+        id
+        name
+        messageCount
+      }
+    }
+  }`;
+
+describe("message costs", () => {
+  let testAdminUser;
+  let testCampaign;
+  let testContacts;
+  let testTexterUser;
+  let organizationId;
+  let assignmentId;
+  let defaultService;
+
+  beforeEach(async () => {
+    await setupTest();
+    const startedCampaign = await createStartedCampaign();
+    testAdminUser = startedCampaign.testAdminUser;
+    testCampaign = startedCampaign.testCampaign;
+    testContacts = startedCampaign.testContacts;
+    testTexterUser = startedCampaign.testTexterUser;
+    organizationId = startedCampaign.organizationId;
+    assignmentId = startedCampaign.assignmentId;
+    // fakeservice has no prices
+    defaultService = global.DEFAULT_SERVICE;
+    global.DEFAULT_SERVICE = "twilio";
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    global.DEFAULT_SERVICE = defaultService;
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  const send = (contact, text) =>
+    sendMessage(contact.id, testTexterUser, {
+      text,
+      contactNumber: contact.cell,
+      assignmentId: String(assignmentId),
+      userId: testTexterUser.id
+    });
+
+  it("records an estimate for each message sent", async () => {
+    expect((await send(testContacts[0], "Hi there")).errors).toBeUndefined();
+    // 2 UCS-2 segments
+    expect(
+      (await send(testContacts[1], "💬 ".repeat(40))).errors
+    ).toBeUndefined();
+
+    const ledger = await r.knex("message_cost").orderBy("id");
+    expect(ledger).toHaveLength(2);
+    expect(ledger[0]).toMatchObject({
+      campaign_id: Number(testCampaign.id),
+      organization_id: Number(organizationId),
+      user_id: Number(testTexterUser.id),
+      service: "twilio",
+      segments: 1,
+      estimated_cost: 0.0075,
+      actual_cost: null
+    });
+    expect(ledger[1].segments).toBe(2);
+
+    const result = await runGql(
+      campaignCostsQuery,
+      { campaignId: testCampaign.id },
+      testAdminUser
+    );
+    expect(result.errors).toBeUndefined();
+    const { messageCosts, texterMessageCosts } = result.data.campaign;
+    expect(messageCosts).toEqual({
+      messageCount: 2,
+      segmentCount: 3,
+      mmsCount: 0,
+      estimatedCost: expect.any(Number),
+      actualCost: null,
+      reportedCount: 0
+    });
+    expect(messageCosts.estimatedCost).toBeCloseTo(3 * 0.0075);
+    expect(texterMessageCosts).toEqual([
+      {
+        id: testTexterUser.id.toString(),
+        name: `${testTexterUser.first_name} ${testTexterUser.last_name}`,
+        messageCount: 2,
+        estimatedCost: messageCosts.estimatedCost
+      }
+    ]);
+  });
+
+  it("saves the price a delivery report includes", async () => {
+    await send(testContacts[0], "Hi there");
+    const [message] = await r
+      .knex("message")
+      .where("campaign_contact_id", testContacts[0].id);
+    await r
+      .knex("message")
+      .where("id", message.id)
+      .update({ service_id: "SM123" });
+
+    await cacheableData.message.deliveryReport({
+      contactNumber: testContacts[0].cell,
+      userNumber: "+15555550100",
+      messageSid: "SM123",
+      service: "twilio",
+      newStatus: "DELIVERED",
+      errorCode: 0,
+      cost: "-0.00790",
+      orgId: organizationId
+    });
+
+    const result = await runGql(
+      campaignCostsQuery,
+      { campaignId: testCampaign.id },
+      testAdminUser
+    );
+    expect(result.data.campaign.messageCosts).toMatchObject({
+      actualCost: 0.0079,
+      reportedCount: 1
+    });
+  });
+
+  it("keeps one row when a message is sent again", async () => {
+    await send(testContacts[0], "Hi there");
+    const [message] = await r
+      .knex("message")
+      .where("campaign_contact_id", testContacts[0].id);
+    await r.knex("message_cost").update({ actual_cost: 0.0079 });
+
+    await messageCost.recordMessageCost({
+      message: { ...message, text: "💬 ".repeat(40) },
+      organization: { id: organizationId },
+      campaign: { id: testCampaign.id, organization_id: organizationId },
+      service: twilio
+    });
+
+    const ledger = await r.knex("message_cost");
+    expect(ledger).toHaveLength(1);
+    expect(ledger[0]).toMatchObject({
+      message_id: message.id,
+      segments: 2,
+      actual_cost: 0.0079
+    });
+  });
+
+  it("totals the organization's campaigns for a date range", async () => {
+    await send(testContacts[0], "Hi there");
+    const result = await runGql(
+      organizationCostsQuery,
+      { organizationId },
+      testAdminUser
+    );
+    expect(result.errors).toBeUndefined();
+    expect(result.data.organization.messageCosts).toEqual({
+      messageCount: 1,
+      estimatedCost: 0.0075
+    });
+    expect(result.data.organization.campaignMessageCosts).toEqual([
+      {
+        id: testCampaign.id,
+        name: "test campaign",
+        messageCount: 1
+      }
+    ]);
+
+    const later = await runGql(
+      organizationCostsQuery,
+      { organizationId, fromDate: new Date(Date.now() + 60000) },
+      testAdminUser
+    );
+    expect(later.data.organization.messageCosts.messageCount).toBe(0);
+    expect(later.data.organization.campaignMessageCosts).toEqual([]);
+
+    const texterResult = await runGql(
+      organizationCostsQuery,
+      { organizationId },
+      testTexterUser
+    );
+    expect(texterResult.errors[0].message).toMatch(/not authorized/i);
+  });
+});
@@ -0,0 +1,183 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { parseMessageText } from "../../../../src/extensions/service-vendors/message-sending";
+import { r } from "../../../../src/server/models";
+import {
+  cleanupTest,
+  createStartedCampaign,
+  runGql,
+  sendMessage,
+  setupTest
+} from "../../../test_helpers";
+
+const PNG = Buffer.from(
+  "89504e470d0a1a0a0000000d4948445200000001000000010806000000" +
+    "1f15c4890000000d49444154789c6360000002000154a24f5d0000000049454e44ae426082",
+  "hex"
+);
+
+const addMutation = `
+  mutation addCampaignMedia(
+    $campaignId: String!
+    $name: String!
+    $contentType: String!
+    $data: String!
+  ) {
+    addCampaignMedia(
+      campaignId: $campaignId
+      name: $name
+      contentType: $contentType
+      data: $data
+    ) {
+      id
+      texterMedia {
+        id
+        name
+        type
+        url
+      }
+    }
+  }`;
+
+const removeMutation = `
+  mutation removeCampaignMedia($campaignId: String!, $mediaId: String!) {
+    removeCampaignMedia(campaignId: $campaignId, mediaId: $mediaId) {
+      id
+      texterMedia {
+        id
+      }
+    }
+  }`;
+
+const texterMediaQuery = `
+  query getCampaign($campaignId: String!) {
+    campaign(id: $campaignId) {
+      id
+      texterMedia {
+        id
+        name
+      }
+    }
+  }`;
+
+describe("campaign media for texters", () => {
+  let storageDir;
+  let testAdminUser;
+  let testCampaign;
+  let testContacts;
+  let testTexterUser;
+  let assignmentId;
+
+  beforeEach(async () => {
+    await setupTest();
+    const startedCampaign = await createStartedCampaign();
+    testAdminUser = startedCampaign.testAdminUser;
+    testCampaign = startedCampaign.testCampaign;
+    testContacts = startedCampaign.testContacts;
+    testTexterUser = startedCampaign.testTexterUser;
+    assignmentId = startedCampaign.assignmentId;
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "campaign-media-"));
+    global.MEDIA_STORAGE = "local";
+    global.MEDIA_STORAGE_LOCAL_DIR = storageDir;
+    global.TEXTER_MMS_ENABLED = "1";
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    delete global.MEDIA_STORAGE;
+    delete global.MEDIA_STORAGE_LOCAL_DIR;
+    delete global.TEXTER_MMS_ENABLED;
+    fs.rmSync(storageDir, { recursive: true });
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  const addMedia = (contentType = "image/png") =>
+    runGql(
+      addMutation,
+      {
+        campaignId: testCampaign.id,
+        name: "logo.png",
+        contentType,
+        data: PNG.toString("base64")
+      },
+      testAdminUser
+    );
+
+  const sendWithMedia = (contact, mediaId) =>
+    sendMessage(contact.id, testTexterUser, {
+      text: "here is our logo",
+      contactNumber: contact.cell,
+      assignmentId: String(assignmentId),
+      userId: testTexterUser.id,
+      mediaId
+    });
+
+  it("sends an image the campaign allows with the message", async () => {
+    const added = await addMedia();
+    expect(added.errors).toBeUndefined();
+    const [media] = added.data.addCampaignMedia.texterMedia;
+    expect(media).toMatchObject({ name: "logo.png", type: "image/png" });
+    expect(fs.readFileSync(path.join(storageDir, media.id))).toEqual(PNG);
+
+    const sent = await sendWithMedia(testContacts[0], media.id);
+    expect(sent.errors).toBeUndefined();
+    const [message] = await r.knex("message").where({
+      campaign_contact_id: testContacts[0].id,
+      is_from_contact: false
+    });
+    // a json column in postgres, text in sqlite
+    const savedMedia =
+      typeof message.media === "string"
+        ? JSON.parse(message.media)
+        : message.media;
+    expect(savedMedia).toEqual([
+      { type: "image/png", storage: "local", key: media.id, size: PNG.length }
+    ]);
+    expect(parseMessageText(message)).toEqual({
+      body: "here is our logo",
+      mediaUrl: expect.stringContaining(`/media/${media.id}?`)
+    });
+  });
+
+  it("only sends images from the campaign's list", async () => {
+    const added = await addMedia();
+    const [media] = added.data.addCampaignMedia.texterMedia;
+
+    const removed = await runGql(
+      removeMutation,
+      { campaignId: testCampaign.id, mediaId: media.id },
+      testAdminUser
+    );
+    expect(removed.data.removeCampaignMedia.texterMedia).toEqual([]);
+
+    const sent = await sendWithMedia(testContacts[0], media.id);
+    expect(sent.errors[0].message).toMatch(/attachment is not available/);
+    expect(
+      await r.knex("message").where({ campaign_contact_id: testContacts[0].id })
+    ).toEqual([]);
+  });
+
+  it("does nothing unless the organization turned attachments on", async () => {
+    const added = await addMedia();
+    const [media] = added.data.addCampaignMedia.texterMedia;
+    delete global.TEXTER_MMS_ENABLED;
+
+    const query = await runGql(
+      texterMediaQuery,
+      { campaignId: testCampaign.id },
+      testAdminUser
+    );
+    expect(query.data.campaign.texterMedia).toEqual([]);
+    expect((await addMedia()).errors[0].message).toMatch(/not enabled/);
+    const sent = await sendWithMedia(testContacts[0], media.id);
+    expect(sent.errors[0].message).toMatch(/attachment is not available/);
+  });
+
+  it("rejects files that are not images", async () => {
+    const added = await addMedia("application/pdf");
+    expect(added.errors[0].message).toMatch(/Only images/);
+    expect(fs.readdirSync(storageDir)).toEqual([]);
+  });
+});
@@ -0,0 +1,184 @@
+import * as serviceManagers from "../../../../src/extensions/service-managers";
+import { cacheableData, r } from "../../../../src/server/models";
+import { sendMessages } from "../../../../src/workers/jobs";
+import {
+  cleanupTest,
+  createScript,
+  createStartedCampaign,
+  runGql,
+  setupTest
+} from "../../../test_helpers";
+
+const scheduleMutation = `
+  mutation scheduleInitialMessages($campaignId: String!, $sendAfter: Date!) {
+    scheduleInitialMessages(campaignId: $campaignId, sendAfter: $sendAfter)
+  }`;
+
+const cancelMutation = `
+  mutation cancelScheduledMessages($campaignId: String!, $sendAfter: Date) {
+    cancelScheduledMessages(campaignId: $campaignId, sendAfter: $sendAfter) {
+      id
+      scheduledSends {
+        sendAfter
+        count
+      }
+    }
+  }`;
+
+const scheduledSendsQuery = `
+  query getCampaign($campaignId: String!) {
+    campaign(id: $campaignId) {
+      id
+      scheduledSends {
+        sendAfter
+        count
+      }
+    }
+  }`;
+
+describe("scheduled initial messages", () => {
+  const OLD_ENV = process.env;
+  let testAdminUser;
+  let testCampaign;
+  let testContacts;
+
+  beforeEach(async () => {
+    await setupTest();
+    const startedCampaign = await createStartedCampaign();
+    testAdminUser = startedCampaign.testAdminUser;
+    testCampaign = startedCampaign.testCampaign;
+    testContacts = startedCampaign.testContacts;
+    await createScript(testAdminUser, testCampaign);
+    process.env = {
+      ...OLD_ENV,
+      ALLOW_SEND_ALL: "1",
+      ALLOW_SEND_ALL_ENABLED: "1"
+    };
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    process.env = OLD_ENV;
+    await cleanupTest();
+    if (r.redis) r.redis.flushdb();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  const schedule = sendAfter =>
+    runGql(
+      scheduleMutation,
+      { campaignId: testCampaign.id, sendAfter: sendAfter.toISOString() },
+      testAdminUser
+    );
+
+  const scheduledMessages = () =>
+    r
+      .knex("message")
+      .join(
+        "campaign_contact",
+        "campaign_contact.id",
+        "message.campaign_contact_id"
+      )
+      .where({
+        "campaign_contact.campaign_id": testCampaign.id,
+        "message.is_from_contact": false
+      })
+      .select("message.*");
+
+  it("queues the initial message for every contact until send_after", async () => {
+    const sendAfter = new Date(Date.now() + 60 * 60 * 1000);
+    const result = await schedule(sendAfter);
+    expect(result.errors).toBeUndefined();
+
+    let messages = await scheduledMessages();
+    expect(messages).toHaveLength(testContacts.length);
+    messages.forEach(message => {
+      expect(message.send_status).toEqual("QUEUED");
+      expect(new Date(message.send_after)).toEqual(sendAfter);
+      expect(message.text).toMatch(/^autorespond /);
+    });
+    const contact = await r
+      .knex("campaign_contact")
+      .where("id", testContacts[0].id)
+      .first();
+    expect(contact.message_status).toEqual("messaged");
+
+    const query = await runGql(
+      scheduledSendsQuery,
+      { campaignId: testCampaign.id },
+      testAdminUser
+    );
+    expect(query.data.campaign.scheduledSends).toEqual([
+      { sendAfter: sendAfter.toISOString(), count: testContacts.length }
+    ]);
+
+    // not due yet
+    await sendMessages();
+    messages = await scheduledMessages();
+    expect(messages.every(m => m.send_status === "QUEUED")).toBe(true);
+
+    await r
+      .knex("message")
+      .whereIn(
+        "id",
+        messages.map(m => m.id)
+      )
+      .update({ send_after: new Date(Date.now() - 1000) });
+    jest.spyOn(serviceManagers, "processServiceManagers");
+    await sendMessages();
+    messages = await scheduledMessages();
+    expect(messages.every(m => m.send_status === "SENT")).toBe(true);
+    // the sending number is chosen when the message is due
+    const sendHooks = serviceManagers.processServiceManagers.mock.calls.filter(
+      ([hookName]) => hookName === "onMessageSend"
+    );
+    expect(sendHooks).toHaveLength(testContacts.length);
+  });
+
+  it("cancels scheduled messages so the contacts can be texted again", async () => {
+    const sendAfter = new Date(Date.now() + 60 * 60 * 1000);
+    await schedule(sendAfter);
+    const result = await runGql(
+      cancelMutation,
+      { campaignId: testCampaign.id, sendAfter: sendAfter.toISOString() },
+      testAdminUser
+    );
+    expect(result.errors).toBeUndefined();
+    expect(result.data.cancelScheduledMessages.scheduledSends).toEqual([]);
+    expect(await scheduledMessages()).toHaveLength(0);
+    const contacts = await r
+      .knex("campaign_contact")
+      .where("campaign_id", testCampaign.id)
+      .select("message_status");
+    expect(contacts.every(c => c.message_status === "needsMessage")).toBe(true);
+    const campaign = await cacheableData.campaign.load(testCampaign.id);
+    expect(campaign.is_started).toBe(true);
+  });
+
+  it("leaves other held messages alone when cancelling", async () => {
+    const sendAfter = new Date(Date.now() + 60 * 60 * 1000);
+    await schedule(sendAfter);
+    const [held] = await scheduledMessages();
+    // e.g. held by contact-quiet-hours until the contact's window opens
+    await r
+      .knex("message")
+      .where("id", held.id)
+      .update({ is_scheduled_initial: false });
+
+    const result = await runGql(
+      cancelMutation,
+      { campaignId: testCampaign.id },
+      testAdminUser
+    );
+    expect(result.errors).toBeUndefined();
+    const remaining = await scheduledMessages();
+    expect(remaining.map(m => m.id)).toEqual([held.id]);
+    expect(remaining[0].send_status).toEqual("QUEUED");
+  });
+
+  it("requires ALLOW_SEND_ALL", async () => {
+    delete process.env.ALLOW_SEND_ALL;
+    const result = await schedule(new Date(Date.now() + 60 * 60 * 1000));
+    expect(result.errors[0].message).toMatch(/Not allowed/);
+    expect(await scheduledMessages()).toHaveLength(0);
+  });
+});
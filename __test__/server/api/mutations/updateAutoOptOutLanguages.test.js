@@ -0,0 +1,169 @@
+import {
+  cleanupTest,
+  createStartedCampaign,
+  runGql,
+  setupTest
+} from "../../../test_helpers";
+
+const updateMutation = `
+  mutation updateAutoOptOutLanguages(
+    $organizationId: String!
+    $languages: [AutoOptOutLanguageInput]!
+    $languageField: String
+  ) {
+    updateAutoOptOutLanguages(
+      organizationId: $organizationId
+      languages: $languages
+      languageField: $languageField
+    ) {
+      id
+      autoOptOutLanguages {
+        code
+        name
+        phrases
+        reply
+      }
+      autoOptOutLanguageField
+    }
+  }`;
+
+const testMutation = `
+  mutation testAutoOptOut(
+    $organizationId: String!
+    $text: String!
+    $contactLanguage: String
+    $languages: [AutoOptOutLanguageInput]
+  ) {
+    testAutoOptOut(
+      organizationId: $organizationId
+      text: $text
+      contactLanguage: $contactLanguage
+      languages: $languages
+    ) {
+      optOut
+      reason
+      language
+      reply
+      sendsReply
+    }
+  }`;
+
+describe("auto-optout languages", () => {
+  let organizationId;
+  let testAdminUser;
+  let testTexterUser;
+
+  const spanish = {
+    code: " ES ",
+    name: "Spanish",
+    phrases: [" alto ", "", "no me escriban"],
+    reply: "Le daremos de baja."
+  };
+
+  beforeEach(async () => {
+    await setupTest();
+    const startedCampaign = await createStartedCampaign();
+    organizationId = startedCampaign.organizationId;
+    testAdminUser = startedCampaign.testAdminUser;
+    testTexterUser = startedCampaign.testTexterUser;
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  afterEach(async () => {
+    await cleanupTest();
+  }, global.DATABASE_SETUP_TEARDOWN_TIMEOUT);
+
+  it("saves the languages cleaned up", async () => {
+    const result = await runGql(
+      updateMutation,
+      { organizationId, languages: [spanish], languageField: "language" },
+      testAdminUser
+    );
+    expect(result.errors).toBeUndefined();
+    expect(result.data.updateAutoOptOutLanguages).toMatchObject({
+      autoOptOutLanguages: [
+        {
+          code: "es",
+          name: "Spanish",
+          phrases: ["alto", "no me escriban"],
+          reply: "Le daremos de baja."
+        }
+      ],
+      autoOptOutLanguageField: "language"
+    });
+  });
+
+  it("rejects duplicate languages and texters", async () => {
+    let result = await runGql(
+      updateMutation,
+      { organizationId, languages: [spanish, { ...spanish, name: "Español" }] },
+      testAdminUser
+    );
+    expect(result.errors[0].message).toMatch(/listed twice/);
+
+    result = await runGql(
+      updateMutation,
+      { organizationId, languages: [spanish] },
+      testTexterUser
+    );
+    expect(result.errors).toBeDefined();
+  });
+
+  it("tries messages against the saved or edited languages", async () => {
+    await runGql(
+      updateMutation,
+      { organizationId, languages: [spanish] },
+      testAdminUser
+    );
+    let result = await runGql(
+      testMutation,
+      { organizationId, text: "¡Alto!" },
+      testAdminUser
+    );
+    expect(result.data.testAutoOptOut).toEqual({
+      optOut: true,
+      reason: "stop",
+      language: "es",
+      reply: "Le daremos de baja.",
+      sendsReply: true
+    });
+
+    result = await runGql(
+      testMutation,
+      { organizationId, text: "para mañana", languages: [spanish] },
+      testAdminUser
+    );
+    expect(result.data.testAutoOptOut.optOut).toBe(false);
+
+    // the default rules do not reply without SEND_AUTO_OPT_OUT_RESPONSE
+    result = await runGql(
+      testMutation,
+      { organizationId, text: "stop" },
+      testAdminUser
+    );
+    expect(result.data.testAutoOptOut).toMatchObject({
+      optOut: true,
+      sendsReply: false
+    });
+
+    result = await runGql(
+      testMutation,
+      {
+        organizationId,
+        text: "por favor PARA",
+        contactLanguage: "Français",
+        languages: [
+          { ...spanish, phrases: ["por favor para"] },
+          { code: "fr", name: "Français", reply: "Vous êtes désinscrit." }
+        ]
+      },
+      testAdminUser
+    );
+    expect(result.data.testAutoOptOut).toEqual({
+      optOut: true,
+      reason: "stop",
+      language: "fr",
+      reply: "Vous êtes désinscrit.",
+      sendsReply: true
+    });
+  });
+});
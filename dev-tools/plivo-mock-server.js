@@ -0,0 +1,19 @@
+// Runs a fake Plivo api locally so the plivo service-vendor can be exercised end-to-end.
+// Set PLIVO_API_URL=http://localhost:3500/v1/ (or your PLIVO_MOCK_PORT) in Spoke's environment
+// along with PLIVO_AUTH_ID/PLIVO_AUTH_TOKEN matching the values here.
+import { createMockServer } from "../src/extensions/service-vendors/plivo/mock-server";
+
+const port = process.env.PLIVO_MOCK_PORT || 3500;
+const { app } = createMockServer({
+  authId: process.env.PLIVO_AUTH_ID || "MOCKAUTHID",
+  authToken: process.env.PLIVO_AUTH_TOKEN || "mockauthtoken",
+  callbackBaseUrl: process.env.BASE_URL || "http://localhost:3000",
+  reportDelay: Number(process.env.PLIVO_MOCK_REPORT_DELAY || 1000)
+});
+
+app.listen(port, () => {
+  // eslint-disable-next-line no-console
+  console.log(
+    `Plivo mock server listening on ${port}: PLIVO_API_URL=http://localhost:${port}/v1/`
+  );
+});
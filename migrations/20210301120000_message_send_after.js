@@ -0,0 +1,14 @@
+// Add message.send_after for messages scheduled to go out at a later time
+exports.up = async function up(knex) {
+  await knex.schema.alterTable("message", t => {
+    t.timestamp("send_after")
+      .nullable()
+      .defaultTo(null);
+  });
+};
+
+exports.down = async function down(knex) {
+  await knex.schema.alterTable("message", t => {
+    t.dropColumn("send_after");
+  });
+};
@@ -0,0 +1,35 @@
+// Add message_cost: a ledger of what each sent message cost (or will cost)
+exports.up = async function up(knex) {
+  await knex.schema.createTable("message_cost", t => {
+    t.increments("id").primary();
+    t.integer("message_id").notNullable();
+    t.integer("organization_id")
+      .references("id")
+      .inTable("organization");
+    t.integer("campaign_id")
+      .references("id")
+      .inTable("campaign");
+    // the texter, null for messages sent without one (e.g. auto-replies)
+    t.integer("user_id");
+    t.text("service");
+    t.text("user_number");
+    t.integer("segments");
+    t.boolean("is_mms").defaultTo(false);
+    // from the vendor's costData() when the message was sent
+    t.double("estimated_cost");
+    // from the vendor's delivery report, when it includes a price
+    t.double("actual_cost");
+    t.timestamp("created_at").defaultTo(knex.fn.now());
+
+    t.unique(["message_id"]);
+    t.index(["campaign_id", "user_id"], "message_cost_campaign_user");
+    t.index(
+      ["organization_id", "created_at"],
+      "message_cost_organization_created_at"
+    );
+  });
+};
+
+exports.down = async function down(knex) {
+  await knex.schema.dropTableIfExists("message_cost");
+};
@@ -0,0 +1,40 @@
+// Add per-number delivery counts and owned_phone_number.quarantined_at
+// for numbers that carriers are filtering
+exports.up = async function up(knex) {
+  await knex.schema.alterTable("owned_phone_number", t => {
+    t.timestamp("quarantined_at")
+      .nullable()
+      .defaultTo(null);
+    t.text("quarantine_reason").nullable();
+  });
+  await knex.schema.createTable("phone_number_health", t => {
+    t.increments("id").primary();
+    t.integer("organization_id")
+      .notNullable()
+      .references("id")
+      .inTable("organization");
+    t.text("phone_number").notNullable();
+    // YYYY-MM-DD (UTC): counts are kept per day so rates cover the last few days
+    t.text("day").notNullable();
+    t.integer("delivered_count")
+      .notNullable()
+      .defaultTo(0);
+    t.integer("error_count")
+      .notNullable()
+      .defaultTo(0);
+    // errors that suggest carriers are filtering the number, e.g. twilio 30007
+    t.integer("flagged_count")
+      .notNullable()
+      .defaultTo(0);
+
+    t.unique(["organization_id", "phone_number", "day"]);
+  });
+};
+
+exports.down = async function down(knex) {
+  await knex.schema.dropTableIfExists("phone_number_health");
+  await knex.schema.alterTable("owned_phone_number", t => {
+    t.dropColumn("quarantined_at");
+    t.dropColumn("quarantine_reason");
+  });
+};
@@ -0,0 +1,59 @@
+// Monthly spending of money-spending service managers, for budgets
+// set in organization.features.SERVICE_MANAGER_BUDGETS
+exports.up = async function up(knex) {
+  await knex.schema.createTable("service_manager_spend", t => {
+    t.increments("id").primary();
+    t.integer("organization_id")
+      .notNullable()
+      .references("id")
+      .inTable("organization");
+    // YYYY-MM (UTC)
+    t.text("month").notNullable();
+    // e.g. lookups, mms, numbers
+    t.text("category").notNullable();
+    t.text("service_manager").notNullable();
+    t.text("operation").notNullable();
+    t.integer("spent")
+      .notNullable()
+      .defaultTo(0);
+    // operations skipped because the budget was used up
+    t.integer("blocked")
+      .notNullable()
+      .defaultTo(0);
+    t.timestamp("updated_at").defaultTo(knex.fn.now());
+
+    t.unique([
+      "organization_id",
+      "month",
+      "category",
+      "service_manager",
+      "operation"
+    ]);
+  });
+  // audit trail: budget changes, approvals and when budgets were used up
+  await knex.schema.createTable("service_manager_budget_event", t => {
+    t.increments("id").primary();
+    t.integer("organization_id")
+      .notNullable()
+      .references("id")
+      .inTable("organization");
+    t.text("month").notNullable();
+    t.text("category").notNullable();
+    // changed, exceeded, approved
+    t.text("event").notNullable();
+    t.text("service_manager");
+    t.text("operation");
+    t.integer("amount");
+    t.integer("user_id")
+      .references("id")
+      .inTable("user");
+    t.timestamp("created_at").defaultTo(knex.fn.now());
+
+    t.index(["organization_id", "month", "category"]);
+  });
+};
+
+exports.down = async function down(knex) {
+  await knex.schema.dropTableIfExists("service_manager_budget_event");
+  await knex.schema.dropTableIfExists("service_manager_spend");
+};
@@ -0,0 +1,36 @@
+// Retry queue of the optout-webhook service manager:
+// each opt-out it posts is kept here until it is delivered or gives up
+exports.up = async function up(knex) {
+  await knex.schema.createTable("optout_webhook_delivery", t => {
+    t.increments("id").primary();
+    t.integer("organization_id")
+      .notNullable()
+      .references("id")
+      .inTable("organization");
+    // e.g. optout
+    t.text("event").notNullable();
+    t.text("cell");
+    t.text("url").notNullable();
+    t.text("method").notNullable();
+    // the rendered JSON body, so retries post exactly what was first posted
+    t.text("payload").notNullable();
+    // PENDING, DELIVERED or FAILED (gave up after the last attempt)
+    t.text("status")
+      .notNullable()
+      .defaultTo("PENDING");
+    t.integer("attempts")
+      .notNullable()
+      .defaultTo(0);
+    t.timestamp("next_attempt_at").defaultTo(knex.fn.now());
+    t.text("last_error");
+    t.timestamp("created_at").defaultTo(knex.fn.now());
+    t.timestamp("updated_at").defaultTo(knex.fn.now());
+
+    t.index(["status", "next_attempt_at"]);
+    t.index(["organization_id", "status"]);
+  });
+};
+
+exports.down = async function down(knex) {
+  await knex.schema.dropTableIfExists("optout_webhook_delivery");
+};
@@ -0,0 +1,33 @@
+// A2P registration of the messaging services of per-campaign-messageservices:
+// 10DLC (brand + A2P campaign) or toll-free verification, and its status
+exports.up = async function up(knex) {
+  await knex.schema.createTable("messaging_service_registration", t => {
+    t.increments("id").primary();
+    t.integer("organization_id")
+      .notNullable()
+      .references("id")
+      .inTable("organization");
+    t.text("messageservice_sid").notNullable();
+    // 10DLC or TOLL_FREE
+    t.text("registration_type")
+      .notNullable()
+      .defaultTo("10DLC");
+    // BN... with 10DLC
+    t.text("brand_registration_sid");
+    // the A2P campaign (QE...) with 10DLC or the toll-free verification (HH...)
+    t.text("campaign_registration_sid");
+    // UNREGISTERED, PENDING, APPROVED or FAILED
+    t.text("status")
+      .notNullable()
+      .defaultTo("UNREGISTERED");
+    t.text("status_details");
+    t.timestamp("created_at").defaultTo(knex.fn.now());
+    t.timestamp("updated_at").defaultTo(knex.fn.now());
+
+    t.unique(["organization_id", "messageservice_sid"]);
+  });
+};
+
+exports.down = async function down(knex) {
+  await knex.schema.dropTableIfExists("messaging_service_registration");
+};
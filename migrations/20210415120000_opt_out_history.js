@@ -0,0 +1,26 @@
+// Every opt-out and opt-in (e.g. texting START after STOP) of a cell:
+// opt_out rows are deleted when a contact opts back in, so this keeps the lifecycle
+exports.up = async function up(knex) {
+  await knex.schema.createTable("opt_out_history", t => {
+    t.increments("id").primary();
+    t.integer("organization_id")
+      .notNullable()
+      .references("id")
+      .inTable("organization");
+    t.text("cell").notNullable();
+    // OPTOUT or OPTIN
+    t.text("event").notNullable();
+    t.text("reason_code");
+    t.integer("campaign_contact_id");
+    // null when it was not a user, e.g. the contact replied STOP or START
+    t.integer("user_id");
+    t.timestamp("created_at").defaultTo(knex.fn.now());
+
+    t.index(["organization_id", "cell"]);
+    t.index("cell");
+  });
+};
+
+exports.down = async function down(knex) {
+  await knex.schema.dropTableIfExists("opt_out_history");
+};
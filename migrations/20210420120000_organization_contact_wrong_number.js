@@ -0,0 +1,36 @@
+// Cells flagged as a wrong number (by the contact's reply or a texter's tag):
+// they are left out of later contact loads and listed for export back to the CRM
+exports.up = async function up(knex) {
+  await knex.schema.alterTable("organization_contact", t => {
+    t.timestamp("wrong_number_at")
+      .nullable()
+      .defaultTo(null);
+    // the contact who was texted at the wrong number
+    t.integer("wrong_number_campaign_contact_id").nullable();
+    // how it was flagged: message (the contact's reply), tag or action
+    t.text("wrong_number_source").nullable();
+
+    t.index(
+      ["organization_id", "wrong_number_at"],
+      "organization_contact_organization_wrong_number"
+    );
+  });
+  await knex.schema.alterTable("campaign_admin", t => {
+    t.integer("deleted_wrong_numbers_count").nullable();
+  });
+};
+
+exports.down = async function down(knex) {
+  await knex.schema.alterTable("campaign_admin", t => {
+    t.dropColumn("deleted_wrong_numbers_count");
+  });
+  await knex.schema.alterTable("organization_contact", t => {
+    t.dropIndex(
+      ["organization_id", "wrong_number_at"],
+      "organization_contact_organization_wrong_number"
+    );
+    t.dropColumn("wrong_number_at");
+    t.dropColumn("wrong_number_campaign_contact_id");
+    t.dropColumn("wrong_number_source");
+  });
+};
@@ -0,0 +1,16 @@
+// Marks initial messages saved by scheduleInitialMessages, so cancelling a
+// scheduled send leaves other QUEUED messages with send_after alone
+// (e.g. replies held by contact-quiet-hours)
+exports.up = async function up(knex) {
+  await knex.schema.alterTable("message", t => {
+    t.boolean("is_scheduled_initial")
+      .notNullable()
+      .defaultTo(false);
+  });
+};
+
+exports.down = async function down(knex) {
+  await knex.schema.alterTable("message", t => {
+    t.dropColumn("is_scheduled_initial");
+  });
+};
@@ -34,6 +34,7 @@ export const schema = `
     tags(tagId: String): [ContactTag]
     location: Location
     optOut: OptOut
+    optOutHistory: [OptOutEvent]
     campaign: Campaign
     questionResponseValues: [AnswerOption]
     interactionSteps: [InteractionStep]
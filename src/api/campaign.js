@@ -52,6 +52,7 @@ export const schema = gql`
     reference: String
     contactsCount: Int
     deletedOptouts: Int
+    deletedWrongNumbers: Int
     deletedDupes: Int
     updatedAt: Date
   }
@@ -80,6 +81,46 @@ export const schema = gql`
     count: Int!
   }
 
+  type ScheduledSend {
+    sendAfter: Date
+    count: Int
+  }
+
+  type CampaignCostEstimate {
+    service: String
+    source: String
+    lastChecked: String
+    smsSegmentCost: Float
+    mmsMessageCost: Float
+    initialMessageSegments: Int
+    initialMessageEncoding: String
+    initialMessageIsMms: Boolean
+    initialMessageCost: Float
+    contactsCount: Int
+    unmessagedCount: Int
+    totalCost: Float
+    remainingCost: Float
+  }
+
+  type MessageCostTotals {
+    id: String
+    name: String
+    messageCount: Int
+    segmentCount: Int
+    mmsCount: Int
+    estimatedCost: Float
+    actualCost: Float
+    reportedCount: Int
+  }
+
+  type CampaignMedia {
+    id: String
+    name: String
+    type: String
+    url: String
+    thumbnailUrl: String
+  }
+
   type CampaignExportData {
     error: String
     campaignExportUrl: String
@@ -113,9 +154,14 @@ export const schema = gql`
     customFields: [String]
     cannedResponses(userId: String): [CannedResponse]
     texterUIConfig: TexterUIConfig
+    texterMedia: [CampaignMedia]
     stats: CampaignStats
     completionStats: CampaignCompletionStats
     pendingJobs: [JobRequest]
+    scheduledSends: [ScheduledSend]
+    costEstimate: CampaignCostEstimate
+    messageCosts: MessageCostTotals
+    texterMessageCosts: [MessageCostTotals]
     exportResults: CampaignExportData
     ingestMethodsAvailable: [IngestMethod]
     ingestMethod: IngestMethod
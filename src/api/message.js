@@ -2,6 +2,8 @@ export const schema = `
   type MediaItem {
     type: String
     url: String
+    thumbnailUrl: String
+    error: String
   }
 
   type Message {
@@ -5,4 +5,12 @@ export const schema = `
     assignment: Assignment
     createdAt: Date
   }
+
+  type OptOutEvent {
+    id: ID
+    event: String
+    reason: String
+    user: User
+    createdAt: Date
+  }
 `;
@@ -18,6 +18,10 @@ export const schema = gql`
     state: String!
     availableCount: Int!
     allocatedCount: Int!
+    quarantinedCount: Int
+    deliveredCount: Int
+    errorCount: Int
+    flaggedCount: Int
   }
 
   type BuyPhoneNumbersJobRequest {
@@ -48,6 +52,39 @@ export const schema = gql`
     unsetFeatures: [String]
   }
 
+  type AutoOptOutLanguage {
+    code: String
+    name: String
+    phrases: [String]
+    reply: String
+  }
+
+  input AutoOptOutLanguageInput {
+    code: String!
+    name: String
+    phrases: [String]
+    reply: String
+  }
+
+  type AutoOptOutTest {
+    optOut: Boolean!
+    reason: String
+    language: String
+    reply: String
+    sendsReply: Boolean
+  }
+
+  type WrongNumber {
+    cell: String
+    markedAt: Date
+    source: String
+    campaignContactId: String
+    campaignId: String
+    externalId: String
+    firstName: String
+    lastName: String
+  }
+
   type Organization {
     id: ID
     uuid: String
@@ -62,12 +99,16 @@ export const schema = gql`
     people(role: String, campaignId: String, sortBy: SortPeopleBy): [User]
     profileFields: [ProfileField]
     optOuts: [OptOut]
+    wrongNumbers(since: Date): [WrongNumber]
     allowSendAll: Boolean
+    texterMediaEnabled: Boolean
     theme: JSON
     availableActions: [Action]
     settings: OrgSettings
     batchPolicies: [String]
     optOutMessage: String
+    autoOptOutLanguages: [AutoOptOutLanguage]
+    autoOptOutLanguageField: String
     textingHoursEnforced: Boolean
     textingHoursStart: Int
     textingHoursEnd: Int
@@ -76,11 +117,16 @@ export const schema = gql`
     tags(group: String): [Tag]
     serviceVendor: ServiceVendor
     serviceManagers: [ServiceManager]
+    serviceManagerBudgets: [ServiceManagerBudget]
+    serviceManagerBudgetEvents: [ServiceManagerBudgetEvent]
     fullyConfigured: Boolean
     emailEnabled: Boolean
     phoneInventoryEnabled: Boolean!
     campaignPhoneNumbersEnabled: Boolean!
     pendingPhoneNumberJobs: [BuyPhoneNumbersJobRequest]
     phoneNumberCounts: [PhoneNumberCounts]
+    messageCosts(fromDate: Date, toDate: Date): MessageCostTotals
+    campaignMessageCosts(fromDate: Date, toDate: Date): [MessageCostTotals]
+    texterMessageCosts(fromDate: Date, toDate: Date): [MessageCostTotals]
   }
 `;
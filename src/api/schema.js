@@ -111,6 +111,7 @@ const rootSchema = gql`
     contactNumber: Phone
     assignmentId: String
     userId: String
+    mediaId: String
   }
 
   input InviteInput {
@@ -315,7 +316,31 @@ const rootSchema = gql`
       serviceManagerName: String!
       updateData: JSON!
       fromCampaignStatsPage: Boolean
+      dryRun: Boolean
     ): ServiceManager
+    updateAutoOptOutLanguages(
+      organizationId: String!
+      languages: [AutoOptOutLanguageInput]!
+      languageField: String
+    ): Organization
+    testAutoOptOut(
+      organizationId: String!
+      text: String!
+      contactLanguage: String
+      languages: [AutoOptOutLanguageInput]
+    ): AutoOptOutTest
+    unflagWrongNumber(organizationId: String!, cell: String!): Organization
+    updateServiceManagerBudget(
+      organizationId: String!
+      category: String!
+      monthlyLimit: Int
+      whenExceeded: String
+    ): Organization
+    approveServiceManagerBudget(
+      organizationId: String!
+      category: String!
+      amount: Int!
+    ): Organization
     bulkSendMessages(assignmentId: Int!): [CampaignContact]
     sendMessage(
       message: MessageInput!
@@ -391,6 +416,15 @@ const rootSchema = gql`
       newTexterUserId: String!
     ): [CampaignIdAssignmentId]
     importCampaignScript(campaignId: String!, url: String!): Int
+    scheduleInitialMessages(campaignId: String!, sendAfter: Date!): Int
+    cancelScheduledMessages(campaignId: String!, sendAfter: Date): Campaign
+    addCampaignMedia(
+      campaignId: String!
+      name: String!
+      contentType: String!
+      data: String!
+    ): Campaign
+    removeCampaignMedia(campaignId: String!, mediaId: String!): Campaign
     createTag(organizationId: String!, tagData: TagInput!): Tag
     editTag(organizationId: String!, id: String!, tagData: TagInput!): Tag
     deleteTag(organizationId: String!, id: String!): Tag
@@ -400,6 +434,10 @@ const rootSchema = gql`
       limit: Int!
     ): JobRequest
     deletePhoneNumbers(organizationId: ID!, areaCode: String!): JobRequest
+    releaseQuarantinedPhoneNumbers(
+      organizationId: ID!
+      areaCode: String!
+    ): Organization
     releaseCampaignNumbers(campaignId: ID!): Campaign!
     clearCachedOrgAndExtensionCaches(organizationId: String!): String
   }
@@ -18,7 +18,33 @@ export const schema = gql`
     fullyConfigured: Boolean
     startPolling: Boolean
     unArchiveable: Boolean
+    supportsDryRun: Boolean
+    dryRunReport: JSON
     organization: Organization
     campaign: Campaign
   }
+
+  type ServiceManagerBudget {
+    id: String!
+    category: String!
+    label: String
+    monthlyLimit: Int
+    whenExceeded: String
+    spent: Int
+    approved: Int
+    blocked: Int
+    exceeded: Boolean
+    serviceManagers: [String]
+  }
+
+  type ServiceManagerBudgetEvent {
+    id: String!
+    category: String
+    event: String
+    serviceManager: String
+    operation: String
+    amount: Int
+    userName: String
+    createdAt: Date
+  }
 `;
@@ -7,6 +7,7 @@ import MessageList from "./MessageList";
 import Survey from "./Survey";
 import ScriptList from "./ScriptList";
 import Empty from "../Empty";
+import SegmentCounter from "../SegmentCounter";
 import GSForm from "../forms/GSForm";
 import GSTextField from "../forms/GSTextField";
 import withMuiTheme from "../../containers/hoc/withMuiTheme";
@@ -16,9 +17,14 @@ import CardHeader from "@material-ui/core/CardHeader";
 import CardContent from "@material-ui/core/CardContent";
 import Button from "@material-ui/core/Button";
 import Popover from "@material-ui/core/Popover";
+import Menu from "@material-ui/core/Menu";
+import MenuItem from "@material-ui/core/MenuItem";
+import Chip from "@material-ui/core/Chip";
+import Avatar from "@material-ui/core/Avatar";
 import SearchBar from "material-ui-search-bar";
 import ArrowDropDownIcon from "@material-ui/icons/ArrowDropDown";
 import CreateIcon from "@material-ui/icons/Create";
+import ImageIcon from "@material-ui/icons/Image";
 
 import * as yup from "yup";
 import Form from "react-formal";
@@ -73,6 +79,8 @@ export class AssignmentTexterContactControls extends React.Component {
       sideboxOpens: {},
       messageText: this.getStartingMessageText(),
       cannedResponseScript: null,
+      attachedMedia: null,
+      mediaMenuEl: null,
       optOutDialogOpen: false,
       currentShortcutSpace: 0,
       messageFocus: false,
@@ -733,8 +741,72 @@ export class AssignmentTexterContactControls extends React.Component {
     );
   }
 
+  renderMessagingRowAttachment() {
+    const { texterMedia } = this.props.campaign;
+    const { attachedMedia, mediaMenuEl } = this.state;
+    if (
+      !texterMedia ||
+      !texterMedia.length ||
+      this.props.contact.messageStatus === "needsMessage"
+    ) {
+      return null;
+    }
+    if (attachedMedia) {
+      return (
+        <Chip
+          {...dataTest("attachedMedia")}
+          avatar={
+            <Avatar
+              alt={attachedMedia.name}
+              src={attachedMedia.thumbnailUrl || attachedMedia.url}
+            />
+          }
+          label={attachedMedia.name}
+          onDelete={() => this.setState({ attachedMedia: null })}
+        />
+      );
+    }
+    return (
+      <span>
+        <Button
+          {...dataTest("attachMedia")}
+          size="small"
+          startIcon={<ImageIcon />}
+          onClick={event => this.setState({ mediaMenuEl: event.currentTarget })}
+          aria-controls="texter-media-menu"
+          aria-haspopup="true"
+        >
+          Attach image
+        </Button>
+        <Menu
+          id="texter-media-menu"
+          anchorEl={mediaMenuEl}
+          open={!!mediaMenuEl}
+          onClose={() => this.setState({ mediaMenuEl: null })}
+        >
+          {texterMedia.map(media => (
+            <MenuItem
+              key={media.id}
+              onClick={() =>
+                this.setState({ attachedMedia: media, mediaMenuEl: null })
+              }
+            >
+              <Avatar
+                variant="square"
+                alt={media.name}
+                src={media.thumbnailUrl || media.url}
+                style={{ marginRight: 8 }}
+              />
+              {media.name}
+            </MenuItem>
+          ))}
+        </Menu>
+      </span>
+    );
+  }
+
   renderMessagingRowMessage(enabledSideboxes) {
-    const { cannedResponseScript } = this.state;
+    const { cannedResponseScript, attachedMedia } = this.state;
     const isFeedbackEnabled =
       !!enabledSideboxes &&
       !!enabledSideboxes.find(sidebox => sidebox.name === "texter-feedback");
@@ -749,7 +821,8 @@ export class AssignmentTexterContactControls extends React.Component {
           schema={this.messageSchema}
           value={{ messageText: this.state.messageText || "" }}
           onSubmit={this.props.onMessageFormSubmit(
-            cannedResponseScript && cannedResponseScript.id
+            cannedResponseScript && cannedResponseScript.id,
+            attachedMedia && attachedMedia.id
           )}
           onChange={
             this.state.messageReadOnly
@@ -773,6 +846,10 @@ export class AssignmentTexterContactControls extends React.Component {
             rowsMax={6}
           />
         </GSForm>
+        {this.state.messageText && !attachedMedia && (
+          <SegmentCounter text={this.state.messageText} />
+        )}
+        {this.renderMessagingRowAttachment()}
       </div>
     );
   }
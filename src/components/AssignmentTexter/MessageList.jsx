@@ -39,6 +39,9 @@ const defaultStyles = {
   mediaItem: {
     marginTop: "5px",
     backgroundColor: "rgba(255,255,255,.5)"
+  },
+  mediaImage: {
+    maxWidth: "100%"
   }
 };
 
@@ -102,10 +105,22 @@ export class MessageList extends React.Component {
           message.media &&
           message.media.map(media => {
             let type, icon, embed, subtitle;
-            if (media.type.startsWith("image")) {
+            if (media.error) {
+              type = "Unsaved media";
+              icon = <AttachmentIcon />;
+              subtitle = `Not saved: ${media.error}`;
+            } else if (media.type.startsWith("image")) {
               type = "Image";
               icon = <ImageIcon />;
-              embed = <img src={media.url} alt="Media" />;
+              embed = (
+                <a href={media.url} target="_blank" rel="noopener noreferrer">
+                  <img
+                    src={media.thumbnailUrl || media.url}
+                    alt="Media"
+                    style={defaultStyles.mediaImage}
+                  />
+                </a>
+              );
             } else if (media.type.startsWith("video")) {
               type = "Video";
               icon = <TvIcon />;
@@ -130,7 +145,10 @@ export class MessageList extends React.Component {
               subtitle = `Type: ${media.type}`;
             }
             return (
-              <Card style={defaultStyles.mediaItem} key={`media${media.url}`}>
+              <Card
+                style={defaultStyles.mediaItem}
+                key={`media${media.url || media.error}`}
+              >
                 <CardHeader
                   title={`${type} attached`}
                   subtitle={subtitle || "View media at your own risk"}
@@ -100,6 +100,11 @@ export class CampaignContactsChoiceFormBase extends React.Component {
                 <div>
                   <div>Deleted Duplicates: {lastResult.deletedDupes}</div>
                   <div>Deleted OptOuts: {lastResult.deletedOptouts}</div>
+                  {lastResult.deletedWrongNumbers ? (
+                    <div>
+                      Deleted Wrong Numbers: {lastResult.deletedWrongNumbers}
+                    </div>
+                  ) : null}
                 </div>
               ) : null}
             </div>
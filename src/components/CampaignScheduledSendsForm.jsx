@@ -0,0 +1,162 @@
+import PropTypes from "prop-types";
+import React, { Component } from "react";
+import { StyleSheet, css } from "aphrodite";
+import moment from "moment";
+
+import TextField from "@material-ui/core/TextField";
+import List from "@material-ui/core/List";
+import ListItem from "@material-ui/core/ListItem";
+import ListItemText from "@material-ui/core/ListItemText";
+import ListItemIcon from "@material-ui/core/ListItemIcon";
+import ListItemSecondaryAction from "@material-ui/core/ListItemSecondaryAction";
+import Button from "@material-ui/core/Button";
+import ErrorIcon from "@material-ui/icons/Error";
+import ScheduleIcon from "@material-ui/icons/Schedule";
+
+import CampaignFormSectionHeading from "./CampaignFormSectionHeading";
+
+const styles = StyleSheet.create({
+  buttonDiv: {
+    marginTop: "10px"
+  }
+});
+
+export default class CampaignScheduledSendsForm extends Component {
+  static propTypes = {
+    isStarted: PropTypes.bool,
+    scheduledSends: PropTypes.array,
+    scheduleMessages: PropTypes.func,
+    cancelScheduledMessages: PropTypes.func,
+    hasPendingJob: PropTypes.bool,
+    jobError: PropTypes.string,
+    onSubmit: PropTypes.func
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      sendAfter: "",
+      ...(!!props.jobError && {
+        error: `Error from last attempt: ${props.jobError}`
+      })
+    };
+  }
+
+  handleResult = res => {
+    if (res.errors) {
+      this.setState({ error: res.errors.message });
+    } else {
+      this.setState({ error: undefined });
+    }
+  };
+
+  scheduleMessages = async () => {
+    const sendAfter = moment(this.state.sendAfter);
+    if (!sendAfter.isValid() || sendAfter.isBefore(moment())) {
+      this.setState({ error: "Choose a time in the future" });
+      return;
+    }
+    this.handleResult(
+      await this.props.scheduleMessages(sendAfter.toISOString())
+    );
+    this.props.onSubmit();
+  };
+
+  cancelScheduledMessages = async sendAfter => {
+    this.handleResult(await this.props.cancelScheduledMessages(sendAfter));
+  };
+
+  handleSendAfterChange = ({ target }) =>
+    this.setState({ sendAfter: target.value });
+
+  renderErrors = () =>
+    this.state.error && (
+      <List>
+        <ListItem>
+          <ListItemIcon>
+            <ErrorIcon color="error" />
+          </ListItemIcon>
+          <ListItemText primary={this.state.error} />
+        </ListItem>
+      </List>
+    );
+
+  renderScheduledSends() {
+    const { scheduledSends } = this.props;
+    if (!scheduledSends || !scheduledSends.length) {
+      return <p>No messages are scheduled.</p>;
+    }
+    return (
+      <List>
+        {scheduledSends.map(({ sendAfter, count }) => (
+          <ListItem key={sendAfter}>
+            <ListItemIcon>
+              <ScheduleIcon />
+            </ListItemIcon>
+            <ListItemText
+              primary={moment(sendAfter).format("llll")}
+              secondary={`${count} message${count === 1 ? "" : "s"}`}
+            />
+            <ListItemSecondaryAction>
+              <Button onClick={() => this.cancelScheduledMessages(sendAfter)}>
+                Cancel
+              </Button>
+            </ListItemSecondaryAction>
+          </ListItem>
+        ))}
+      </List>
+    );
+  }
+
+  render() {
+    const { isStarted, hasPendingJob, scheduledSends } = this.props;
+    return (
+      <div>
+        <CampaignFormSectionHeading
+          title="Scheduled Sends"
+          subtitle={
+            <span>
+              Queue the initial message for every contact that has not been
+              texted yet. Each message goes out at the scheduled time, or when
+              texting hours start for the contact if that is later.
+            </span>
+          }
+        />
+        {isStarted ? (
+          <div>
+            <TextField
+              variant="outlined"
+              label="Send after"
+              type="datetime-local"
+              InputLabelProps={{ shrink: true }}
+              value={this.state.sendAfter}
+              onChange={this.handleSendAfterChange}
+            />
+            <div className={css(styles.buttonDiv)}>
+              <Button
+                variant="contained"
+                disabled={hasPendingJob || !this.state.sendAfter}
+                color="primary"
+                onClick={this.scheduleMessages}
+              >
+                Schedule
+              </Button>
+              {scheduledSends && scheduledSends.length > 1 && (
+                <Button
+                  onClick={() => this.cancelScheduledMessages(null)}
+                  style={{ marginLeft: 10 }}
+                >
+                  Cancel all
+                </Button>
+              )}
+            </div>
+          </div>
+        ) : (
+          <p>Start the campaign before scheduling its messages.</p>
+        )}
+        {this.renderErrors()}
+        {this.renderScheduledSends()}
+      </div>
+    );
+  }
+}
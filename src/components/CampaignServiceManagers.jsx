@@ -4,6 +4,7 @@ import React from "react";
 import Card from "@material-ui/core/Card";
 import CardHeader from "@material-ui/core/CardHeader";
 import CardContent from "@material-ui/core/CardContent";
+import Button from "@material-ui/core/Button";
 import { compose } from "recompose";
 import { getServiceManagerComponent } from "../extensions/service-managers/components";
 import withMuiTheme from "../containers/hoc/withMuiTheme";
@@ -19,9 +20,49 @@ export class CampaignServiceManagers extends React.Component {
     onSubmit: type.func,
     saveDisabled: type.bool,
     isStarted: type.bool,
-    serviceManagerComponentName: type.string
+    serviceManagerComponentName: type.string,
+    onDryRun: type.func
   };
 
+  state = {
+    dryRunReports: {},
+    dryRunning: null
+  };
+
+  handleDryRun = async serviceManagerName => {
+    this.setState({ dryRunning: serviceManagerName });
+    let report;
+    try {
+      const result = await this.props.onDryRun(serviceManagerName);
+      report = result.data.updateServiceManager.dryRunReport || {
+        summary: "It would not do anything."
+      };
+    } catch (err) {
+      console.error("dry run failed", serviceManagerName, err);
+      report = { summary: `The dry run failed: ${err.message}` };
+    }
+    this.setState(({ dryRunReports }) => ({
+      dryRunning: null,
+      dryRunReports: { ...dryRunReports, [serviceManagerName]: report }
+    }));
+  };
+
+  renderDryRun(sm) {
+    const report = this.state.dryRunReports[sm.name];
+    return (
+      <div>
+        <Button
+          variant="outlined"
+          disabled={this.state.dryRunning === sm.name}
+          onClick={() => this.handleDryRun(sm.name)}
+        >
+          Dry run {sm.displayName}
+        </Button>
+        {report ? <p>{report.summary}</p> : null}
+      </div>
+    );
+  }
+
   render() {
     const { campaign, organization, serviceManagerComponentName } = this.props;
     if (!campaign.serviceManagers.length) {
@@ -38,7 +79,13 @@ export class CampaignServiceManagers extends React.Component {
             serviceManagerComponentName
           );
           const serviceManagerName = sm.name;
-          if (!ServiceManagerComp) {
+          // shows what a manager would do for this campaign, e.g. before it spends money
+          const showDryRun = Boolean(
+            sm.supportsDryRun &&
+              this.props.onDryRun &&
+              serviceManagerComponentName === "CampaignStats"
+          );
+          if (!ServiceManagerComp && !showDryRun) {
             return null;
           }
           return (
@@ -57,15 +104,18 @@ export class CampaignServiceManagers extends React.Component {
                 />
               ) : null}
               <CardContent>
-                <ServiceManagerComp
-                  serviceManagerInfo={sm}
-                  campaign={campaign}
-                  organization={organization}
-                  saveLabel={this.props.saveLabel}
-                  onSubmit={updateData =>
-                    this.props.onSubmit(serviceManagerName, updateData)
-                  }
-                />
+                {ServiceManagerComp ? (
+                  <ServiceManagerComp
+                    serviceManagerInfo={sm}
+                    campaign={campaign}
+                    organization={organization}
+                    saveLabel={this.props.saveLabel}
+                    onSubmit={updateData =>
+                      this.props.onSubmit(serviceManagerName, updateData)
+                    }
+                  />
+                ) : null}
+                {showDryRun ? this.renderDryRun(sm) : null}
               </CardContent>
             </Card>
           );
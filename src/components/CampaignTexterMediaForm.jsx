@@ -0,0 +1,146 @@
+import PropTypes from "prop-types";
+import React, { Component } from "react";
+import { StyleSheet, css } from "aphrodite";
+
+import List from "@material-ui/core/List";
+import ListItem from "@material-ui/core/ListItem";
+import ListItemText from "@material-ui/core/ListItemText";
+import ListItemIcon from "@material-ui/core/ListItemIcon";
+import ListItemAvatar from "@material-ui/core/ListItemAvatar";
+import ListItemSecondaryAction from "@material-ui/core/ListItemSecondaryAction";
+import Avatar from "@material-ui/core/Avatar";
+import Button from "@material-ui/core/Button";
+import IconButton from "@material-ui/core/IconButton";
+import DeleteIcon from "@material-ui/icons/Delete";
+import ErrorIcon from "@material-ui/icons/Error";
+
+import CampaignFormSectionHeading from "./CampaignFormSectionHeading";
+
+const styles = StyleSheet.create({
+  buttonDiv: {
+    marginTop: "10px"
+  }
+});
+
+export default class CampaignTexterMediaForm extends Component {
+  static propTypes = {
+    texterMedia: PropTypes.array,
+    addMedia: PropTypes.func,
+    removeMedia: PropTypes.func,
+    onSubmit: PropTypes.func
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = { uploading: false };
+    this.uploadInputRef = React.createRef();
+  }
+
+  handleResult = res => {
+    if (res.errors) {
+      this.setState({ error: res.errors.message });
+    } else {
+      this.setState({ error: undefined });
+    }
+  };
+
+  handleUpload = event => {
+    const file = event.target.files[0];
+    if (!file) {
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = async () => {
+      // reader.result is a data: url -- the mutation takes plain base64
+      const data = reader.result.slice(reader.result.indexOf(",") + 1);
+      const res = await this.props.addMedia(file.name, file.type, data);
+      this.setState({ uploading: false });
+      this.handleResult(res);
+    };
+    reader.onerror = () =>
+      this.setState({ uploading: false, error: "Could not read the file" });
+    this.setState({ uploading: true });
+    reader.readAsDataURL(file);
+  };
+
+  removeMedia = async mediaId => {
+    this.handleResult(await this.props.removeMedia(mediaId));
+  };
+
+  renderErrors = () =>
+    this.state.error && (
+      <List>
+        <ListItem>
+          <ListItemIcon>
+            <ErrorIcon color="error" />
+          </ListItemIcon>
+          <ListItemText primary={this.state.error} />
+        </ListItem>
+      </List>
+    );
+
+  renderMedia() {
+    const { texterMedia } = this.props;
+    if (!texterMedia || !texterMedia.length) {
+      return <p>No images have been added yet.</p>;
+    }
+    return (
+      <List>
+        {texterMedia.map(media => (
+          <ListItem key={media.id}>
+            <ListItemAvatar>
+              <Avatar
+                variant="square"
+                alt={media.name}
+                src={media.thumbnailUrl || media.url}
+              />
+            </ListItemAvatar>
+            <ListItemText primary={media.name} secondary={media.type} />
+            <ListItemSecondaryAction>
+              <IconButton onClick={() => this.removeMedia(media.id)}>
+                <DeleteIcon />
+              </IconButton>
+            </ListItemSecondaryAction>
+          </ListItem>
+        ))}
+      </List>
+    );
+  }
+
+  render() {
+    return (
+      <div>
+        <CampaignFormSectionHeading
+          title="Texter Images"
+          subtitle={
+            <span>
+              Texters can attach these images to their replies, which are then
+              sent as MMS. Removing an image does not change messages that were
+              already sent.
+            </span>
+          }
+        />
+        <div className={css(styles.buttonDiv)}>
+          <Button
+            variant="contained"
+            color="primary"
+            disabled={this.state.uploading}
+            onClick={() => this.uploadInputRef.current.click()}
+          >
+            {this.state.uploading ? "Uploading..." : "Add image"}
+          </Button>
+          <input
+            type="file"
+            accept="image/*"
+            ref={this.uploadInputRef}
+            onChange={this.handleUpload}
+            onClick={e => (e.target.value = null)}
+            style={{ display: "none" }}
+          />
+        </div>
+        {this.renderErrors()}
+        {this.renderMedia()}
+      </div>
+    );
+  }
+}
@@ -3,6 +3,7 @@ import PropTypes from "prop-types";
 import gql from "graphql-tag";
 import { compose } from "recompose";
 import { StyleSheet, css } from "aphrodite";
+import moment from "moment";
 
 import Button from "@material-ui/core/Button";
 import Dialog from "@material-ui/core/Dialog";
@@ -77,6 +78,30 @@ MessageList.propTypes = {
   messages: PropTypes.arrayOf(PropTypes.object)
 };
 
+export const OptOutHistory = ({ history }) => {
+  if (!history || !history.length) {
+    return null;
+  }
+  return (
+    <div {...dataTest("optOutHistory")}>
+      {history.map(optOutEvent => (
+        <p key={optOutEvent.id} style={{ fontSize: "smaller" }}>
+          {optOutEvent.event === "OPTIN" ? "Opted back in" : "Opted out"}
+          {optOutEvent.reason ? ` (${optOutEvent.reason})` : ""}
+          {optOutEvent.user
+            ? ` by ${optOutEvent.user.displayName}`
+            : " by the contact"}{" "}
+          {moment.utc(optOutEvent.createdAt).fromNow()}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+OptOutHistory.propTypes = {
+  history: PropTypes.arrayOf(PropTypes.object)
+};
+
 class ConversationPreviewBody extends Component {
   constructor(props) {
     super(props);
@@ -100,6 +125,7 @@ class ConversationPreviewBody extends Component {
           tags={this.props.conversation.tags}
         />
         <MessageList messages={this.state.messages} />
+        <OptOutHistory history={this.props.conversation.optOutHistory} />
         <MessageResponse
           conversation={this.props.conversation}
           messagesChanged={this.messagesChanged}
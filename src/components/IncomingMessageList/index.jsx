@@ -37,7 +37,8 @@ export const prepareDataTableData = conversations =>
     status: conversation.contact.messageStatus,
     errorCode: conversation.contact.errorCode,
     messages: conversation.contact.messages,
-    tags: conversation.contact.tags
+    tags: conversation.contact.tags,
+    optOutHistory: conversation.contact.optOutHistory
   }));
 
 const prepareSelectedRowsData = (conversations, rowsSelected) => {
@@ -506,6 +507,16 @@ const queries = {
               optOut {
                 id
               }
+              optOutHistory {
+                id
+                event
+                reason
+                user {
+                  id
+                  displayName
+                }
+                createdAt
+              }
             }
             campaign {
               id
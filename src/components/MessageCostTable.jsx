@@ -0,0 +1,64 @@
+import PropTypes from "prop-types";
+import React from "react";
+import MUIDataTable from "mui-datatables";
+
+export const formatCost = amount =>
+  amount === null || amount === undefined
+    ? ""
+    : `$${Number(amount).toFixed(2)}`;
+
+const costColumn = (name, label) => ({
+  name,
+  label,
+  options: {
+    customBodyRender: value => formatCost(value)
+  }
+});
+
+// Rows of MessageCostTotals (per texter or per campaign)
+// with a CSV download of the same columns.
+const MessageCostTable = ({ title, nameLabel, rows, filename }) => {
+  const columns = [
+    { name: "name", label: nameLabel },
+    { name: "messageCount", label: "Messages" },
+    { name: "segmentCount", label: "SMS segments" },
+    { name: "mmsCount", label: "MMS" },
+    costColumn("estimatedCost", "Estimated cost"),
+    costColumn("actualCost", "Reported cost"),
+    { name: "reportedCount", label: "Messages with reported cost" }
+  ];
+  const options = {
+    selectableRows: "none",
+    elevation: 0,
+    download: true,
+    downloadOptions: {
+      filename,
+      separator: ","
+    },
+    print: false,
+    filter: false,
+    search: false,
+    viewColumns: false,
+    pagination: rows.length > 10,
+    textLabels: {
+      body: { noMatch: "No messages have been sent yet" }
+    }
+  };
+  return (
+    <MUIDataTable
+      title={title}
+      data={rows}
+      columns={columns}
+      options={options}
+    />
+  );
+};
+
+MessageCostTable.propTypes = {
+  title: PropTypes.string,
+  nameLabel: PropTypes.string,
+  rows: PropTypes.arrayOf(PropTypes.object),
+  filename: PropTypes.string
+};
+
+export default MessageCostTable;
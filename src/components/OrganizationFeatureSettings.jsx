@@ -214,6 +214,40 @@ const configurableFields = {
         </div>
       );
     }
+  },
+  TEXTER_MMS_ENABLED: {
+    schema: () => yup.boolean(),
+    ready: true,
+    component: props => {
+      if (typeof window === "undefined" || !window.MEDIA_STORAGE_ENABLED) {
+        return null;
+      }
+      return (
+        <div key={props.key}>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={props.parent.state.TEXTER_MMS_ENABLED}
+                onChange={event =>
+                  props.parent.toggleChange(
+                    "TEXTER_MMS_ENABLED",
+                    event.target.checked
+                  )
+                }
+                color="primary"
+              />
+            }
+            label="Allow texters to attach images"
+            labelPlacement="start"
+          />
+          <div style={{ padding: "8px" }}>
+            Texters can attach the images an admin uploads to a campaign to
+            their replies. Images are sent as MMS, which usually costs more than
+            SMS.
+          </div>
+        </div>
+      );
+    }
   }
 };
 
@@ -224,6 +258,9 @@ const configurableFields = {
 if (typeof window === "undefined" || !window.ALLOW_SEND_ALL) {
   delete configurableFields.ALLOW_SEND_ALL_ENABLED;
 }
+if (typeof window === "undefined" || !window.MEDIA_STORAGE_ENABLED) {
+  delete configurableFields.TEXTER_MMS_ENABLED;
+}
 
 export default class OrganizationFeatureSettings extends React.Component {
   constructor(props) {
@@ -236,6 +273,7 @@ export default class OrganizationFeatureSettings extends React.Component {
     this.state = { ...settingsData, unsetFeatures: [] };
     // expects a boolean
     this.state.ALLOW_SEND_ALL_ENABLED = !!this.state.ALLOW_SEND_ALL_ENABLED;
+    this.state.TEXTER_MMS_ENABLED = !!this.state.TEXTER_MMS_ENABLED;
   }
 
   onChange = formValues => {
@@ -1,6 +1,5 @@
 import PropTypes from "prop-types";
 import React from "react";
-import { Link } from "react-router";
 import {
   EditorState,
   ContentState,
@@ -9,8 +8,9 @@ import {
   Modifier
 } from "draft-js";
 import { delimit } from "../lib/scripts";
-import { replaceEasyGsmWins } from "../lib/gsm";
+import { expandScriptFields, forcesUcs2, replaceEasyGsmWins } from "../lib/gsm";
 import Chip from "./Chip";
+import SegmentCounter from "./SegmentCounter";
 import { getCharCount } from "@trt2/gsm-charset-utils";
 
 const styles = {
@@ -32,6 +32,9 @@ const styles = {
   badField: {
     color: "#EF5350"
   },
+  nonGsmChar: {
+    backgroundColor: "#FFCDD2"
+  },
   scriptFieldButton: {
     fontSize: "11px",
     color: "#43A047",
@@ -74,6 +77,27 @@ UnrecognizedField.propTypes = {
   children: PropTypes.arrayOf(PropTypes.element)
 };
 
+const NonGsmChar = props => (
+  <span style={styles.nonGsmChar} title="Sends the message as UCS-2">
+    {props.children}
+  </span>
+);
+
+NonGsmChar.propTypes = {
+  children: PropTypes.arrayOf(PropTypes.element)
+};
+
+// characters that make the message UCS-2, which fits far fewer per segment
+const nonGsmCharStrategy = (contentBlock, callback) => {
+  let offset = 0;
+  Array.from(contentBlock.getText()).forEach(c => {
+    if (forcesUcs2(c)) {
+      callback(offset, offset + c.length);
+    }
+    offset += c.length;
+  });
+};
+
 class ScriptEditor extends React.Component {
   constructor(props) {
     super(props);
@@ -161,6 +185,10 @@ class ScriptEditor extends React.Component {
       {
         strategy: unrecognizedFieldStrategy,
         component: UnrecognizedField
+      },
+      {
+        strategy: nonGsmCharStrategy,
+        component: NonGsmChar
       }
     ]);
   }
@@ -206,6 +234,8 @@ class ScriptEditor extends React.Component {
     const { name } = this.props;
     const text = this.getValue();
     const segmentInfo = getCharCount(text);
+    // measured with the longest plausible value of each {field}
+    const expandedText = expandScriptFields(text);
     return (
       <div>
         <div style={segmentInfo.charCount > 1600 ? { color: "red" } : {}}>
@@ -224,21 +254,7 @@ class ScriptEditor extends React.Component {
           />
         </div>
         {this.renderCustomFields()}
-        <div>
-          Estimated{" "}
-          <Link
-            target="_blank"
-            to="https://www.twilio.com/blog/2017/03/what-the-heck-is-a-segment.html"
-          >
-            Segments
-          </Link>
-          : {segmentInfo.msgCount}
-          <br />
-          Characters left in current segment:{" "}
-          {segmentInfo.msgCount * segmentInfo.charsPerSegment -
-            segmentInfo.charCount}
-          <br />
-        </div>
+        <SegmentCounter text={expandedText} expanded={expandedText !== text} />
       </div>
     );
   }
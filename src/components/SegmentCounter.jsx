@@ -0,0 +1,64 @@
+import PropTypes from "prop-types";
+import React from "react";
+
+import { getSegmentInfo } from "../lib/gsm";
+
+const SEGMENTS_LINK =
+  "https://www.twilio.com/blog/2017/03/what-the-heck-is-a-segment.html";
+
+const styles = {
+  counter: {
+    fontSize: 12,
+    color: "#666"
+  },
+  warning: {
+    color: "#EF5350"
+  },
+  nonGsmChar: {
+    backgroundColor: "#FFCDD2",
+    padding: "0 3px",
+    margin: "0 2px",
+    borderRadius: 2
+  }
+};
+
+const SegmentCounter = ({ text, expanded, style }) => {
+  const info = getSegmentInfo(text);
+  const charsLeft = info.segmentCount * info.charsPerSegment - info.charCount;
+  return (
+    <div style={{ ...styles.counter, ...style }}>
+      <div>
+        {info.charCount} characters
+        {expanded ? " with long names" : ""} &middot;{" "}
+        <a href={SEGMENTS_LINK} target="_blank" rel="noopener noreferrer">
+          {info.segmentCount} segment{info.segmentCount === 1 ? "" : "s"}
+        </a>{" "}
+        &middot;{" "}
+        <span style={info.encoding === "GSM" ? {} : styles.warning}>
+          {info.encoding === "GSM" ? "GSM" : "UCS-2"}
+        </span>{" "}
+        &middot; {charsLeft} left in segment
+      </div>
+      {info.nonGsmChars.length > 0 && (
+        <div style={styles.warning}>
+          These characters limit each segment to {info.charsPerSegment}{" "}
+          characters:
+          {info.nonGsmChars.map(c => (
+            <span key={c} style={styles.nonGsmChar}>
+              {c}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+SegmentCounter.propTypes = {
+  text: PropTypes.string,
+  // true when script fields in the text were expanded with expandScriptFields
+  expanded: PropTypes.bool,
+  style: PropTypes.object
+};
+
+export default SegmentCounter;
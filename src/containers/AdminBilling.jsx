@@ -0,0 +1,165 @@
+import PropTypes from "prop-types";
+import React from "react";
+import gql from "graphql-tag";
+import { withRouter } from "react-router";
+import { StyleSheet, css } from "aphrodite";
+
+import Card from "@material-ui/core/Card";
+import CardContent from "@material-ui/core/CardContent";
+import TextField from "@material-ui/core/TextField";
+import Typography from "@material-ui/core/Typography";
+
+import MessageCostTable, { formatCost } from "../components/MessageCostTable";
+import loadData from "./hoc/load-data";
+
+const styles = StyleSheet.create({
+  filters: {
+    display: "flex",
+    marginBottom: 20
+  },
+  dateField: {
+    marginRight: 20
+  },
+  section: {
+    marginBottom: 40
+  }
+});
+
+export class AdminBilling extends React.Component {
+  handleDateChange = name => event => {
+    const { location, router } = this.props;
+    const query = { ...location.query, [name]: event.target.value };
+    if (!event.target.value) {
+      delete query[name];
+    }
+    router.push({ pathname: location.pathname, query });
+  };
+
+  renderDateField(name, label) {
+    return (
+      <TextField
+        className={css(styles.dateField)}
+        type="date"
+        label={label}
+        value={this.props.location.query[name] || ""}
+        onChange={this.handleDateChange(name)}
+        InputLabelProps={{ shrink: true }}
+      />
+    );
+  }
+
+  render() {
+    const {
+      messageCosts,
+      campaignMessageCosts,
+      texterMessageCosts
+    } = this.props.data.organization;
+    const { from, before } = this.props.location.query;
+    const period = [from, before].filter(Boolean).join("-to-") || "all";
+    return (
+      <div>
+        <div className={css(styles.filters)}>
+          {this.renderDateField("from", "From")}
+          {this.renderDateField("before", "Before")}
+        </div>
+        <Card className={css(styles.section)}>
+          <CardContent>
+            <Typography variant="h5">
+              {formatCost(messageCosts.estimatedCost)} estimated
+            </Typography>
+            <p>
+              {messageCosts.messageCount} messages sent (
+              {messageCosts.segmentCount} SMS segments, {messageCosts.mmsCount}{" "}
+              MMS).
+              {messageCosts.reportedCount > 0 &&
+                ` The service vendor reported ${formatCost(
+                  messageCosts.actualCost
+                )} for ${messageCosts.reportedCount} of them.`}
+            </p>
+            <Typography variant="caption" component="p">
+              Estimates use the prices each service vendor lists when a message
+              is sent. Incoming messages, phone numbers and carrier fees are not
+              included.
+            </Typography>
+          </CardContent>
+        </Card>
+        <div className={css(styles.section)}>
+          <MessageCostTable
+            title="By campaign"
+            nameLabel="Campaign"
+            rows={campaignMessageCosts}
+            filename={`campaign-costs-${period}.csv`}
+          />
+        </div>
+        <div className={css(styles.section)}>
+          <MessageCostTable
+            title="By texter"
+            nameLabel="Texter"
+            rows={texterMessageCosts}
+            filename={`texter-costs-${period}.csv`}
+          />
+        </div>
+      </div>
+    );
+  }
+}
+
+AdminBilling.propTypes = {
+  data: PropTypes.object,
+  location: PropTypes.object,
+  router: PropTypes.object
+};
+
+const queries = {
+  data: {
+    query: gql`
+      query getOrganizationBilling(
+        $organizationId: String!
+        $fromDate: Date
+        $toDate: Date
+      ) {
+        organization(id: $organizationId) {
+          id
+          messageCosts(fromDate: $fromDate, toDate: $toDate) {
+            messageCount
+            segmentCount
+            mmsCount
+            estimatedCost
+            actualCost
+            reportedCount
+          }
+          campaignMessageCosts(fromDate: $fromDate, toDate: $toDate) {
+            id
+            name
+            messageCount
+            segmentCount
+            mmsCount
+            estimatedCost
+            actualCost
+            reportedCount
+          }
+          texterMessageCosts(fromDate: $fromDate, toDate: $toDate) {
+            id
+            name
+            messageCount
+            segmentCount
+            mmsCount
+            estimatedCost
+            actualCost
+            reportedCount
+          }
+        }
+      }
+    `,
+    options: ownProps => ({
+      variables: {
+        organizationId: ownProps.params.organizationId,
+        fromDate: ownProps.location.query.from || null,
+        toDate: ownProps.location.query.before || null
+      },
+      fetchPolicy: "network-only"
+    })
+  }
+};
+
+export default loadData({ queries })(withRouter(AdminBilling));
@@ -39,6 +39,8 @@ import CampaignPhoneNumbersForm from "../components/CampaignPhoneNumbersForm";
 import CampaignServiceManagers from "../components/CampaignServiceManagers";
 import { dataTest, camelCase } from "../lib/attributes";
 import CampaignTextingHoursForm from "../components/CampaignTextingHoursForm";
+import CampaignScheduledSendsForm from "../components/CampaignScheduledSendsForm";
+import CampaignTexterMediaForm from "../components/CampaignTexterMediaForm";
 import { styles } from "./AdminCampaignStats";
 import AdminScriptImport from "../containers/AdminScriptImport";
 import { makeTree } from "../lib";
@@ -109,6 +111,7 @@ const campaignInfoFragment = `
     reference
     contactsCount
     deletedOptouts
+    deletedWrongNumbers
     deletedDupes
     updatedAt
   }
@@ -120,6 +123,17 @@ const campaignInfoFragment = `
     status
     resultMessage
   }
+  scheduledSends {
+    sendAfter
+    count
+  }
+  texterMedia {
+    id
+    name
+    type
+    url
+    thumbnailUrl
+  }
   serviceManagers {
     id
     name
@@ -664,6 +678,64 @@ export class AdminCampaignEditBase extends React.Component {
         doNotSaveAfterSubmit: true
       });
     }
+    if (this.props.organizationData.organization.allowSendAll) {
+      const scheduleJobs = pendingJobs.filter(
+        j => j.jobType === "schedule_initial_messages"
+      );
+      finalSections.push({
+        title: "Scheduled Sends",
+        content: CampaignScheduledSendsForm,
+        keys: [],
+        checkCompleted: () => true,
+        blocksStarting: false,
+        expandAfterCampaignStarts: true,
+        expandableBySuperVolunteers: false,
+        extraProps: {
+          isStarted: this.props.campaignData.campaign.isStarted,
+          scheduledSends: this.props.campaignData.campaign.scheduledSends,
+          scheduleMessages: async sendAfter =>
+            this.props.mutations.scheduleInitialMessages(
+              this.props.campaignData.campaign.id,
+              sendAfter
+            ),
+          cancelScheduledMessages: async sendAfter =>
+            this.props.mutations.cancelScheduledMessages(
+              this.props.campaignData.campaign.id,
+              sendAfter
+            ),
+          hasPendingJob: scheduleJobs.some(j => !j.resultMessage),
+          jobError: (scheduleJobs[0] || {}).resultMessage
+        },
+        doNotSaveAfterSubmit: true
+      });
+    }
+    if (this.props.organizationData.organization.texterMediaEnabled) {
+      finalSections.push({
+        title: "Texter Images",
+        content: CampaignTexterMediaForm,
+        keys: [],
+        checkCompleted: () => true,
+        blocksStarting: false,
+        expandAfterCampaignStarts: true,
+        expandableBySuperVolunteers: false,
+        extraProps: {
+          texterMedia: this.props.campaignData.campaign.texterMedia,
+          addMedia: async (name, contentType, data) =>
+            this.props.mutations.addCampaignMedia(
+              this.props.campaignData.campaign.id,
+              name,
+              contentType,
+              data
+            ),
+          removeMedia: async mediaId =>
+            this.props.mutations.removeCampaignMedia(
+              this.props.campaignData.campaign.id,
+              mediaId
+            )
+        },
+        doNotSaveAfterSubmit: true
+      });
+    }
     return finalSections;
   }
 
@@ -691,6 +763,10 @@ export class AdminCampaignEditBase extends React.Component {
         relatedJob = pendingJobs.filter(
           job => job.jobType === "import_script"
         )[0];
+      } else if (section.title === "Scheduled Sends") {
+        relatedJob = pendingJobs.filter(
+          job => job.jobType === "schedule_initial_messages"
+        )[0];
       } else if (section.title === "Service Management") {
         relatedJob = pendingJobs.filter(
           job => job.jobType === "extension_job"
@@ -1090,6 +1166,8 @@ const queries = {
           uuid
           fullyConfigured
           campaignPhoneNumbersEnabled
+          allowSendAll
+          texterMediaEnabled
           batchPolicies
           texters: people(role: "ANY") {
             id
@@ -1193,6 +1271,93 @@ const mutations = {
       url
     }
   }),
+  scheduleInitialMessages: ownProps => (campaignId, sendAfter) => ({
+    mutation: gql`
+      mutation scheduleInitialMessages(
+        $campaignId: String!
+        $sendAfter: Date!
+      ) {
+        scheduleInitialMessages(campaignId: $campaignId, sendAfter: $sendAfter)
+      }
+    `,
+    variables: {
+      campaignId,
+      sendAfter
+    },
+    refetchQueries: () => ["getCampaign"]
+  }),
+  cancelScheduledMessages: ownProps => (campaignId, sendAfter) => ({
+    mutation: gql`
+      mutation cancelScheduledMessages($campaignId: String!, $sendAfter: Date) {
+        cancelScheduledMessages(
+          campaignId: $campaignId
+          sendAfter: $sendAfter
+        ) {
+          id
+          scheduledSends {
+            sendAfter
+            count
+          }
+        }
+      }
+    `,
+    variables: {
+      campaignId,
+      sendAfter
+    }
+  }),
+  addCampaignMedia: ownProps => (campaignId, name, contentType, data) => ({
+    mutation: gql`
+      mutation addCampaignMedia(
+        $campaignId: String!
+        $name: String!
+        $contentType: String!
+        $data: String!
+      ) {
+        addCampaignMedia(
+          campaignId: $campaignId
+          name: $name
+          contentType: $contentType
+          data: $data
+        ) {
+          id
+          texterMedia {
+            id
+            name
+            type
+            url
+            thumbnailUrl
+          }
+        }
+      }
+    `,
+    variables: {
+      campaignId,
+      name,
+      contentType,
+      data
+    }
+  }),
+  removeCampaignMedia: ownProps => (campaignId, mediaId) => ({
+    mutation: gql`
+      mutation removeCampaignMedia($campaignId: String!, $mediaId: String!) {
+        removeCampaignMedia(campaignId: $campaignId, mediaId: $mediaId) {
+          id
+          texterMedia {
+            id
+            name
+            type
+            url
+            thumbnailUrl
+          }
+        }
+      }
+    `,
+    variables: {
+      campaignId,
+      mediaId
+    }
+  }),
   updateServiceManager: ownProps => (serviceManagerName, updateData) => ({
     mutation: gql`
       mutation updateServiceManager(
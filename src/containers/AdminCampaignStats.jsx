@@ -12,6 +12,7 @@ import Typography from "@material-ui/core/Typography";
 import Link from "@material-ui/core/Link";
 
 import TexterStats from "../components/TexterStats";
+import MessageCostTable, { formatCost } from "../components/MessageCostTable";
 import OrganizationJoinLink from "../components/OrganizationJoinLink";
 import CampaignServiceManagers from "../components/CampaignServiceManagers";
 import AdminCampaignCopy from "./AdminCampaignCopy";
@@ -181,6 +182,102 @@ class AdminCampaignStats extends React.Component {
     );
   }
 
+  renderCostEstimate() {
+    const { costEstimate } = this.props.data.campaign;
+    if (!costEstimate) {
+      return null;
+    }
+    const dollars = amount => `$${Number(amount).toFixed(2)}`;
+    const {
+      service,
+      source,
+      lastChecked,
+      smsSegmentCost,
+      mmsMessageCost,
+      initialMessageSegments,
+      initialMessageEncoding,
+      initialMessageIsMms,
+      initialMessageCost,
+      contactsCount,
+      unmessagedCount,
+      totalCost,
+      remainingCost
+    } = costEstimate;
+    return (
+      <Card style={{ marginBottom: 40 }}>
+        <CardContent>
+          <Typography variant="h5">Estimated cost</Typography>
+          <p>
+            Initial message:{" "}
+            {initialMessageIsMms
+              ? "sent as MMS"
+              : `${initialMessageSegments} segment${
+                  initialMessageSegments === 1 ? "" : "s"
+                } (${initialMessageEncoding === "GSM" ? "GSM" : "UCS-2"})`}
+            {initialMessageCost !== null &&
+              `, about ${dollars(initialMessageCost)} per contact`}
+          </p>
+          {initialMessageCost !== null ? (
+            <div>
+              <p>
+                {dollars(totalCost)} for all {contactsCount} contacts,{" "}
+                {dollars(remainingCost)} for the {unmessagedCount} contacts that
+                have not been texted yet. Replies are not included.
+              </p>
+              <Typography variant="caption" component="p">
+                Assumes names and other fields in the script are fairly long.{" "}
+                {service} prices: ${smsSegmentCost} per SMS segment, $
+                {mmsMessageCost} per MMS
+                {source && (
+                  <span>
+                    {" "}
+                    from{" "}
+                    <a href={source} target="_blank" rel="noopener noreferrer">
+                      {source}
+                    </a>
+                  </span>
+                )}
+                {lastChecked && ` (checked ${lastChecked})`}.
+              </Typography>
+            </div>
+          ) : (
+            <p>{service || "This service vendor"} does not list its prices.</p>
+          )}
+        </CardContent>
+      </Card>
+    );
+  }
+
+  renderMessageCosts() {
+    const { id, messageCosts, texterMessageCosts } = this.props.data.campaign;
+    if (!messageCosts || !messageCosts.messageCount) {
+      return null;
+    }
+    return (
+      <Card style={{ marginBottom: 40 }}>
+        <CardContent>
+          <Typography variant="h5">Cost so far</Typography>
+          <p>
+            {messageCosts.messageCount} messages sent (
+            {messageCosts.segmentCount} SMS segments, {messageCosts.mmsCount}{" "}
+            MMS): about {formatCost(messageCosts.estimatedCost)}
+            {messageCosts.reportedCount > 0 &&
+              `. The service vendor reported ${formatCost(
+                messageCosts.actualCost
+              )} for ${messageCosts.reportedCount} of them`}
+            .
+          </p>
+          <MessageCostTable
+            title="By texter"
+            nameLabel="Texter"
+            rows={texterMessageCosts || []}
+            filename={`campaign-${id}-costs.csv`}
+          />
+        </CardContent>
+      </Card>
+    );
+  }
+
   render() {
     const { data, params, organizationData } = this.props;
     const { adminPerms, organizationId, campaignId } = params;
@@ -382,6 +479,7 @@ class AdminCampaignStats extends React.Component {
           organization={this.props.organizationData.organization}
           serviceManagerComponentName={"CampaignStats"}
           onSubmit={this.props.mutations.updateServiceManager}
+          onDryRun={this.props.mutations.dryRunServiceManager}
         />
         <div className={css(styles.container)}>
           <div className={css(styles.flexColumn, styles.spacer)}>
@@ -403,6 +501,8 @@ class AdminCampaignStats extends React.Component {
             <Stat title="Opt-outs" count={campaign.stats.optOutsCount} />
           </div>
         </div>
+        {this.renderCostEstimate()}
+        {this.renderMessageCosts()}
 
         {global.HIDE_BRANCHED_SCRIPTS ? (
           ""
@@ -523,6 +623,39 @@ const queries = {
               link
             }
           }
+          costEstimate {
+            service
+            source
+            lastChecked
+            smsSegmentCost
+            mmsMessageCost
+            initialMessageSegments
+            initialMessageEncoding
+            initialMessageIsMms
+            initialMessageCost
+            contactsCount
+            unmessagedCount
+            totalCost
+            remainingCost
+          }
+          messageCosts {
+            messageCount
+            segmentCount
+            mmsCount
+            estimatedCost
+            actualCost
+            reportedCount
+          }
+          texterMessageCosts {
+            id
+            name
+            messageCount
+            segmentCount
+            mmsCount
+            estimatedCost
+            actualCost
+            reportedCount
+          }
           cacheable
           serviceManagers(fromCampaignStatsPage: $fromCampaignStatsPage) {
             id
@@ -530,6 +663,7 @@ const queries = {
             displayName
             data
             unArchiveable
+            supportsDryRun
           }
         }
       }
@@ -656,6 +790,32 @@ const mutations = {
       updateData,
       fromCampaignStatsPage: true
     }
+  }),
+  dryRunServiceManager: ownProps => serviceManagerName => ({
+    mutation: gql`
+      mutation dryRunServiceManager(
+        $organizationId: String!
+        $campaignId: String!
+        $serviceManagerName: String!
+      ) {
+        updateServiceManager(
+          organizationId: $organizationId
+          campaignId: $campaignId
+          serviceManagerName: $serviceManagerName
+          updateData: {}
+          fromCampaignStatsPage: true
+          dryRun: true
+        ) {
+          id
+          dryRunReport
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.organizationData.organization.id,
+      campaignId: ownProps.data.campaign.id,
+      serviceManagerName
+    }
   })
 };
 
@@ -22,6 +22,7 @@ import MenuItem from "@material-ui/core/MenuItem";
 import Select from "@material-ui/core/Select";
 import FormControl from "@material-ui/core/FormControl";
 import InputLabel from "@material-ui/core/InputLabel";
+import Typography from "@material-ui/core/Typography";
 
 import GSForm from "../components/forms/GSForm";
 import GSSubmitButton from "../components/forms/GSSubmitButton";
@@ -126,14 +127,55 @@ class AdminPhoneNumberInventory extends React.Component {
     });
   };
 
-  handleDeleteNumbersOpen = ([areaCode, , , availableCount]) => {
+  handleDeleteNumbersOpen = ([areaCode, , , availableCount, health]) => {
     this.setState({
       deleteNumbersDialogOpen: true,
       deleteNumbersAreaCode: areaCode,
-      deleteNumbersCount: availableCount
+      // quarantined numbers are not available, but are deleted too
+      deleteNumbersCount:
+        availableCount + ((health && health.quarantinedCount) || 0)
     });
   };
 
+  handleReleaseQuarantined = async areaCode => {
+    await this.props.mutations.releaseQuarantinedPhoneNumbers(areaCode);
+  };
+
+  renderHealth(health, areaCode) {
+    if (!health) {
+      return null;
+    }
+    const {
+      quarantinedCount,
+      deliveredCount,
+      errorCount,
+      flaggedCount
+    } = health;
+    const reports = deliveredCount + errorCount;
+    return (
+      <div>
+        {reports
+          ? `${Math.round((100 * deliveredCount) / reports)}% delivered`
+          : "No delivery reports"}
+        {flaggedCount ? `, ${flaggedCount} filtered` : ""}
+        {quarantinedCount > 0 && (
+          <Typography variant="body2" color="error" component="div">
+            {quarantinedCount} quarantined
+            {this.props.params.ownerPerms && (
+              <Button
+                size="small"
+                onClick={() => this.handleReleaseQuarantined(areaCode)}
+                {...dataTest("releaseQuarantined")}
+              >
+                Release
+              </Button>
+            )}
+          </Typography>
+        )}
+      </div>
+    );
+  }
+
   handleDeleteNumbersCancel = () => {
     this.setState({
       deleteNumbersDialogOpen: false,
@@ -177,6 +219,15 @@ class AdminPhoneNumberInventory extends React.Component {
           sort: false
         }
       },
+      {
+        name: "health",
+        label: "Health",
+        options: {
+          sort: false,
+          customBodyRender: (value, { rowData }) =>
+            this.renderHealth(value, rowData[0])
+        }
+      },
       {
         name: "deleteButton",
         label: " ",
@@ -325,7 +376,19 @@ class AdminPhoneNumberInventory extends React.Component {
         availableCount: 0
       }));
 
-    let tableData = [...newAreaCodeRows, ...phoneNumberCounts];
+    let tableData = [
+      ...newAreaCodeRows,
+      ...phoneNumberCounts.map(counts => ({
+        ...counts,
+        // see the number-health service manager
+        health: {
+          quarantinedCount: counts.quarantinedCount,
+          deliveredCount: counts.deliveredCount,
+          errorCount: counts.errorCount,
+          flaggedCount: counts.flaggedCount
+        }
+      }))
+    ];
 
     if (filters.state) {
       tableData = tableData.filter(data => data.state === filters.state);
@@ -450,6 +513,10 @@ const queries = {
             state
             availableCount
             allocatedCount
+            quarantinedCount
+            deliveredCount
+            errorCount
+            flaggedCount
           }
           pendingPhoneNumberJobs {
             id
@@ -512,6 +579,26 @@ const mutations = {
       areaCode
     },
     refetchQueries: () => ["getOrganizationData"]
+  }),
+  releaseQuarantinedPhoneNumbers: ownProps => areaCode => ({
+    mutation: gql`
+      mutation releaseQuarantinedPhoneNumbers(
+        $organizationId: ID!
+        $areaCode: String!
+      ) {
+        releaseQuarantinedPhoneNumbers(
+          organizationId: $organizationId
+          areaCode: $areaCode
+        ) {
+          id
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.params.organizationId,
+      areaCode
+    },
+    refetchQueries: () => ["getOrganizationData"]
   })
 };
 
@@ -123,7 +123,7 @@ export class AssignmentTexterContact extends React.Component {
       : null;
   };
 
-  createMessageToContact(text) {
+  createMessageToContact(text, mediaId) {
     const { texter, assignment } = this.props;
     const { contact } = this.props;
 
@@ -131,7 +131,8 @@ export class AssignmentTexterContact extends React.Component {
       contactNumber: contact.cell,
       userId: texter.id,
       text,
-      assignmentId: assignment.id
+      assignmentId: assignment.id,
+      ...(mediaId && { mediaId })
     };
   }
 
@@ -172,14 +173,16 @@ export class AssignmentTexterContact extends React.Component {
     }
   };
 
-  handleMessageFormSubmit = cannedResponseId => async ({ messageText }) => {
+  handleMessageFormSubmit = (cannedResponseId, mediaId) => async ({
+    messageText
+  }) => {
     const { campaign, contact } = this.props;
     if (!messageText || messageText == "false") {
       // defensive code -- if somehow message form validation fails, don't send a dumb "false" message
       return;
     }
     try {
-      const message = this.createMessageToContact(messageText);
+      const message = this.createMessageToContact(messageText, mediaId);
       if (this.state.disabled) {
         return; // stops from multi-send
       }
@@ -0,0 +1,335 @@
+/* eslint no-console: 0 */
+import PropTypes from "prop-types";
+import React from "react";
+import { compose } from "recompose";
+import gql from "graphql-tag";
+
+import Button from "@material-ui/core/Button";
+import CardContent from "@material-ui/core/CardContent";
+import IconButton from "@material-ui/core/IconButton";
+import TextField from "@material-ui/core/TextField";
+import Typography from "@material-ui/core/Typography";
+import DeleteIcon from "@material-ui/icons/Delete";
+
+import loadData from "../hoc/load-data";
+
+// phrases are edited one per line
+const toFormLanguage = language => ({
+  code: language.code || "",
+  name: language.name || "",
+  phrases: (language.phrases || []).join("\n"),
+  reply: language.reply || ""
+});
+
+const toLanguageInput = language => ({
+  code: language.code,
+  name: language.name,
+  phrases: language.phrases
+    .split("\n")
+    .map(phrase => phrase.trim())
+    .filter(Boolean),
+  reply: language.reply
+});
+
+export class AutoOptOutLanguages extends React.Component {
+  constructor(props) {
+    super(props);
+    const { organization } = props.optOutLanguages;
+    this.state = {
+      languages: (organization.autoOptOutLanguages || []).map(toFormLanguage),
+      languageField: organization.autoOptOutLanguageField || "",
+      testText: "",
+      testContactLanguage: ""
+    };
+  }
+
+  handleError = caught => {
+    console.log("auto-optout languages error", caught);
+    this.setState({ error: caught.message });
+  };
+
+  handleSave = async () => {
+    try {
+      const result = await this.props.mutations.updateAutoOptOutLanguages(
+        this.state.languages.map(toLanguageInput),
+        this.state.languageField
+      );
+      if (result.errors) {
+        throw new Error(
+          result.errors.message || "The languages were not saved"
+        );
+      }
+      this.setState({ error: undefined });
+    } catch (caught) {
+      this.handleError(caught);
+    }
+  };
+
+  handleTest = async () => {
+    try {
+      const result = await this.props.mutations.testAutoOptOut(
+        this.state.testText,
+        this.state.testContactLanguage,
+        this.state.languages.map(toLanguageInput)
+      );
+      if (result.errors) {
+        throw new Error(result.errors.message || "The test failed");
+      }
+      this.setState({
+        error: undefined,
+        testResult: result.data.testAutoOptOut
+      });
+    } catch (caught) {
+      this.handleError(caught);
+    }
+  };
+
+  updateLanguage(index, changes) {
+    const languages = [...this.state.languages];
+    languages[index] = { ...languages[index], ...changes };
+    this.setState({ languages });
+  }
+
+  renderLanguage(language, index) {
+    return (
+      <div
+        key={index}
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "flex-start",
+          borderBottom: "1px solid #ddd",
+          paddingBottom: 10,
+          marginBottom: 10
+        }}
+      >
+        <TextField
+          label="Code"
+          value={language.code}
+          onChange={event =>
+            this.updateLanguage(index, { code: event.target.value })
+          }
+          style={{ marginRight: 10, width: 80 }}
+        />
+        <TextField
+          label="Language"
+          value={language.name}
+          onChange={event =>
+            this.updateLanguage(index, { name: event.target.value })
+          }
+          style={{ marginRight: 10 }}
+        />
+        <TextField
+          label="Opt-out phrases (one per line)"
+          value={language.phrases}
+          onChange={event =>
+            this.updateLanguage(index, { phrases: event.target.value })
+          }
+          multiline
+          style={{ marginRight: 10, minWidth: 250 }}
+        />
+        <IconButton
+          onClick={() =>
+            this.setState({
+              languages: this.state.languages.filter((l, i) => i !== index)
+            })
+          }
+        >
+          <DeleteIcon />
+        </IconButton>
+        <TextField
+          label="Opt-out reply in this language"
+          value={language.reply}
+          onChange={event =>
+            this.updateLanguage(index, { reply: event.target.value })
+          }
+          fullWidth
+        />
+      </div>
+    );
+  }
+
+  renderTestResult() {
+    const { testResult } = this.state;
+    if (!testResult) {
+      return null;
+    }
+    if (!testResult.optOut) {
+      return (
+        <Typography>This message would not opt the contact out.</Typography>
+      );
+    }
+    return (
+      <Typography>
+        This message would opt the contact out (reason: {testResult.reason}
+        {testResult.language ? `, language: ${testResult.language}` : ""}).{" "}
+        {testResult.sendsReply
+          ? `The contact would be sent this reply: ${testResult.reply}`
+          : "No reply would be sent."}
+      </Typography>
+    );
+  }
+
+  render() {
+    return (
+      <div>
+        {this.state.error && (
+          <CardContent style={this.props.inlineStyles.errorBox}>
+            {this.state.error}
+          </CardContent>
+        )}
+        <p>
+          With the auto-optout message handler, contacts who reply with one of
+          these phrases are opted out. A single word only opts out when it is
+          the whole reply; longer phrases opt out anywhere in the reply. Case,
+          accents and punctuation are ignored.
+        </p>
+        {this.state.languages.map((language, index) =>
+          this.renderLanguage(language, index)
+        )}
+        <Button
+          variant="outlined"
+          onClick={() =>
+            this.setState({
+              languages: [...this.state.languages, toFormLanguage({})]
+            })
+          }
+        >
+          Add a language
+        </Button>
+        <TextField
+          label="Contact field with the contact's language (code or name), to choose the reply"
+          value={this.state.languageField}
+          onChange={event =>
+            this.setState({ languageField: event.target.value })
+          }
+          fullWidth
+        />
+        <Button
+          variant="contained"
+          color="primary"
+          onClick={this.handleSave}
+          style={{ marginTop: 10 }}
+        >
+          Save opt-out languages
+        </Button>
+
+        <h4>Try a message</h4>
+        <TextField
+          label="Message from a contact"
+          value={this.state.testText}
+          onChange={event => this.setState({ testText: event.target.value })}
+          style={{ marginRight: 10 }}
+        />
+        <TextField
+          label="Contact's language (optional)"
+          value={this.state.testContactLanguage}
+          onChange={event =>
+            this.setState({ testContactLanguage: event.target.value })
+          }
+          style={{ marginRight: 10 }}
+        />
+        <Button
+          variant="outlined"
+          onClick={this.handleTest}
+          disabled={!this.state.testText}
+        >
+          Try it
+        </Button>
+        {this.renderTestResult()}
+      </div>
+    );
+  }
+}
+
+AutoOptOutLanguages.propTypes = {
+  organizationId: PropTypes.string,
+  inlineStyles: PropTypes.object,
+  optOutLanguages: PropTypes.object,
+  mutations: PropTypes.object
+};
+
+const languageFields = `
+  id
+  autoOptOutLanguages {
+    code
+    name
+    phrases
+    reply
+  }
+  autoOptOutLanguageField
+`;
+
+const queries = {
+  optOutLanguages: {
+    query: gql`
+      query getAutoOptOutLanguages($organizationId: String!) {
+        organization(id: $organizationId) {
+          ${languageFields}
+        }
+      }
+    `,
+    options: ownProps => ({
+      variables: {
+        organizationId: ownProps.organizationId
+      },
+      fetchPolicy: "network-only"
+    })
+  }
+};
+
+const mutations = {
+  updateAutoOptOutLanguages: ownProps => (languages, languageField) => ({
+    mutation: gql`
+      mutation updateAutoOptOutLanguages(
+        $organizationId: String!
+        $languages: [AutoOptOutLanguageInput]!
+        $languageField: String
+      ) {
+        updateAutoOptOutLanguages(
+          organizationId: $organizationId
+          languages: $languages
+          languageField: $languageField
+        ) {
+          ${languageFields}
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.organizationId,
+      languages,
+      languageField
+    }
+  }),
+  testAutoOptOut: ownProps => (text, contactLanguage, languages) => ({
+    mutation: gql`
+      mutation testAutoOptOut(
+        $organizationId: String!
+        $text: String!
+        $contactLanguage: String
+        $languages: [AutoOptOutLanguageInput]
+      ) {
+        testAutoOptOut(
+          organizationId: $organizationId
+          text: $text
+          contactLanguage: $contactLanguage
+          languages: $languages
+        ) {
+          optOut
+          reason
+          language
+          reply
+          sendsReply
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.organizationId,
+      text,
+      contactLanguage,
+      languages
+    }
+  })
+};
+
+export default compose(loadData({ queries, mutations }))(AutoOptOutLanguages);
@@ -31,6 +31,9 @@ import { getServiceVendorComponent } from "../../extensions/service-vendors/comp
 import { getServiceManagerComponent } from "../../extensions/service-managers/components";
 import GSTextField from "../../components/forms/GSTextField";
 import ThemeEditor from "./themeEditor";
+import ServiceManagerBudgets from "./serviceManagerBudgets";
+import AutoOptOutLanguages from "./autoOptOutLanguages";
+import WrongNumbers from "./wrongNumbers";
 
 const styles = StyleSheet.create({
   section: {
@@ -222,6 +225,17 @@ class Settings extends React.Component {
               </Card>
             );
           })}
+          {this.props.params.ownerPerms && (
+            <Card>
+              <CardHeader title="Service Manager Budgets" />
+              <CardContent>
+                <ServiceManagerBudgets
+                  organizationId={organizationId}
+                  inlineStyles={this.inlineStyles}
+                />
+              </CardContent>
+            </Card>
+          )}
         </CardContent>
       </Card>
     );
@@ -404,6 +418,36 @@ class Settings extends React.Component {
               </Collapse>
             </Card>
           )}
+        {this.props.data.organization && this.props.params.ownerPerms && (
+          <Card>
+            <CardHeader
+              title="Opt-out languages"
+              style={this.getCardHeaderStyle()}
+              action={
+                <IconButton>
+                  <ExpandMoreIcon />
+                </IconButton>
+              }
+              onClick={() =>
+                this.setState({
+                  OptOutLanguages: !this.state.OptOutLanguages
+                })
+              }
+            />
+            <Collapse
+              in={this.state.OptOutLanguages}
+              timeout="auto"
+              unmountOnExit
+            >
+              <CardContent>
+                <AutoOptOutLanguages
+                  organizationId={this.props.data.organization.id}
+                  inlineStyles={this.inlineStyles}
+                />
+              </CardContent>
+            </Collapse>
+          </Card>
+        )}
         {this.props.data.organization && this.props.data.organization.settings && (
           <Card>
             <CardHeader
@@ -449,6 +493,32 @@ class Settings extends React.Component {
           </Card>
         )}
 
+        {this.props.data.organization && this.props.params.adminPerms && (
+          <Card>
+            <CardHeader
+              title="Wrong numbers"
+              style={this.getCardHeaderStyle()}
+              action={
+                <IconButton>
+                  <ExpandMoreIcon />
+                </IconButton>
+              }
+              onClick={() =>
+                this.setState({
+                  WrongNumbers: !this.state.WrongNumbers
+                })
+              }
+            />
+            <Collapse in={this.state.WrongNumbers} timeout="auto" unmountOnExit>
+              <CardContent>
+                <WrongNumbers
+                  organizationId={this.props.data.organization.id}
+                />
+              </CardContent>
+            </Collapse>
+          </Card>
+        )}
+
         {this.props.data.organization && this.props.params.adminPerms && (
           <Card>
             <CardHeader
@@ -0,0 +1,284 @@
+/* eslint no-console: 0 */
+import PropTypes from "prop-types";
+import React from "react";
+import { compose } from "recompose";
+import gql from "graphql-tag";
+import * as yup from "yup";
+import Form from "react-formal";
+import moment from "moment";
+
+import Button from "@material-ui/core/Button";
+import Card from "@material-ui/core/Card";
+import CardContent from "@material-ui/core/CardContent";
+import CardHeader from "@material-ui/core/CardHeader";
+import Typography from "@material-ui/core/Typography";
+
+import loadData from "../hoc/load-data";
+import GSForm from "../../components/forms/GSForm";
+import GSTextField from "../../components/forms/GSTextField";
+import GSSelectField from "../../components/forms/GSSelectField";
+import GSSubmitButton from "../../components/forms/GSSubmitButton";
+
+const whenExceededChoices = [
+  { value: "block", label: "Stop spending until next month" },
+  { value: "approval", label: "Stop spending until an owner approves more" }
+];
+
+const eventLabels = {
+  changed: "changed the budget",
+  exceeded: "used up the budget",
+  approved: "approved more"
+};
+
+const formSchema = yup.object({
+  monthlyLimit: yup
+    .number()
+    .integer()
+    .min(1)
+    .nullable(),
+  whenExceeded: yup.string().nullable()
+});
+
+export class ServiceManagerBudgets extends React.Component {
+  state = {};
+
+  handleError = caught => {
+    console.log("service manager budget error", caught);
+    this.setState({ error: caught.message });
+  };
+
+  handleUpdate = async (category, { monthlyLimit, whenExceeded }) => {
+    try {
+      await this.props.mutations.updateServiceManagerBudget(
+        category,
+        Number(monthlyLimit) || null,
+        whenExceeded
+      );
+      this.setState({ error: undefined });
+    } catch (caught) {
+      this.handleError(caught);
+    }
+  };
+
+  handleApprove = async (category, amount) => {
+    try {
+      await this.props.mutations.approveServiceManagerBudget(category, amount);
+      this.setState({ error: undefined });
+    } catch (caught) {
+      this.handleError(caught);
+    }
+  };
+
+  renderBudget(budget) {
+    const {
+      category,
+      label,
+      monthlyLimit,
+      whenExceeded,
+      spent,
+      approved,
+      blocked,
+      exceeded,
+      serviceManagers
+    } = budget;
+    return (
+      <Card key={category} style={{ marginBottom: 10 }}>
+        <CardHeader
+          title={label}
+          subheader={
+            serviceManagers.length
+              ? `Spent by ${serviceManagers.join(", ")}`
+              : "No service manager spends from this budget"
+          }
+        />
+        <CardContent>
+          <Typography color={exceeded ? "error" : "initial"}>
+            {spent} this month
+            {monthlyLimit
+              ? ` of ${monthlyLimit}${
+                  approved ? ` (+${approved} approved)` : ""
+                }`
+              : " (no budget)"}
+            {blocked ? `, ${blocked} operations stopped` : ""}
+          </Typography>
+          {exceeded && whenExceeded === "approval" && (
+            <Button
+              color="primary"
+              variant="outlined"
+              onClick={() => this.handleApprove(category, monthlyLimit)}
+            >
+              Approve {monthlyLimit} more this month
+            </Button>
+          )}
+          <GSForm
+            schema={formSchema}
+            defaultValue={{
+              monthlyLimit: monthlyLimit || "",
+              whenExceeded: whenExceeded || "block"
+            }}
+            onSubmit={formValues => this.handleUpdate(category, formValues)}
+          >
+            <Form.Field
+              as={GSTextField}
+              label="Monthly limit (empty for no budget)"
+              name="monthlyLimit"
+              type="number"
+              fullWidth
+            />
+            <Form.Field
+              as={GSSelectField}
+              label="When the budget is used up"
+              name="whenExceeded"
+              choices={whenExceededChoices}
+              fullWidth
+            />
+            <Form.Submit as={GSSubmitButton} label="Save budget" />
+          </GSForm>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  render() {
+    const { organization } = this.props.budgets;
+    const budgets = organization.serviceManagerBudgets || [];
+    const events = organization.serviceManagerBudgetEvents || [];
+    return (
+      <div>
+        {this.state.error && (
+          <CardContent style={this.props.inlineStyles.errorBox}>
+            {this.state.error}
+          </CardContent>
+        )}
+        <p>
+          Monthly limits for service managers that spend money. Service managers
+          skip what they would spend once their budget is used up.
+        </p>
+        {budgets.map(budget => this.renderBudget(budget))}
+        {events.length ? (
+          <div>
+            <h4>Recent budget activity</h4>
+            {events.map(event => (
+              <div key={event.id}>
+                {moment(event.createdAt).format("MMM D, h:mm a")}:{" "}
+                {event.userName ||
+                  (event.serviceManager &&
+                    `${event.serviceManager} ${event.operation}`) ||
+                  "Spoke"}{" "}
+                {eventLabels[event.event] || event.event} for {event.category}
+                {event.amount ? ` (${event.amount})` : ""}
+              </div>
+            ))}
+          </div>
+        ) : null}
+      </div>
+    );
+  }
+}
+
+ServiceManagerBudgets.propTypes = {
+  organizationId: PropTypes.string,
+  inlineStyles: PropTypes.object,
+  budgets: PropTypes.object,
+  mutations: PropTypes.object
+};
+
+const budgetFields = `
+  id
+  serviceManagerBudgets {
+    id
+    category
+    label
+    monthlyLimit
+    whenExceeded
+    spent
+    approved
+    blocked
+    exceeded
+    serviceManagers
+  }
+  serviceManagerBudgetEvents {
+    id
+    category
+    event
+    serviceManager
+    operation
+    amount
+    userName
+    createdAt
+  }
+`;
+
+const queries = {
+  budgets: {
+    query: gql`
+      query getServiceManagerBudgets($organizationId: String!) {
+        organization(id: $organizationId) {
+          ${budgetFields}
+        }
+      }
+    `,
+    options: ownProps => ({
+      variables: {
+        organizationId: ownProps.organizationId
+      },
+      fetchPolicy: "network-only"
+    })
+  }
+};
+
+const mutations = {
+  updateServiceManagerBudget: ownProps => (
+    category,
+    monthlyLimit,
+    whenExceeded
+  ) => ({
+    mutation: gql`
+      mutation updateServiceManagerBudget(
+        $organizationId: String!
+        $category: String!
+        $monthlyLimit: Int
+        $whenExceeded: String
+      ) {
+        updateServiceManagerBudget(
+          organizationId: $organizationId
+          category: $category
+          monthlyLimit: $monthlyLimit
+          whenExceeded: $whenExceeded
+        ) {
+          ${budgetFields}
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.organizationId,
+      category,
+      monthlyLimit,
+      whenExceeded
+    }
+  }),
+  approveServiceManagerBudget: ownProps => (category, amount) => ({
+    mutation: gql`
+      mutation approveServiceManagerBudget(
+        $organizationId: String!
+        $category: String!
+        $amount: Int!
+      ) {
+        approveServiceManagerBudget(
+          organizationId: $organizationId
+          category: $category
+          amount: $amount
+        ) {
+          ${budgetFields}
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.organizationId,
+      category,
+      amount
+    }
+  })
+};
+
+export default compose(loadData({ queries, mutations }))(ServiceManagerBudgets);
@@ -0,0 +1,152 @@
+import PropTypes from "prop-types";
+import React from "react";
+import { compose } from "recompose";
+import gql from "graphql-tag";
+import moment from "moment";
+import Papa from "papaparse";
+
+import Button from "@material-ui/core/Button";
+import TextField from "@material-ui/core/TextField";
+
+import loadData from "../hoc/load-data";
+
+const downloadCsv = (filename, rows) => {
+  const blob = new Blob([Papa.unparse(rows)], {
+    type: "text/csv;charset=utf-8;"
+  });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(link.href);
+};
+
+export class WrongNumbers extends React.Component {
+  state = {
+    unflagCell: ""
+  };
+
+  handleUnflag = async () => {
+    try {
+      const result = await this.props.mutations.unflagWrongNumber(
+        this.state.unflagCell.trim()
+      );
+      if (result.errors) {
+        throw new Error(result.errors.message || "The cell was not unflagged");
+      }
+      this.setState({ unflagCell: "", error: undefined });
+      await this.props.wrongNumbers.refetch();
+    } catch (caught) {
+      this.setState({ error: caught.message });
+    }
+  };
+
+  handleDownload = () => {
+    const { wrongNumbers } = this.props.wrongNumbers.organization;
+    downloadCsv(
+      `wrong-numbers-${moment().format("YYYY-MM-DD")}.csv`,
+      wrongNumbers.map(wrongNumber => ({
+        cell: wrongNumber.cell,
+        marked_at: wrongNumber.markedAt,
+        source: wrongNumber.source,
+        external_id: wrongNumber.externalId,
+        first_name: wrongNumber.firstName,
+        last_name: wrongNumber.lastName,
+        campaign_id: wrongNumber.campaignId,
+        campaign_contact_id: wrongNumber.campaignContactId
+      }))
+    );
+  };
+
+  render() {
+    const { wrongNumbers } = this.props.wrongNumbers.organization;
+    return (
+      <div>
+        <p>
+          {wrongNumbers.length} cells are flagged as wrong numbers (by the
+          wrong-number message handler or tag). They are left out of contacts
+          loaded into new campaigns.
+        </p>
+        <Button
+          variant="outlined"
+          onClick={this.handleDownload}
+          disabled={!wrongNumbers.length}
+        >
+          Download wrong numbers CSV
+        </Button>
+        <p>
+          Flagged by mistake? Unflag the cell so it can be loaded into campaigns
+          again.
+        </p>
+        <TextField
+          label="Cell to unflag, e.g. +12125550100"
+          value={this.state.unflagCell}
+          onChange={event => this.setState({ unflagCell: event.target.value })}
+          style={{ marginRight: 10, width: 300 }}
+        />
+        <Button
+          variant="outlined"
+          onClick={this.handleUnflag}
+          disabled={!this.state.unflagCell.trim()}
+        >
+          Unflag
+        </Button>
+        {this.state.error && <p style={{ color: "red" }}>{this.state.error}</p>}
+      </div>
+    );
+  }
+}
+
+WrongNumbers.propTypes = {
+  organizationId: PropTypes.string,
+  wrongNumbers: PropTypes.object,
+  mutations: PropTypes.object
+};
+
+const queries = {
+  wrongNumbers: {
+    query: gql`
+      query getWrongNumbers($organizationId: String!) {
+        organization(id: $organizationId) {
+          id
+          wrongNumbers {
+            cell
+            markedAt
+            source
+            campaignContactId
+            campaignId
+            externalId
+            firstName
+            lastName
+          }
+        }
+      }
+    `,
+    options: ownProps => ({
+      variables: {
+        organizationId: ownProps.organizationId
+      },
+      fetchPolicy: "network-only"
+    })
+  }
+};
+
+const mutations = {
+  unflagWrongNumber: ownProps => cell => ({
+    mutation: gql`
+      mutation unflagWrongNumber($organizationId: String!, $cell: String!) {
+        unflagWrongNumber(organizationId: $organizationId, cell: $cell) {
+          id
+        }
+      }
+    `,
+    variables: {
+      organizationId: ownProps.organizationId,
+      cell
+    }
+  })
+};
+
+export default compose(loadData({ queries, mutations }))(WrongNumbers);
@@ -36,6 +36,8 @@ export const contactDataFragment = `
           media {
             type
             url
+            thumbnailUrl
+            error
           }
           isFromContact
           userId
@@ -103,6 +105,12 @@ export const campaignQuery = gql`
           options
           sideboxChoices
         }
+        texterMedia {
+          id
+          name
+          url
+          thumbnailUrl
+        }
         cannedResponses {
           id
           title
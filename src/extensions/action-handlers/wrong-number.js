@@ -0,0 +1,68 @@
+import { getConfig } from "../../server/api/lib/config";
+import { cacheableData } from "../../server/models";
+
+export const name = "wrong-number";
+
+// What the user sees as the option
+export const displayName = () => "Mark as wrong number";
+
+// The Help text for the user after selecting the action
+export const instructions = () =>
+  `
+  The contact's cell is flagged as a wrong number: it is left out of future contact loads
+  and listed for export back to the CRM.
+  `;
+
+export function serverAdministratorInstructions() {
+  return {
+    description: `
+      Flags a contact's cell as a wrong number when a texter chooses an answer or canned response
+      with this action, or applies the tag in WRONG_NUMBER_TAG_ID.
+      `,
+    setupInstructions:
+      "Add `wrong-number` to the environment variable `ACTION_HANDLERS` (and see the wrong-number message handler)",
+    environmentVariables: ["WRONG_NUMBER_TAG_ID"]
+  };
+}
+
+export async function available(organization) {
+  return {
+    result: true,
+    expiresSeconds: 86400
+  };
+}
+
+const markWrongNumber = (contact, organizationId, source) =>
+  cacheableData.organizationContact.markWrongNumber({
+    organizationId,
+    cell: contact.cell,
+    campaignContactId: contact.id,
+    source
+  });
+
+// What happens when a texter saves the answer that triggers the action
+export async function processAction({
+  campaignContactId,
+  contact,
+  campaign,
+  organization
+}) {
+  await markWrongNumber(
+    { ...contact, id: campaignContactId },
+    (organization && organization.id) || campaign.organization_id,
+    "action"
+  );
+}
+
+export async function onTagUpdate(
+  tags,
+  contact,
+  campaign,
+  organization,
+  texter
+) {
+  const tagId = getConfig("WRONG_NUMBER_TAG_ID", organization);
+  if (tagId && tags.some(tag => String(tag.id) === String(tagId))) {
+    await markWrongNumber(contact, organization.id, "tag");
+  }
+}
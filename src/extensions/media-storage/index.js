@@ -0,0 +1,247 @@
+import crypto from "crypto";
+import fetch from "node-fetch";
+
+import { log } from "../../lib";
+import { getConfig } from "../../server/api/lib/config";
+
+// Copies media that contacts send (MMS) from the vendor into our own storage,
+// so conversations keep their media after the vendor's retention period.
+//
+// MEDIA_STORAGE picks the driver (./<name>/index.js): "s3" or "local".
+// When it is unset, vendor urls are saved as before.
+//
+// Message.media items are saved as
+//   { type, storage, key, size, thumbnailKey?, thumbnailType? }
+// or { type, error } when the media was not accepted (type or size),
+// and getMediaUrls() turns them into links that expire for the client.
+// Files uploaded to Spoke (e.g. images texters may attach) are saved the
+// same way with storeMedia().
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_CONTENT_TYPES = "image/,video/,audio/";
+// svg can carry scripts, so it is never served from our own domain
+const BLOCKED_CONTENT_TYPES = ["image/svg+xml"];
+const DEFAULT_URL_EXPIRES_SECONDS = 3600;
+const DEFAULT_THUMBNAIL_SIZE = 240;
+
+const drivers = {};
+
+function getDriver(name) {
+  if (!(name in drivers)) {
+    try {
+      // eslint-disable-next-line global-require, import/no-dynamic-require
+      drivers[name] = require(`./${name}/index.js`);
+    } catch (err) {
+      log.error("MEDIA_STORAGE failed to load", name, err);
+      drivers[name] = null;
+    }
+  }
+  return drivers[name];
+}
+
+export function getMediaStorage() {
+  const name = getConfig("MEDIA_STORAGE");
+  const driver = name && getDriver(name);
+  return driver && driver.fullyConfigured() ? driver : null;
+}
+
+const contentTypeOf = header =>
+  String(header || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+
+export function isAllowedContentType(contentType) {
+  if (!contentType || BLOCKED_CONTENT_TYPES.includes(contentType)) {
+    return false;
+  }
+  const allowed = (
+    getConfig("MEDIA_STORAGE_CONTENT_TYPES") || DEFAULT_CONTENT_TYPES
+  )
+    .split(",")
+    .map(t => t.trim().toLowerCase())
+    .filter(Boolean);
+  return allowed.some(t =>
+    t.endsWith("/") ? contentType.startsWith(t) : contentType === t
+  );
+}
+
+const maxBytes = () =>
+  Number(getConfig("MEDIA_STORAGE_MAX_BYTES")) || DEFAULT_MAX_BYTES;
+
+let sharp;
+const getSharp = () => {
+  if (sharp === undefined) {
+    try {
+      // optional: thumbnails are only made when sharp is installed
+      // eslint-disable-next-line global-require, import/no-unresolved
+      sharp = require("sharp");
+    } catch (err) {
+      sharp = null;
+    }
+  }
+  return sharp;
+};
+
+async function makeThumbnail(body, contentType) {
+  const resize = getSharp();
+  if (!resize || !contentType.startsWith("image/")) {
+    return null;
+  }
+  const size =
+    Number(getConfig("MEDIA_STORAGE_THUMBNAIL_SIZE")) || DEFAULT_THUMBNAIL_SIZE;
+  try {
+    return await resize(body)
+      .resize(size, size, { fit: "inside", withoutEnlargement: true })
+      .jpeg()
+      .toBuffer();
+  } catch (err) {
+    log.warn("media-storage: could not make a thumbnail", err.message);
+    return null;
+  }
+}
+
+async function saveMedia(storage, body, contentType) {
+  const key = crypto.randomBytes(16).toString("hex");
+  await storage.putObject({ key, body, contentType });
+  const stored = {
+    type: contentType,
+    storage: storage.name,
+    key,
+    size: body.length
+  };
+  const thumbnail = await makeThumbnail(body, contentType);
+  if (thumbnail) {
+    stored.thumbnailKey = `${key}-thumb`;
+    stored.thumbnailType = "image/jpeg";
+    await storage.putObject({
+      key: stored.thumbnailKey,
+      body: thumbnail,
+      contentType: stored.thumbnailType
+    });
+  }
+  return stored;
+}
+
+/**
+ * Downloads one vendor media item and saves it (and a thumbnail) to storage.
+ * Throws when the download fails, so the caller can keep the vendor url.
+ */
+async function storeMediaItem(storage, item) {
+  const limit = maxBytes();
+  // reading the body fails once it is over the limit
+  const res = await fetch(item.url, { size: limit, timeout: 10000 });
+  if (!res.ok) {
+    throw new Error(`media download failed with status ${res.status}`);
+  }
+  const contentType =
+    contentTypeOf(res.headers.get("content-type")) || contentTypeOf(item.type);
+  if (!isAllowedContentType(contentType)) {
+    return { type: contentType || item.type, error: "unsupported media type" };
+  }
+  if (Number(res.headers.get("content-length")) > limit) {
+    return { type: contentType, error: "media is too large" };
+  }
+  const body = await res.buffer().catch(err => {
+    if (err.type === "max-size") {
+      return null;
+    }
+    throw err;
+  });
+  if (!body) {
+    return { type: contentType, error: "media is too large" };
+  }
+  return saveMedia(storage, body, contentType);
+}
+
+/**
+ * Saves an uploaded file, e.g. an image an admin allows texters to send.
+ * @returns the stored media item, or { type, error } when it was not accepted
+ */
+export async function storeMedia({ body, contentType }) {
+  const storage = getMediaStorage();
+  const type = contentTypeOf(contentType);
+  if (!storage) {
+    return { type, error: "media storage is not configured" };
+  }
+  if (!isAllowedContentType(type)) {
+    return { type, error: "unsupported media type" };
+  }
+  if (body.length > maxBytes()) {
+    return { type, error: "media is too large" };
+  }
+  return saveMedia(storage, body, type);
+}
+
+/**
+ * Replaces vendor media urls on an incoming message with stored copies.
+ * Items that fail to download keep their vendor url.
+ */
+export async function storeIncomingMedia(messageInstance) {
+  const storage = getMediaStorage();
+  const { media } = messageInstance;
+  if (!storage || !Array.isArray(media) || !media.length) {
+    return messageInstance;
+  }
+  // eslint-disable-next-line no-param-reassign
+  messageInstance.media = await Promise.all(
+    media.map(async item => {
+      if (!item || !item.url) {
+        return item;
+      }
+      try {
+        return await storeMediaItem(storage, item);
+      } catch (err) {
+        log.error("media-storage: keeping vendor media url", {
+          serviceId: messageInstance.service_id,
+          error: err.message
+        });
+        return item;
+      }
+    })
+  );
+  return messageInstance;
+}
+
+/**
+ * @returns the media item as the client sees it: { type, url, thumbnailUrl, error }
+ *   where urls of stored media expire after MEDIA_STORAGE_URL_EXPIRES seconds
+ */
+export function getMediaUrls(item) {
+  if (item && item.error) {
+    return { type: item.type, error: item.error };
+  }
+  if (!item || !item.storage) {
+    return item;
+  }
+  const storage = getDriver(item.storage);
+  if (!storage) {
+    return { type: item.type, error: "media storage is not available" };
+  }
+  const expiresIn =
+    Number(getConfig("MEDIA_STORAGE_URL_EXPIRES")) ||
+    DEFAULT_URL_EXPIRES_SECONDS;
+  const url = storage.getUrl(item.key, { contentType: item.type, expiresIn });
+  let thumbnailUrl = null;
+  if (item.thumbnailKey) {
+    thumbnailUrl = storage.getUrl(item.thumbnailKey, {
+      contentType: item.thumbnailType,
+      expiresIn
+    });
+  } else if (String(item.type).startsWith("image/")) {
+    // stored without an image library: the client scales the original down
+    thumbnailUrl = url;
+  }
+  return {
+    type: item.type,
+    url,
+    thumbnailUrl
+  };
+}
+
+export function addServerEndpoints(app) {
+  const storage = getMediaStorage();
+  if (storage && storage.addServerEndpoints) {
+    storage.addServerEndpoints(app);
+  }
+}
@@ -0,0 +1,84 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+import { log } from "../../../lib";
+import { getConfig } from "../../../server/api/lib/config";
+
+// Stores media on local disk -- meant for development and single-server setups.
+// Files are served by the /media/:key endpoint, only with a valid, unexpired
+// signature (made with SESSION_SECRET) so links cannot be guessed or shared forever.
+
+export const name = "local";
+
+const KEY_REGEX = /^[a-zA-Z0-9_.-]+$/;
+
+const storageDir = () =>
+  path.resolve(getConfig("MEDIA_STORAGE_LOCAL_DIR") || "./media-storage");
+
+const filePath = key => {
+  if (!KEY_REGEX.test(key)) {
+    throw new Error(`Invalid media key ${key}`);
+  }
+  return path.join(storageDir(), key);
+};
+
+const sign = (key, contentType, expires) =>
+  crypto
+    .createHmac("sha256", getConfig("SESSION_SECRET") || "")
+    .update(`${key}|${contentType}|${expires}`)
+    .digest("hex");
+
+export function fullyConfigured() {
+  return Boolean(getConfig("SESSION_SECRET"));
+}
+
+export async function putObject({ key, body }) {
+  await fs.promises.mkdir(storageDir(), { recursive: true });
+  await fs.promises.writeFile(filePath(key), body);
+}
+
+export function getUrl(key, { contentType, expiresIn }) {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const query = [
+    `type=${encodeURIComponent(contentType)}`,
+    `expires=${expires}`,
+    `signature=${sign(key, contentType, expires)}`
+  ].join("&");
+  return `${getConfig("BASE_URL") || ""}/media/${key}?${query}`;
+}
+
+export function verifyUrl(key, { type, expires, signature }) {
+  if (!key || !type || !expires || !signature) {
+    return false;
+  }
+  if (Number(expires) < Date.now() / 1000) {
+    return false;
+  }
+  const expected = Buffer.from(sign(key, type, expires));
+  const given = Buffer.from(String(signature));
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+}
+
+export function addServerEndpoints(app) {
+  app.get("/media/:key", (req, res) => {
+    const { key } = req.params;
+    if (!KEY_REGEX.test(key) || !verifyUrl(key, req.query)) {
+      res.status(403).send("This link has expired");
+      return;
+    }
+    res.set({
+      "Content-Type": req.query.type,
+      "Cache-Control": "private, max-age=3600",
+      "X-Content-Type-Options": "nosniff"
+    });
+    fs.createReadStream(filePath(key))
+      .on("error", err => {
+        log.error("media-storage local: read failed", key, err.message);
+        res.status(404).end();
+      })
+      .pipe(res);
+  });
+}
@@ -0,0 +1,42 @@
+import AWS from "aws-sdk";
+
+import { getConfig } from "../../../server/api/lib/config";
+
+// Stores media in MEDIA_STORAGE_S3_BUCKET (default: AWS_S3_BUCKET_NAME) under
+// MEDIA_STORAGE_S3_PREFIX. The bucket should NOT be public: links are presigned.
+
+export const name = "s3";
+
+const bucketName = () =>
+  getConfig("MEDIA_STORAGE_S3_BUCKET") || getConfig("AWS_S3_BUCKET_NAME");
+
+const objectKey = key =>
+  `${getConfig("MEDIA_STORAGE_S3_PREFIX") || "media/"}${key}`;
+
+const s3 = () => new AWS.S3({ params: { Bucket: bucketName() } });
+
+export function fullyConfigured() {
+  return Boolean(
+    bucketName() &&
+      (getConfig("AWS_ACCESS_AVAILABLE") ||
+        (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY))
+  );
+}
+
+export async function putObject({ key, body, contentType }) {
+  await s3()
+    .putObject({
+      Key: objectKey(key),
+      Body: body,
+      ContentType: contentType
+    })
+    .promise();
+}
+
+export function getUrl(key, { contentType, expiresIn }) {
+  return s3().getSignedUrl("getObject", {
+    Key: objectKey(key),
+    Expires: expiresIn,
+    ResponseContentType: contentType
+  });
+}
@@ -0,0 +1,77 @@
+import { getConfig } from "../../../server/api/lib/config";
+import { cacheableData } from "../../../server/models";
+
+// the opt-in keywords carriers (and Twilio) honor after STOP
+const DEFAULT_AUTO_OPTIN_REGEX = "^\\s*(start|unstop)\\s*$";
+
+export const serverAdministratorInstructions = () => {
+  return {
+    description: `
+      Opts contacts back in when an opted-out contact texts START or UNSTOP.
+    `,
+    setupInstructions: `Add auto-optin to MESSAGE_HANDLERS.
+       The keywords can be changed with a regular expression in AUTO_OPTIN_REGEX
+       (matched case-insensitively), e.g. ^\\s*(start|unstop|resubscribe)\\s*$
+       The opt-out is removed for the contact's organization (or every organization
+       with OPTOUTS_SHARE_ALL_ORGS) and the contact's other active campaigns.
+    `,
+    environmentVariables: ["AUTO_OPTIN_REGEX"]
+  };
+};
+
+// note this is NOT async
+export const available = organization => {
+  try {
+    new RegExp(
+      getConfig("AUTO_OPTIN_REGEX", organization) || DEFAULT_AUTO_OPTIN_REGEX
+    );
+    return true;
+  } catch (e) {
+    console.log("message-handler/auto-optin AUTO_OPTIN_REGEX is invalid", e);
+    return false;
+  }
+};
+
+export const preMessageSave = async ({ messageToSave, organization }) => {
+  if (!messageToSave.is_from_contact) {
+    return;
+  }
+  const re = new RegExp(
+    getConfig("AUTO_OPTIN_REGEX", organization) || DEFAULT_AUTO_OPTIN_REGEX,
+    "i"
+  );
+  if (!String(messageToSave.text).match(re)) {
+    return;
+  }
+  const isOptedOut = await cacheableData.optOut.query({
+    cell: messageToSave.contact_number,
+    organizationId: organization.id
+  });
+  if (isOptedOut) {
+    return {
+      contactUpdates: {
+        is_opted_out: false
+      },
+      handlerContext: {
+        autoOptInReason: messageToSave.text.trim().toLowerCase()
+      }
+    };
+  }
+};
+
+export const postMessageSave = async ({
+  message,
+  organization,
+  handlerContext
+}) => {
+  if (message.is_from_contact && handlerContext.autoOptInReason) {
+    await cacheableData.optOut.remove({
+      cell: message.contact_number,
+      organizationId: organization.id,
+      campaignContactId: message.campaign_contact_id,
+      reason: handlerContext.autoOptInReason,
+      user: null, // the contact opted back in
+      organization
+    });
+  }
+};
@@ -18,8 +18,210 @@ export const serverAdministratorInstructions = () => {
        you might end up opting way more people out than you intended.
        Consider testing your AUTO_OPTOUT_REGEX_BASE64 with the PROFANITY TAGGER first
        and confirming that the list is what you expect.
+       Opt-out phrases and replies in other languages can be set in Settings
+       (or AUTO_OPTOUT_LANGUAGES) and tried out there.
     `,
-    environmentVariables: ["AUTO_OPTOUT_REGEX_LIST_BASE64", "OPT_OUT_MESSAGE"]
+    environmentVariables: [
+      "AUTO_OPTOUT_REGEX_LIST_BASE64",
+      "AUTO_OPTOUT_LANGUAGES",
+      "AUTO_OPTOUT_LANGUAGE_FIELD",
+      "OPT_OUT_MESSAGE"
+    ]
+  };
+};
+
+const DEFAULT_OPT_OUT_MESSAGE =
+  "I'm opting you out of texts immediately. Have a great day.";
+
+// lowercase without accents or surrounding punctuation, so "¡Alto!" matches "alto"
+const normalizeText = text =>
+  String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/^[\s\p{P}\p{S}]+|[\s\p{P}\p{S}]+$/gu, "")
+    .replace(/\s+/g, " ");
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Opt-out phrases and replies by language, e.g.
+ * [{"code": "es", "name": "Spanish", "phrases": ["alto", "no me escriban"], "reply": "..."}]
+ */
+export const getLanguages = organization => {
+  const languages = getConfig("AUTO_OPTOUT_LANGUAGES", organization);
+  if (!languages) {
+    return [];
+  }
+  if (typeof languages === "string") {
+    try {
+      return JSON.parse(languages);
+    } catch (err) {
+      console.error("auto-optout AUTO_OPTOUT_LANGUAGES is not valid JSON", err);
+      return [];
+    }
+  }
+  return languages;
+};
+
+/**
+ * Throws an Error describing the first invalid language
+ * @returns the languages cleaned up to be saved
+ */
+export const validateLanguages = languages => {
+  const codes = new Set();
+  return languages.map(language => {
+    const code = String(language.code || "")
+      .trim()
+      .toLowerCase();
+    const name = String(language.name || "").trim() || code;
+    if (!code) {
+      throw new Error("Each language needs a code, e.g. es");
+    }
+    if (codes.has(code)) {
+      throw new Error(`The language ${code} is listed twice`);
+    }
+    codes.add(code);
+    const phrases = (language.phrases || [])
+      .map(phrase => String(phrase).trim())
+      .filter(Boolean);
+    return {
+      code,
+      name,
+      phrases,
+      reply: String(language.reply || "").trim()
+    };
+  });
+};
+
+// single words only opt out when they are the whole message (like the default list)
+// and longer phrases anywhere in it
+const phraseMatches = (normalizedText, phrase) => {
+  const normalizedPhrase = normalizeText(phrase);
+  if (!normalizedPhrase) {
+    return false;
+  }
+  if (normalizedText === normalizedPhrase) {
+    return true;
+  }
+  return (
+    /\s/.test(normalizedPhrase) &&
+    new RegExp(
+      `(^|[^\\p{L}\\p{N}])${escapeRegex(normalizedPhrase)}($|[^\\p{L}\\p{N}])`,
+      "u"
+    ).test(normalizedText)
+  );
+};
+
+/**
+ * Whether a contact's message opts them out
+ * @returns null or { reason, language, shouldAutoRespond }
+ */
+export const matchOptOut = (text, organization, languages) => {
+  const config = Buffer.from(
+    getConfig("AUTO_OPTOUT_REGEX_LIST_BASE64", organization) ||
+      DEFAULT_AUTO_OPTOUT_REGEX_LIST_BASE64,
+    "base64"
+  ).toString();
+  const regexList = JSON.parse(config || "[]");
+  const matches = regexList.filter(matcher => {
+    const re = new RegExp(matcher.regex, "i");
+    return String(text).match(re);
+  });
+  if (matches.length) {
+    return {
+      reason: matches[0].reason || "auto_optout",
+      language: null,
+      shouldAutoRespond: matches[0].shouldAutoRespond
+    };
+  }
+  const normalizedText = normalizeText(text);
+  const language = (languages || getLanguages(organization)).find(lang =>
+    (lang.phrases || []).some(phrase => phraseMatches(normalizedText, phrase))
+  );
+  if (language) {
+    return {
+      reason: "stop",
+      language: language.code,
+      shouldAutoRespond: Boolean(language.reply)
+    };
+  }
+  return null;
+};
+
+// https://support.twilio.com/hc/en-us/articles/223134027-Twilio-support-for-opt-out-keywords-SMS-STOP-filtering-
+const twilioAutoOptOutWords = [
+  "STOP",
+  "STOPALL",
+  "UNSUBSCRIBE",
+  "CANCEL",
+  "END",
+  "QUIT"
+];
+
+/**
+ * Whether Spoke replies to an opt-out: when the matched rule or language asks
+ * for it or SEND_AUTO_OPT_OUT_RESPONSE is set, except for the keywords
+ * Twilio already replies to
+ */
+export const shouldSendReply = (text, match, organization) => {
+  if (
+    !match.shouldAutoRespond &&
+    !getConfig("SEND_AUTO_OPT_OUT_RESPONSE", organization)
+  ) {
+    return false;
+  }
+  return !(
+    getConfig("DEFAULT_SERVICE", organization) == "twilio" &&
+    twilioAutoOptOutWords.indexOf(
+      String(text)
+        .toUpperCase()
+        .trim()
+    ) > -1
+  );
+};
+
+/**
+ * The opt-out reply: in the language of the contact's custom field
+ * (AUTO_OPTOUT_LANGUAGE_FIELD) or else of their message
+ */
+export const getOptOutReply = ({
+  organization,
+  contact,
+  messageLanguage,
+  languages,
+  contactLanguage // instead of the contact's custom field
+}) => {
+  const orgLanguages = languages || getLanguages(organization);
+  const languageField = getConfig("AUTO_OPTOUT_LANGUAGE_FIELD", organization);
+  let contactFieldLanguage = contactLanguage;
+  if (!contactFieldLanguage && languageField && contact) {
+    let customFields = contact.custom_fields || {};
+    if (typeof customFields === "string") {
+      customFields = JSON.parse(customFields || "{}");
+    }
+    contactFieldLanguage = customFields[languageField];
+  }
+  contactFieldLanguage = normalizeText(contactFieldLanguage);
+  const language =
+    (contactFieldLanguage &&
+      orgLanguages.find(
+        lang =>
+          lang.reply &&
+          (lang.code === contactFieldLanguage ||
+            normalizeText(lang.name) === contactFieldLanguage)
+      )) ||
+    (messageLanguage &&
+      orgLanguages.find(lang => lang.reply && lang.code === messageLanguage));
+  if (language) {
+    return { language: language.code, reply: language.reply };
+  }
+  return {
+    language: null,
+    reply:
+      getFeatures(organization).opt_out_message ||
+      getConfig("OPT_OUT_MESSAGE", organization) ||
+      DEFAULT_OPT_OUT_MESSAGE
   };
 };
 
@@ -45,24 +247,13 @@ export const available = organization => {
 
 export const preMessageSave = async ({ messageToSave, organization }) => {
   if (messageToSave.is_from_contact) {
-    const config = Buffer.from(
-      getConfig("AUTO_OPTOUT_REGEX_LIST_BASE64", organization) ||
-        DEFAULT_AUTO_OPTOUT_REGEX_LIST_BASE64,
-      "base64"
-    ).toString();
-    const regexList = JSON.parse(config || "[]");
-    const matches = regexList.filter(matcher => {
-      const re = new RegExp(matcher.regex, "i");
-      return String(messageToSave.text).match(re);
-    });
-    // console.log("auto-optout", matches, messageToSave.text, regexList);
-    if (matches.length) {
+    const match = matchOptOut(messageToSave.text, organization);
+    if (match) {
       console.log(
         "auto-optout MATCH",
         messageToSave.campaign_contact_id,
-        matches
+        match
       );
-      const reason = matches[0].reason || "auto_optout";
       messageToSave.error_code = -133;
       return {
         contactUpdates: {
@@ -71,8 +262,9 @@ export const preMessageSave = async ({ messageToSave, organization }) => {
           message_status: "closed"
         },
         handlerContext: {
-          autoOptOutReason: reason,
-          autoOptOutShouldAutoRespond: matches[0].shouldAutoRespond
+          autoOptOutReason: match.reason,
+          autoOptOutLanguage: match.language,
+          autoOptOutShouldAutoRespond: match.shouldAutoRespond
         },
         messageToSave
       };
@@ -115,37 +307,24 @@ export const postMessageSave = async ({
     });
 
     if (
-      handlerContext.autoOptOutShouldAutoRespond ||
-      getConfig("SEND_AUTO_OPT_OUT_RESPONSE", organization)
+      shouldSendReply(
+        message.text,
+        { shouldAutoRespond: handlerContext.autoOptOutShouldAutoRespond },
+        organization
+      )
     ) {
-      // https://support.twilio.com/hc/en-us/articles/223134027-Twilio-support-for-opt-out-keywords-SMS-STOP-filtering-
-      const twilioAutoOptOutWords = [
-        "STOP",
-        "STOPALL",
-        "UNSUBSCRIBE",
-        "CANCEL",
-        "END",
-        "QUIT"
-      ];
-
-      if (
-        getConfig("DEFAULT_SERVICE", organization) == "twilio" &&
-        twilioAutoOptOutWords.indexOf(message.text.toUpperCase().trim()) > -1
-      ) {
-        return;
-      }
-
       contact =
         contact ||
         (await cacheableData.campaignContact.load(message.campaign_contact_id));
 
-      const optOutMessage =
-        getFeatures(organization).opt_out_message ||
-        getConfig("OPT_OUT_MESSAGE", organization) ||
-        "I'm opting you out of texts immediately. Have a great day.";
+      const { reply } = getOptOutReply({
+        organization,
+        contact,
+        messageLanguage: handlerContext.autoOptOutLanguage
+      });
 
       await sendRawMessage({
-        finalText: optOutMessage,
+        finalText: reply,
         contact,
         campaign,
         organization,
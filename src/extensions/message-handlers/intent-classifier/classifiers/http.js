@@ -0,0 +1,36 @@
+import { getConfig } from "../../../../server/api/lib/config";
+import HttpRequest from "../../../../server/lib/http-request.js";
+
+// Classifies with an external model: POSTs {"text": "...", "labels": [...]} to
+// INTENT_CLASSIFIER_URL, which responds with {"labels": [{"label": "...", "score": 0.9}]}
+
+export const labels = organization =>
+  (getConfig("INTENT_CLASSIFIER_LABELS", organization) || "")
+    .split(",")
+    .map(label => label.trim())
+    .filter(Boolean);
+
+export const classify = async ({ text, organization }) => {
+  const url = getConfig("INTENT_CLASSIFIER_URL", organization);
+  if (!url) {
+    throw new Error("INTENT_CLASSIFIER_URL is not set");
+  }
+  const headers = { "Content-Type": "application/json" };
+  const auth = getConfig("INTENT_CLASSIFIER_AUTH", organization);
+  if (auth) {
+    headers.Authorization = auth;
+  }
+  const response = await HttpRequest(url, {
+    method: "POST",
+    headers,
+    retries: 0,
+    timeout: Number(
+      getConfig("INTENT_CLASSIFIER_TIMEOUT", organization) || 2000
+    ),
+    body: JSON.stringify({ text, labels: labels(organization) })
+  });
+  const result = await response.json();
+  return (result.labels || [])
+    .map(({ label, score }) => ({ label, score: Number(score) || 0 }))
+    .sort((a, b) => b.score - a.score);
+};
@@ -0,0 +1,132 @@
+import { getConfig } from "../../../../server/api/lib/config";
+
+// The default classifier: runs locally by matching words and phrases per label.
+// Longer phrases count more than single words and a word right after a negation
+// ("not", "don't", ...) does not count, so "not voting for" is not a supporter.
+export const DEFAULT_KEYWORDS = {
+  "wrong number": [
+    "wrong number",
+    "wrong person",
+    "wrong #",
+    "who is this",
+    "who are you",
+    "not me",
+    "no one by that name",
+    "nobody by that name",
+    "dont know who",
+    "dont know any",
+    "you have the wrong",
+    "not my name",
+    "this is not"
+  ],
+  moved: [
+    "moved",
+    "no longer live",
+    "dont live",
+    "not live",
+    "dont live there anymore",
+    "relocated",
+    "new address",
+    "out of state",
+    "live in another state"
+  ],
+  supporter: [
+    "yes",
+    "yeah",
+    "yep",
+    "absolutely",
+    "definitely",
+    "of course",
+    "count me in",
+    "im in",
+    "sign me up",
+    "support",
+    "voting for",
+    "will vote for",
+    "already voted for",
+    "love"
+  ],
+  opposed: [
+    "no",
+    "nope",
+    "never",
+    "no way",
+    "oppose",
+    "against",
+    "not voting for",
+    "wont vote for",
+    "not interested",
+    "hate"
+  ]
+};
+
+const NEGATIONS = ["not", "dont", "wont", "cant", "never", "no", "didnt"];
+
+const tokenize = text =>
+  String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .split(/[^a-z0-9#]+/)
+    .filter(Boolean);
+
+const getKeywords = organization => {
+  const keywords = getConfig("INTENT_CLASSIFIER_KEYWORDS", organization);
+  if (!keywords) {
+    return DEFAULT_KEYWORDS;
+  }
+  if (typeof keywords === "string") {
+    try {
+      return JSON.parse(keywords);
+    } catch (err) {
+      console.error(
+        "intent-classifier INTENT_CLASSIFIER_KEYWORDS is not valid JSON",
+        err
+      );
+      return DEFAULT_KEYWORDS;
+    }
+  }
+  return keywords;
+};
+
+// the number of words of each (not negated) time the phrase appears
+const phraseWeight = (tokens, phrase) => {
+  const phraseTokens = tokenize(phrase);
+  let weight = 0;
+  if (!phraseTokens.length) {
+    return weight;
+  }
+  for (let i = 0; i + phraseTokens.length <= tokens.length; i++) {
+    const matches = phraseTokens.every((token, j) => tokens[i + j] === token);
+    const negated =
+      i > 0 &&
+      NEGATIONS.includes(tokens[i - 1]) &&
+      !NEGATIONS.includes(phraseTokens[0]);
+    if (matches && !negated) {
+      weight += phraseTokens.length;
+    }
+  }
+  return weight;
+};
+
+export const labels = organization => Object.keys(getKeywords(organization));
+
+/**
+ * @returns [{ label, score }] with scores between 0 and 1, best first
+ */
+export const classify = async ({ text, organization }) => {
+  const tokens = tokenize(text);
+  const keywords = getKeywords(organization);
+  return Object.keys(keywords)
+    .map(label => {
+      const weight = keywords[label].reduce(
+        (total, phrase) => total + phraseWeight(tokens, phrase),
+        0
+      );
+      // one word scores 0.5, a two word phrase 0.67, ...
+      return { label, score: weight / (weight + 1) };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+};
@@ -0,0 +1,129 @@
+import { getConfig } from "../../../server/api/lib/config";
+import { cacheableData } from "../../../server/models";
+import * as http from "./classifiers/http";
+import * as keywords from "./classifiers/keywords";
+
+export const classifierMap = {
+  http,
+  keywords
+};
+
+export const serverAdministratorInstructions = () => {
+  return {
+    description: `
+      Classifies contact replies by intent (e.g. "wrong number", "moved", "supporter", "opposed")
+      and tags the contact, so conversations can be filtered by intent in Message Review.
+    `,
+    setupInstructions: `Add intent-classifier to MESSAGE_HANDLERS.
+       Create a tag for each intent you want to tag and set INTENT_CLASSIFIER_TAGS to a JSON object
+       from labels to tag ids, e.g. {"wrong number": 12, "moved": 13}.
+       By default replies are classified locally by keywords (INTENT_CLASSIFIER=keywords),
+       which can be customized with INTENT_CLASSIFIER_KEYWORDS in the form
+       {"label": ["phrase", "another phrase"]}.  To use an external model, set
+       INTENT_CLASSIFIER=http and INTENT_CLASSIFIER_URL (and INTENT_CLASSIFIER_LABELS).
+       Only the best label scoring at least INTENT_CLASSIFIER_MIN_SCORE (default 0.5) is tagged.
+    `,
+    environmentVariables: [
+      "INTENT_CLASSIFIER",
+      "INTENT_CLASSIFIER_TAGS",
+      "INTENT_CLASSIFIER_MIN_SCORE",
+      "INTENT_CLASSIFIER_KEYWORDS",
+      "INTENT_CLASSIFIER_URL",
+      "INTENT_CLASSIFIER_AUTH",
+      "INTENT_CLASSIFIER_LABELS",
+      "INTENT_CLASSIFIER_TIMEOUT"
+    ]
+  };
+};
+
+/**
+ * Classifiers are modules in ./classifiers/, listed in classifierMap, exporting
+ *   classify({ text, message, organization }) => Promise<[{ label, score }]> (best first)
+ *   labels(organization) => [label]
+ */
+export const getClassifier = organization => {
+  const name = getConfig("INTENT_CLASSIFIER", organization) || "keywords";
+  if (!classifierMap.hasOwnProperty(name)) {
+    console.error(
+      `intent-classifier INTENT_CLASSIFIER ${name} is not a classifier, using keywords`
+    );
+    return classifierMap.keywords;
+  }
+  return classifierMap[name];
+};
+
+export const getTagIds = organization => {
+  const tags = getConfig("INTENT_CLASSIFIER_TAGS", organization);
+  if (!tags) {
+    return {};
+  }
+  if (typeof tags === "string") {
+    try {
+      return JSON.parse(tags);
+    } catch (err) {
+      console.error(
+        "intent-classifier INTENT_CLASSIFIER_TAGS is not valid JSON"
+      );
+      return {};
+    }
+  }
+  return tags;
+};
+
+/**
+ * The label to tag: the best one, when it scores high enough and is not tied
+ */
+export const chooseLabel = (results, organization) => {
+  const minScore = Number(
+    getConfig("INTENT_CLASSIFIER_MIN_SCORE", organization) || 0.5
+  );
+  const [best, runnerUp] = results || [];
+  if (!best || best.score < minScore) {
+    return null;
+  }
+  if (runnerUp && runnerUp.score === best.score) {
+    return null;
+  }
+  return best.label;
+};
+
+// note this is NOT async
+export const available = organization =>
+  Object.keys(getTagIds(organization)).length > 0;
+
+export const postMessageSave = async ({
+  message,
+  organization,
+  handlerContext
+}) => {
+  if (
+    !message.is_from_contact ||
+    !message.campaign_contact_id ||
+    (handlerContext && handlerContext.autoOptOutReason)
+  ) {
+    return;
+  }
+  const tagIds = getTagIds(organization);
+  const classifier = getClassifier(organization);
+  if (!classifier || !Object.keys(tagIds).length) {
+    return;
+  }
+  let results;
+  try {
+    results = await classifier.classify({
+      text: message.text,
+      message,
+      organization
+    });
+  } catch (err) {
+    // a classifier outage should not get in the way of saving messages
+    console.error("intent-classifier classify failed", err);
+    return;
+  }
+  const label = chooseLabel(results, organization);
+  if (label && tagIds[label]) {
+    await cacheableData.tagCampaignContact.save(message.campaign_contact_id, [
+      { id: tagIds[label] }
+    ]);
+  }
+};
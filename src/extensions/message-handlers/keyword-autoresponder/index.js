@@ -0,0 +1,207 @@
+import camelCaseKeys from "camelcase-keys";
+
+import { applyScript } from "../../../lib/scripts";
+import { getConfig, getFeatures } from "../../../server/api/lib/config";
+import { cacheableData, r } from "../../../server/models";
+import { sendRawMessage } from "../../../server/api/mutations/sendMessage";
+
+export const MATCH_TYPES = ["exact", "regex"];
+
+export const serverAdministratorInstructions = () => {
+  return {
+    description: `
+      Automatically replies to contact messages matching keywords like HELP or INFO,
+      and can tag or close the conversation.
+    `,
+    setupInstructions: `Add keyword-autoresponder to MESSAGE_HANDLERS.
+       Rules are set org-wide and per campaign by adding keyword-autoresponder to
+       SERVICE_MANAGERS (Settings and the campaign edit page), or org-wide with a JSON list in
+       KEYWORD_AUTORESPONDER_RULES in the form:
+       [{"keyword": "HELP", "matchType": "exact", "reply": "Hi {firstName}, ...", "tagId": null, "close": false}]
+       A contact gets at most one automatic reply every KEYWORD_AUTORESPONDER_RATE_LIMIT_MINUTES (default 60).
+    `,
+    environmentVariables: [
+      "KEYWORD_AUTORESPONDER_RULES",
+      "KEYWORD_AUTORESPONDER_RATE_LIMIT_MINUTES"
+    ]
+  };
+};
+
+const parseRules = rules => {
+  if (!rules) {
+    return [];
+  }
+  if (typeof rules === "string") {
+    try {
+      return JSON.parse(rules);
+    } catch (err) {
+      console.error("keyword-autoresponder rules are not valid JSON", err);
+      return [];
+    }
+  }
+  return rules;
+};
+
+/**
+ * Throws an Error describing the first invalid rule
+ * @returns the rules cleaned up to be saved
+ */
+export const validateRules = rules => {
+  if (!Array.isArray(rules)) {
+    throw new Error("The rules must be a list");
+  }
+  return rules.map((rule, i) => {
+    const keyword = String(rule.keyword || "").trim();
+    const reply = String(rule.reply || "").trim();
+    const matchType = rule.matchType || "exact";
+    if (!keyword) {
+      throw new Error(`Rule ${i + 1} needs a keyword`);
+    }
+    if (!MATCH_TYPES.includes(matchType)) {
+      throw new Error(`Rule ${i + 1} has an unknown match type ${matchType}`);
+    }
+    if (matchType === "regex") {
+      try {
+        new RegExp(keyword, "i");
+      } catch (err) {
+        throw new Error(`Rule ${i + 1} is not a valid regular expression`);
+      }
+    }
+    if (!reply && !rule.tagId && !rule.close) {
+      throw new Error(`Rule ${i + 1} needs a reply, a tag or to close`);
+    }
+    return {
+      keyword,
+      matchType,
+      reply,
+      tagId: rule.tagId ? String(rule.tagId) : null,
+      close: Boolean(rule.close)
+    };
+  });
+};
+
+export const getOrganizationRules = organization =>
+  parseRules(getConfig("KEYWORD_AUTORESPONDER_RULES", organization));
+
+export const getCampaignRules = campaign =>
+  parseRules(getFeatures(campaign).keywordAutoresponderRules);
+
+/**
+ * The first rule matching the text: campaign rules before org-wide rules
+ */
+export const findMatchingRule = (text, rules) => {
+  const normalizedText = String(text || "")
+    .trim()
+    .toLowerCase();
+  return rules.find(rule => {
+    if (rule.matchType === "regex") {
+      try {
+        return new RegExp(rule.keyword, "i").test(text);
+      } catch (err) {
+        return false;
+      }
+    }
+    return rule.keyword.trim().toLowerCase() === normalizedText;
+  });
+};
+
+// contacts get at most one automatic (texter-less) reply in the window
+const recentlyAutoReplied = async (contactId, organization) => {
+  const minutes = Number(
+    getConfig("KEYWORD_AUTORESPONDER_RATE_LIMIT_MINUTES", organization) || 60
+  );
+  const autoReplies = await r
+    .knex("message")
+    .where({ campaign_contact_id: contactId, is_from_contact: false })
+    .whereNull("user_id")
+    .where("created_at", ">", new Date(Date.now() - minutes * 60 * 1000))
+    .count("id as count")
+    .first();
+  return Number(autoReplies.count) > 0;
+};
+
+const loadTexter = async contact => {
+  if (!contact.assignment_id) {
+    return {};
+  }
+  const texter = await r
+    .knex("user")
+    .join("assignment", "assignment.user_id", "user.id")
+    .where("assignment.id", contact.assignment_id)
+    .select("user.*")
+    .first();
+  return texter ? camelCaseKeys(texter) : {};
+};
+
+// note this is NOT async
+export const available = organization => true;
+
+export const postMessageSave = async ({
+  message,
+  organization,
+  campaignId,
+  handlerContext
+}) => {
+  if (
+    !message.is_from_contact ||
+    !campaignId ||
+    (handlerContext && handlerContext.autoOptOutReason)
+  ) {
+    return;
+  }
+  const campaign = await cacheableData.campaign.load(campaignId);
+  const rule = findMatchingRule(message.text, [
+    ...getCampaignRules(campaign),
+    ...getOrganizationRules(organization)
+  ]);
+  if (!rule || campaign.is_archived) {
+    return;
+  }
+  const contact = await cacheableData.campaignContact.load(
+    message.campaign_contact_id
+  );
+  if (!contact || contact.is_opted_out) {
+    return;
+  }
+  if (await recentlyAutoReplied(contact.id, organization)) {
+    return;
+  }
+
+  if (rule.reply) {
+    const customFields = Object.keys(JSON.parse(contact.custom_fields || "{}"));
+    await sendRawMessage({
+      finalText: applyScript({
+        contact: camelCaseKeys({
+          ...contact,
+          customFields: contact.custom_fields
+        }),
+        texter: await loadTexter(contact),
+        script: rule.reply,
+        customFields
+      }),
+      contact,
+      campaign,
+      organization,
+      user: {}
+    });
+  }
+  if (rule.tagId) {
+    await cacheableData.tagCampaignContact.save(contact.id, [
+      { id: rule.tagId }
+    ]);
+  }
+  if (rule.close) {
+    await cacheableData.campaignContact.updateStatus(
+      { id: contact.id, cell: contact.cell, campaign_id: campaign.id },
+      "closed"
+    );
+    if (!rule.reply) {
+      // the reply would have already answered the contact's message
+      await cacheableData.campaign.incrCount(
+        campaign.id,
+        "needsResponseCount",
+        -1
+      );
+    }
+  }
+};
@@ -0,0 +1,55 @@
+import { getConfig } from "../../../server/api/lib/config";
+import { cacheableData } from "../../../server/models";
+
+// "wrong person" only flags a reply that is just that ("you have the wrong person"),
+// not e.g. "he's the wrong person for the job"
+export const DEFAULT_WRONG_NUMBER_REGEX =
+  "\\bwrong (number\\b|#)|^\\W*(sorry\\W*)?((you|u)('ve| have)?( got)? )?(the |a )?wrong person\\W*$|\\b(no ?one|nobody) (here )?(by|with) that name\\b|^\\s*not me\\W*$";
+
+export const serverAdministratorInstructions = () => {
+  return {
+    description: `
+      Flags the cell of contacts replying "wrong number" so the organization does not
+      text it in future campaigns, and lists it for export back to the CRM.
+    `,
+    setupInstructions: `Add wrong-number to MESSAGE_HANDLERS.
+       Replies matching WRONG_NUMBER_REGEX (case-insensitive) flag the cell.
+       Set WRONG_NUMBER_TAG_ID to also tag those contacts -- and add wrong-number to
+       ACTION_HANDLERS so that texters applying that tag flag the cell too.
+    `,
+    environmentVariables: ["WRONG_NUMBER_REGEX", "WRONG_NUMBER_TAG_ID"]
+  };
+};
+
+export const isWrongNumberReply = (text, organization) => {
+  const re = new RegExp(
+    getConfig("WRONG_NUMBER_REGEX", organization) || DEFAULT_WRONG_NUMBER_REGEX,
+    "i"
+  );
+  return re.test(String(text || ""));
+};
+
+// note this is NOT async
+export const available = organization => true;
+
+export const postMessageSave = async ({ message, organization }) => {
+  if (
+    !message.is_from_contact ||
+    !message.campaign_contact_id ||
+    !isWrongNumberReply(message.text, organization)
+  ) {
+    return;
+  }
+  await cacheableData.organizationContact.markWrongNumber({
+    organizationId: organization.id,
+    cell: message.contact_number,
+    campaignContactId: message.campaign_contact_id,
+    source: "message"
+  });
+  const tagId = getConfig("WRONG_NUMBER_TAG_ID", organization);
+  if (tagId) {
+    await cacheableData.tagCampaignContact.save(message.campaign_contact_id, [
+      { id: tagId }
+    ]);
+  }
+};
@@ -0,0 +1,373 @@
+import { log } from "../../lib";
+import { getConfig, getFeatures } from "../../server/api/lib/config";
+import { r, cacheableData } from "../../server/models";
+import telemetry from "../../server/telemetry";
+
+// Monthly budgets for service managers that spend money.
+// A service manager opts in by declaring, in metadata(), canSpendMoney=true,
+// the hooks that spend in moneySpendingOperations and which budget they spend from
+// in budgetCategory. A money-spending hook can return { budgetSpent: <units> }
+// with how much it actually spent -- otherwise each call counts as 1.
+// Hooks that can spend more than 1 unit in one call should also export
+//   getExpectedBudgetUnits(funcName, { organization, ...funcArgs })
+// so the budget is checked against what the call is about to spend.
+// Budgets are organization.features.SERVICE_MANAGER_BUDGETS (or the env var), e.g.
+//   {"lookups": {"monthlyLimit": 5000, "whenExceeded": "approval"}}
+
+export const BUDGET_CATEGORIES = {
+  numbers: "Phone numbers bought",
+  lookups: "Number lookups",
+  mms: "MMS messages"
+};
+
+// when exceeded, "block" skips the operation until next month or a higher limit,
+// "approval" also skips it until an OWNER approves more for the month
+export const WHEN_EXCEEDED = ["block", "approval"];
+
+// operations run by a user, who should see why nothing happened
+const USER_OPERATIONS = [
+  "buyPhoneNumbers",
+  "onBuyPhoneNumbers",
+  "onCampaignStart",
+  "onCampaignUpdateSignal",
+  "onOrganizationUpdateSignal"
+];
+
+export const budgetMonth = (date = new Date()) =>
+  date.toISOString().slice(0, 7);
+
+export class BudgetExceededError extends Error {
+  constructor(category, budget) {
+    super(
+      `This month's budget of ${budget.monthlyLimit}${
+        budget.approved ? ` (+${budget.approved} approved)` : ""
+      } for ${BUDGET_CATEGORIES[category] || category} is used up.${
+        budget.whenExceeded === "approval"
+          ? " An owner can approve more in Settings."
+          : ""
+      }`
+    );
+    this.name = "BudgetExceededError";
+    this.category = category;
+  }
+}
+
+export const getBudgets = organization => {
+  const budgets = getConfig("SERVICE_MANAGER_BUDGETS", organization);
+  if (!budgets) {
+    return {};
+  }
+  return typeof budgets === "string" ? JSON.parse(budgets) : budgets;
+};
+
+/**
+ * @returns the budget category that the service manager's funcName spends from, if any
+ */
+export const getBudgetCategory = (serviceManager, funcName) => {
+  const {
+    canSpendMoney,
+    moneySpendingOperations = [],
+    budgetCategory
+  } = serviceManager.metadata();
+  return canSpendMoney &&
+    budgetCategory &&
+    moneySpendingOperations.includes(funcName)
+    ? budgetCategory
+    : null;
+};
+
+/**
+ * @returns how many units the service manager's funcName expects to spend:
+ *   what its getExpectedBudgetUnits() says, otherwise 1
+ */
+export async function getExpectedBudgetUnits(serviceManager, funcName, args) {
+  if (typeof serviceManager.getExpectedBudgetUnits !== "function") {
+    return 1;
+  }
+  const units = await serviceManager.getExpectedBudgetUnits(funcName, args);
+  return typeof units === "number" ? units : 1;
+}
+
+export async function getBudgetUsage(organizationId, category, month) {
+  const [spend, approvals] = await Promise.all([
+    r
+      .knex("service_manager_spend")
+      .where({ organization_id: organizationId, month, category })
+      .select(
+        r.knex.raw("sum(spent) as spent"),
+        r.knex.raw("sum(blocked) as blocked")
+      )
+      .first(),
+    r
+      .knex("service_manager_budget_event")
+      .where({
+        organization_id: organizationId,
+        month,
+        category,
+        event: "approved"
+      })
+      .sum("amount as approved")
+      .first()
+  ]);
+  return {
+    spent: Number((spend && spend.spent) || 0),
+    blocked: Number((spend && spend.blocked) || 0),
+    approved: Number((approvals && approvals.approved) || 0)
+  };
+}
+
+/**
+ * @returns the category's budget with this month's usage when spending units
+ *   more would go over it, otherwise null
+ */
+export async function getExceededBudget(organization, category, units = 1) {
+  const budget = getBudgets(organization)[category];
+  if (!budget || !budget.monthlyLimit) {
+    return null;
+  }
+  const usage = await getBudgetUsage(organization.id, category, budgetMonth());
+  if (usage.spent + units <= Number(budget.monthlyLimit) + usage.approved) {
+    return null;
+  }
+  return { ...budget, ...usage };
+}
+
+const countSpend = async (
+  organizationId,
+  category,
+  serviceManager,
+  operation,
+  counts
+) => {
+  const increments = { updated_at: new Date() };
+  Object.keys(counts).forEach(column => {
+    increments[column] = r.knex.raw(`service_manager_spend.${column} + ?`, [
+      counts[column]
+    ]);
+  });
+  const spend = {
+    organization_id: organizationId,
+    month: budgetMonth(),
+    category,
+    service_manager: serviceManager,
+    operation
+  };
+  await r
+    .knex("service_manager_spend")
+    .insert({ ...spend, ...counts })
+    .onConflict([
+      "organization_id",
+      "month",
+      "category",
+      "service_manager",
+      "operation"
+    ])
+    .merge(increments);
+  return r
+    .knex("service_manager_spend")
+    .where(spend)
+    .first();
+};
+
+export async function recordSpend(
+  organization,
+  category,
+  serviceManager,
+  operation,
+  units
+) {
+  if (!units) {
+    return;
+  }
+  await countSpend(organization.id, category, serviceManager, operation, {
+    spent: units
+  });
+}
+
+const recordBlocked = async (
+  organization,
+  category,
+  serviceManager,
+  operation,
+  budget
+) => {
+  const spend = await countSpend(
+    organization.id,
+    category,
+    serviceManager,
+    operation,
+    { blocked: 1 }
+  );
+  if (spend.blocked !== 1) {
+    // only the first time each month
+    return;
+  }
+  await r.knex("service_manager_budget_event").insert({
+    organization_id: organization.id,
+    month: spend.month,
+    category,
+    event: "exceeded",
+    service_manager: serviceManager,
+    operation,
+    amount: budget.spent
+  });
+  log.warn(
+    `service-managers: organization ${organization.id} used up its ${category} budget, ${serviceManager}.${operation} is blocked`
+  );
+  await telemetry.reportEvent("Service Manager Budget Exceeded", {
+    organizationId: organization.id,
+    category,
+    serviceManager,
+    operation,
+    monthlyLimit: budget.monthlyLimit,
+    spent: budget.spent
+  });
+};
+
+/**
+ * Called by processServiceManagers before a money-spending hook.
+ * @returns true when the hook should be skipped -- or throws for operations users run
+ */
+export async function budgetBlocks(
+  organization,
+  category,
+  serviceManager,
+  operation,
+  units = 1
+) {
+  const budget = await getExceededBudget(organization, category, units);
+  if (!budget) {
+    return false;
+  }
+  await recordBlocked(
+    organization,
+    category,
+    serviceManager,
+    operation,
+    budget
+  );
+  if (USER_OPERATIONS.includes(operation)) {
+    throw new BudgetExceededError(category, budget);
+  }
+  return true;
+}
+
+const saveBudgets = async (organization, budgets) => {
+  const features = { ...getFeatures(organization) };
+  features.SERVICE_MANAGER_BUDGETS = budgets;
+  await r
+    .knex("organization")
+    .where("id", organization.id)
+    .update({ features: JSON.stringify(features) });
+  await cacheableData.organization.clear(organization.id);
+  return cacheableData.organization.load(organization.id);
+};
+
+export async function updateBudget(
+  organization,
+  user,
+  category,
+  { monthlyLimit, whenExceeded }
+) {
+  if (!BUDGET_CATEGORIES[category]) {
+    throw new Error(`${category} is not a budget category`);
+  }
+  if (monthlyLimit && !(monthlyLimit > 0)) {
+    throw new Error("The monthly limit must be a positive number");
+  }
+  if (whenExceeded && !WHEN_EXCEEDED.includes(whenExceeded)) {
+    throw new Error(`whenExceeded must be one of ${WHEN_EXCEEDED.join(", ")}`);
+  }
+  const budgets = { ...getBudgets(organization) };
+  if (monthlyLimit) {
+    budgets[category] = {
+      monthlyLimit: Number(monthlyLimit),
+      whenExceeded: whenExceeded || "block"
+    };
+  } else {
+    delete budgets[category];
+  }
+  await r.knex("service_manager_budget_event").insert({
+    organization_id: organization.id,
+    month: budgetMonth(),
+    category,
+    event: "changed",
+    amount: monthlyLimit ? Number(monthlyLimit) : null,
+    user_id: user.id
+  });
+  return saveBudgets(organization, budgets);
+}
+
+export async function approveBudget(organization, user, category, amount) {
+  const budget = getBudgets(organization)[category];
+  if (!budget || budget.whenExceeded !== "approval") {
+    throw new Error(`The ${category} budget does not take approvals`);
+  }
+  if (!(amount > 0)) {
+    throw new Error("The approved amount must be a positive number");
+  }
+  await r.knex("service_manager_budget_event").insert({
+    organization_id: organization.id,
+    month: budgetMonth(),
+    category,
+    event: "approved",
+    amount: Number(amount),
+    user_id: user.id
+  });
+  log.info(
+    `service-managers: user ${user.id} approved ${amount} more ${category} for organization ${organization.id}`
+  );
+}
+
+/**
+ * @returns every category with its budget, if any, and this month's usage
+ */
+export async function listBudgets(organization, serviceManagers) {
+  const budgets = getBudgets(organization);
+  const month = budgetMonth();
+  return Promise.all(
+    Object.keys(BUDGET_CATEGORIES).map(async category => {
+      const budget = budgets[category] || {};
+      const usage = await getBudgetUsage(organization.id, category, month);
+      const monthlyLimit = budget.monthlyLimit || null;
+      return {
+        id: `${organization.id}-${category}-${month}`,
+        category,
+        label: BUDGET_CATEGORIES[category],
+        monthlyLimit,
+        whenExceeded: monthlyLimit ? budget.whenExceeded || "block" : null,
+        ...usage,
+        exceeded: Boolean(
+          monthlyLimit && usage.spent >= monthlyLimit + usage.approved
+        ),
+        serviceManagers: serviceManagers
+          .filter(sm => sm.metadata().budgetCategory === category)
+          .map(sm => sm.name)
+      };
+    })
+  );
+}
+
+export async function listBudgetEvents(organizationId, limit = 20) {
+  const events = await r
+    .knex("service_manager_budget_event")
+    .leftJoin("user", "user.id", "service_manager_budget_event.user_id")
+    .where("service_manager_budget_event.organization_id", organizationId)
+    .orderBy("service_manager_budget_event.id", "desc")
+    .limit(limit)
+    .select(
+      "service_manager_budget_event.*",
+      "user.first_name",
+      "user.last_name"
+    );
+  return events.map(event => ({
+    id: event.id,
+    category: event.category,
+    event: event.event,
+    serviceManager: event.service_manager,
+    operation: event.operation,
+    amount: event.amount,
+    userName: event.user_id ? `${event.first_name} ${event.last_name}` : null,
+    createdAt: event.created_at
+  }));
+}
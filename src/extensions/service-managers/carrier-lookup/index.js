@@ -1,5 +1,13 @@
+import _ from "lodash";
+import { log } from "../../../lib";
+import { getConfig, getFeatures } from "../../../server/api/lib/config";
 import { r, cacheableData } from "../../../server/models";
-import { getService } from "../../service-vendors";
+import { getService, getServiceFromOrganization } from "../../service-vendors";
+
+// Looks up the carrier of contacts from delivery reports and, optionally,
+// pre-screens a campaign's contacts on upload (with the vendor's paid lookup),
+// so landlines are known in organization_contact.status_code before the campaign starts.
+// List it before scrub-bad-mobilenums to remove those landlines on upload, too.
 
 export const name = "carrier-lookup";
 
@@ -10,13 +18,44 @@ export const metadata = () => ({
   description:
     "Gets carrier info of contacts when available from service-vendor",
   canSpendMoney: true,
-  moneySpendingOperations: ["onDeliveryReport"],
-  // TODO: org config for: just errors, probabilistic sampling percent, on contact-load, always paid (w/names)
-  // TODO: org config for: only with campaigns with X prefix
-  supportsOrgConfig: false,
+  moneySpendingOperations: ["onDeliveryReport", "onCampaignContactLoad"],
+  budgetCategory: "lookups",
+  supportsOrgConfig: true,
   supportsCampaignConfig: false
 });
 
+const DEFAULT_CONTACT_LOAD_MAX = 1000;
+
+export const getLookupConfig = organization => {
+  const samplePercent = Number(
+    getConfig("CARRIER_LOOKUP_SAMPLE_PERCENT", organization)
+  );
+  return {
+    onlyErrors: Boolean(
+      getConfig("CARRIER_LOOKUP_ONLY_ERRORS", organization, { truthy: true })
+    ),
+    samplePercent:
+      samplePercent > 0 && samplePercent < 100 ? samplePercent : 100,
+    campaignPrefix:
+      getConfig("CARRIER_LOOKUP_CAMPAIGN_PREFIX", organization) || "",
+    onContactLoad: Boolean(
+      getConfig("CARRIER_LOOKUP_ON_CONTACT_LOAD", organization, {
+        truthy: true
+      })
+    ),
+    contactLoadMax:
+      Number(getConfig("CARRIER_LOOKUP_CONTACT_LOAD_MAX", organization)) ||
+      DEFAULT_CONTACT_LOAD_MAX
+  };
+};
+
+// see ../budget.js
+const NOTHING_SPENT = { budgetSpent: 0 };
+
+const campaignMatches = (campaign, campaignPrefix) =>
+  !campaignPrefix ||
+  Boolean(campaign && (campaign.title || "").startsWith(campaignPrefix));
+
 // NOTE: this is somewhat expensive relatively what it usually is,
 // so only implement this if it's important
 export async function onDeliveryReport({
@@ -31,6 +70,26 @@ export async function onDeliveryReport({
   campaignContact,
   lookup
 }) {
+  const { onlyErrors, samplePercent, campaignPrefix } = getLookupConfig(
+    organization
+  );
+  if (onlyErrors && newStatus !== "ERROR") {
+    return NOTHING_SPENT;
+  }
+  if (Math.random() * 100 >= samplePercent) {
+    return NOTHING_SPENT;
+  }
+  if (campaignPrefix) {
+    const campaignId =
+      (campaignContact && campaignContact.campaign_id) ||
+      (lookup && lookup.campaign_id);
+    const campaign =
+      campaignId && (await cacheableData.campaign.load(campaignId));
+    if (!campaignMatches(campaign, campaignPrefix)) {
+      return NOTHING_SPENT;
+    }
+  }
+
   const serviceVendor = getService(service);
   const organizationId = organization.id;
   const organizationContact = await cacheableData.organizationContact.query({
@@ -45,6 +104,7 @@ export async function onDeliveryReport({
     };
 
     let contactInfo;
+    let budgetSpent = 0;
     if (serviceVendor.getFreeContactInfo) {
       contactInfo = await serviceVendor.getFreeContactInfo({
         organization,
@@ -61,6 +121,7 @@ export async function onDeliveryReport({
         messageServiceSid
       });
       Object.assign(orgContact, contactInfo);
+      budgetSpent = 1;
     }
 
     if (!organizationContact) {
@@ -70,5 +131,209 @@ export async function onDeliveryReport({
         update: true
       });
     }
+    return { budgetSpent };
+  }
+  return NOTHING_SPENT;
+}
+
+// the campaign's numbers without a known status in organization_contact
+const unknownStatusQuery = (organization, campaign) =>
+  r
+    .knex("campaign_contact")
+    .leftJoin("organization_contact", function joinOrganizationContact() {
+      this.on(
+        "organization_contact.contact_number",
+        "campaign_contact.cell"
+      ).andOn(
+        "organization_contact.organization_id",
+        r.knex.raw("?", [organization.id])
+      );
+    })
+    .where("campaign_contact.campaign_id", campaign.id)
+    .where(function unknownStatus() {
+      this.whereNull("organization_contact.status_code") // no entry
+        .orWhere("organization_contact.status_code", 0); // unknown status
+    });
+
+/**
+ * Looks up the campaign's contacts whose numbers have no known status yet,
+ * at most contactLoadMax of them. A failed lookup is skipped, so it is
+ * tried again the next time.
+ * @returns { lookedUp, failed, landlines, capped }
+ */
+export async function lookupCampaignContacts(organization, campaign) {
+  const { contactLoadMax } = getLookupConfig(organization);
+  const serviceClient = getServiceFromOrganization(organization);
+  const contacts = await unknownStatusQuery(organization, campaign)
+    .distinct("campaign_contact.cell")
+    // one more than the cap tells us there were more
+    .limit(contactLoadMax + 1);
+  const capped = contacts.length > contactLoadMax;
+
+  let lookedUp = 0;
+  let failed = 0;
+  let lastError;
+  let landlines = 0;
+  // 200 at a time, so we don't lose our work if it dies early
+  const chunks = _.chunk(contacts.slice(0, contactLoadMax), 200);
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    const lookups = await Promise.all(
+      chunk.map(async contact => {
+        try {
+          return await serviceClient.getContactInfo({
+            organization,
+            contactNumber: contact.cell
+          });
+        } catch (err) {
+          lastError = err;
+          return null;
+        }
+      })
+    );
+    const succeeded = chunk.filter((contact, j) => lookups[j]).length;
+    lookedUp += succeeded;
+    failed += chunk.length - succeeded;
+    const orgContacts = chunk
+      .map((contact, j) => {
+        const info = lookups[j] || {};
+        return {
+          organization_id: organization.id,
+          contact_number: contact.cell,
+          status_code: info.status_code,
+          last_error_code: info.last_error_code,
+          carrier: info.carrier,
+          lookup_name: info.lookup_name,
+          last_lookup: new Date()
+        };
+      })
+      // failed lookups have no status_code
+      .filter(orgContact => orgContact.status_code);
+    if (orgContacts.length) {
+      // keep the user_number and service of contacts that were texted before
+      await r
+        .knex("organization_contact")
+        .insert(orgContacts)
+        .onConflict(["contact_number", "organization_id"])
+        .merge([
+          "status_code",
+          "last_error_code",
+          "carrier",
+          "lookup_name",
+          "last_lookup"
+        ]);
+    }
+    landlines += orgContacts.filter(c => c.status_code < 0).length;
+  }
+  if (failed) {
+    log.error(
+      `carrier-lookup: ${failed} lookups failed for campaign ${campaign.id}`,
+      lastError && lastError.message
+    );
+  }
+  return { lookedUp, failed, landlines, capped };
+}
+
+// see ../budget.js: a contact load looks up to contactLoadMax numbers
+export async function getExpectedBudgetUnits(
+  funcName,
+  { organization, campaign }
+) {
+  if (funcName !== "onCampaignContactLoad") {
+    return 1;
+  }
+  const { onContactLoad, contactLoadMax } = getLookupConfig(organization);
+  if (!onContactLoad) {
+    return 0;
+  }
+  const count = await r.getCountDistinct(
+    unknownStatusQuery(organization, campaign),
+    "campaign_contact.cell"
+  );
+  return Math.min(count, contactLoadMax);
+}
+
+export async function onCampaignContactLoad({
+  organization,
+  campaign,
+  ingestResult,
+  ingestDataReference,
+  finalContactCount,
+  deleteOptOutCells
+}) {
+  const { onContactLoad, campaignPrefix, contactLoadMax } = getLookupConfig(
+    organization
+  );
+  const serviceClient = getServiceFromOrganization(organization);
+  if (
+    !onContactLoad ||
+    typeof serviceClient.getContactInfo !== "function" ||
+    !campaignMatches(campaign, campaignPrefix)
+  ) {
+    return NOTHING_SPENT;
   }
+  const result = await lookupCampaignContacts(organization, campaign);
+  log.info("carrier-lookup contact load result", {
+    campaignId: campaign.id,
+    ...result
+  });
+  if (result.capped) {
+    log.warn(
+      `carrier-lookup: campaign ${campaign.id} has more than ${contactLoadMax} numbers to look up, only the first ${contactLoadMax} were`
+    );
+  }
+  return { budgetSpent: result.lookedUp };
+}
+
+const getOrganizationInfo = organization => {
+  const serviceClient = getServiceFromOrganization(organization);
+  return {
+    data: {
+      ...getLookupConfig(organization),
+      freeLookups: Boolean(serviceClient && serviceClient.getFreeContactInfo),
+      contactLoadLookups: Boolean(serviceClient && serviceClient.getContactInfo)
+    },
+    fullyConfigured: null
+  };
+};
+
+export async function getOrganizationData({ organization, user, loaders }) {
+  // MUST NOT RETURN SECRETS!
+  return getOrganizationInfo(organization);
+}
+
+export async function onOrganizationUpdateSignal({
+  organization,
+  user,
+  updateData
+}) {
+  const {
+    onlyErrors,
+    samplePercent,
+    campaignPrefix,
+    onContactLoad,
+    contactLoadMax
+  } = updateData;
+  if (samplePercent && !(samplePercent > 0 && samplePercent <= 100)) {
+    throw new Error("The sampling percent must be between 1 and 100");
+  }
+  if (contactLoadMax && !(contactLoadMax > 0)) {
+    throw new Error("The lookup limit per upload must be a positive number");
+  }
+  const features = { ...getFeatures(organization) };
+  features.CARRIER_LOOKUP_ONLY_ERRORS = Boolean(onlyErrors);
+  features.CARRIER_LOOKUP_SAMPLE_PERCENT = Number(samplePercent) || "";
+  features.CARRIER_LOOKUP_CAMPAIGN_PREFIX = campaignPrefix || "";
+  features.CARRIER_LOOKUP_ON_CONTACT_LOAD = Boolean(onContactLoad);
+  features.CARRIER_LOOKUP_CONTACT_LOAD_MAX = Number(contactLoadMax) || "";
+
+  await r
+    .knex("organization")
+    .where("id", organization.id)
+    .update({ features: JSON.stringify(features) });
+  await cacheableData.organization.clear(organization.id);
+  const updatedOrganization = await cacheableData.organization.load(
+    organization.id
+  );
+  return getOrganizationInfo(updatedOrganization);
 }
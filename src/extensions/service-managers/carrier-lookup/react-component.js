@@ -0,0 +1,146 @@
+/* eslint no-console: 0 */
+import PropTypes from "prop-types";
+import React from "react";
+import Form from "react-formal";
+import * as yup from "yup";
+
+import CardContent from "@material-ui/core/CardContent";
+import FormControlLabel from "@material-ui/core/FormControlLabel";
+import Switch from "@material-ui/core/Switch";
+
+import GSForm from "../../../components/forms/GSForm";
+import GSTextField from "../../../components/forms/GSTextField";
+import GSSubmitButton from "../../../components/forms/GSSubmitButton";
+
+export class OrgConfig extends React.Component {
+  constructor(props) {
+    super(props);
+    const { onlyErrors, onContactLoad } = props.serviceManagerInfo.data;
+    this.state = { onlyErrors, onContactLoad };
+  }
+
+  handleSubmit = async formValues => {
+    try {
+      await this.props.onSubmit({
+        ...formValues,
+        onlyErrors: this.state.onlyErrors,
+        onContactLoad: this.state.onContactLoad
+      });
+      this.setState({ error: undefined });
+    } catch (caught) {
+      console.log("carrier-lookup save error", caught);
+      this.setState({ error: caught.message });
+    }
+  };
+
+  renderSwitch(name, label) {
+    return (
+      <div>
+        <FormControlLabel
+          control={
+            <Switch
+              color="primary"
+              checked={!!this.state[name]}
+              onChange={(event, checked) => this.setState({ [name]: checked })}
+            />
+          }
+          label={label}
+        />
+      </div>
+    );
+  }
+
+  render() {
+    const {
+      samplePercent,
+      campaignPrefix,
+      contactLoadMax,
+      freeLookups,
+      contactLoadLookups
+    } = this.props.serviceManagerInfo.data;
+    const formSchema = yup.object({
+      samplePercent: yup
+        .number()
+        .min(1)
+        .max(100)
+        .nullable(),
+      campaignPrefix: yup.string().nullable(),
+      contactLoadMax: yup
+        .number()
+        .integer()
+        .min(1)
+        .nullable()
+    });
+    return (
+      <div>
+        {this.state.error && (
+          <CardContent style={this.props.inlineStyles.errorBox}>
+            {this.state.error}
+          </CardContent>
+        )}
+        <p>
+          {freeLookups
+            ? "Your service vendor includes the carrier in delivery reports at no cost."
+            : "Your service vendor charges for carrier lookups from delivery reports."}
+        </p>
+        <GSForm
+          schema={formSchema}
+          defaultValue={{ samplePercent, campaignPrefix, contactLoadMax }}
+          onSubmit={this.handleSubmit}
+        >
+          {this.renderSwitch(
+            "onlyErrors",
+            "Only look up contacts whose messages were not delivered"
+          )}
+          <Form.Field
+            as={GSTextField}
+            label="Percent of delivery reports to look up contacts from"
+            name="samplePercent"
+            type="number"
+            fullWidth
+          />
+          <Form.Field
+            as={GSTextField}
+            label="Only for campaigns with titles starting with"
+            name="campaignPrefix"
+            fullWidth
+          />
+          {contactLoadLookups ? (
+            <div>
+              {this.renderSwitch(
+                "onContactLoad",
+                "Look up contacts when they are uploaded (a paid lookup per number)"
+              )}
+              <Form.Field
+                as={GSTextField}
+                label="Most numbers to look up per upload"
+                name="contactLoadMax"
+                type="number"
+                fullWidth
+              />
+            </div>
+          ) : (
+            <p>
+              Your service vendor cannot look up contacts when they are
+              uploaded.
+            </p>
+          )}
+          <Form.Submit
+            as={GSSubmitButton}
+            label={this.props.saveLabel || "Save"}
+            style={this.props.inlineStyles.dialogButton}
+          />
+        </GSForm>
+      </div>
+    );
+  }
+}
+
+OrgConfig.propTypes = {
+  organizationId: PropTypes.string,
+  serviceManagerInfo: PropTypes.object,
+  inlineStyles: PropTypes.object,
+  styles: PropTypes.object,
+  saveLabel: PropTypes.string,
+  onSubmit: PropTypes.func
+};
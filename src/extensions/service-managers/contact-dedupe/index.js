@@ -0,0 +1,293 @@
+/// All functions are OPTIONAL EXCEPT metadata() and const name=.
+/// DO NOT IMPLEMENT ANYTHING YOU WILL NOT USE -- the existence of a function adds behavior/UI (sometimes costly)
+
+// After contacts are loaded, removes (or tags) the campaign's contacts who
+// - were texted in the last N days by another campaign of the organization
+// - are contacts of another active (started, unarchived) campaign
+// - were tagged for hostile responses by the profanity-tagger (PROFANITY_CONTACT_TAG_ID)
+// Each campaign can change what is checked in its settings, and the last run is kept
+// as a report in the campaign's features.
+
+import _ from "lodash";
+
+import { log } from "../../../lib";
+import { getConfig, getFeatures } from "../../../server/api/lib/config";
+import { cacheableData, r } from "../../../server/models";
+
+export const name = "contact-dedupe";
+
+export const metadata = () => ({
+  // set canSpendMoney=true, if this extension can lead to (additional) money being spent
+  // if it can, which operations below can trigger money being spent?
+  displayName: "Contact Deduplication",
+  description:
+    "After contacts are uploaded, removes or tags contacts who were texted recently, are in other active campaigns or replied with hostile messages before.",
+  canSpendMoney: false,
+  moneySpendingOperations: [],
+  supportsOrgConfig: false,
+  supportsCampaignConfig: true
+});
+
+export const MODES = ["remove", "tag"];
+
+const toBoolean = value =>
+  value === true || value === 1 || /^(true|1)$/i.test(String(value));
+
+/**
+ * The campaign's settings, defaulting to the CONTACT_DEDUPE_* settings
+ */
+export const getDedupeConfig = (organization, campaign) => {
+  const features = getFeatures(campaign);
+  const setting = (feature, key, defaultValue) => {
+    if (features[feature] !== undefined && features[feature] !== null) {
+      return features[feature];
+    }
+    const value = getConfig(key, organization);
+    return value === undefined || value === null || value === ""
+      ? defaultValue
+      : value;
+  };
+  const mode = setting("contactDedupeMode", "CONTACT_DEDUPE_MODE", "remove");
+  return {
+    mode: MODES.includes(mode) ? mode : "remove",
+    recentDays: Number(
+      setting("contactDedupeRecentDays", "CONTACT_DEDUPE_RECENT_DAYS", 7)
+    ),
+    otherCampaigns: toBoolean(
+      setting(
+        "contactDedupeOtherCampaigns",
+        "CONTACT_DEDUPE_OTHER_CAMPAIGNS",
+        true
+      )
+    ),
+    hostile: toBoolean(
+      setting("contactDedupeHostile", "CONTACT_DEDUPE_HOSTILE", true)
+    ),
+    tagId: setting("contactDedupeTagId", "CONTACT_DEDUPE_TAG_ID", null) || null
+  };
+};
+
+// the campaign's contacts (who were not texted yet) with a cell matching the subquery
+const matchingContactIds = async (campaign, cellsQuery) =>
+  (
+    await r
+      .knex("campaign_contact")
+      .where({ campaign_id: campaign.id, message_status: "needsMessage" })
+      .whereIn("cell", cellsQuery)
+      .select("id")
+  ).map(contact => contact.id);
+
+const otherCampaignContacts = (organization, campaign) =>
+  r
+    .knex("campaign_contact")
+    .join("campaign", "campaign.id", "campaign_contact.campaign_id")
+    .where("campaign.organization_id", organization.id)
+    .whereNot("campaign.id", campaign.id);
+
+const recentlyTextedCells = (organization, campaign, recentDays) =>
+  otherCampaignContacts(organization, campaign)
+    .join("message", "message.campaign_contact_id", "campaign_contact.id")
+    .where("message.is_from_contact", false)
+    .where(
+      "message.created_at",
+      ">",
+      new Date(Date.now() - recentDays * 24 * 60 * 60 * 1000)
+    )
+    .select("campaign_contact.cell");
+
+const activeCampaignCells = (organization, campaign) =>
+  otherCampaignContacts(organization, campaign)
+    .where({ "campaign.is_started": true, "campaign.is_archived": false })
+    .select("campaign_contact.cell");
+
+const hostileCells = (organization, campaign, hostileTagId) =>
+  otherCampaignContacts(organization, campaign)
+    .join(
+      "tag_campaign_contact",
+      "tag_campaign_contact.campaign_contact_id",
+      "campaign_contact.id"
+    )
+    .where("tag_campaign_contact.tag_id", hostileTagId)
+    .select("campaign_contact.cell");
+
+/**
+ * Removes or tags the campaign's duplicate contacts
+ * @returns the report saved in the campaign's features
+ */
+export async function dedupeCampaignContacts(organization, campaign) {
+  const config = getDedupeConfig(organization, campaign);
+  if (config.mode === "tag" && !config.tagId) {
+    // never fall back to removing contacts that were meant to be tagged
+    const report = {
+      error: "Choose the tag to tag duplicate contacts with",
+      finishedAt: new Date().toISOString()
+    };
+    await cacheableData.campaign.setFeatures(campaign.id, {
+      contactDedupeReport: report
+    });
+    await cacheableData.campaign.reload(campaign.id);
+    return report;
+  }
+  const hostileTagId = getConfig("PROFANITY_CONTACT_TAG_ID", organization);
+  // each contact is only counted for the first reason found
+  const reasons = [
+    config.recentDays > 0 && [
+      "recentlyTexted",
+      recentlyTextedCells(organization, campaign, config.recentDays)
+    ],
+    config.otherCampaigns && [
+      "otherCampaigns",
+      activeCampaignCells(organization, campaign)
+    ],
+    config.hostile &&
+      hostileTagId && [
+        "hostile",
+        hostileCells(organization, campaign, hostileTagId)
+      ]
+  ].filter(Boolean);
+
+  const counts = {};
+  const found = new Set();
+  for (const [reason, cellsQuery] of reasons) {
+    const ids = await matchingContactIds(campaign, cellsQuery);
+    counts[reason] = ids.filter(id => !found.has(id)).length;
+    ids.forEach(id => found.add(id));
+  }
+  const contactIds = Array.from(found);
+
+  const tagging = config.mode === "tag";
+  if (contactIds.length && tagging) {
+    const alreadyTagged = new Set(
+      (
+        await r
+          .knex("tag_campaign_contact")
+          .where("tag_id", config.tagId)
+          .whereIn("campaign_contact_id", contactIds)
+          .select("campaign_contact_id")
+      ).map(tag => tag.campaign_contact_id)
+    );
+    const newTags = contactIds
+      .filter(id => !alreadyTagged.has(id))
+      .map(id => ({ tag_id: config.tagId, campaign_contact_id: id }));
+    for (const chunk of _.chunk(newTags, 1000)) {
+      await r.knex("tag_campaign_contact").insert(chunk);
+    }
+  } else if (contactIds.length) {
+    for (const chunk of _.chunk(contactIds, 1000)) {
+      await r
+        .knex("campaign_contact")
+        .whereIn("id", chunk)
+        .delete();
+    }
+    await r
+      .knex("campaign_admin")
+      .where("campaign_id", campaign.id)
+      .update({
+        contacts_count: await r.getCount(
+          r.knex("campaign_contact").where("campaign_id", campaign.id)
+        )
+      });
+  }
+
+  const report = {
+    ...counts,
+    total: contactIds.length,
+    action: tagging ? "tagged" : "removed",
+    hostileUnavailable: Boolean(config.hostile && !hostileTagId),
+    finishedAt: new Date().toISOString()
+  };
+  await cacheableData.campaign.setFeatures(campaign.id, {
+    contactDedupeReport: report
+  });
+  await cacheableData.campaign.reload(campaign.id);
+  return report;
+}
+
+export async function onCampaignContactLoad({
+  organization,
+  campaign,
+  ingestResult,
+  ingestDataReference,
+  finalContactCount,
+  deleteOptOutCells
+}) {
+  // the campaign passed from the contact load can be missing its features
+  const fullCampaign = await cacheableData.campaign.load(campaign.id);
+  const report = await dedupeCampaignContacts(organization, fullCampaign);
+  log.info("contact-dedupe contact load result", {
+    campaignId: campaign.id,
+    ...report
+  });
+}
+
+const getCampaignInfo = async (organization, campaign) => {
+  const tags = await r
+    .knex("tag")
+    .where({ organization_id: organization.id, is_deleted: false })
+    .select("id", "name");
+  return {
+    data: {
+      ...getDedupeConfig(organization, campaign),
+      report: getFeatures(campaign).contactDedupeReport || null,
+      tags,
+      hostileTagged: Boolean(
+        getConfig("PROFANITY_CONTACT_TAG_ID", organization)
+      )
+    },
+    fullyConfigured: null
+  };
+};
+
+export async function getCampaignData({
+  organization,
+  campaign,
+  user,
+  loaders,
+  fromCampaignStatsPage
+}) {
+  // MUST NOT RETURN SECRETS!
+  if (!fromCampaignStatsPage) {
+    return getCampaignInfo(organization, campaign);
+  }
+}
+
+export async function onCampaignUpdateSignal({
+  organization,
+  campaign,
+  user,
+  updateData,
+  fromCampaignStatsPage
+}) {
+  const { mode, recentDays, otherCampaigns, hostile, tagId } = updateData;
+  if (mode !== undefined) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown mode ${mode}`);
+    }
+    if (mode === "tag" && !tagId) {
+      throw new Error("Choose the tag to tag duplicate contacts with");
+    }
+    if (!(Number(recentDays) >= 0)) {
+      throw new Error("The number of days must be 0 or more");
+    }
+    await cacheableData.campaign.setFeatures(campaign.id, {
+      contactDedupeMode: mode,
+      contactDedupeRecentDays: Number(recentDays),
+      contactDedupeOtherCampaigns: Boolean(otherCampaigns),
+      contactDedupeHostile: Boolean(hostile),
+      contactDedupeTagId: tagId || null
+    });
+  }
+  let updatedCampaign = await cacheableData.campaign.load(campaign.id, {
+    forceLoad: true
+  });
+  if (updateData.dedupeNow) {
+    if (updatedCampaign.is_started) {
+      throw new Error("The campaign has already started");
+    }
+    await dedupeCampaignContacts(organization, updatedCampaign);
+    updatedCampaign = await cacheableData.campaign.load(campaign.id, {
+      forceLoad: true
+    });
+  }
+  return getCampaignInfo(organization, updatedCampaign);
+}
@@ -0,0 +1,173 @@
+/* eslint no-console: 0 */
+import PropTypes from "prop-types";
+import React from "react";
+import Form from "react-formal";
+import * as yup from "yup";
+
+import Button from "@material-ui/core/Button";
+import FormControlLabel from "@material-ui/core/FormControlLabel";
+import Switch from "@material-ui/core/Switch";
+
+import GSForm from "../../../components/forms/GSForm";
+import GSSelectField from "../../../components/forms/GSSelectField";
+import GSTextField from "../../../components/forms/GSTextField";
+import GSSubmitButton from "../../../components/forms/GSSubmitButton";
+
+const modeChoices = [
+  { value: "remove", label: "Remove them from the campaign" },
+  { value: "tag", label: "Tag them" }
+];
+
+export class CampaignConfig extends React.Component {
+  constructor(props) {
+    super(props);
+    const { otherCampaigns, hostile } = props.serviceManagerInfo.data;
+    this.state = { otherCampaigns, hostile };
+  }
+
+  handleSubmit = async updateData => {
+    try {
+      await this.props.onSubmit(updateData);
+      this.setState({ error: undefined });
+    } catch (caught) {
+      console.log("contact-dedupe save error", caught);
+      this.setState({ error: caught.message });
+    }
+  };
+
+  renderSwitch(name, label) {
+    return (
+      <div>
+        <FormControlLabel
+          control={
+            <Switch
+              color="primary"
+              checked={!!this.state[name]}
+              onChange={(event, checked) => this.setState({ [name]: checked })}
+            />
+          }
+          label={label}
+        />
+      </div>
+    );
+  }
+
+  renderReport() {
+    const { report } = this.props.serviceManagerInfo.data;
+    if (!report) {
+      return <p>Contacts have not been checked for duplicates yet.</p>;
+    }
+    if (report.error) {
+      return (
+        <p style={{ color: "red" }}>
+          Contacts were not checked for duplicates after the last upload:{" "}
+          {report.error}
+        </p>
+      );
+    }
+    return (
+      <p>
+        {report.total} contacts were {report.action} after the last upload:{" "}
+        {report.recentlyTexted || 0} texted recently,{" "}
+        {report.otherCampaigns || 0} in other active campaigns and{" "}
+        {report.hostile || 0} who replied with hostile messages before.
+        {report.hostileUnavailable
+          ? " Hostile replies are only known when the profanity-tagger tags contacts."
+          : ""}
+      </p>
+    );
+  }
+
+  render() {
+    const {
+      mode,
+      recentDays,
+      tagId,
+      tags
+    } = this.props.serviceManagerInfo.data;
+    const { isStarted, contactsCount } = this.props.campaign;
+    const formSchema = yup.object({
+      mode: yup.string().required(),
+      recentDays: yup
+        .number()
+        .integer()
+        .min(0)
+        .required(),
+      tagId: yup.string().nullable()
+    });
+    return (
+      <div>
+        {this.state.error && <p style={{ color: "red" }}>{this.state.error}</p>}
+        {this.renderReport()}
+        <GSForm
+          schema={formSchema}
+          defaultValue={{
+            mode,
+            recentDays,
+            tagId: tagId ? String(tagId) : null
+          }}
+          onSubmit={formValues =>
+            this.handleSubmit({
+              ...formValues,
+              otherCampaigns: this.state.otherCampaigns,
+              hostile: this.state.hostile
+            })
+          }
+        >
+          <Form.Field
+            as={GSSelectField}
+            label="Duplicate contacts"
+            name="mode"
+            choices={modeChoices}
+            fullWidth
+          />
+          <Form.Field
+            as={GSSelectField}
+            label="Tag (when tagging them)"
+            name="tagId"
+            choices={tags.map(tag => ({
+              value: String(tag.id),
+              label: tag.name
+            }))}
+            fullWidth
+          />
+          <Form.Field
+            as={GSTextField}
+            label="Days since they were texted by another campaign (0 to not check)"
+            name="recentDays"
+            type="number"
+            fullWidth
+          />
+          {this.renderSwitch(
+            "otherCampaigns",
+            "Contacts in other active campaigns"
+          )}
+          {this.renderSwitch(
+            "hostile",
+            "Contacts who replied with hostile messages before"
+          )}
+          <Form.Submit
+            as={GSSubmitButton}
+            label={this.props.saveLabel || "Save"}
+          />
+        </GSForm>
+        {!isStarted && contactsCount ? (
+          <Button
+            variant="outlined"
+            onClick={() => this.handleSubmit({ dedupeNow: true })}
+          >
+            Check the contacts again now
+          </Button>
+        ) : null}
+      </div>
+    );
+  }
+}
+
+CampaignConfig.propTypes = {
+  user: PropTypes.object,
+  campaign: PropTypes.object,
+  serviceManagerInfo: PropTypes.object,
+  saveLabel: PropTypes.string,
+  onSubmit: PropTypes.func
+};
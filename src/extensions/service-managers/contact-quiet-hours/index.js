@@ -0,0 +1,220 @@
+/// All functions are OPTIONAL EXCEPT metadata() and const name=.
+/// DO NOT IMPLEMENT ANYTHING YOU WILL NOT USE -- the existence of a function adds behavior/UI (sometimes costly)
+
+// Holds any outbound message -- replies included -- while it is outside the
+// contact's local texting hours, and sends it when their window opens.
+// The contact's timezone comes from campaign_contact.timezone_offset, or their zip.
+// Held messages stay QUEUED with send_after (the window's start) and send_before
+// (its end), so the message senders send them once they are due (see sendMessages).
+// The hours are CONTACT_QUIET_HOURS_START/END, otherwise the campaign's or
+// organization's texting hours -- whether or not those are enforced.
+// List it FIRST in SERVICE_MANAGERS so later ones can skip held messages.
+
+import moment from "moment-timezone";
+
+import { zipToTimeZone } from "../../../lib";
+import { getScheduledSendTimesUtc } from "../../../lib/timezones";
+import { getConfig, getFeatures } from "../../../server/api/lib/config";
+import { cacheableData, r } from "../../../server/models";
+
+export const name = "contact-quiet-hours";
+
+export const metadata = () => ({
+  // set canSpendMoney=true, if this extension can lead to (additional) money being spent
+  // if it can, which operations below can trigger money being spent?
+  displayName: "Contact Quiet Hours",
+  description:
+    "Holds messages, including replies, until it is within texting hours where the contact lives.",
+  canSpendMoney: false,
+  moneySpendingOperations: [],
+  supportsOrgConfig: true,
+  supportsCampaignConfig: false
+});
+
+const DEFAULT_START = 9;
+const DEFAULT_END = 21;
+
+const validHour = hour =>
+  hour !== "" && hour !== null && Number(hour) >= 0 && Number(hour) <= 24;
+
+export const getQuietHoursConfig = (organization, campaign) => {
+  const start = getConfig("CONTACT_QUIET_HOURS_START", organization);
+  const end = getConfig("CONTACT_QUIET_HOURS_END", organization);
+  if (validHour(start) && validHour(end)) {
+    return { start: Number(start), end: Number(end), fromTextingHours: false };
+  }
+  const hours =
+    campaign && campaign.override_organization_texting_hours
+      ? [campaign.texting_hours_start, campaign.texting_hours_end]
+      : [organization.texting_hours_start, organization.texting_hours_end];
+  return {
+    start: validHour(hours[0]) ? Number(hours[0]) : DEFAULT_START,
+    end: validHour(hours[1]) ? Number(hours[1]) : DEFAULT_END,
+    fromTextingHours: true
+  };
+};
+
+const parseOffset = timezoneOffset => {
+  const [offset, hasDST] = timezoneOffset.split("_");
+  return { offset: parseInt(offset, 10), hasDST: hasDST === "1" };
+};
+
+/**
+ * @returns { offset, hasDST } of where the contact lives, or {} when unknown
+ */
+export async function getContactTimezone(contact) {
+  if (contact.timezone_offset) {
+    return parseOffset(contact.timezone_offset);
+  }
+  if (!contact.zip) {
+    return {};
+  }
+  const rangeZip = zipToTimeZone(contact.zip);
+  if (rangeZip) {
+    return { offset: rangeZip[2], hasDST: Boolean(rangeZip[3]) };
+  }
+  const zipCode = await r
+    .knex("zip_code")
+    .where("zip", contact.zip)
+    .select("timezone_offset", "has_dst")
+    .first();
+  return zipCode
+    ? { offset: zipCode.timezone_offset, hasDST: zipCode.has_dst }
+    : {};
+}
+
+/**
+ * @returns null when the contact can be texted at time, otherwise
+ *   { sendAfter, sendBefore } of the contact's next texting window
+ */
+export async function getHoldTimes(
+  contact,
+  organization,
+  campaign,
+  time = new Date()
+) {
+  const { start, end } = getQuietHoursConfig(organization, campaign);
+  const contactTimezone = await getContactTimezone(contact);
+  // the same timezone precedence as scheduled messages, with our hours
+  const sendTimes = getScheduledSendTimesUtc(
+    time,
+    contactTimezone,
+    {
+      feature: getFeatures(organization),
+      textingHoursEnforced: true,
+      textingHoursStart: start,
+      textingHoursEnd: end
+    },
+    {
+      overrideOrganizationTextingHours: Boolean(
+        campaign && campaign.override_organization_texting_hours
+      ),
+      textingHoursEnforced: true,
+      textingHoursStart: start,
+      textingHoursEnd: end,
+      timezone: campaign && campaign.timezone
+    }
+  );
+  if (!sendTimes.sendAfter.isAfter(moment(time))) {
+    return null;
+  }
+  return {
+    sendAfter: sendTimes.sendAfter.toDate(),
+    sendBefore: sendTimes.sendBefore.toDate()
+  };
+}
+
+export async function onMessageSend({
+  message,
+  contact,
+  organization,
+  campaign
+}) {
+  if (message.is_from_contact || !message.campaign_contact_id) {
+    return;
+  }
+  // the message senders only pass ids along
+  const fullContact =
+    contact && "timezone_offset" in contact
+      ? contact
+      : await cacheableData.campaignContact.load(message.campaign_contact_id);
+  const fullOrganization =
+    "texting_hours_start" in organization
+      ? organization
+      : await cacheableData.organization.load(organization.id);
+  const fullCampaign =
+    campaign && "texting_hours_start" in campaign
+      ? campaign
+      : await cacheableData.campaign.load(fullContact.campaign_id);
+  const hold = await getHoldTimes(fullContact, fullOrganization, fullCampaign);
+  if (hold) {
+    return {
+      holdUntil: hold.sendAfter,
+      holdSendBefore: hold.sendBefore
+    };
+  }
+}
+
+const getOrganizationInfo = async organization => {
+  const config = getQuietHoursConfig(organization);
+  const features = getFeatures(organization);
+  return {
+    data: {
+      ...config,
+      // set in Settings, rather than the organization's texting hours
+      customHours: validHour(features.CONTACT_QUIET_HOURS_START),
+      heldCount: await r.getCount(
+        r
+          .knex("message")
+          .join(
+            "campaign_contact",
+            "campaign_contact.id",
+            "message.campaign_contact_id"
+          )
+          .join("campaign", "campaign.id", "campaign_contact.campaign_id")
+          .where({
+            "campaign.organization_id": organization.id,
+            "message.send_status": "QUEUED"
+          })
+          .where("message.send_after", ">", new Date())
+      )
+    },
+    fullyConfigured: null
+  };
+};
+
+export async function getOrganizationData({ organization, user, loaders }) {
+  // MUST NOT RETURN SECRETS!
+  return getOrganizationInfo(organization);
+}
+
+export async function onOrganizationUpdateSignal({
+  organization,
+  user,
+  updateData
+}) {
+  const { customHours, start, end } = updateData;
+  const features = { ...getFeatures(organization) };
+  if (customHours) {
+    if (!validHour(start) || !validHour(end) || Number(start) >= Number(end)) {
+      throw new Error(
+        "The hours must be between 0 and 24, and start before they end"
+      );
+    }
+    features.CONTACT_QUIET_HOURS_START = Number(start);
+    features.CONTACT_QUIET_HOURS_END = Number(end);
+  } else {
+    delete features.CONTACT_QUIET_HOURS_START;
+    delete features.CONTACT_QUIET_HOURS_END;
+  }
+
+  await r
+    .knex("organization")
+    .where("id", organization.id)
+    .update({ features: JSON.stringify(features) });
+  await cacheableData.organization.clear(organization.id);
+  const updatedOrganization = await cacheableData.organization.load(
+    organization.id
+  );
+  return getOrganizationInfo(updatedOrganization);
+}
@@ -0,0 +1,114 @@
+/* eslint no-console: 0 */
+import PropTypes from "prop-types";
+import React from "react";
+import Form from "react-formal";
+import * as yup from "yup";
+
+import CardContent from "@material-ui/core/CardContent";
+import FormControlLabel from "@material-ui/core/FormControlLabel";
+import Switch from "@material-ui/core/Switch";
+
+import GSForm from "../../../components/forms/GSForm";
+import GSTextField from "../../../components/forms/GSTextField";
+import GSSubmitButton from "../../../components/forms/GSSubmitButton";
+
+export class OrgConfig extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { customHours: props.serviceManagerInfo.data.customHours };
+  }
+
+  handleSubmit = async formValues => {
+    try {
+      await this.props.onSubmit({
+        ...formValues,
+        customHours: this.state.customHours
+      });
+      this.setState({ error: undefined });
+    } catch (caught) {
+      console.log("contact-quiet-hours save error", caught);
+      this.setState({ error: caught.message });
+    }
+  };
+
+  render() {
+    const {
+      start,
+      end,
+      fromTextingHours,
+      heldCount
+    } = this.props.serviceManagerInfo.data;
+    const hour = yup
+      .number()
+      .integer()
+      .min(0)
+      .max(24)
+      .nullable();
+    const formSchema = yup.object({ start: hour, end: hour });
+    return (
+      <div>
+        {this.state.error && (
+          <CardContent style={this.props.inlineStyles.errorBox}>
+            {this.state.error}
+          </CardContent>
+        )}
+        <p>
+          Messages are only sent between {start}:00 and {end}:00 where the
+          contact lives
+          {fromTextingHours ? ", following the texting hours" : ""}. Others wait
+          until then. {heldCount || 0} messages are waiting to be sent later.
+        </p>
+        <GSForm
+          schema={formSchema}
+          defaultValue={{ start, end }}
+          onSubmit={this.handleSubmit}
+        >
+          <FormControlLabel
+            control={
+              <Switch
+                color="primary"
+                checked={!!this.state.customHours}
+                onChange={(event, checked) =>
+                  this.setState({ customHours: checked })
+                }
+              />
+            }
+            label="Use other hours than the texting hours"
+          />
+          {this.state.customHours && (
+            <div>
+              <Form.Field
+                as={GSTextField}
+                label="From (hour, 0-24)"
+                name="start"
+                type="number"
+                fullWidth
+              />
+              <Form.Field
+                as={GSTextField}
+                label="Until (hour, 0-24)"
+                name="end"
+                type="number"
+                fullWidth
+              />
+            </div>
+          )}
+          <Form.Submit
+            as={GSSubmitButton}
+            label={this.props.saveLabel || "Save"}
+            style={this.props.inlineStyles.dialogButton}
+          />
+        </GSForm>
+      </div>
+    );
+  }
+}
+
+OrgConfig.propTypes = {
+  organizationId: PropTypes.string,
+  serviceManagerInfo: PropTypes.object,
+  inlineStyles: PropTypes.object,
+  styles: PropTypes.object,
+  saveLabel: PropTypes.string,
+  onSubmit: PropTypes.func
+};
@@ -1,4 +1,10 @@
 import { getConfig } from "../../server/api/lib/config";
+import {
+  budgetBlocks,
+  getBudgetCategory,
+  getExpectedBudgetUnits,
+  recordSpend
+} from "./budget";
 
 export function getServiceManagers(organization) {
   const handlerKey = "SERVICE_MANAGERS";
@@ -69,13 +75,40 @@ export async function processServiceManagers(
   // Current serviceManagerData state is passed along, so a later serviceManager
   //   can decide to do something if a previous one hasn't yet.
   for (let i = 0, l = funkyManagers.length; i < l; i++) {
-    const result = await funkyManagers[i][funcName]({
+    const manager = funkyManagers[i];
+    const budgetCategory = getBudgetCategory(manager, funcName);
+    if (
+      budgetCategory &&
+      (await budgetBlocks(
+        organization,
+        budgetCategory,
+        manager.name,
+        funcName,
+        await getExpectedBudgetUnits(manager, funcName, {
+          organization,
+          ...funcArgs
+        })
+      ))
+    ) {
+      continue;
+    }
+    const result = await manager[funcName]({
       organization,
       serviceManagerData,
       ...funcArgs
     });
+    if (budgetCategory) {
+      await recordSpend(
+        organization,
+        budgetCategory,
+        manager.name,
+        funcName,
+        result && result.budgetSpent !== undefined ? result.budgetSpent : 1
+      );
+    }
     if (result) {
-      Object.assign(serviceManagerData, result);
+      const { budgetSpent, ...data } = result;
+      Object.assign(serviceManagerData, data);
     }
   }
   // NOTE: some methods pass a shared modifiable object, e.g. 'saveData'
@@ -100,6 +133,7 @@ export async function getServiceManagerData(
     funkyManagers.map(async sm => ({
       name: sm.name,
       ...sm.metadata(),
+      supportsDryRun: typeof sm.onCampaignDryRun === "function",
       ...(await sm[funcName]({ organization, ...funcArgs }))
     }))
   );
@@ -0,0 +1,113 @@
+/// All functions are OPTIONAL EXCEPT metadata() and const name=.
+/// DO NOT IMPLEMENT ANYTHING YOU WILL NOT USE -- the existence of a function adds behavior/UI (sometimes costly)
+
+// The settings for the keyword-autoresponder message handler, which sends the replies:
+// org-wide rules are saved in the organization's KEYWORD_AUTORESPONDER_RULES feature
+// and campaign rules (checked first) in the campaign's features.
+
+import { getConfig, getFeatures } from "../../../server/api/lib/config";
+import { cacheableData, r } from "../../../server/models";
+import {
+  getCampaignRules,
+  getOrganizationRules,
+  validateRules
+} from "../../message-handlers/keyword-autoresponder";
+
+export const name = "keyword-autoresponder";
+
+export const metadata = () => ({
+  // set canSpendMoney=true, if this extension can lead to (additional) money being spent
+  // if it can, which operations below can trigger money being spent?
+  displayName: "Keyword Auto-Responder",
+  description:
+    "Replies automatically to contacts texting keywords like HELP or INFO, org-wide or for a campaign, and can tag or close the conversation.",
+  canSpendMoney: false,
+  moneySpendingOperations: [],
+  supportsOrgConfig: true,
+  supportsCampaignConfig: true
+});
+
+const getSettingsInfo = async (organization, rules) => {
+  const tags = await r
+    .knex("tag")
+    .where({ organization_id: organization.id, is_deleted: false })
+    .select("id", "name");
+  return {
+    rules,
+    tags,
+    rateLimitMinutes: Number(
+      getConfig("KEYWORD_AUTORESPONDER_RATE_LIMIT_MINUTES", organization) || 60
+    ),
+    // replies are matched by the organization's message handlers
+    handlerEnabled: (getConfig("MESSAGE_HANDLERS", organization) || "")
+      .split(",")
+      .includes(name)
+  };
+};
+
+export async function getOrganizationData({ organization, user, loaders }) {
+  return {
+    data: await getSettingsInfo(
+      organization,
+      getOrganizationRules(organization)
+    ),
+    fullyConfigured: null
+  };
+}
+
+export async function onOrganizationUpdateSignal({
+  organization,
+  user,
+  updateData
+}) {
+  const rules = validateRules(updateData.rules || []);
+  const features = { ...getFeatures(organization) };
+  features.KEYWORD_AUTORESPONDER_RULES = JSON.stringify(rules);
+  await r
+    .knex("organization")
+    .where("id", organization.id)
+    .update({ features: JSON.stringify(features) });
+  await cacheableData.organization.clear(organization.id);
+  const updatedOrganization = await cacheableData.organization.load(
+    organization.id
+  );
+  return getOrganizationData({ organization: updatedOrganization, user });
+}
+
+const getCampaignInfo = async (organization, campaign) => ({
+  data: {
+    ...(await getSettingsInfo(organization, getCampaignRules(campaign))),
+    organizationRulesCount: getOrganizationRules(organization).length
+  },
+  fullyConfigured: null
+});
+
+export async function getCampaignData({
+  organization,
+  campaign,
+  user,
+  loaders,
+  fromCampaignStatsPage
+}) {
+  // MUST NOT RETURN SECRETS!
+  if (!fromCampaignStatsPage) {
+    return getCampaignInfo(organization, campaign);
+  }
+}
+
+export async function onCampaignUpdateSignal({
+  organization,
+  campaign,
+  user,
+  updateData,
+  fromCampaignStatsPage
+}) {
+  const rules = validateRules(updateData.rules || []);
+  await cacheableData.campaign.setFeatures(campaign.id, {
+    keywordAutoresponderRules: rules
+  });
+  const updatedCampaign = await cacheableData.campaign.load(campaign.id, {
+    forceLoad: true
+  });
+  return getCampaignInfo(organization, updatedCampaign);
+}
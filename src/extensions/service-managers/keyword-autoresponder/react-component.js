@@ -0,0 +1,219 @@
+/* eslint no-console: 0 */
+import PropTypes from "prop-types";
+import React from "react";
+
+import Button from "@material-ui/core/Button";
+import CardContent from "@material-ui/core/CardContent";
+import FormControlLabel from "@material-ui/core/FormControlLabel";
+import IconButton from "@material-ui/core/IconButton";
+import MenuItem from "@material-ui/core/MenuItem";
+import Switch from "@material-ui/core/Switch";
+import TextField from "@material-ui/core/TextField";
+import DeleteIcon from "@material-ui/icons/Delete";
+
+const emptyRule = () => ({
+  keyword: "",
+  matchType: "exact",
+  reply: "",
+  tagId: null,
+  close: false
+});
+
+export class RulesEditor extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { rules: props.serviceManagerInfo.data.rules || [] };
+  }
+
+  handleSubmit = async () => {
+    try {
+      await this.props.onSubmit({ rules: this.state.rules });
+      this.setState({ error: undefined });
+    } catch (caught) {
+      console.log("keyword-autoresponder save error", caught);
+      this.setState({ error: caught.message });
+    }
+  };
+
+  updateRule(index, changes) {
+    const rules = [...this.state.rules];
+    rules[index] = { ...rules[index], ...changes };
+    this.setState({ rules });
+  }
+
+  renderRule(rule, index) {
+    const { tags } = this.props.serviceManagerInfo.data;
+    return (
+      <div
+        key={index}
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          borderBottom: "1px solid #ddd",
+          paddingBottom: 10,
+          marginBottom: 10
+        }}
+      >
+        <TextField
+          label="Keyword"
+          value={rule.keyword}
+          onChange={event =>
+            this.updateRule(index, { keyword: event.target.value })
+          }
+          style={{ marginRight: 10 }}
+        />
+        <TextField
+          select
+          label="Match"
+          value={rule.matchType}
+          onChange={event =>
+            this.updateRule(index, { matchType: event.target.value })
+          }
+          style={{ marginRight: 10, minWidth: 180 }}
+        >
+          <MenuItem value="exact">The whole message</MenuItem>
+          <MenuItem value="regex">Regular expression</MenuItem>
+        </TextField>
+        <TextField
+          select
+          label="Tag"
+          value={rule.tagId || ""}
+          onChange={event =>
+            this.updateRule(index, { tagId: event.target.value || null })
+          }
+          style={{ marginRight: 10, minWidth: 150 }}
+        >
+          <MenuItem value="">No tag</MenuItem>
+          {tags.map(tag => (
+            <MenuItem key={tag.id} value={String(tag.id)}>
+              {tag.name}
+            </MenuItem>
+          ))}
+        </TextField>
+        <FormControlLabel
+          control={
+            <Switch
+              color="primary"
+              checked={!!rule.close}
+              onChange={(event, checked) =>
+                this.updateRule(index, { close: checked })
+              }
+            />
+          }
+          label="Close the conversation"
+        />
+        <IconButton
+          onClick={() =>
+            this.setState({
+              rules: this.state.rules.filter((r, i) => i !== index)
+            })
+          }
+        >
+          <DeleteIcon />
+        </IconButton>
+        <TextField
+          label="Reply (can use fields like {firstName})"
+          value={rule.reply}
+          onChange={event =>
+            this.updateRule(index, { reply: event.target.value })
+          }
+          multiline
+          fullWidth
+        />
+      </div>
+    );
+  }
+
+  render() {
+    const {
+      rateLimitMinutes,
+      handlerEnabled
+    } = this.props.serviceManagerInfo.data;
+    return (
+      <div>
+        {!handlerEnabled && (
+          <CardContent style={this.props.inlineStyles.errorBox}>
+            The keyword-autoresponder message handler is not enabled (in
+            MESSAGE_HANDLERS), so no replies are sent.
+          </CardContent>
+        )}
+        {this.state.error && <p style={{ color: "red" }}>{this.state.error}</p>}
+        {this.props.children}
+        <p>
+          Contacts get at most one automatic reply every {rateLimitMinutes}{" "}
+          minutes.
+        </p>
+        {this.state.rules.map((rule, index) => this.renderRule(rule, index))}
+        <Button
+          variant="outlined"
+          onClick={() =>
+            this.setState({ rules: [...this.state.rules, emptyRule()] })
+          }
+          style={{ marginRight: 10 }}
+        >
+          Add a keyword
+        </Button>
+        <Button variant="contained" color="primary" onClick={this.handleSubmit}>
+          {this.props.saveLabel || "Save"}
+        </Button>
+      </div>
+    );
+  }
+}
+
+RulesEditor.propTypes = {
+  serviceManagerInfo: PropTypes.object,
+  inlineStyles: PropTypes.object,
+  saveLabel: PropTypes.string,
+  onSubmit: PropTypes.func,
+  children: PropTypes.node
+};
+
+RulesEditor.defaultProps = {
+  inlineStyles: {}
+};
+
+export class OrgConfig extends React.Component {
+  render() {
+    return (
+      <RulesEditor {...this.props}>
+        <p>
+          These keywords are answered in every campaign, after the
+          campaign&apos;s own keywords.
+        </p>
+      </RulesEditor>
+    );
+  }
+}
+
+OrgConfig.propTypes = {
+  organization: PropTypes.object,
+  serviceManagerInfo: PropTypes.object,
+  inlineStyles: PropTypes.object,
+  styles: PropTypes.object,
+  saveLabel: PropTypes.string,
+  onSubmit: PropTypes.func
+};
+
+export class CampaignConfig extends React.Component {
+  render() {
+    const { organizationRulesCount } = this.props.serviceManagerInfo.data;
+    return (
+      <RulesEditor {...this.props}>
+        <p>
+          These keywords are answered in this campaign before the{" "}
+          {organizationRulesCount} keywords of the organization.
+        </p>
+      </RulesEditor>
+    );
+  }
+}
+
+CampaignConfig.propTypes = {
+  user: PropTypes.object,
+  campaign: PropTypes.object,
+  serviceManagerInfo: PropTypes.object,
+  saveLabel: PropTypes.string,
+  onSubmit: PropTypes.func
+};
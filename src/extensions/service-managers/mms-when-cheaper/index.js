@@ -1,6 +1,10 @@
 import { getCharCount } from "@trt2/gsm-charset-utils";
+import camelCaseKeys from "camelcase-keys";
 
+import { applyScript } from "../../../lib/scripts";
 import { getConfig, getFeatures } from "../../../server/api/lib/config";
+import { r } from "../../../server/models";
+import { getServiceFromOrganization } from "../../service-vendors";
 
 /// All functions are OPTIONAL EXCEPT metadata() and const name=.
 /// DO NOT IMPLEMENT ANYTHING YOU WILL NOT USE -- the existence of a function adds behavior/UI (sometimes costly)
@@ -15,10 +19,32 @@ export const metadata = () => ({
     "Often special characters will turn a single-segment message => many segments, driving up the cost which can then exceed the cost of an MMS message (mostly the cost of ~2-3 segments). This extension will switch those messages to use MMS",
   canSpendMoney: true,
   moneySpendingOperations: ["onMessageSend"],
+  budgetCategory: "mms",
   supportsOrgConfig: false,
   supportsCampaignConfig: false
 });
 
+const getCosts = (organization, service, userNumber) =>
+  (service.costData && service.costData(organization, userNumber)) || {};
+
+const getMmsSmsCostRatio = (organization, service, userNumber) => {
+  const mmsSmsCostRatio = getConfig("COST_RATIO_MMS_SMS", organization);
+  if (mmsSmsCostRatio) {
+    return Number(mmsSmsCostRatio);
+  }
+  const costs = getCosts(organization, service, userNumber);
+  if (costs.smsSegment && costs.mmsMessage) {
+    return costs.mmsMessage / costs.smsSegment;
+  }
+  return null;
+};
+
+// It must be strictly greater because MMS also has lower rate-limits
+const sendAsMms = (text, mmsSmsCostRatio) => {
+  const measureSegments = getCharCount(text).msgCount;
+  return Boolean(measureSegments && measureSegments > mmsSmsCostRatio);
+};
+
 export async function onMessageSend({
   message,
   contact,
@@ -27,23 +53,85 @@ export async function onMessageSend({
   service,
   serviceManagerData
 }) {
-  let mmsSmsCostRatio = getConfig("COST_RATIO_MMS_SMS", organization);
-  if (!mmsSmsCostRatio && service.costData) {
-    const costs = service.costData(
-      organization,
-      (serviceManagerData && serviceManagerData.userNumber) ||
-        message.user_number
-    );
-    if (costs && costs.smsSegment && costs.mmsMessage) {
-      mmsSmsCostRatio = costs.mmsMessage / costs.smsSegment;
-    }
+  const mmsSmsCostRatio = getMmsSmsCostRatio(
+    organization,
+    service,
+    (serviceManagerData && serviceManagerData.userNumber) || message.user_number
+  );
+  if (mmsSmsCostRatio && sendAsMms(message.text, mmsSmsCostRatio)) {
+    return { forceMms: true, budgetSpent: 1 };
   }
-  if (mmsSmsCostRatio) {
-    const measureSegments = getCharCount(message.text).msgCount;
-    if (measureSegments && measureSegments > Number(mmsSmsCostRatio)) {
-      // It must be strictly greater because MMS also has lower rate-limits
-      return { forceMms: true };
-    }
+  return { budgetSpent: 0 };
+}
+
+export async function onCampaignDryRun({
+  organization,
+  campaign,
+  user,
+  sampleContacts,
+  contactsCount
+}) {
+  // which of the sampled contacts' initial messages would be sent as MMS
+  const service = getServiceFromOrganization(organization);
+  const mmsSmsCostRatio = getMmsSmsCostRatio(organization, service);
+  if (!mmsSmsCostRatio) {
+    return {
+      dryRunReport: {
+        summary:
+          "The MMS/SMS cost ratio is unknown (set COST_RATIO_MMS_SMS): no messages would be sent as MMS."
+      }
+    };
   }
-  return {};
+  const rootStep = await r
+    .knex("interaction_step")
+    .where({ campaign_id: campaign.id, is_deleted: false })
+    .whereNull("parent_interaction_id")
+    .orderBy("id")
+    .first("script");
+  const customFields = Object.keys(
+    JSON.parse((sampleContacts[0] && sampleContacts[0].custom_fields) || "{}")
+  );
+  const texter = camelCaseKeys(user);
+  const costs = getCosts(organization, service);
+  let mmsCount = 0;
+  let saving = 0;
+  sampleContacts.forEach(contact => {
+    const text = applyScript({
+      contact: camelCaseKeys({
+        ...contact,
+        customFields: contact.custom_fields
+      }),
+      texter,
+      script: (rootStep && rootStep.script) || "",
+      customFields
+    });
+    if (sendAsMms(text, mmsSmsCostRatio)) {
+      mmsCount += 1;
+      if (costs.smsSegment && costs.mmsMessage) {
+        saving +=
+          getCharCount(text).msgCount * costs.smsSegment - costs.mmsMessage;
+      }
+    }
+  });
+  const scale = sampleContacts.length
+    ? contactsCount / sampleContacts.length
+    : 0;
+  const estimatedMmsCount = Math.round(mmsCount * scale);
+  const estimatedSaving =
+    costs.smsSegment && costs.mmsMessage ? saving * scale : null;
+  return {
+    dryRunReport: {
+      summary:
+        `About ${estimatedMmsCount} of ${contactsCount} initial messages would be sent as MMS` +
+        ` (${mmsCount} of ${sampleContacts.length} sampled)` +
+        (estimatedSaving !== null
+          ? `, est. saving $${estimatedSaving.toFixed(2)}`
+          : "") +
+        ".",
+      sampleSize: sampleContacts.length,
+      sampleMmsCount: mmsCount,
+      estimatedMmsCount,
+      estimatedSaving
+    }
+  };
 }
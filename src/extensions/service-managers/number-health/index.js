@@ -0,0 +1,132 @@
+/// All functions are OPTIONAL EXCEPT metadata() and const name=.
+/// DO NOT IMPLEMENT ANYTHING YOU WILL NOT USE -- the existence of a function adds behavior/UI (sometimes costly)
+
+// Counts delivery reports per sending number (phone_number_health, per day) and
+// quarantines an owned_phone_number once too many of its messages in the last
+// NUMBER_HEALTH_WINDOW_DAYS failed with NUMBER_HEALTH_ERROR_CODES -- the errors
+// carriers return when they filter a number.
+// Quarantined numbers are skipped by the numpickers and sticky-sender
+// until an admin releases them in Phone Numbers.
+
+import { log } from "../../../lib";
+import {
+  getHealthConfig,
+  healthDay
+} from "../../../server/api/lib/number-health";
+import { r } from "../../../server/models";
+import telemetry from "../../../server/telemetry";
+
+export const name = "number-health";
+
+export const metadata = () => ({
+  // set canSpendMoney=true, if this extension can lead to (additional) money being spent
+  // if it can, which operations below can trigger money being spent?
+  displayName: "Number Health",
+  description:
+    "Tracks delivery rates per sending number and stops using numbers that carriers are filtering.",
+  canSpendMoney: false,
+  moneySpendingOperations: [],
+  supportsOrgConfig: false,
+  supportsCampaignConfig: false
+});
+
+const countReport = async (organizationId, phoneNumber, counts) => {
+  const increments = {};
+  Object.keys(counts).forEach(column => {
+    increments[column] = r.knex.raw(`phone_number_health.${column} + ?`, [
+      counts[column]
+    ]);
+  });
+  await r
+    .knex("phone_number_health")
+    .insert({
+      organization_id: organizationId,
+      phone_number: phoneNumber,
+      day: healthDay(),
+      ...counts
+    })
+    .onConflict(["organization_id", "phone_number", "day"])
+    .merge(increments);
+};
+
+/**
+ * @returns { delivered, errors, flagged } for the number over the last windowDays
+ */
+export async function getNumberHealth(organizationId, phoneNumber, windowDays) {
+  const since = new Date(Date.now() - (windowDays - 1) * 86400000);
+  const row = await r
+    .knex("phone_number_health")
+    .where({ organization_id: organizationId, phone_number: phoneNumber })
+    .where("day", ">=", healthDay(since))
+    .select(
+      r.knex.raw("sum(delivered_count) as delivered"),
+      r.knex.raw("sum(error_count) as errors"),
+      r.knex.raw("sum(flagged_count) as flagged")
+    )
+    .first();
+  return {
+    delivered: Number((row && row.delivered) || 0),
+    errors: Number((row && row.errors) || 0),
+    flagged: Number((row && row.flagged) || 0)
+  };
+}
+
+const quarantineIfUnhealthy = async (organization, phoneNumber) => {
+  const { errorCodes, maxErrorRate, minReports, windowDays } = getHealthConfig(
+    organization
+  );
+  const health = await getNumberHealth(
+    organization.id,
+    phoneNumber,
+    windowDays
+  );
+  const reports = health.delivered + health.errors;
+  if (reports < minReports || health.flagged / reports <= maxErrorRate) {
+    return;
+  }
+  const errors = errorCodes.join(", ");
+  const reason = `${health.flagged} of ${reports} messages were filtered (errors ${errors}) in the last ${windowDays} days`;
+  const quarantined = await r
+    .knex("owned_phone_number")
+    .where({ organization_id: organization.id, phone_number: phoneNumber })
+    .whereNull("quarantined_at")
+    .update({ quarantined_at: new Date(), quarantine_reason: reason });
+  if (quarantined) {
+    log.warn(
+      `number-health: organization ${organization.id} quarantined ${phoneNumber}: ${reason}`
+    );
+    await telemetry.reportEvent("Number Quarantined", {
+      organizationId: organization.id,
+      phoneNumber,
+      ...health
+    });
+  }
+};
+
+// NOTE: this is somewhat expensive relatively what it usually is,
+// so only implement this if it's important
+export async function onDeliveryReport({
+  userNumber,
+  newStatus,
+  errorCode,
+  organization
+}) {
+  if (!userNumber || !organization) {
+    return;
+  }
+  if (newStatus === "DELIVERED") {
+    await countReport(organization.id, userNumber, { delivered_count: 1 });
+  } else if (newStatus === "ERROR") {
+    const flagged = getHealthConfig(organization).errorCodes.includes(
+      Number(errorCode)
+    );
+    await countReport(organization.id, userNumber, {
+      error_count: 1,
+      flagged_count: flagged ? 1 : 0
+    });
+    if (flagged) {
+      // only filtered messages can push a number over the threshold
+      await quarantineIfUnhealthy(organization, userNumber);
+    }
+  }
+}
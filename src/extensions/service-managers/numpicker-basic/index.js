@@ -38,13 +38,16 @@ export async function onMessageSend({
     // chose a phone number then don't change anything
     return;
   }
-  const serviceName = cacheableData.organization.getMessageService(
-    organization
-  );
+  // a previous service manager (e.g. vendor-failover) can pick another vendor
+  const serviceName =
+    (serviceManagerData && serviceManagerData.service) ||
+    cacheableData.organization.getMessageService(organization);
   const selectedPhone = await r
     .knex("owned_phone_number")
     .where({ service: serviceName, organization_id: organization.id })
     .whereNull("allocated_to_id")
+    // see number-health
+    .whereNull("quarantined_at")
     .orderByRaw("random()")
     .select("phone_number")
     .first();
@@ -0,0 +1,286 @@
+/// All functions are OPTIONAL EXCEPT metadata() and const name=.
+/// DO NOT IMPLEMENT ANYTHING YOU WILL NOT USE -- the existence of a function adds behavior/UI (sometimes costly)
+
+// Picks a number from owned_phone_number in the contact's area code, or else
+// one in the same state (of the contact's cell, then of their zip), or else
+// any available number like numpicker-basic.
+// List it after sticky-sender so contacts keep the number they were first texted from:
+//   SERVICE_MANAGERS=sticky-sender,numpicker-local-presence
+
+import usAreaCodes from "us-area-codes/data/codes.json";
+
+import { r, cacheableData } from "../../../server/models";
+
+export const name = "numpicker-local-presence";
+
+export const metadata = () => ({
+  // set canSpendMoney=true, if this extension can lead to (additional) money being spent
+  // if it can, which operations below can trigger money being spent?
+  displayName: "Local Presence Number Picker",
+  description:
+    "Picks a number available in owned_phone_number table in the contact's area code or state, falling back to any available number.",
+  canSpendMoney: false,
+  moneySpendingOperations: [],
+  supportsOrgConfig: false,
+  supportsCampaignConfig: false
+});
+
+// zip_code.state is an abbreviation, us-area-codes uses the name
+const STATE_NAMES = {
+  AK: "Alaska",
+  AL: "Alabama",
+  AR: "Arkansas",
+  AS: "American Samoa",
+  AZ: "Arizona",
+  CA: "California",
+  CO: "Colorado",
+  CT: "Connecticut",
+  DC: "District of Columbia",
+  DE: "Delaware",
+  FL: "Florida",
+  GA: "Georgia",
+  GU: "Guam",
+  HI: "Hawaii",
+  IA: "Iowa",
+  ID: "Idaho",
+  IL: "Illinois",
+  IN: "Indiana",
+  KS: "Kansas",
+  KY: "Kentucky",
+  LA: "Louisiana",
+  MA: "Massachusetts",
+  MD: "Maryland",
+  ME: "Maine",
+  MI: "Michigan",
+  MN: "Minnesota",
+  MO: "Missouri",
+  MP: "CNMI",
+  MS: "Mississippi",
+  MT: "Montana",
+  NC: "North Carolina",
+  ND: "North Dakota",
+  NE: "Nebraska",
+  NH: "New Hampshire",
+  NJ: "New Jersey",
+  NM: "New Mexico",
+  NV: "Nevada",
+  NY: "New York",
+  OH: "Ohio",
+  OK: "Oklahoma",
+  OR: "Oregon",
+  PA: "Pennsylvania",
+  PR: "Puerto Rico",
+  RI: "Rhode Island",
+  SC: "South Carolina",
+  SD: "South Dakota",
+  TN: "Tennessee",
+  TX: "Texas",
+  UT: "Utah",
+  VA: "Virginia",
+  VI: "US Virgin Islands",
+  VT: "Vermont",
+  WA: "Washington",
+  WI: "Wisconsin",
+  WV: "West Virginia",
+  WY: "Wyoming"
+};
+
+const areaCodesByState = {};
+Object.keys(usAreaCodes).forEach(areaCode => {
+  const state = usAreaCodes[areaCode];
+  areaCodesByState[state] = (areaCodesByState[state] || []).concat(areaCode);
+});
+
+export const areaCodeOf = phoneNumber => {
+  const match = /^\+1(\d{3})\d{7}$/.exec(phoneNumber || "");
+  return match ? match[1] : null;
+};
+
+const zipState = async zip => {
+  if (!zip) {
+    return null;
+  }
+  const zipCode = await r
+    .knex("zip_code")
+    .where("zip", zip)
+    .select("state")
+    .first();
+  return (zipCode && STATE_NAMES[zipCode.state]) || null;
+};
+
+const availableNumbers = (organization, serviceName) =>
+  r
+    .knex("owned_phone_number")
+    .where({ service: serviceName, organization_id: organization.id })
+    .whereNull("allocated_to_id")
+    // see number-health
+    .whereNull("quarantined_at");
+
+const pickNumber = async (organization, serviceName, areaCodes) => {
+  let query = availableNumbers(organization, serviceName);
+  if (areaCodes) {
+    query = query.whereIn("area_code", areaCodes);
+  }
+  const selectedPhone = await query
+    .orderByRaw("random()")
+    .select("phone_number")
+    .first();
+  return selectedPhone && selectedPhone.phone_number;
+};
+
+export async function onMessageSend({
+  message,
+  contact,
+  organization,
+  campaign,
+  serviceManagerData
+}) {
+  if (
+    message.user_number ||
+    (serviceManagerData && serviceManagerData.user_number)
+  ) {
+    // another serviceManager (e.g. sticky-sender) already chose a phone number
+    return;
+  }
+  // a previous service manager (e.g. vendor-failover) can pick another vendor
+  const serviceName =
+    (serviceManagerData && serviceManagerData.service) ||
+    cacheableData.organization.getMessageService(organization);
+
+  const contactAreaCode = areaCodeOf(message.contact_number);
+  if (contactAreaCode) {
+    const userNumber = await pickNumber(organization, serviceName, [
+      contactAreaCode
+    ]);
+    if (userNumber) {
+      return { user_number: userNumber };
+    }
+  }
+  const cellState = usAreaCodes[contactAreaCode];
+  if (cellState) {
+    const userNumber = await pickNumber(
+      organization,
+      serviceName,
+      areaCodesByState[cellState]
+    );
+    if (userNumber) {
+      return { user_number: userNumber };
+    }
+  }
+  const contactZipState = await zipState(contact && contact.zip);
+  if (contactZipState && contactZipState !== cellState) {
+    const userNumber = await pickNumber(
+      organization,
+      serviceName,
+      areaCodesByState[contactZipState]
+    );
+    if (userNumber) {
+      return { user_number: userNumber };
+    }
+  }
+  // short on local inventory: any number is better than not sending
+  const userNumber = await pickNumber(organization, serviceName);
+  if (userNumber) {
+    return { user_number: userNumber };
+  }
+  console.log(
+    "numpicker-local-presence.onMessageSend none found",
+    serviceName,
+    organization.id
+  );
+}
+
+const STATS_CACHE_SECONDS = 300;
+
+const statsCacheKey = campaignId =>
+  `${process.env.CACHE_PREFIX || ""}numpicker-local-presence-${campaignId}`;
+
+/**
+ * Counts the campaign's sent messages by how local the sending number was,
+ * whichever service manager picked it.
+ * @returns { total, areaCode, state, zipState }
+ */
+export async function getLocalPresenceStats(campaignId) {
+  const rows = await r
+    .knexReadOnly("message")
+    .join(
+      "campaign_contact",
+      "campaign_contact.id",
+      "message.campaign_contact_id"
+    )
+    .leftJoin("zip_code", "zip_code.zip", "campaign_contact.zip")
+    .where({
+      "campaign_contact.campaign_id": campaignId,
+      "message.is_from_contact": false
+    })
+    .whereIn("message.send_status", ["SENT", "DELIVERED"])
+    .whereNotNull("message.user_number")
+    .select(
+      r.knex.raw("substr(message.user_number, 3, 3) as user_area_code"),
+      r.knex.raw("substr(message.contact_number, 3, 3) as contact_area_code"),
+      "zip_code.state as zip_state"
+    )
+    .count("* as count")
+    .groupBy("user_area_code", "contact_area_code", "zip_state");
+  const stats = { total: 0, areaCode: 0, state: 0, zipState: 0 };
+  rows.forEach(row => {
+    const count = Number(row.count);
+    const userState = usAreaCodes[row.user_area_code];
+    stats.total += count;
+    if (row.user_area_code === row.contact_area_code) {
+      stats.areaCode += count;
+    } else if (userState && userState === usAreaCodes[row.contact_area_code]) {
+      stats.state += count;
+    } else if (userState && userState === STATE_NAMES[row.zip_state]) {
+      stats.zipState += count;
+    }
+  });
+  return stats;
+}
+
+export async function getCampaignData({
+  organization,
+  campaign,
+  user,
+  loaders,
+  fromCampaignStatsPage
+}) {
+  // MUST NOT RETURN SECRETS!
+  // called both from edit and stats contexts: editMode==true for edit page
+  if (!fromCampaignStatsPage) {
+    const serviceName = cacheableData.organization.getMessageService(
+      organization
+    );
+    const counts = await availableNumbers(organization, serviceName)
+      .select("area_code")
+      .count("* as count")
+      .groupBy("area_code");
+    return {
+      data: {
+        availableNumbers: counts.reduce((sum, c) => sum + Number(c.count), 0),
+        areaCodes: counts.length,
+        states: new Set(
+          counts.map(c => usAreaCodes[c.area_code]).filter(Boolean)
+        ).size
+      }
+    };
+  }
+  const cacheKey = statsCacheKey(campaign.id);
+  if (r.redis) {
+    const cached = await r.redis.getAsync(cacheKey);
+    if (cached) {
+      return { data: JSON.parse(cached) };
+    }
+  }
+  const stats = await getLocalPresenceStats(campaign.id);
+  if (r.redis) {
+    // the stats page polls, and the counts span the whole campaign
+    await r.redis.setAsync(
+      cacheKey,
+      JSON.stringify(stats),
+      "EX",
+      STATS_CACHE_SECONDS
+    );
+  }
+  return { data: stats };
+}
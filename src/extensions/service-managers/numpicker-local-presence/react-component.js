@@ -0,0 +1,60 @@
+import PropTypes from "prop-types";
+import React from "react";
+
+const percent = (count, total) =>
+  total ? ` (${Math.round((100 * count) / total)}%)` : "";
+
+export const CampaignConfig = ({ serviceManagerInfo }) => {
+  const { availableNumbers, areaCodes, states } = serviceManagerInfo.data || {};
+  return (
+    <div>
+      Messages are sent from a number in the contact&rsquo;s area code, or else
+      in their state, when there is one available.{" "}
+      {availableNumbers
+        ? `There are ${availableNumbers} numbers available in ${areaCodes} area codes across ${states} states.`
+        : "There are no numbers available yet: buy some in Phone Numbers."}
+    </div>
+  );
+};
+
+CampaignConfig.propTypes = {
+  serviceManagerInfo: PropTypes.object
+};
+
+export const CampaignStats = ({ serviceManagerInfo }) => {
+  const { total, areaCode, state, zipState } = serviceManagerInfo.data || {};
+  if (!total) {
+    return <div>Local presence: no messages have been sent yet.</div>;
+  }
+  const other = total - areaCode - state - zipState;
+  return (
+    <div>
+      <div>Local presence for {total} sent messages:</div>
+      <ul>
+        <li>
+          {areaCode}
+          {percent(areaCode, total)} from the contact&rsquo;s area code
+        </li>
+        <li>
+          {state}
+          {percent(state, total)} from another area code in the same state
+        </li>
+        {zipState > 0 && (
+          <li>
+            {zipState}
+            {percent(zipState, total)} from the state of the contact&rsquo;s zip
+            code
+          </li>
+        )}
+        <li>
+          {other}
+          {percent(other, total)} from elsewhere
+        </li>
+      </ul>
+    </div>
+  );
+};
+
+CampaignStats.propTypes = {
+  serviceManagerInfo: PropTypes.object
+};
@@ -0,0 +1,468 @@
+/// All functions are OPTIONAL EXCEPT metadata() and const name=.
+/// DO NOT IMPLEMENT ANYTHING YOU WILL NOT USE -- the existence of a function adds behavior/UI (sometimes costly)
+
+// Posts opt-outs (and opt-ins) to a webhook (e.g. ActionKit or any other CRM's endpoint),
+// like civicrm-donotsms does for CiviCRM. The JSON body is rendered from
+// OPTOUT_WEBHOOK_TEMPLATE and, when a secret is set, signed with
+//   X-Spoke-Signature: sha256=<hex HMAC-SHA256 of "<X-Spoke-Timestamp>.<body>">
+// Every delivery is kept in optout_webhook_delivery and posted by a task, so
+// opting out never waits for the webhook. Failed ones are retried
+// by the retryOptOutWebhooks process, waiting OPTOUT_WEBHOOK_RETRY_MINUTES
+// (doubling each time) for up to OPTOUT_WEBHOOK_MAX_ATTEMPTS attempts.
+
+import { createHmac } from "crypto";
+import fetch from "node-fetch";
+
+import { log } from "../../../lib";
+import { getConfig, getFeatures } from "../../../server/api/lib/config";
+import { cacheableData, r } from "../../../server/models";
+import { convertSecret, getSecret } from "../../secret-manager";
+import { jobRunner } from "../../job-runners";
+import { Tasks } from "../../../workers/tasks";
+
+export const name = "optout-webhook";
+
+export const metadata = () => ({
+  // set canSpendMoney=true, if this extension can lead to (additional) money being spent
+  // if it can, which operations below can trigger money being spent?
+  displayName: "Opt-out Webhook",
+  description:
+    "Posts opt-outs and opt-ins to a webhook, e.g. to sync them to your CRM, and retries failed posts.",
+  canSpendMoney: false,
+  moneySpendingOperations: [],
+  supportsOrgConfig: true,
+  supportsCampaignConfig: false
+});
+
+export const METHODS = ["POST", "PUT", "PATCH"];
+
+export const DEFAULT_TEMPLATE = {
+  event: "{{event}}",
+  cell: "{{cell}}",
+  external_id: "{{external_id}}",
+  first_name: "{{first_name}}",
+  last_name: "{{last_name}}",
+  campaign_id: "{{campaign_id}}",
+  campaign_title: "{{campaign_title}}",
+  reason: "{{reason}}",
+  organization_id: "{{organization_id}}",
+  created_at: "{{created_at}}"
+};
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_RETRY_MINUTES = 5;
+const TIMEOUT_MS = 10000;
+const ENCRYPTED = "<Encrypted>";
+
+const parseTemplate = template => {
+  const parsed = typeof template === "string" ? JSON.parse(template) : template;
+  if (!parsed || typeof parsed !== "object") {
+    throw new Error("The template must be a JSON object or array");
+  }
+  return parsed;
+};
+
+export const getWebhookConfig = organization => {
+  const method = String(
+    getConfig("OPTOUT_WEBHOOK_METHOD", organization) || "POST"
+  ).toUpperCase();
+  const template = getConfig("OPTOUT_WEBHOOK_TEMPLATE", organization);
+  return {
+    url: getConfig("OPTOUT_WEBHOOK_URL", organization) || "",
+    method: METHODS.includes(method) ? method : "POST",
+    template: template ? parseTemplate(template) : DEFAULT_TEMPLATE,
+    maxAttempts:
+      Number(getConfig("OPTOUT_WEBHOOK_MAX_ATTEMPTS", organization)) ||
+      DEFAULT_MAX_ATTEMPTS,
+    retryMinutes:
+      Number(getConfig("OPTOUT_WEBHOOK_RETRY_MINUTES", organization)) ||
+      DEFAULT_RETRY_MINUTES
+  };
+};
+
+const getSigningSecret = async organization => {
+  // saved in Settings: encrypted in the organization's features
+  const token = getFeatures(organization).OPTOUT_WEBHOOK_SECRET;
+  if (token) {
+    return getSecret("OPTOUT_WEBHOOK_SECRET", token, organization);
+  }
+  return getConfig("OPTOUT_WEBHOOK_SECRET") || null;
+};
+
+/**
+ * Fills {{variable}} placeholders in every string of the template.
+ * A string that is just one placeholder takes the variable's value as is,
+ * so numbers and nulls stay JSON numbers and nulls.
+ */
+export const renderTemplate = (template, variables) => {
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, variables));
+  }
+  if (template && typeof template === "object") {
+    const rendered = {};
+    Object.keys(template).forEach(key => {
+      rendered[key] = renderTemplate(template[key], variables);
+    });
+    return rendered;
+  }
+  if (typeof template !== "string") {
+    return template;
+  }
+  const whole = template.match(/^\{\{\s*(\w+)\s*\}\}$/);
+  if (whole) {
+    const value = variables[whole[1]];
+    return value === undefined ? null : value;
+  }
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, variable) => {
+    const value = variables[variable];
+    return value === undefined || value === null ? "" : String(value);
+  });
+};
+
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+const nextAttemptAt = (attempts, retryMinutes) =>
+  new Date(Date.now() + retryMinutes * 60 * 1000 * 2 ** (attempts - 1));
+
+/**
+ * Posts the delivery and records the outcome.
+ * @returns true when the webhook accepted it
+ */
+export async function attemptDelivery(organization, delivery) {
+  const { maxAttempts, retryMinutes } = getWebhookConfig(organization);
+  const attempts = delivery.attempts + 1;
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Spoke-Event": delivery.event,
+    // the same for every attempt, so receivers can ignore repeats
+    "X-Spoke-Delivery": String(delivery.id)
+  };
+  const secret = await getSigningSecret(organization);
+  if (secret) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    headers["X-Spoke-Timestamp"] = timestamp;
+    headers["X-Spoke-Signature"] = signPayload(
+      secret,
+      timestamp,
+      delivery.payload
+    );
+  }
+  let error;
+  try {
+    const response = await fetch(delivery.url, {
+      method: delivery.method,
+      headers,
+      body: delivery.payload,
+      timeout: TIMEOUT_MS
+    });
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  const update = { attempts, updated_at: new Date() };
+  if (!error) {
+    update.status = "DELIVERED";
+    update.last_error = null;
+  } else if (attempts >= maxAttempts) {
+    update.status = "FAILED";
+    update.last_error = error;
+    log.error(
+      `optout-webhook: gave up on delivery ${delivery.id} for organization ${organization.id} after ${attempts} attempts: ${error}`
+    );
+  } else {
+    update.last_error = error;
+    update.next_attempt_at = nextAttemptAt(attempts, retryMinutes);
+  }
+  await r
+    .knex("optout_webhook_delivery")
+    .where("id", delivery.id)
+    .update(update);
+  return !error;
+}
+
+/**
+ * Claims a PENDING delivery by counting the attempt, so a process that loaded
+ * the same row no longer matches it and does not post it twice, and posts it.
+ * @returns true when the webhook accepted it
+ */
+const claimAndDeliver = async delivery => {
+  const claimed = await r
+    .knex("optout_webhook_delivery")
+    .where({
+      id: delivery.id,
+      attempts: delivery.attempts,
+      status: "PENDING"
+    })
+    .update({
+      attempts: delivery.attempts + 1,
+      // retried later should this process stop before recording the outcome
+      next_attempt_at: new Date(Date.now() + TIMEOUT_MS * 6)
+    });
+  if (!claimed) {
+    return false;
+  }
+  const organization = await cacheableData.organization.load(
+    delivery.organization_id
+  );
+  return attemptDelivery(organization, delivery);
+};
+
+/**
+ * Run as a task after queueWebhook: the first attempt of a delivery.
+ */
+export async function deliverQueuedWebhook({ deliveryId }) {
+  const delivery = await r
+    .knex("optout_webhook_delivery")
+    .where("id", deliveryId)
+    .first();
+  if (delivery && delivery.status === "PENDING" && !delivery.attempts) {
+    await claimAndDeliver(delivery);
+  }
+}
+
+/**
+ * Queues an event for the webhook and dispatches a task to deliver it.
+ * Should the task not run, the retryOptOutWebhooks process delivers it.
+ * @returns the delivery, or null when no webhook is configured
+ */
+export async function queueWebhook(organization, event, variables) {
+  const { url, method, template } = getWebhookConfig(organization);
+  if (!url) {
+    return null;
+  }
+  const [delivery] = await r
+    .knex("optout_webhook_delivery")
+    .insert({
+      organization_id: organization.id,
+      event,
+      cell: variables.cell,
+      url,
+      method,
+      payload: JSON.stringify(
+        renderTemplate(template, {
+          ...variables,
+          event,
+          organization_id: Number(organization.id)
+        })
+      ),
+      next_attempt_at: new Date()
+    })
+    .returning("*");
+  await jobRunner.dispatchTask(Tasks.EXTENSION_TASK, {
+    method: "deliverQueuedWebhook",
+    path: "extensions/service-managers/optout-webhook",
+    deliveryId: delivery.id
+  });
+  return delivery;
+}
+
+// the template's variables for an opt-out or opt-in of the cell
+const eventVariables = async ({ cell, contact, campaign, user, reason }) => {
+  const campaignId =
+    (contact && contact.campaign_id) || (campaign && campaign.id);
+  const fullCampaign =
+    (campaign && campaign.title) || !campaignId
+      ? campaign
+      : await cacheableData.campaign.load(campaignId);
+  return {
+    cell: cell || (contact && contact.cell),
+    external_id: (contact && contact.external_id) || null,
+    first_name: (contact && contact.first_name) || null,
+    last_name: (contact && contact.last_name) || null,
+    campaign_id: campaignId ? Number(campaignId) : null,
+    campaign_title: (fullCampaign && fullCampaign.title) || null,
+    reason: reason || null,
+    user_id: user ? Number(user.id) : null,
+    created_at: new Date().toISOString()
+  };
+};
+
+export async function onOptOut({
+  organization,
+  contact,
+  campaign,
+  user,
+  noReply,
+  reason,
+  assignmentId,
+  cell
+}) {
+  if (!getWebhookConfig(organization).url) {
+    return;
+  }
+  try {
+    await queueWebhook(
+      organization,
+      "optout",
+      await eventVariables({ cell, contact, campaign, user, reason })
+    );
+  } catch (err) {
+    // the opt-out itself is saved: never fail it because of the webhook
+    log.error(`optout-webhook: could not queue opt-out of ${cell}`, err);
+  }
+}
+
+export async function onOptIn({
+  organization,
+  cell,
+  campaignContactId,
+  user,
+  reason
+}) {
+  if (!getWebhookConfig(organization).url) {
+    return;
+  }
+  try {
+    const contact =
+      campaignContactId &&
+      (await cacheableData.campaignContact.load(campaignContactId));
+    await queueWebhook(
+      organization,
+      "optin",
+      await eventVariables({ cell, contact, user, reason })
+    );
+  } catch (err) {
+    // like opt-outs, the opt-in is saved either way
+    log.error(`optout-webhook: could not queue opt-in of ${cell}`, err);
+  }
+}
+
+/**
+ * Run by the retryOptOutWebhooks process: retries deliveries that are due.
+ * @returns how many were delivered
+ */
+export async function retryDeliveries(limit = 100) {
+  const due = await r
+    .knex("optout_webhook_delivery")
+    .where("status", "PENDING")
+    .where("next_attempt_at", "<=", new Date())
+    .orderBy("next_attempt_at")
+    .limit(limit);
+  let delivered = 0;
+  for (let i = 0; i < due.length; i++) {
+    if (await claimAndDeliver(due[i])) {
+      delivered += 1;
+    }
+  }
+  return delivered;
+}
+
+const getDeliveryCounts = async organizationId => {
+  const counts = await r
+    .knex("optout_webhook_delivery")
+    .where("organization_id", organizationId)
+    .whereIn("status", ["PENDING", "FAILED"])
+    .groupBy("status")
+    .select("status", r.knex.raw("count(*) as count"));
+  const lastFailure = await r
+    .knex("optout_webhook_delivery")
+    .where("organization_id", organizationId)
+    .whereNotNull("last_error")
+    .whereIn("status", ["PENDING", "FAILED"])
+    .orderBy("updated_at", "desc")
+    .first("last_error", "updated_at");
+  const byStatus = {};
+  counts.forEach(row => {
+    byStatus[row.status] = Number(row.count);
+  });
+  return {
+    pending: byStatus.PENDING || 0,
+    failed: byStatus.FAILED || 0,
+    lastError: (lastFailure && lastFailure.last_error) || null
+  };
+};
+
+const getOrganizationInfo = async organization => {
+  const config = getWebhookConfig(organization);
+  return {
+    data: {
+      ...config,
+      template: JSON.stringify(config.template, null, 2),
+      // MUST NOT RETURN SECRETS!
+      secret: (await getSigningSecret(organization)) ? ENCRYPTED : "",
+      ...(await getDeliveryCounts(organization.id))
+    },
+    fullyConfigured: Boolean(config.url)
+  };
+};
+
+export async function getOrganizationData({ organization, user, loaders }) {
+  return getOrganizationInfo(organization);
+}
+
+export async function onOrganizationUpdateSignal({
+  organization,
+  user,
+  updateData
+}) {
+  if (updateData.retryFailed) {
+    await r
+      .knex("optout_webhook_delivery")
+      .where({ organization_id: organization.id, status: "FAILED" })
+      .update({
+        status: "PENDING",
+        attempts: 0,
+        next_attempt_at: new Date(),
+        updated_at: new Date()
+      });
+    return getOrganizationInfo(organization);
+  }
+  const {
+    url,
+    method,
+    template,
+    secret,
+    maxAttempts,
+    retryMinutes
+  } = updateData;
+  if (url && !/^https?:\/\//.test(url)) {
+    throw new Error("The webhook URL must start with http:// or https://");
+  }
+  if (method && !METHODS.includes(method)) {
+    throw new Error(`The HTTP method must be one of ${METHODS.join(", ")}`);
+  }
+  if (template) {
+    try {
+      parseTemplate(template);
+    } catch (err) {
+      throw new Error(`The template is not valid JSON: ${err.message}`);
+    }
+  }
+  if (maxAttempts && !(maxAttempts > 0)) {
+    throw new Error("The number of attempts must be a positive number");
+  }
+  if (retryMinutes && !(retryMinutes > 0)) {
+    throw new Error("The minutes between retries must be a positive number");
+  }
+  const features = { ...getFeatures(organization) };
+  features.OPTOUT_WEBHOOK_URL = url || "";
+  features.OPTOUT_WEBHOOK_METHOD = method || "";
+  features.OPTOUT_WEBHOOK_TEMPLATE = template || "";
+  features.OPTOUT_WEBHOOK_MAX_ATTEMPTS = Number(maxAttempts) || "";
+  features.OPTOUT_WEBHOOK_RETRY_MINUTES = Number(retryMinutes) || "";
+  if (!secret) {
+    delete features.OPTOUT_WEBHOOK_SECRET;
+  } else if (secret !== ENCRYPTED) {
+    features.OPTOUT_WEBHOOK_SECRET = await convertSecret(
+      "OPTOUT_WEBHOOK_SECRET",
+      organization,
+      secret
+    );
+  }
+
+  await r
+    .knex("organization")
+    .where("id", organization.id)
+    .update({ features: JSON.stringify(features) });
+  await cacheableData.organization.clear(organization.id);
+  const updatedOrganization = await cacheableData.organization.load(
+    organization.id
+  );
+  return getOrganizationInfo(updatedOrganization);
+}
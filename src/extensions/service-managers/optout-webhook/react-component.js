@@ -0,0 +1,177 @@
+/* eslint no-console: 0 */
+import PropTypes from "prop-types";
+import React from "react";
+import Form from "react-formal";
+import * as yup from "yup";
+
+import Button from "@material-ui/core/Button";
+import CardContent from "@material-ui/core/CardContent";
+
+import GSForm from "../../../components/forms/GSForm";
+import GSSelectField from "../../../components/forms/GSSelectField";
+import GSTextField from "../../../components/forms/GSTextField";
+import GSSubmitButton from "../../../components/forms/GSSubmitButton";
+
+const methodChoices = ["POST", "PUT", "PATCH"].map(method => ({
+  value: method,
+  label: method
+}));
+
+export class OrgConfig extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {};
+  }
+
+  handleSubmit = async formValues => {
+    try {
+      await this.props.onSubmit(formValues);
+      this.setState({ error: undefined });
+    } catch (caught) {
+      console.log("optout-webhook save error", caught);
+      this.setState({ error: caught.message });
+    }
+  };
+
+  render() {
+    const {
+      url,
+      method,
+      template,
+      secret,
+      maxAttempts,
+      retryMinutes,
+      pending,
+      failed,
+      lastError
+    } = this.props.serviceManagerInfo.data;
+    const formSchema = yup.object({
+      url: yup
+        .string()
+        .url()
+        .nullable(),
+      method: yup.string().nullable(),
+      template: yup
+        .string()
+        .nullable()
+        .test("is-json", "The template must be valid JSON", value => {
+          try {
+            return !value || Boolean(JSON.parse(value));
+          } catch (err) {
+            return false;
+          }
+        }),
+      secret: yup.string().nullable(),
+      maxAttempts: yup
+        .number()
+        .integer()
+        .min(1)
+        .nullable(),
+      retryMinutes: yup
+        .number()
+        .min(1)
+        .nullable()
+    });
+    return (
+      <div>
+        {failed > 0 && (
+          <CardContent style={this.props.inlineStyles.errorBox}>
+            {failed} opt-outs or opt-ins could not be posted
+            {lastError ? ` (last error: ${lastError})` : ""}.
+            <div>
+              <Button
+                variant="contained"
+                onClick={() => this.handleSubmit({ retryFailed: true })}
+              >
+                Retry them
+              </Button>
+            </div>
+          </CardContent>
+        )}
+        {this.state.error && (
+          <CardContent style={this.props.inlineStyles.errorBox}>
+            {this.state.error}
+          </CardContent>
+        )}
+        {pending > 0 && (
+          <p>{pending} opt-outs or opt-ins are waiting to be retried.</p>
+        )}
+        <p>
+          The template is the JSON posted for each opt-out and opt-in. These
+          placeholders are filled in: {"{{event}}"} (optout or optin),{" "}
+          {"{{cell}}"}, {"{{external_id}}"}, {"{{first_name}}"},{" "}
+          {"{{last_name}}"}, {"{{campaign_id}}"}, {"{{campaign_title}}"},{" "}
+          {"{{reason}}"}, {"{{organization_id}}"}, {"{{user_id}}"} and{" "}
+          {"{{created_at}}"}.
+        </p>
+        <GSForm
+          schema={formSchema}
+          defaultValue={{
+            url,
+            method,
+            template,
+            secret,
+            maxAttempts,
+            retryMinutes
+          }}
+          onSubmit={this.handleSubmit}
+        >
+          <Form.Field
+            as={GSTextField}
+            label="Webhook URL"
+            name="url"
+            fullWidth
+          />
+          <Form.Field
+            as={GSSelectField}
+            label="HTTP method"
+            name="method"
+            choices={methodChoices}
+            fullWidth
+          />
+          <Form.Field
+            as={GSTextField}
+            label="JSON template"
+            name="template"
+            multiline
+            fullWidth
+          />
+          <Form.Field
+            as={GSTextField}
+            label="Signing secret (optional)"
+            name="secret"
+            fullWidth
+          />
+          <Form.Field
+            as={GSTextField}
+            label="Attempts before giving up"
+            name="maxAttempts"
+            type="number"
+            fullWidth
+          />
+          <Form.Field
+            as={GSTextField}
+            label="Minutes before the first retry (doubles each time)"
+            name="retryMinutes"
+            type="number"
+            fullWidth
+          />
+          <Form.Submit
+            as={GSSubmitButton}
+            label={this.props.saveLabel || "Save"}
+            style={this.props.inlineStyles.dialogButton}
+          />
+        </GSForm>
+      </div>
+    );
+  }
+}
+
+OrgConfig.propTypes = {
+  organizationId: PropTypes.string,
+  serviceManagerInfo: PropTypes.object,
+  inlineStyles: PropTypes.object,
+  styles: PropTypes.object,
+  saveLabel: PropTypes.string,
+  onSubmit: PropTypes.func
+};
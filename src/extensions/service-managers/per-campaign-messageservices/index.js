@@ -7,6 +7,9 @@
 // - onCampaignUpdateSignal: to remove and deallocate the message service after archive
 // - onOrganizationServiceVendorSetup: to disable requiring org-level messageservice setup
 // - onVendorServiceFullyConfigured: to disable requiring org-level messageservice setup
+// It also tracks the A2P registration (10DLC or toll-free) of each messaging service,
+// and with PER_CAMPAIGN_MESSAGESERVICES_REQUIRE_REGISTRATION only starts campaigns whose
+// messaging service's registration is approved.
 
 // TODO: how should AdminPhoneNumberBuying be affected -- can/should it 'steal' the message
 // TODO: maybe it should remove/block the org-level messageservice_sid from being set? (or warn in org config)
@@ -48,6 +51,128 @@ export async function onMessageSend({
   }
 }
 
+export const REGISTRATION_TYPES = ["10DLC", "TOLL_FREE"];
+export const REGISTRATION_STATUSES = [
+  "UNREGISTERED",
+  "PENDING",
+  "APPROVED",
+  "FAILED"
+];
+
+// Twilio's usAppToPerson campaignStatus
+const twilioRegistrationStatuses = {
+  VERIFIED: "APPROVED",
+  FAILED: "FAILED",
+  PENDING: "PENDING",
+  IN_PROGRESS: "PENDING"
+};
+
+const registrationRequired = organization =>
+  getConfig("PER_CAMPAIGN_MESSAGESERVICES_REQUIRE_REGISTRATION", organization, {
+    truthy: 1
+  });
+
+export async function getRegistration(organizationId, messageserviceSid) {
+  if (!messageserviceSid) {
+    return null;
+  }
+  const registration = await r
+    .knex("messaging_service_registration")
+    .where({
+      organization_id: organizationId,
+      messageservice_sid: messageserviceSid
+    })
+    .first();
+  return registration || null;
+}
+
+export async function saveRegistration(
+  organizationId,
+  messageserviceSid,
+  {
+    registrationType,
+    brandRegistrationSid,
+    campaignRegistrationSid,
+    status,
+    statusDetails
+  }
+) {
+  if (registrationType && !REGISTRATION_TYPES.includes(registrationType)) {
+    throw new Error(`Unknown registration type ${registrationType}`);
+  }
+  if (status && !REGISTRATION_STATUSES.includes(status)) {
+    throw new Error(`Unknown registration status ${status}`);
+  }
+  const changes = {
+    registration_type: registrationType,
+    brand_registration_sid: brandRegistrationSid,
+    campaign_registration_sid: campaignRegistrationSid,
+    status,
+    status_details: statusDetails
+  };
+  Object.keys(changes).forEach(key => {
+    if (changes[key] === undefined) {
+      delete changes[key];
+    }
+  });
+  const existing = await getRegistration(organizationId, messageserviceSid);
+  if (existing) {
+    await r
+      .knex("messaging_service_registration")
+      .where("id", existing.id)
+      .update({ ...changes, updated_at: new Date() });
+  } else {
+    await r.knex("messaging_service_registration").insert({
+      ...changes,
+      organization_id: organizationId,
+      messageservice_sid: messageserviceSid
+    });
+  }
+  return getRegistration(organizationId, messageserviceSid);
+}
+
+// Updates a 10DLC registration from Twilio: toll-free verifications are updated by hand
+export async function refreshRegistration(organization, messageserviceSid) {
+  const registration = await getRegistration(
+    organization.id,
+    messageserviceSid
+  );
+  if (
+    getServiceNameFromOrganization(organization) !== "twilio" ||
+    (registration && registration.registration_type !== "10DLC")
+  ) {
+    return registration;
+  }
+  const a2pRegistration = await twilio.getMessagingServiceA2pRegistration(
+    organization,
+    messageserviceSid
+  );
+  if (!a2pRegistration) {
+    return saveRegistration(organization.id, messageserviceSid, {
+      status: "UNREGISTERED",
+      statusDetails: null
+    });
+  }
+  return saveRegistration(organization.id, messageserviceSid, {
+    registrationType: "10DLC",
+    brandRegistrationSid: a2pRegistration.brandRegistrationSid,
+    campaignRegistrationSid: a2pRegistration.sid,
+    status:
+      twilioRegistrationStatuses[a2pRegistration.campaignStatus] || "PENDING",
+    statusDetails: a2pRegistration.campaignStatus
+  });
+}
+
+const isRegistered = registration =>
+  Boolean(registration && registration.status === "APPROVED");
+
+const _registrationData = async (organization, campaign) => ({
+  registration: camelizeKeys(
+    await getRegistration(organization.id, campaign.messageservice_sid)
+  ),
+  registrationRequired: registrationRequired(organization)
+});
+
 const _contactsPerPhoneNumber = organization => ({
   contactsPerPhoneNumber: Number(
     getConfig("CONTACTS_PER_PHONE_NUMBER", organization) || 200
@@ -100,6 +225,7 @@ const _editCampaignData = async (organization, campaign) => {
     organization,
     { truthy: 1 }
   );
+  const registrationData = await _registrationData(organization, campaign);
   return {
     data: {
       manualMessageServiceMode,
@@ -108,12 +234,16 @@ const _editCampaignData = async (organization, campaign) => {
       phoneNumberCounts,
       messageserviceSid: campaign.messageservice_sid || null,
       useOwnMessagingService: campaign.use_own_messaging_service,
+      ...registrationData,
       ...contactsPerNum
     },
     fullyConfigured:
       // Two mutually exclusive modes: EXPERIMENTAL_CAMPAIGN_PHONE_NUMBERS vs. EXPERIMENTAL_TWILIO_PER_CAMPAIGN_MESSAGING_SERVICE
-      Boolean(campaign.messageservice_sid) ||
-      (numbersReserved >= numbersNeeded && !manualMessageServiceMode),
+      (Boolean(campaign.messageservice_sid) ||
+        (numbersReserved >= numbersNeeded && !manualMessageServiceMode)) &&
+      // a messaging service created on start cannot be registered beforehand
+      (!registrationData.registrationRequired ||
+        isRegistered(registrationData.registration)),
     unArchiveable: Boolean(
       !campaign.use_own_messaging_service ||
         (campaign.messageservice_sid && counts.length)
@@ -137,6 +267,7 @@ export async function getCampaignData({
       data: {
         useOwnMessagingService: campaign.use_own_messaging_service,
         messageserviceSid: campaign.messageservice_sid || null,
+        ...(await _registrationData(organization, campaign)),
         ..._contactsPerPhoneNumber(organization)
       },
       unArchiveable: Boolean(
@@ -176,6 +307,39 @@ export async function onCampaignUpdateSignal({
     await cacheableData.campaign.clear(campaign.id);
   }
 
+  if (updateData.messageserviceSid !== undefined) {
+    if (campaign.is_started) {
+      throw new Error(
+        "Cannot change the messaging service once a campaign has started"
+      );
+    }
+    // blank to create a messaging service when the campaign starts
+    campaign.messageservice_sid =
+      String(updateData.messageserviceSid || "").trim() || null;
+    await r
+      .knex("campaign")
+      .where("id", campaign.id)
+      .update("messageservice_sid", campaign.messageservice_sid);
+  }
+
+  if (updateData.registration || updateData.refreshRegistration) {
+    if (!campaign.messageservice_sid) {
+      throw new Error(
+        "The campaign needs a messaging service before it can be registered"
+      );
+    }
+    if (updateData.registration) {
+      await saveRegistration(
+        organization.id,
+        campaign.messageservice_sid,
+        updateData.registration
+      );
+    }
+    if (updateData.refreshRegistration) {
+      await refreshRegistration(organization, campaign.messageservice_sid);
+    }
+  }
+
   if (updateData.releaseCampaignNumbers) {
     if (!campaign.use_own_messaging_service) {
       throw new Error(
@@ -299,8 +463,9 @@ async function prepareTwilioCampaign(campaign, organization, trx) {
     );
   } catch (e) {
     console.error("Failed to add numbers to messaging service", e);
-    if (msgSrvSid) {
-      // only delete campaign message service
+    if (!campaign.messageservice_sid) {
+      // only delete the messaging service created above -- a registered
+      // one that was assigned before start must be kept
       await twilio.deleteMessagingService(organization, msgSrvSid);
     }
     throw new Error("Failed to add numbers to messaging service");
@@ -320,6 +485,19 @@ export async function onCampaignStart({ organization, campaign, user }) {
         throw new Error("Campaign already started");
       }
 
+      if (registrationRequired(organization)) {
+        const registration = await getRegistration(
+          organization.id,
+          campaignTrx.messageservice_sid
+        );
+        if (!isRegistered(registration)) {
+          throw new Error(
+            `the messaging service ${campaignTrx.messageservice_sid ||
+              "(none yet)"} does not have an approved registration`
+          );
+        }
+      }
+
       const serviceName = getServiceNameFromOrganization(organization);
 
       let messagingServiceSid;
@@ -332,7 +510,8 @@ export async function onCampaignStart({ organization, campaign, user }) {
       } else if (serviceName === "fakeservice") {
         // simulate some latency
         await new Promise(resolve => setTimeout(resolve, 1000));
-        messagingServiceSid = "FAKEMESSAGINGSERVICE";
+        messagingServiceSid =
+          campaignTrx.messageservice_sid || "FAKEMESSAGINGSERVICE";
       } else {
         throw new Error(
           `Campaign phone numbers are not supported for service ${serviceName}`
@@ -1,86 +1,154 @@
 import type from "prop-types";
-import Switch from "@material-ui/core/Switch";
-import FormControlLabel from "@material-ui/core/FormControlLabel";
 import React from "react";
 import Form from "react-formal";
+import Button from "@material-ui/core/Button";
 import GSForm from "../../../components/forms/GSForm";
+import GSSelectField from "../../../components/forms/GSSelectField";
 import GSTextField from "../../../components/forms/GSTextField";
 import GSSubmitButton from "../../../components/forms/GSSubmitButton";
 import CampaignFormSectionHeading from "../../../components/CampaignFormSectionHeading";
 import * as yup from "yup";
-import cloneDeep from "lodash/cloneDeep";
+
+const registrationTypeChoices = [
+  { value: "10DLC", label: "10DLC (A2P campaign)" },
+  { value: "TOLL_FREE", label: "Toll-free verification" }
+];
+
+const registrationStatusChoices = [
+  { value: "UNREGISTERED", label: "Not registered" },
+  { value: "PENDING", label: "Pending" },
+  { value: "APPROVED", label: "Approved" },
+  { value: "FAILED", label: "Failed" }
+];
+
+export const registrationStatusLabel = registration =>
+  (
+    registrationStatusChoices.find(
+      choice => choice.value === (registration || {}).status
+    ) || registrationStatusChoices[0]
+  ).label;
 
 export default class CampaignMessagingServiceForm extends React.Component {
   formSchema = yup.object({
-    useOwnMessagingService: yup.boolean(),
     messageserviceSid: yup
       .string()
       .transform(value => (!value ? null : value))
-      .nullable()
+      .nullable(),
+    registrationType: yup.string().nullable(),
+    brandRegistrationSid: yup.string().nullable(),
+    campaignRegistrationSid: yup.string().nullable(),
+    status: yup.string().nullable()
   });
 
-  toggled(name, isToggled) {
-    const formValues = cloneDeep(this.props.formValues);
-    formValues[name] = isToggled;
-    this.props.onChange(formValues);
-  }
+  handleSubmit = formValues => {
+    const {
+      messageserviceSid,
+      registrationType,
+      brandRegistrationSid,
+      campaignRegistrationSid,
+      status
+    } = formValues;
+    const updateData = {};
+    if (!this.props.isStarted) {
+      updateData.messageserviceSid = messageserviceSid || null;
+    }
+    if (
+      messageserviceSid &&
+      messageserviceSid === this.props.messageserviceSid
+    ) {
+      updateData.registration = {
+        registrationType,
+        brandRegistrationSid,
+        campaignRegistrationSid,
+        status
+      };
+    }
+    this.props.onSubmit(updateData);
+  };
 
-  addToggleFormField(name, label) {
+  renderRegistration() {
+    const { registration, registrationRequired } = this.props;
     return (
       <div>
+        <p>
+          Registration: {registrationStatusLabel(registration)}
+          {registration && registration.statusDetails
+            ? ` (${registration.statusDetails})`
+            : ""}
+          {registrationRequired &&
+          (!registration || registration.status !== "APPROVED")
+            ? ". The campaign can only start once it is approved."
+            : ""}
+        </p>
+        <Form.Field
+          as={GSSelectField}
+          name="registrationType"
+          label="Registration type"
+          choices={registrationTypeChoices}
+          fullWidth
+        />
+        <Form.Field
+          as={GSTextField}
+          name="brandRegistrationSid"
+          label="Brand registration SID (10DLC)"
+          fullWidth
+        />
         <Form.Field
-          as={props => (
-            <FormControlLabel
-              color="primary"
-              control={
-                <Switch
-                  checked={this.props.formValues[name]}
-                  onChange={async (_, isToggled) => {
-                    this.toggled(name, isToggled);
-                  }}
-                />
-              }
-              labelPlacement="start"
-              label={label}
-            />
-          )}
-          name={name}
+          as={GSTextField}
+          name="campaignRegistrationSid"
+          label="A2P campaign SID or toll-free verification SID"
+          fullWidth
         />
+        <Form.Field
+          as={GSSelectField}
+          name="status"
+          label="Registration status"
+          choices={registrationStatusChoices}
+          fullWidth
+        />
+        {this.props.onRefreshRegistration && (
+          <Button
+            variant="outlined"
+            onClick={() => this.props.onRefreshRegistration()}
+          >
+            Update 10DLC status from Twilio
+          </Button>
+        )}
       </div>
     );
   }
 
   render() {
+    const { messageserviceSid, registration, isStarted } = this.props;
     return (
       <GSForm
         schema={this.formSchema}
-        value={this.props.formValues}
-        onChange={this.props.onChange}
-        onSubmit={this.props.onSubmit}
+        defaultValue={{
+          messageserviceSid,
+          registrationType: (registration || {}).registrationType || "10DLC",
+          brandRegistrationSid: (registration || {}).brandRegistrationSid,
+          campaignRegistrationSid: (registration || {}).campaignRegistrationSid,
+          status: (registration || {}).status || "UNREGISTERED"
+        }}
+        onSubmit={this.handleSubmit}
       >
         <CampaignFormSectionHeading
           title="Messaging Service Details for Campaign"
-          subtitle="You can use the messaging service configuration to modify advanced settings for this campaign."
+          subtitle="The messaging service this campaign sends through and its A2P registration."
         />
-
-        {this.addToggleFormField(
-          "useOwnMessagingService",
-          "Create a new Messaging Service for this Campaign?"
-        )}
-
-        {this.props.formValues.useOwnMessagingService && (
-          <div>
-            <Form.Field
-              as={GSTextField}
-              name="messageserviceSid"
-              label="Messaging Service SID"
-              fullWidth
-            />
-            <label>
-              Leave this blank to automatically create a messaging service
-            </label>
-          </div>
+        <Form.Field
+          as={GSTextField}
+          name="messageserviceSid"
+          label="Messaging Service SID"
+          disabled={isStarted}
+          fullWidth
+        />
+        {!isStarted && (
+          <label>
+            Leave this blank to automatically create a messaging service
+          </label>
         )}
+        {messageserviceSid && this.renderRegistration()}
 
         <Form.Submit
           as={GSSubmitButton}
@@ -96,7 +164,9 @@ CampaignMessagingServiceForm.propTypes = {
   saveLabel: type.string,
   saveDisabled: type.bool,
   onSubmit: type.func,
-  onChange: type.func,
-  formValues: type.object,
-  ensureComplete: type.bool
+  onRefreshRegistration: type.func,
+  messageserviceSid: type.string,
+  registration: type.object,
+  registrationRequired: type.bool,
+  isStarted: type.bool
 };
@@ -30,8 +30,9 @@ import LoadingIndicator from "../../../components/LoadingIndicator";
 import theme from "../../../styles/theme";
 import withMuiTheme from "../../../containers/hoc/withMuiTheme";
 
-import CampaignMessagingServiceForm from "./react-component-campaignmessageservice";
-// TODO: replace with CampaignMessagingServiceForm when enabled on backend
+import CampaignMessagingServiceForm, {
+  registrationStatusLabel
+} from "./react-component-campaignmessageservice";
 
 // import { dataTest } from "../lib/attributes";
 
@@ -901,6 +902,29 @@ export class CampaignConfigBase extends React.Component {
     );
   }
 
+  renderMessagingService() {
+    const {
+      messageserviceSid,
+      registration,
+      registrationRequired
+    } = this.props.serviceManagerInfo.data;
+    return (
+      <CampaignMessagingServiceForm
+        // reset the form with what was saved or updated from the vendor
+        key={`${messageserviceSid}-${registration && registration.updatedAt}`}
+        messageserviceSid={messageserviceSid}
+        registration={registration}
+        registrationRequired={registrationRequired}
+        isStarted={this.props.campaign.isStarted}
+        saveLabel={this.props.saveLabel}
+        onSubmit={this.props.onSubmit}
+        onRefreshRegistration={() =>
+          this.props.onSubmit({ refreshRegistration: true })
+        }
+      />
+    );
+  }
+
   render() {
     const { contactsPerPhoneNumber } = this.props.serviceManagerInfo.data;
     const { inventoryPhoneNumberCounts: reservedNumbers } = this.state;
@@ -910,58 +934,62 @@ export class CampaignConfigBase extends React.Component {
     const numbersNeeded = Math.ceil(contactsCount / contactsPerPhoneNumber);
 
     return (
-      <GSForm
-        schema={this.formSchema}
-        value={{ inventoryPhoneNumberCounts: reservedNumbers }}
-        onChange={this.handleChange}
-        onSubmit={() => {
-          if (assignedNumberCount === numbersNeeded || hasReset) {
-            this.props.onSubmit({
-              inventoryPhoneNumberCounts: this.state.inventoryPhoneNumberCounts
-            });
-            this.setState({ hasChanged: false });
-          }
-        }}
-      >
-        <CampaignFormSectionHeading
-          title="Phone Numbers"
-          subtitle={this.renderSubtitle()}
-        />
-        {numbersNeeded <= maxNumbersPerCampaign ? (
-          <div>
-            {this.renderSearch()}
-            {this.state.error && this.renderErrorMessage()}
+      <div>
+        {this.renderMessagingService()}
+        <GSForm
+          schema={this.formSchema}
+          value={{ inventoryPhoneNumberCounts: reservedNumbers }}
+          onChange={this.handleChange}
+          onSubmit={() => {
+            if (assignedNumberCount === numbersNeeded || hasReset) {
+              this.props.onSubmit({
+                inventoryPhoneNumberCounts: this.state
+                  .inventoryPhoneNumberCounts
+              });
+              this.setState({ hasChanged: false });
+            }
+          }}
+        >
+          <CampaignFormSectionHeading
+            title="Phone Numbers"
+            subtitle={this.renderSubtitle()}
+          />
+          {numbersNeeded <= maxNumbersPerCampaign ? (
+            <div>
+              {this.renderSearch()}
+              {this.state.error && this.renderErrorMessage()}
+              <div
+                style={{
+                  display: "flex"
+                }}
+              >
+                {this.renderAreaCodeTable()}
+                {this.renderContactsAreaCodesTable()}
+              </div>
+
+              <Form.Submit
+                as={GSSubmitButton}
+                disabled={
+                  isStarted ||
+                  (assignedNumberCount !== numbersNeeded && !hasReset) ||
+                  isRendering
+                }
+                label={this.props.saveLabel}
+              />
+            </div>
+          ) : (
             <div
               style={{
-                display: "flex"
+                flex: "1 1 50%",
+                fontSize: 22,
+                color: this.props.muiTheme.palette.error.main
               }}
             >
-              {this.renderAreaCodeTable()}
-              {this.renderContactsAreaCodesTable()}
+              Sorry, you need to upload fewer contacts!
             </div>
-
-            <Form.Submit
-              as={GSSubmitButton}
-              disabled={
-                isStarted ||
-                (assignedNumberCount !== numbersNeeded && !hasReset) ||
-                isRendering
-              }
-              label={this.props.saveLabel}
-            />
-          </div>
-        ) : (
-          <div
-            style={{
-              flex: "1 1 50%",
-              fontSize: 22,
-              color: this.props.muiTheme.palette.error.main
-            }}
-          >
-            Sorry, you need to upload fewer contacts!
-          </div>
-        )}
-      </GSForm>
+          )}
+        </GSForm>
+      </div>
     );
   }
 }
@@ -979,13 +1007,35 @@ export class CampaignStats extends React.Component {
     releasingNumbers: false
   };
 
+  renderRegistration() {
+    const {
+      messageserviceSid,
+      registration,
+      registrationRequired
+    } = this.props.serviceManagerInfo.data;
+    if (!messageserviceSid || (!registration && !registrationRequired)) {
+      return null;
+    }
+    return (
+      <div>
+        Messaging service registration
+        {registration ? ` (${registration.registrationType})` : ""}:{" "}
+        {registrationStatusLabel(registration)}
+        {registration && registration.statusDetails
+          ? ` -- ${registration.statusDetails}`
+          : ""}
+      </div>
+    );
+  }
+
   render() {
     const { campaign, serviceManagerInfo, onSubmit } = this.props;
     if (!campaign.isArchived) {
-      return null;
+      return this.renderRegistration();
     }
     return (
       <div>
+        {this.renderRegistration()}
         {!serviceManagerInfo.unArchiveable ? (
           <div>Phone numbers have been released</div>
         ) : null}
@@ -22,6 +22,7 @@ export const metadata = () => ({
     "When the campaign admin clicks to lookup numbers, all numbers will be looked up and any that are landlines will be removed (and remembered)",
   canSpendMoney: true,
   moneySpendingOperations: ["onCampaignUpdateSignal"],
+  budgetCategory: "lookups",
   supportsOrgConfig: false,
   supportsCampaignConfig: true
 });
@@ -313,6 +314,14 @@ export async function nextBatchJobLookups({
   }
 }
 
+// see ../budget.js: every number that still needs a lookup is looked up
+export async function getExpectedBudgetUnits(funcName, { campaign }) {
+  if (funcName !== "onCampaignUpdateSignal") {
+    return 1;
+  }
+  return r.getCount(lookupQuery(campaign.id, campaign.organization_id));
+}
+
 export async function onCampaignUpdateSignal({
   organization,
   campaign,
@@ -323,7 +332,7 @@ export async function onCampaignUpdateSignal({
   const features = getFeatures(campaign);
   const service = getServiceFromOrganization(organization);
   if (typeof service.getContactInfo !== "function") {
-    return;
+    return { budgetSpent: 0 };
   }
 
   const lookupCount = await r.getCount(
@@ -353,7 +362,87 @@ export async function onCampaignUpdateSignal({
       scrubBadMobileNumsProcessing: 1
     },
     fullyConfigured: false,
-    startPolling: true
+    startPolling: true,
+    // see ../budget.js
+    budgetSpent: lookupCount
+  };
+}
+
+const formatCost = cost => `$${cost.toFixed(2)}`;
+
+export async function onCampaignDryRun({
+  organization,
+  campaign,
+  sampleContacts
+}) {
+  // what onCampaignUpdateSignal would do, without any (paid) lookups
+  const service = getServiceFromOrganization(organization);
+  if (typeof service.getContactInfo !== "function") {
+    return {
+      dryRunReport: {
+        summary:
+          "The service vendor cannot look up numbers: nothing would be scrubbed."
+      }
+    };
+  }
+  const lookupCount = await r.getCount(
+    lookupQuery(campaign.id, campaign.organization_id)
+  );
+  const knownLandlineCount = await r.getCount(
+    r
+      .knex("campaign_contact")
+      .join(
+        "organization_contact",
+        "organization_contact.contact_number",
+        "campaign_contact.cell"
+      )
+      .where("campaign_id", campaign.id)
+      .where("organization_contact.organization_id", campaign.organization_id)
+      .where("status_code", "<", 0)
+  );
+  // how many of the sampled numbers looked up before turned out to be landlines
+  const sampleLookups = await r
+    .knex("organization_contact")
+    .whereIn(
+      "contact_number",
+      sampleContacts.map(contact => contact.cell)
+    )
+    .where("organization_id", organization.id)
+    .whereNotNull("status_code")
+    .where("status_code", "!=", 0)
+    .select("status_code");
+  const landlineRate = sampleLookups.length
+    ? sampleLookups.filter(lookup => lookup.status_code < 0).length /
+      sampleLookups.length
+    : null;
+  const estimatedLandlineCount =
+    landlineRate === null ? null : Math.round(lookupCount * landlineRate);
+  const costs = (service.costData && service.costData(organization)) || {};
+  const estimatedCost = costs.lookup ? lookupCount * costs.lookup : null;
+
+  const summary = [
+    `${lookupCount} numbers would be looked up` +
+      (estimatedCost !== null
+        ? `, est. cost ${formatCost(estimatedCost)}`
+        : ""),
+    estimatedLandlineCount !== null
+      ? `about ${estimatedLandlineCount} of them would be scrubbed (${Math.round(
+          landlineRate * 100
+        )}% of the sampled numbers looked up before are not mobile numbers)`
+      : null,
+    `${knownLandlineCount} numbers known not to be mobile numbers would be scrubbed`
+  ]
+    .filter(Boolean)
+    .join("; ");
+  return {
+    dryRunReport: {
+      summary: `${summary}.`,
+      sampleSize: sampleContacts.length,
+      lookupCount,
+      knownLandlineCount,
+      estimatedLandlineCount,
+      estimatedCost
+    }
   };
 }
 
@@ -6,7 +6,8 @@
 /// All functions are OPTIONAL EXCEPT metadata() and const name=.
 /// DO NOT IMPLEMENT ANYTHING YOU WILL NOT USE -- the existence of a function adds behavior/UI (sometimes costly)
 
-import { cacheableData } from "../../../server/models";
+import { getConfig } from "../../../server/api/lib/config";
+import { cacheableData, r } from "../../../server/models";
 
 export const name = "sticky-sender";
 
@@ -22,6 +23,12 @@ export const metadata = () => ({
   supportsCampaignConfig: false
 });
 
+// only number-health quarantines numbers, so the extra query is skipped without it
+const numberHealthEnabled = organization =>
+  (getConfig("SERVICE_MANAGERS", organization) || "")
+    .split(",")
+    .includes("number-health");
+
 export async function onMessageSend({
   message,
   contact,
@@ -42,16 +49,44 @@ export async function onMessageSend({
     // If another serviceManager already chose a phone number then don't change anything
     return;
   }
-  const serviceName = cacheableData.organization.getMessageService(
-    organization
-  );
+  const serviceName =
+    (serviceManagerData && serviceManagerData.service) ||
+    cacheableData.organization.getMessageService(organization);
 
   const organizationContact = await cacheableData.organizationContact.query({
     organizationId: organization.id,
     contactNumber: message.contact_number
   });
 
-  if (organizationContact && organizationContact.user_number) {
+  if (
+    organizationContact &&
+    organizationContact.user_number &&
+    // the number only works with the vendor it was sent from
+    (!organizationContact.service ||
+      organizationContact.service === serviceName)
+  ) {
+    const quarantined =
+      numberHealthEnabled(organization) &&
+      (await r
+        .knex("owned_phone_number")
+        .where({
+          organization_id: organization.id,
+          phone_number: organizationContact.user_number
+        })
+        .whereNotNull("quarantined_at")
+        .first("id"));
+    if (quarantined) {
+      // see number-health: forget it, so the next number picked sticks instead
+      await cacheableData.organizationContact.save(
+        {
+          organization_id: organization.id,
+          contact_number: message.contact_number,
+          user_number: null
+        },
+        { update: true }
+      );
+      return;
+    }
     return { user_number: organizationContact.user_number };
   }
 }
@@ -22,6 +22,16 @@ export async function onMessageSend({
   campaign
 }) {}
 
+// After the service vendor's sendMessage() resolves (error=null) or throws (error)
+export async function onMessageSendResult({
+  message,
+  contact,
+  organization,
+  campaign,
+  serviceName,
+  error
+}) {}
+
 // NOTE: this is somewhat expensive relatively what it usually is,
 // so only implement this if it's important
 export async function onDeliveryReport({
@@ -48,6 +58,37 @@ export async function onOptOut({
   assignmentId
 }) {}
 
+// When a contact is opted back in, e.g. by texting START
+// campaignContactId and user are not always present, but cell is.
+export async function onOptIn({
+  organization,
+  cell,
+  campaignContactId,
+  user,
+  reason
+}) {}
+
+// When a contact's message was received and saved, after the message handlers ran.
+// contactStatus is the contact's new message_status.
+// Returned values are in serviceManagerData for service managers listed after this one.
+export async function onIncomingMessage({
+  message,
+  contact,
+  campaign,
+  organization,
+  contactStatus,
+  handlerContext,
+  serviceManagerData
+}) {
+  console.log(
+    "service-managers.test-fake-example onIncomingMessage",
+    message.id,
+    campaign.id,
+    contactStatus
+  );
+  return { testFakeIncomingMessageId: message.id };
+}
+
 export async function getCampaignData({
   organization,
   campaign,
@@ -0,0 +1,278 @@
+/// All functions are OPTIONAL EXCEPT metadata() and const name=.
+/// DO NOT IMPLEMENT ANYTHING YOU WILL NOT USE -- the existence of a function adds behavior/UI (sometimes costly)
+
+// After VENDOR_FAILOVER_THRESHOLD consecutive failed sends through the organization's
+// service vendor, new outbound sends go through VENDOR_FAILOVER_SERVICE for
+// VENDOR_FAILOVER_RECOVERY_MINUTES, after which the primary vendor is tried again.
+// Contacts that already have a sticky number keep texting with that number's vendor,
+// so this must be listed BEFORE sticky-sender and numpicker-* in SERVICE_MANAGERS.
+// Failure counts live in redis when available (otherwise per-process memory).
+
+import { log } from "../../../lib";
+import { getConfig, getFeatures } from "../../../server/api/lib/config";
+import { cacheableData, r } from "../../../server/models";
+import telemetry from "../../../server/telemetry";
+import serviceMap, {
+  getService,
+  tryGetFunctionFromService
+} from "../../service-vendors";
+
+export const name = "vendor-failover";
+
+export const metadata = () => ({
+  // set canSpendMoney=true, if this extension can lead to (additional) money being spent
+  // if it can, which operations below can trigger money being spent?
+  displayName: "Backup Service Vendor Failover",
+  description:
+    "Sends new messages through a backup service vendor when the main vendor keeps failing.",
+  canSpendMoney: true,
+  moneySpendingOperations: ["onMessageSend"],
+  supportsOrgConfig: true,
+  supportsCampaignConfig: false
+});
+
+const DEFAULT_THRESHOLD = 10;
+const DEFAULT_RECOVERY_MINUTES = 30;
+
+const memoryState = {};
+
+const failuresKey = organizationId =>
+  `${process.env.CACHE_PREFIX || ""}vendor-failover-failures-${organizationId}`;
+const activeKey = organizationId =>
+  `${process.env.CACHE_PREFIX || ""}vendor-failover-active-${organizationId}`;
+
+export const getFailoverConfig = organization => {
+  const primaryService = cacheableData.organization.getMessageService(
+    organization
+  );
+  const backupService = getConfig("VENDOR_FAILOVER_SERVICE", organization);
+  return {
+    primaryService,
+    backupService:
+      backupService &&
+      backupService !== primaryService &&
+      getService(backupService)
+        ? backupService
+        : null,
+    failureThreshold:
+      Number(getConfig("VENDOR_FAILOVER_THRESHOLD", organization)) ||
+      DEFAULT_THRESHOLD,
+    recoveryMinutes:
+      Number(getConfig("VENDOR_FAILOVER_RECOVERY_MINUTES", organization)) ||
+      DEFAULT_RECOVERY_MINUTES
+  };
+};
+
+/**
+ * @returns the failover record ({ service, since, failures }) while
+ *   sends are being routed to the backup vendor, otherwise null
+ */
+export async function getActiveFailover(organizationId) {
+  if (r.redis) {
+    const active = await r.redis.getAsync(activeKey(organizationId));
+    return active ? JSON.parse(active) : null;
+  }
+  const active = memoryState[activeKey(organizationId)];
+  return active && active.expires > Date.now() ? active.value : null;
+}
+
+const setActiveFailover = async (organizationId, value, recoveryMinutes) => {
+  const key = activeKey(organizationId);
+  if (r.redis) {
+    // NX: only the first process to cross the threshold reports the switch
+    const result = await r.redis.setAsync(
+      key,
+      JSON.stringify(value),
+      "NX",
+      "EX",
+      recoveryMinutes * 60
+    );
+    return Boolean(result);
+  }
+  if (await getActiveFailover(organizationId)) {
+    return false;
+  }
+  memoryState[key] = {
+    value,
+    expires: Date.now() + recoveryMinutes * 60 * 1000
+  };
+  return true;
+};
+
+const countFailure = async organizationId => {
+  const key = failuresKey(organizationId);
+  if (r.redis) {
+    const failures = await r.redis.incrAsync(key);
+    await r.redis.expireAsync(key, 86400);
+    return failures;
+  }
+  memoryState[key] = (memoryState[key] || 0) + 1;
+  return memoryState[key];
+};
+
+const clearFailures = async organizationId => {
+  const key = failuresKey(organizationId);
+  if (r.redis) {
+    await r.redis.delAsync(key);
+  } else {
+    delete memoryState[key];
+  }
+};
+
+export async function resetFailover(organizationId) {
+  await clearFailures(organizationId);
+  if (r.redis) {
+    await r.redis.delAsync(activeKey(organizationId));
+  } else {
+    delete memoryState[activeKey(organizationId)];
+  }
+}
+
+export async function onMessageSend({
+  message,
+  contact,
+  organization,
+  campaign,
+  serviceManagerData
+}) {
+  const { primaryService, backupService } = getFailoverConfig(organization);
+  if (
+    !backupService ||
+    (message.service && message.service !== primaryService) ||
+    (serviceManagerData && serviceManagerData.user_number)
+  ) {
+    return;
+  }
+  // keep sticky-sender semantics: a contact keeps the vendor of their number,
+  // including contacts that were first texted from the backup during a failover
+  const organizationContact = await cacheableData.organizationContact.query({
+    organizationId: organization.id,
+    contactNumber: message.contact_number
+  });
+  if (organizationContact && organizationContact.user_number) {
+    if (organizationContact.service === backupService) {
+      return { service: backupService };
+    }
+    return;
+  }
+  if (await getActiveFailover(organization.id)) {
+    return { service: backupService };
+  }
+}
+
+export async function onMessageSendResult({
+  message,
+  organization,
+  serviceName,
+  error
+}) {
+  const {
+    primaryService,
+    backupService,
+    failureThreshold,
+    recoveryMinutes
+  } = getFailoverConfig(organization);
+  if (!backupService || serviceName !== primaryService) {
+    return;
+  }
+  if (!error) {
+    await clearFailures(organization.id);
+    return;
+  }
+  const failures = await countFailure(organization.id);
+  if (failures < failureThreshold) {
+    return;
+  }
+  const switched = await setActiveFailover(
+    organization.id,
+    {
+      service: backupService,
+      since: new Date().toISOString(),
+      failures
+    },
+    recoveryMinutes
+  );
+  await clearFailures(organization.id);
+  if (switched) {
+    log.warn(
+      `vendor-failover: organization ${organization.id} switched from ${primaryService} to ${backupService}`
+    );
+    await telemetry.reportEvent("Vendor Failover", {
+      organizationId: organization.id,
+      fromService: primaryService,
+      toService: backupService,
+      consecutiveFailures: failures,
+      recoveryMinutes,
+      lastError: error.message,
+      count: 1
+    });
+  }
+}
+
+const getOrganizationInfo = async organization => {
+  const config = getFailoverConfig(organization);
+  const fullyConfiguredFn =
+    config.backupService &&
+    tryGetFunctionFromService(config.backupService, "fullyConfigured");
+  const backupFullyConfigured = config.backupService
+    ? !fullyConfiguredFn || (await fullyConfiguredFn(organization))
+    : false;
+  return {
+    data: {
+      ...config,
+      backupFullyConfigured,
+      backupServiceChoices: Object.keys(serviceMap).filter(
+        serviceName => serviceName !== config.primaryService
+      ),
+      activeFailover: await getActiveFailover(organization.id)
+    },
+    fullyConfigured: Boolean(config.backupService && backupFullyConfigured)
+  };
+};
+
+export async function getOrganizationData({ organization, user, loaders }) {
+  // MUST NOT RETURN SECRETS!
+  return getOrganizationInfo(organization);
+}
+
+export async function onOrganizationUpdateSignal({
+  organization,
+  user,
+  updateData
+}) {
+  if (updateData.resetFailover) {
+    const active = await getActiveFailover(organization.id);
+    await resetFailover(organization.id);
+    if (active) {
+      await telemetry.reportEvent("Vendor Failover Reset", {
+        organizationId: organization.id,
+        fromService: active.service,
+        userId: user && user.id
+      });
+    }
+    return getOrganizationInfo(organization);
+  }
+
+  const { primaryService } = getFailoverConfig(organization);
+  const { backupService, failureThreshold, recoveryMinutes } = updateData;
+  if (backupService && !getService(backupService)) {
+    throw new Error(`${backupService} is not a message service`);
+  }
+  if (backupService && backupService === primaryService) {
+    throw new Error("The backup vendor must differ from the main vendor");
+  }
+  const features = { ...getFeatures(organization) };
+  features.VENDOR_FAILOVER_SERVICE = backupService || "";
+  features.VENDOR_FAILOVER_THRESHOLD = Number(failureThreshold) || "";
+  features.VENDOR_FAILOVER_RECOVERY_MINUTES = Number(recoveryMinutes) || "";
+
+  await r
+    .knex("organization")
+    .where("id", organization.id)
+    .update({ features: JSON.stringify(features) });
+  await cacheableData.organization.clear(organization.id);
+  const updatedOrganization = await cacheableData.organization.load(
+    organization.id
+  );
+  return getOrganizationInfo(updatedOrganization);
+}
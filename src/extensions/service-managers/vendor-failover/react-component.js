@@ -0,0 +1,136 @@
+/* eslint no-console: 0 */
+import PropTypes from "prop-types";
+import React from "react";
+import Form from "react-formal";
+import * as yup from "yup";
+
+import Button from "@material-ui/core/Button";
+import CardContent from "@material-ui/core/CardContent";
+
+import GSForm from "../../../components/forms/GSForm";
+import GSSelectField from "../../../components/forms/GSSelectField";
+import GSTextField from "../../../components/forms/GSTextField";
+import GSSubmitButton from "../../../components/forms/GSSubmitButton";
+
+export class OrgConfig extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {};
+  }
+
+  handleSubmit = async formValues => {
+    try {
+      await this.props.onSubmit(formValues);
+      this.setState({ error: undefined });
+    } catch (caught) {
+      console.log("vendor-failover save error", caught);
+      this.setState({ error: caught.message });
+    }
+  };
+
+  render() {
+    const {
+      primaryService,
+      backupService,
+      backupServiceChoices = [],
+      backupFullyConfigured,
+      failureThreshold,
+      recoveryMinutes,
+      activeFailover
+    } = this.props.serviceManagerInfo.data;
+    const formSchema = yup.object({
+      backupService: yup.string().nullable(),
+      failureThreshold: yup
+        .number()
+        .integer()
+        .min(1)
+        .nullable(),
+      recoveryMinutes: yup
+        .number()
+        .integer()
+        .min(1)
+        .nullable()
+    });
+    return (
+      <div>
+        {activeFailover && (
+          <CardContent style={this.props.inlineStyles.errorBox}>
+            After {activeFailover.failures} failed sends through{" "}
+            {primaryService}, new messages have been sent through{" "}
+            {activeFailover.service} since{" "}
+            {new Date(activeFailover.since).toLocaleString()}.
+            <div>
+              <Button
+                variant="contained"
+                onClick={() => this.handleSubmit({ resetFailover: true })}
+              >
+                Switch back to {primaryService}
+              </Button>
+            </div>
+          </CardContent>
+        )}
+        {backupService && !backupFullyConfigured && (
+          <CardContent style={this.props.inlineStyles.errorBox}>
+            {backupService} is not fully configured, so it cannot send messages
+            yet.
+          </CardContent>
+        )}
+        {this.state.error && (
+          <CardContent style={this.props.inlineStyles.errorBox}>
+            {this.state.error}
+          </CardContent>
+        )}
+        <GSForm
+          schema={formSchema}
+          defaultValue={{
+            backupService: backupService || "",
+            failureThreshold,
+            recoveryMinutes
+          }}
+          onSubmit={this.handleSubmit}
+        >
+          <Form.Field
+            as={GSSelectField}
+            label={`Backup vendor when ${primaryService} is failing`}
+            name="backupService"
+            choices={[{ value: "", label: "None" }].concat(
+              backupServiceChoices.map(serviceName => ({
+                value: serviceName,
+                label: serviceName
+              }))
+            )}
+            fullWidth
+          />
+          <Form.Field
+            as={GSTextField}
+            label="Consecutive failed sends before switching"
+            name="failureThreshold"
+            type="number"
+            fullWidth
+          />
+          <Form.Field
+            as={GSTextField}
+            label="Minutes before trying the main vendor again"
+            name="recoveryMinutes"
+            type="number"
+            fullWidth
+          />
+          <Form.Submit
+            as={GSSubmitButton}
+            label={this.props.saveLabel || "Save"}
+            style={this.props.inlineStyles.dialogButton}
+          />
+        </GSForm>
+      </div>
+    );
+  }
+}
+
+OrgConfig.propTypes = {
+  organizationId: PropTypes.string,
+  serviceManagerInfo: PropTypes.object,
+  inlineStyles: PropTypes.object,
+  styles: PropTypes.object,
+  saveLabel: PropTypes.string,
+  onSubmit: PropTypes.func
+};
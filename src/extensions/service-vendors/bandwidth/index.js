@@ -67,27 +67,47 @@ function verifyBandwidthServer(hashPassword) {
   });
 }
 
+// Called by the shared webhook verification in service_map
+// Bandwidth authenticates with the basic auth we set on the application,
+// and retries a callback with the same events, so those are the replay key.
+export async function verifyWebhook(req) {
+  // parse login and password from headers
+  const b64auth = (req.headers.authorization || "").split(" ")[1] || "";
+  const [login, password] = Buffer.from(b64auth, "base64")
+    .toString()
+    .split(":");
+
+  if (
+    login !== "bandwidth.com" ||
+    password !== webhookBasicAuthPw(req.params.orgId || "")
+  ) {
+    return {
+      valid: false,
+      status: 401,
+      headers: { "WWW-Authenticate": 'Basic realm="401"' }
+    };
+  }
+  // the event time is not signed, so it is not checked for staleness
+  const events = Array.isArray(req.body) ? req.body : [];
+  return {
+    valid: true,
+    replayKey: events.length
+      ? events
+          .map(
+            payload =>
+              `${payload.type}:${payload.message && payload.message.id}`
+          )
+          .join(",")
+      : null
+  };
+}
+
 export function addServerEndpoints(addPostRoute) {
   // https://dev.bandwidth.com/messaging/callbacks/messageEvents.html
   // Bandwidth has a 10 second timeout!!
   addPostRoute(
     "/bandwidth/:orgId?",
     wrap(async (req, res) => {
-      // parse login and password from headers
-      const b64auth = (req.headers.authorization || "").split(" ")[1] || "";
-      const [login, password] = Buffer.from(b64auth, "base64")
-        .toString()
-        .split(":");
-
-      if (
-        login !== "bandwidth.com" ||
-        password !== webhookBasicAuthPw(req.params.orgId || "")
-      ) {
-        res.set("WWW-Authenticate", 'Basic realm="401"');
-        res.status(401).send("Authentication required.");
-        return;
-      }
-
       // req.body is JSON
       if (req.body.length && req.body[0].type) {
         for (let i = 0, l = req.body.length; i < l; i++) {
@@ -5,6 +5,7 @@ import { getFormattedPhoneNumber } from "../../../lib/phone-format";
 import { getConfig, hasConfig } from "../../../server/api/lib/config";
 import { r, cacheableData, Log, Message } from "../../../server/models";
 import { saveNewIncomingMessage, parseMessageText } from "../message-sending";
+import { THROTTLED, throttleMessageSend } from "../send-throttle";
 import { getMessageServiceConfig, getConfigKey } from "../service_map";
 
 const ENABLE_DB_LOG = getConfig("ENABLE_DB_LOG");
@@ -79,6 +80,18 @@ export async function sendMessage({
     );
   }
 
+  if (
+    await throttleMessageSend({
+      message,
+      organization,
+      userNumber,
+      messagingServiceSid: applicationId,
+      trx
+    })
+  ) {
+    return THROTTLED;
+  }
+
   const changes = {
     send_status: "SENT",
     service: "bandwidth",
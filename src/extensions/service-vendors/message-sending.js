@@ -1,4 +1,5 @@
 import { cacheableData } from "../../server/models";
+import { getMediaUrls, storeIncomingMedia } from "../media-storage";
 
 export async function getLastMessage({
   contactNumber,
@@ -16,6 +17,7 @@ export async function getLastMessage({
 }
 
 export async function saveNewIncomingMessage(messageInstance, contact) {
+  await storeIncomingMedia(messageInstance);
   await cacheableData.message.save({ messageInstance, contact });
 }
 
@@ -30,6 +32,16 @@ export function parseMessageText(message) {
   const results = text.match(mediaExtractor);
   if (results) {
     params.mediaUrl = results[1];
+  } else if (message.media) {
+    // an attachment the texter chose, saved in media storage
+    const [item] =
+      typeof message.media === "string"
+        ? JSON.parse(message.media)
+        : message.media;
+    const media = item && getMediaUrls(item);
+    if (media && media.url) {
+      params.mediaUrl = media.url;
+    }
   }
   return params;
 }
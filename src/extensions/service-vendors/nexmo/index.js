@@ -1,151 +1,338 @@
+/* eslint-disable no-use-before-define, no-console */
+import { timingSafeEqual } from "crypto";
+import jwt from "jsonwebtoken";
 import Nexmo from "nexmo";
+import fetch from "node-fetch";
+import urlJoin from "url-join";
+import { PhoneNumberUtil } from "google-libphonenumber";
+import { getSegmentInfo } from "../../../lib/gsm";
 import { getFormattedPhoneNumber } from "../../../lib/phone-format";
-import { Message, PendingMessagePart } from "../../../server/models";
-import { getLastMessage } from "../message-sending";
+import { getConfig, hasConfig } from "../../../server/api/lib/config";
+import {
+  cacheableData,
+  Log,
+  Message,
+  PendingMessagePart,
+  r
+} from "../../../server/models";
 import { log } from "../../../lib";
 import wrap from "../../../server/wrap";
+import { getSecret, convertSecret } from "../../secret-manager";
+
+import { saveNewIncomingMessage, parseMessageText } from "../message-sending";
+import { getMessageServiceConfig } from "../service_map";
 
 // NEXMO error_codes:
-// If status is a number, then it will be the number
-// however report.status is a word, so is error_code is the charCodeAt of the first letter
-// expired: 101
-// failed: 102
-// rejected: 114
-// network error or other connection failure: 1
+// > 0 and < 100: delivery receipt err-code (https://developer.vonage.com/messaging/sms/guides/delivery-receipts)
+// 1000-1999: Messages API (MMS) errors, reported in error.title
+// 2000 + status: rejected at send time by the SMS API, e.g. 2007 for a barred number
+// -1 - -MAX_SEND_ATTEMPTS (5): failed send messages (network failures, throttling)
+
+const MAX_SEND_ATTEMPTS = 5;
+const SEND_REJECTION_OFFSET = 2000;
+// SMS API send statuses that are worth retrying: throttled and internal error
+const RETRYABLE_SEND_STATUSES = ["1", "5"];
+const MESSAGES_API_URL = "https://api.nexmo.com/v1/messages";
+const ENABLE_DB_LOG = getConfig("ENABLE_DB_LOG");
+export const nexmoLibrary = { Nexmo };
 
 export const getMetadata = () => ({
-  supportsOrgConfig: false,
+  supportsOrgConfig: getConfig("NEXMO_MULTI_ORG", null, { truthy: true }),
   supportsCampaignConfig: false,
   name: "nexmo"
 });
 
-let nexmo = null;
-const MAX_SEND_ATTEMPTS = 5;
-if (process.env.NEXMO_API_KEY && process.env.NEXMO_API_SECRET) {
-  nexmo = new Nexmo({
-    apiKey: process.env.NEXMO_API_KEY,
-    apiSecret: process.env.NEXMO_API_SECRET
+export const getNexmo = async organization => {
+  const { apiKey, apiSecret } = await getMessageServiceConfig(
+    "nexmo",
+    organization,
+    { obscureSensitiveInformation: false }
+  );
+  if (apiKey && apiSecret) {
+    return new nexmoLibrary.Nexmo({ apiKey, apiSecret });
+  }
+  return null;
+};
+
+// The nexmo library is callback-based
+const nexmoCall = (resource, method, ...args) =>
+  new Promise((resolve, reject) => {
+    resource[method](...args, (err, response) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(response);
+      }
+    });
   });
+
+const getCountry = organization =>
+  getConfig("PHONE_NUMBER_COUNTRY", organization) || "US";
+
+// Nexmo numbers (msisdn) are E.164 without the leading +
+const toMsisdn = phoneNumber => String(phoneNumber).replace(/^\+/, "");
+
+const fromMsisdn = msisdn =>
+  msisdn ? getFormattedPhoneNumber(`+${toMsisdn(msisdn)}`) : "";
+
+const callbackBaseUrl = organization =>
+  getConfig("NEXMO_BASE_CALLBACK_URL", organization) || getConfig("BASE_URL");
+
+export const errorDescriptions = {
+  1: "Unknown error",
+  2: "Absent subscriber (temporary)",
+  3: "Absent subscriber (permanent)",
+  4: "Call barred by user",
+  5: "Portability error",
+  6: "Anti-spam rejection",
+  7: "Handset busy",
+  8: "Network error",
+  9: "Illegal number",
+  10: "Illegal message",
+  11: "Unroutable",
+  12: "Destination unreachable",
+  13: "Subscriber age restriction",
+  14: "Number blocked by carrier",
+  15: "Prepaid insufficient funds",
+  50: "Entity filter (10DLC / registration)",
+  51: "Header filter",
+  52: "Content filter",
+  53: "Consent filter",
+  54: "Regulation error",
+  99: "General error",
+  1000: "Throttled (Messages API)",
+  1020: "Invalid params (Messages API)",
+  1120: "Illegal sender address (Messages API)",
+  1150: "Destination not reachable (Messages API)",
+  1170: "Invalid or missing MSISDN (Messages API)",
+  1300: "Not part of the provider network (Messages API)",
+  1420: "Media file not found or not supported (Messages API)",
+  2002: "Send rejected: missing parameters",
+  2003: "Send rejected: invalid parameters",
+  2004: "Send rejected: invalid credentials",
+  2006: "Send rejected: invalid message",
+  2007: "Send rejected: number barred",
+  2008: "Send rejected: partner account barred",
+  2009: "Send rejected: partner quota exceeded",
+  2012: "Send rejected: message too long",
+  2015: "Send rejected: invalid sender address",
+  2022: "Send rejected: invalid network code",
+  2023: "Send rejected: invalid callback url",
+  2029: "Send rejected: non-whitelisted destination"
+};
+
+export function errorDescription(errorCode) {
+  let link =
+    "https://developer.vonage.com/messaging/sms/guides/delivery-receipts#dlr-error-codes";
+  if (errorCode >= SEND_REJECTION_OFFSET) {
+    link =
+      "https://developer.vonage.com/messaging/sms/guides/troubleshooting-sms#sms-api-error-codes";
+  } else if (errorCode >= 1000) {
+    link = "https://developer.vonage.com/api-errors/messages-olympus";
+  }
+  return {
+    code: errorCode,
+    description: errorDescriptions[errorCode] || "Nexmo error",
+    link
+  };
 }
 
-export function addServerEndpoints(addPostRoute) {
-  if (process.env.NEXMO_API_KEY) {
-    addPostRoute(
-      "/nexmo",
-      wrap(async (req, res) => {
-        try {
-          const messageId = await nexmo.handleIncomingMessage(req.body);
-          res.send(messageId);
-        } catch (ex) {
-          log.error(ex);
-          res.send("done");
-        }
-      })
-    );
+export function costData(organization, userNumber) {
+  // US pricing; other countries vary widely
+  return {
+    mmsMessage: 0.0125,
+    smsSegment: 0.0068,
+    source: "https://www.vonage.com/communications-apis/sms/pricing/",
+    lastChecked: "2022-06-01"
+  };
+}
 
-    addPostRoute(
-      "/nexmo-message-report",
-      wrap(async (req, res) => {
-        try {
-          const body = req.body;
-          await nexmo.handleDeliveryReport(body);
-        } catch (ex) {
-          log.error(ex);
-        }
-        res.send("done");
-      })
+/**
+ * Validate signed webhooks with NEXMO_SIGNATURE_SECRET.
+ * The SMS API signs the parameters (sig and timestamp) with
+ * NEXMO_SIGNATURE_METHOD (md5hash by default) and the Messages API (MMS)
+ * sends a JWT signed with the same secret in the Authorization header.
+ * Without a secret nothing can be verified, so every webhook is rejected.
+ */
+export async function verifyWebhook(req, { organization }) {
+  const params = req.body || {};
+  const messageId = params.messageId || params.message_uuid;
+  const replayKey = messageId && `${messageId}:${params.status || "inbound"}`;
+  const secret = getConfig("NEXMO_SIGNATURE_SECRET", organization);
+  if (!secret) {
+    log.error(
+      "nexmo webhook rejected: set NEXMO_SIGNATURE_SECRET (or WEBHOOK_SKIP_VERIFICATION=1) to receive Vonage webhooks"
     );
+    return { valid: false };
+  }
+
+  const authorization = req.get("Authorization") || "";
+  if (/^Bearer /.test(authorization)) {
+    try {
+      const claims = jwt.verify(authorization.slice(7), secret, {
+        algorithms: ["HS256"]
+      });
+      return {
+        valid: true,
+        replayKey: replayKey || claims.jti,
+        timestamp: claims.iat && claims.iat * 1000
+      };
+    } catch (err) {
+      return { valid: false };
+    }
+  }
+
+  if (!params.sig || !params.timestamp) {
+    return { valid: false };
   }
+  const signed = {};
+  Object.keys(params).forEach(key => {
+    signed[key] = String(params[key]);
+  });
+  const expected = Buffer.from(
+    nexmoLibrary.Nexmo.generateSignature(
+      getConfig("NEXMO_SIGNATURE_METHOD", organization) || "md5hash",
+      secret,
+      signed
+    ).toLowerCase()
+  );
+  const received = Buffer.from(String(params.sig).toLowerCase());
+  return {
+    valid:
+      expected.length === received.length &&
+      timingSafeEqual(expected, received),
+    replayKey,
+    timestamp: Number(params.timestamp) * 1000
+  };
 }
 
-async function convertMessagePartsToMessage(messageParts) {
+export function addServerEndpoints(addPostRoute) {
+  addPostRoute(
+    "/nexmo/:orgId?",
+    wrap(async (req, res) => {
+      try {
+        await handleIncomingMessage(req.body);
+      } catch (ex) {
+        log.error(ex);
+      }
+      res.send("done");
+    })
+  );
+
+  addPostRoute(
+    "/nexmo-message-report/:orgId?",
+    wrap(async (req, res) => {
+      try {
+        await handleDeliveryReport(req.body, req.params.orgId);
+      } catch (ex) {
+        log.error(ex);
+      }
+      res.send("done");
+    })
+  );
+}
+
+export async function convertMessagePartsToMessage(messageParts) {
   const firstPart = messageParts[0];
-  const userNumber = firstPart.user_number;
-  const contactNumber = firstPart.contact_number;
   const serviceMessages = messageParts.map(part =>
     JSON.parse(part.service_message)
   );
   const text = serviceMessages
-    .map(serviceMessage => serviceMessage.text)
+    .map(serviceMessage =>
+      // Messages API (MMS) sends the caption in image.caption
+      serviceMessage.image
+        ? serviceMessage.image.caption || serviceMessage.text || ""
+        : serviceMessage.text || ""
+    )
     .join("");
-
-  const lastMessage = await getLastMessage({
-    contactNumber,
-    service: "nexmo",
-    // Nexmo has nothing better that is both from sent and received message repsonses:
-    messageServiceSid: "nexmo",
-    userNumber
-  });
+  const media = serviceMessages
+    .filter(serviceMessage => serviceMessage.image)
+    .map(serviceMessage => ({
+      type: "image",
+      url: serviceMessage.image.url
+    }));
 
   return new Message({
-    contact_number: contactNumber,
-    user_number: userNumber,
+    contact_number: firstPart.contact_number,
+    user_number: firstPart.user_number,
     is_from_contact: true,
     error_code: null,
     text,
-    service_id: serviceMessages[0].service_id,
-    campaign_contact_id: lastMessage.campaign_contact_id,
-    messageservice_sid: userNumber,
+    media,
+    service_id: firstPart.service_id,
+    // will be set during cacheableData.message.save()
+    // campaign_contact_id: lastMessage.campaign_contact_id,
+    messageservice_sid: null,
     service: "nexmo",
-    send_status: "DELIVERED"
+    send_status: "DELIVERED",
+    user_id: null
   });
 }
 
-async function findNewCell() {
-  if (!nexmo) {
-    const num = "1234"
-      .split("")
-      .map(() => parseInt(Math.random() * 10))
-      .join("");
-    return {
-      numbers: [{ msisdn: getFormattedPhoneNumber(`+1212555${num}`) }]
-    };
-  }
-  return new Promise((resolve, reject) => {
-    nexmo.number.search(
-      "US",
-      { features: "VOICE,SMS", size: 1 },
-      (err, response) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(response);
-        }
-      }
-    );
+async function sendMms({ config, userNumber, message, mediaUrl, text }) {
+  const authorization = Buffer.from(
+    `${config.apiKey}:${config.apiSecret}`
+  ).toString("base64");
+  const res = await fetch(MESSAGES_API_URL, {
+    method: "POST",
+    headers: {
+      Authorization: `Basic ${authorization}`,
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({
+      message_type: "image",
+      image: { url: mediaUrl, caption: (text && text.trim()) || undefined },
+      to: toMsisdn(message.contact_number),
+      from: toMsisdn(userNumber),
+      channel: "mms",
+      client_ref: String(message.id)
+    })
   });
+  const response = await res.json();
+  if (!res.ok) {
+    // e.g. {type, title: "Invalid params", detail}
+    const err = new Error(
+      `Nexmo MMS error ${res.status}: ${response.detail || response.title}`
+    );
+    err.status = res.status;
+    throw err;
+  }
+  return { messageId: response.message_uuid };
 }
 
-async function rentNewCell() {
-  if (!nexmo) {
-    return getFormattedPhoneNumber(faker.phone.phoneNumber());
+async function sendSms({ nexmo, userNumber, message, text, organization }) {
+  const opts = {
+    "status-report-req": 1,
+    "client-ref": String(message.id),
+    // unicode messages fit 70 characters per segment instead of 160
+    type: getSegmentInfo(text).encoding === "GSM" ? "text" : "unicode"
+  };
+  const baseUrl = callbackBaseUrl(organization);
+  if (baseUrl) {
+    opts.callback = urlJoin(
+      baseUrl,
+      "nexmo-message-report",
+      String((organization && organization.id) || "")
+    );
   }
-  const newCell = await findNewCell();
-
-  if (
-    newCell &&
-    newCell.numbers &&
-    newCell.numbers[0] &&
-    newCell.numbers[0].msisdn
-  ) {
-    return new Promise((resolve, reject) => {
-      nexmo.number.buy("US", newCell.numbers[0].msisdn, (err, response) => {
-        if (err) {
-          reject(err);
-        } else {
-          // It appears we need to check error-code in the response even if response is returned.
-          // This library returns responses that look like { error-code: 401, error-label: 'not authenticated'}
-          // or the bizarrely-named { error-code: 200 } even in the case of success
-          if (response["error-code"] !== "200") {
-            reject(new Error(response["error-code-label"]));
-          } else {
-            resolve(newCell.numbers[0].msisdn);
-          }
-        }
-      });
-    });
+  const response = await nexmoCall(
+    nexmo.message,
+    "sendSms",
+    toMsisdn(userNumber),
+    toMsisdn(message.contact_number),
+    text,
+    opts
+  );
+  const rejected = (response.messages || []).find(m => m.status !== "0");
+  if (rejected) {
+    const err = new Error(
+      `Nexmo send rejected: ${rejected["error-text"] || rejected.status}`
+    );
+    err.sendStatus = rejected.status;
+    throw err;
   }
-  throw new Error("Did not find any cell");
+  // long messages are split into several parts, each with their own id
+  return { messageId: response.messages[0]["message-id"] };
 }
 
 export async function sendMessage({
@@ -153,154 +340,486 @@ export async function sendMessage({
   contact,
   trx,
   organization,
-  campaign
+  campaign,
+  serviceManagerData
 }) {
+  const nexmo = await exports.getNexmo(organization);
   if (!nexmo) {
-    const options = trx ? { transaction: trx } : {};
-    await Message.get(message.id).update({ send_status: "SENT" }, options);
+    log.warn(
+      "cannot actually send SMS message -- nexmo is not fully configured:",
+      message.id
+    );
+    if (message.id) {
+      let updateQuery = r
+        .knex("message")
+        .where("id", message.id)
+        .update({ send_status: "SENT", sent_at: new Date() });
+      if (trx) {
+        updateQuery = updateQuery.transacting(trx);
+      }
+      await updateQuery;
+    }
     return "test_message_uuid";
   }
-  // FIXME|TODO: user_number is not set before
-  // until this is fixed, Nexmo will NOT work
-  // FUTURE: user_number should be decided here
-  // -- though that might need some more context, e.g. organization
-  const userNumber = message.user_number.replace(/^\+/, "");
-  return new Promise((resolve, reject) => {
-    // US numbers require that the + be removed when sending via nexmo
-    nexmo.message.sendSms(
-      userNumber,
-      message.contact_number,
-      message.text,
-      {
-        "status-report-req": 1,
-        "client-ref": message.id
-      },
-      (err, response) => {
-        const messageToSave = {
-          ...message
-        };
-        let hasError = false;
-        if (err) {
-          hasError = 1;
-        }
-        if (response) {
-          response.messages.forEach(serviceMessages => {
-            if (serviceMessages.status !== "0") {
-              hasError = serviceMessages.status;
-            }
-          });
-        }
-
-        messageToSave.service = "nexmo";
-        // userNum is required so can be tracked as messageservice_sid
-        messageToSave.messageservice_sid = getFormattedPhoneNumber(userNumber);
-        messageToSave.campaign_contact_id = contact.id;
-
-        if (hasError) {
-          if (messageToSave.service_messages.length >= MAX_SEND_ATTEMPTS) {
-            messageToSave.send_status = "ERROR";
-            messageToSave.error_code =
-              Number(hasError) || hasError.charCodeAt(0);
-          }
-          const options = { conflict: "update" };
-          if (trx) {
-            options.transaction = trx;
-          }
-          Message.save(messageToSave, options)
-            // eslint-disable-next-line no-unused-vars
-            .then((_, newMessage) => {
-              reject(
-                err ||
-                  (response
-                    ? new Error(JSON.stringify(response))
-                    : new Error("Encountered unknown error"))
-              );
-            });
-          // FUTURE: insert log record with service response
-        } else {
-          const options = { conflict: "update" };
-          if (trx) {
-            options.transaction = trx;
-          }
-          Message.save(
-            {
-              ...messageToSave,
-              send_status: "SENT"
-            },
-            options
-          ).then((saveError, newMessage) => {
-            resolve(newMessage);
-          });
-        }
-      }
+  // userNumber will probably come from serviceManagerData (numpicker/sticky-sender)
+  const userNumber =
+    (serviceManagerData && serviceManagerData.user_number) ||
+    message.user_number;
+  if (!userNumber) {
+    throw new Error(
+      "Nexmo service-vendor requires a user_number. Make sure to install a numpicker service-manager"
     );
-  });
+  }
+  const changes = {};
+  if (userNumber !== message.user_number) {
+    changes.user_number = userNumber;
+  }
+
+  const { body: text, mediaUrl } = parseMessageText(message);
+  let response;
+  let err;
+  try {
+    if (mediaUrl) {
+      const config = await getMessageServiceConfig("nexmo", organization, {
+        obscureSensitiveInformation: false
+      });
+      response = await sendMms({
+        config,
+        userNumber,
+        message,
+        mediaUrl,
+        text
+      });
+    } else {
+      response = await sendSms({
+        nexmo,
+        userNumber,
+        message,
+        text,
+        organization
+      });
+    }
+  } catch (caught) {
+    err = caught;
+  }
+  return postMessageSend({ message, contact, trx, err, response, changes });
 }
 
-export async function handleDeliveryReport(report) {
-  if (report.hasOwnProperty("client-ref")) {
-    const message = await Message.get(report["client-ref"]);
-    // FUTURE: insert log record with JSON.stringify(report)
-    if (report.status === "delivered" || report.status === "accepted") {
-      message.send_status = "DELIVERED";
-    } else if (
-      report.status === "expired" ||
-      report.status === "failed" ||
-      report.status === "rejected"
+export async function postMessageSend({
+  message,
+  contact,
+  trx,
+  err,
+  response,
+  changes
+}) {
+  const changesToSave = changes ? { ...changes } : {};
+  let updateQuery = r.knex("message").where("id", message.id);
+  if (trx) {
+    updateQuery = updateQuery.transacting(trx);
+  }
+  if (err || !response || !response.messageId) {
+    log.error("Error sending nexmo message", message.id, err);
+    if (
+      err &&
+      err.sendStatus &&
+      RETRYABLE_SEND_STATUSES.indexOf(err.sendStatus) === -1
     ) {
-      message.send_status = "ERROR";
-      const errCode = report["err-code"];
-      messageToSave.error_code = Number(errCode) || 0;
+      changesToSave.send_status = "ERROR";
+      changesToSave.error_code = SEND_REJECTION_OFFSET + Number(err.sendStatus);
+    } else if (err && err.status >= 400 && err.status < 500) {
+      // Messages API rejected the request, e.g. invalid media
+      changesToSave.send_status = "ERROR";
+      changesToSave.error_code = 1020;
+    } else {
+      if (message.error_code <= -MAX_SEND_ATTEMPTS) {
+        changesToSave.send_status = "ERROR";
+      }
+      // decrement error code starting from zero
+      changesToSave.error_code = Number(message.error_code || 0) - 1;
     }
-    await Message.save(message, { conflict: "update" });
+    let contactUpdateQuery = Promise.resolve(1);
+    if (message.campaign_contact_id) {
+      contactUpdateQuery = r
+        .knex("campaign_contact")
+        .where("id", message.campaign_contact_id)
+        .update("error_code", changesToSave.error_code);
+      if (trx) {
+        contactUpdateQuery = contactUpdateQuery.transacting(trx);
+      }
+    }
+    await Promise.all([updateQuery.update(changesToSave), contactUpdateQuery]);
+    throw err || new Error(`Nexmo send failed: ${JSON.stringify(response)}`);
   }
+
+  Object.assign(changesToSave, {
+    service_id: response.messageId,
+    send_status: "SENT",
+    service: "nexmo",
+    // lookupByCell matches on user_number when there's no messageservice_sid
+    messageservice_sid: null,
+    sent_at: new Date()
+  });
+  await Promise.all([
+    updateQuery.update(changesToSave),
+    cacheableData.campaignContact.updateStatus(
+      contact,
+      undefined,
+      changesToSave.user_number || message.user_number
+    )
+  ]);
+  return {
+    ...message,
+    ...changesToSave
+  };
 }
 
-export async function handleIncomingMessage(message) {
-  if (
-    !message.hasOwnProperty("to") ||
-    !message.hasOwnProperty("msisdn") ||
-    !message.hasOwnProperty("text") ||
-    !message.hasOwnProperty("messageId")
-  ) {
-    log.error(`This is not an incoming message: ${JSON.stringify(message)}`);
+/**
+ * Handles both SMS API delivery receipts (form/query params with messageId)
+ * and Messages API (MMS) status webhooks (JSON with message_uuid)
+ */
+export async function handleDeliveryReport(report, orgId) {
+  let messageSid;
+  let status;
+  let errorCode = 0;
+  let contactNumber;
+  let userNumber;
+  let cost;
+  if (report.message_uuid) {
+    // https://developer.vonage.com/api/messages-olympus#message-status
+    messageSid = report.message_uuid;
+    status = report.status;
+    contactNumber = fromMsisdn(report.to);
+    userNumber = fromMsisdn(report.from);
+    if (report.error) {
+      errorCode = Number(report.error.title) || 1;
+    }
+    if (report.usage) {
+      cost = report.usage.price;
+    }
+  } else if (report.messageId) {
+    // https://developer.vonage.com/messaging/sms/guides/delivery-receipts
+    messageSid = report.messageId;
+    status = report.status;
+    // msisdn is the recipient, "to" is our number
+    contactNumber = fromMsisdn(report.msisdn);
+    userNumber = fromMsisdn(report.to);
+    errorCode = Number(report["err-code"] || 0) || 0;
+    cost = report.price;
+  } else {
+    return;
   }
+  log.info(`Message status ${messageSid}: ${status}`);
+  if (ENABLE_DB_LOG) {
+    await Log.save({
+      message_sid: messageSid,
+      body: JSON.stringify(report),
+      error_code: errorCode,
+      from_num: userNumber || null,
+      to_num: contactNumber || null
+    });
+  }
+  const isDelivered = status === "delivered";
+  const isError =
+    status === "expired" ||
+    status === "failed" ||
+    status === "rejected" ||
+    status === "undeliverable";
+  if (!isDelivered && !isError) {
+    // accepted, buffered, submitted, etc
+    return;
+  }
+  await cacheableData.message.deliveryReport({
+    contactNumber,
+    userNumber,
+    messageSid,
+    service: "nexmo",
+    messageServiceSid: null,
+    newStatus: isDelivered ? "DELIVERED" : "ERROR",
+    errorCode: isDelivered ? 0 : errorCode || 1,
+    // 9: illegal number, e.g. a landline
+    statusCode: errorCode === 9 ? -1 : null,
+    cost,
+    orgId
+  });
+}
 
-  const { to, msisdn, concat } = message;
-  const isConcat = concat === "true";
-  const contactNumber = getFormattedPhoneNumber(msisdn);
-  const userNumber = getFormattedPhoneNumber(to);
-
-  let parentId = "";
-  if (isConcat) {
-    log.info(
-      `Incoming message part (${message["concat-part"]} of ${message["concat-total"]} for ref ${message["concat-ref"]}) from ${contactNumber} to ${userNumber}`
-    );
-    parentId = message["concat-ref"];
+/**
+ * Handles both SMS API inbound messages (msisdn/to/text/messageId, possibly concatenated)
+ * and Messages API inbound MMS (from/to/message_uuid with an image)
+ */
+export async function handleIncomingMessage(message) {
+  let contactNumber;
+  let userNumber;
+  let serviceId;
+  let parentId = null;
+  if (message.message_uuid) {
+    contactNumber = fromMsisdn(message.from);
+    userNumber = fromMsisdn(message.to);
+    serviceId = message.message_uuid;
+  } else if (
+    message.hasOwnProperty("msisdn") &&
+    message.hasOwnProperty("to") &&
+    message.hasOwnProperty("messageId")
+  ) {
+    contactNumber = fromMsisdn(message.msisdn);
+    userNumber = fromMsisdn(message.to);
+    serviceId = message.messageId;
+    if (message.concat === "true") {
+      log.info(
+        `Incoming message part (${message["concat-part"]} of ${message["concat-total"]} for ref ${message["concat-ref"]}) from ${contactNumber} to ${userNumber}`
+      );
+      parentId = message["concat-ref"];
+      serviceId = message["concat-ref"];
+    }
   } else {
-    log.info(`Incoming message part from ${contactNumber} to ${userNumber}`);
+    log.error(`This is not an incoming message: ${JSON.stringify(message)}`);
+    return;
   }
 
   const pendingMessagePart = new PendingMessagePart({
     service: "nexmo",
-    service_id: message["concat-ref"] || message.messageId,
-    parent_id: parentId, // do we need this anymore, now we have service_id?
+    service_id: serviceId,
+    parent_id: parentId,
     service_message: JSON.stringify(message),
     user_number: userNumber,
     contact_number: contactNumber
   });
+  if (
+    !parentId &&
+    (process.env.JOBS_SAME_PROCESS || global.JOBS_SAME_PROCESS)
+  ) {
+    // Handle the message directly and skip saving an intermediate part
+    // Concatenated messages still need the parts to be reassembled by a job
+    const finalMessage = await convertMessagePartsToMessage([
+      pendingMessagePart
+    ]);
+    await saveNewIncomingMessage(finalMessage);
+  } else {
+    await r.knex("pending_message_part").insert(pendingMessagePart);
+  }
 
-  const part = await pendingMessagePart.save();
-  return part.id;
+  if (ENABLE_DB_LOG) {
+    await Log.save({
+      message_sid: serviceId,
+      body: JSON.stringify(message),
+      error_code: -101,
+      from_num: contactNumber || null,
+      to_num: userNumber || null
+    });
+  }
 }
 
+async function searchForAvailableNumbers(nexmo, country, areaCode, limit) {
+  const callingCode = PhoneNumberUtil.getInstance().getCountryCodeForRegion(
+    country
+  );
+  const response = await nexmoCall(nexmo.number, "search", country, {
+    pattern: `${callingCode}${areaCode}`,
+    // 0: starts with
+    search_pattern: 0,
+    features: "SMS",
+    size: Math.min(limit, 100)
+  });
+  return (response && response.numbers) || [];
+}
+
+async function buyNumber(nexmo, organization, country, areaCode, msisdn) {
+  const response = await nexmoCall(nexmo.number, "buy", country, msisdn);
+  // The library returns responses that look like { error-code: 401, error-code-label: 'not authenticated'}
+  // or the bizarrely-named { error-code: 200 } even in the case of success
+  if (String(response["error-code"]) !== "200") {
+    throw new Error(
+      `Error buying nexmo number: ${response["error-code-label"]}`
+    );
+  }
+  const baseUrl = callbackBaseUrl(organization);
+  if (baseUrl) {
+    await nexmoCall(nexmo.number, "update", country, msisdn, {
+      moHttpUrl: urlJoin(baseUrl, "nexmo", String(organization.id))
+    });
+  }
+  const phoneNumber = fromMsisdn(msisdn);
+  log.debug(`Bought number ${phoneNumber}`);
+  await r.knex("owned_phone_number").insert({
+    organization_id: organization.id,
+    area_code: areaCode,
+    phone_number: phoneNumber,
+    service: "nexmo",
+    service_id: msisdn
+  });
+}
+
+/**
+ * Buy up to <limit> numbers in <areaCode>
+ */
+export async function buyNumbersInAreaCode(organization, areaCode, limit) {
+  const nexmo = await exports.getNexmo(organization);
+  const country = getCountry(organization);
+  let totalPurchased = 0;
+  while (totalPurchased < limit) {
+    const available = await searchForAvailableNumbers(
+      nexmo,
+      country,
+      areaCode,
+      limit - totalPurchased
+    );
+    let purchasedInBatch = 0;
+    for (const item of available) {
+      await buyNumber(nexmo, organization, country, areaCode, item.msisdn);
+      purchasedInBatch++;
+    }
+    totalPurchased += purchasedInBatch;
+    if (purchasedInBatch === 0) {
+      log.warn("Failed to buy as many numbers as requested");
+      break;
+    }
+  }
+  return totalPurchased;
+}
+
+/**
+ * Cancel all non-allocated phone numbers in an area code
+ */
+export async function deleteNumbersInAreaCode(organization, areaCode) {
+  const nexmo = await exports.getNexmo(organization);
+  const country = getCountry(organization);
+  const numbersToDelete = await r
+    .knex("owned_phone_number")
+    .select("service_id", "phone_number")
+    .where({
+      organization_id: organization.id,
+      area_code: areaCode,
+      service: "nexmo",
+      allocated_to: null
+    });
+  let successCount = 0;
+  for (const n of numbersToDelete) {
+    const response = await nexmoCall(
+      nexmo.number,
+      "cancel",
+      country,
+      n.service_id
+    );
+    const errorCode = String(response["error-code"]);
+    // 420 means the number is not on the account anymore, so safe to remove from inventory
+    if (errorCode !== "200" && errorCode !== "420") {
+      throw new Error(
+        `Error cancelling nexmo number: ${response["error-code-label"]}`
+      );
+    }
+    await r
+      .knex("owned_phone_number")
+      .del()
+      .where({ service: "nexmo", service_id: n.service_id });
+    successCount++;
+  }
+  log.debug(`Successfully deleted ${successCount} number(s)`);
+  return successCount;
+}
+
+export const getServiceConfig = async (
+  serviceConfig,
+  organization,
+  options = {}
+) => {
+  const {
+    restrictToOrgFeatures = false,
+    obscureSensitiveInformation = true
+  } = options;
+  let apiKey;
+  let apiSecret;
+  if (serviceConfig) {
+    apiKey = serviceConfig.NEXMO_API_KEY;
+    if (serviceConfig.NEXMO_API_SECRET_ENCRYPTED) {
+      apiSecret = obscureSensitiveInformation
+        ? "<Encrypted>"
+        : await getSecret(
+            "NEXMO_API_SECRET_ENCRYPTED",
+            serviceConfig.NEXMO_API_SECRET_ENCRYPTED,
+            organization
+          );
+    }
+  } else {
+    const getConfigOptions = { onlyLocal: Boolean(restrictToOrgFeatures) };
+    apiKey = getConfig("NEXMO_API_KEY", organization, getConfigOptions);
+    if (hasConfig("NEXMO_API_SECRET", organization, getConfigOptions)) {
+      apiSecret = obscureSensitiveInformation
+        ? "<Hidden>"
+        : getConfig("NEXMO_API_SECRET", organization, getConfigOptions);
+    }
+  }
+  const serviceManagers = getConfig("SERVICE_MANAGERS", organization) || "";
+  return {
+    apiKey,
+    apiSecret,
+    serviceManagerNumPicker: /numpicker/.test(serviceManagers),
+    serviceManagerSticky: /sticky-sender/.test(serviceManagers)
+  };
+};
+
+export const updateConfig = async (oldConfig, config, organization) => {
+  const { nexmoApiKey, nexmoApiSecret } = config;
+  if (!nexmoApiKey) {
+    throw new Error("nexmoApiKey is required");
+  }
+  const newConfig = {
+    NEXMO_API_KEY: nexmoApiKey.substr(0, 64),
+    NEXMO_API_SECRET_ENCRYPTED: nexmoApiSecret
+      ? await convertSecret(
+          "NEXMO_API_SECRET_ENCRYPTED",
+          organization,
+          nexmoApiSecret
+        )
+      : oldConfig && oldConfig.NEXMO_API_SECRET_ENCRYPTED
+  };
+  if (!newConfig.NEXMO_API_SECRET_ENCRYPTED) {
+    throw new Error("nexmoApiSecret is required");
+  }
+  try {
+    if (nexmoApiSecret && global.TEST_ENVIRONMENT !== "1") {
+      // Make sure Nexmo credentials work.
+      const nexmo = new nexmoLibrary.Nexmo({
+        apiKey: nexmoApiKey,
+        apiSecret: nexmoApiSecret
+      });
+      await nexmoCall(nexmo.account, "checkBalance");
+    }
+  } catch (err) {
+    console.log("nexmo.updateConfig client error", err);
+    throw new Error("Invalid Nexmo credentials");
+  }
+  return newConfig;
+};
+
+export const fullyConfigured = async organization => {
+  const { apiKey, apiSecret } = await getMessageServiceConfig(
+    "nexmo",
+    organization
+  );
+  const serviceManagers = getConfig("SERVICE_MANAGERS", organization) || "";
+  // Nexmo has no messaging services, so a numpicker must choose the sending number
+  return Boolean(
+    apiKey &&
+      apiSecret &&
+      /numpicker/.test(serviceManagers) &&
+      /sticky-sender/.test(serviceManagers)
+  );
+};
+
 export default {
   addServerEndpoints,
+  verifyWebhook,
   convertMessagePartsToMessage,
-  findNewCell,
-  rentNewCell,
   sendMessage,
+  postMessageSend,
   handleDeliveryReport,
   handleIncomingMessage,
-  getMetadata
+  buyNumbersInAreaCode,
+  deleteNumbersInAreaCode,
+  getNexmo,
+  getServiceConfig,
+  updateConfig,
+  getMetadata,
+  fullyConfigured
 };
@@ -0,0 +1,219 @@
+/* eslint no-console: 0 */
+import { css } from "aphrodite";
+import PropTypes from "prop-types";
+import React from "react";
+import Form from "react-formal";
+import * as yup from "yup";
+
+import Table from "@material-ui/core/Table";
+import TableBody from "@material-ui/core/TableBody";
+import TableCell from "@material-ui/core/TableCell";
+import TableContainer from "@material-ui/core/TableContainer";
+import TableRow from "@material-ui/core/TableRow";
+import Button from "@material-ui/core/Button";
+import CardContent from "@material-ui/core/CardContent";
+import Dialog from "@material-ui/core/Dialog";
+import DialogActions from "@material-ui/core/DialogActions";
+import DialogContent from "@material-ui/core/DialogContent";
+import DialogContentText from "@material-ui/core/DialogContentText";
+
+import DisplayLink from "../../../components/DisplayLink";
+import GSForm from "../../../components/forms/GSForm";
+import GSTextField from "../../../components/forms/GSTextField";
+
+const isAllSet = config =>
+  Boolean(
+    config.apiKey &&
+      config.apiSecret &&
+      config.serviceManagerNumPicker &&
+      config.serviceManagerSticky
+  );
+
+export class OrgConfig extends React.Component {
+  constructor(props) {
+    super(props);
+    const allSet = isAllSet(this.props.config);
+    this.state = { ...this.props.config, nexmoDialogOpen: false };
+    this.props.onAllSetChanged(allSet);
+  }
+
+  componentDidUpdate(prevProps) {
+    const prevAllSet = isAllSet(prevProps.config);
+    const allSet = isAllSet(this.props.config);
+    if (prevAllSet !== allSet) {
+      this.props.onAllSetChanged(allSet);
+    }
+  }
+
+  onFormChange = value => {
+    this.setState(value);
+  };
+
+  handleOpenNexmoDialog = () => this.setState({ nexmoDialogOpen: true });
+
+  handleCloseNexmoDialog = () => this.setState({ nexmoDialogOpen: false });
+
+  handleSubmitNexmoAuthForm = async () => {
+    const { apiKey, apiSecret } = this.state;
+    let nexmoError;
+    try {
+      await this.props.onSubmit({
+        nexmoApiKey: apiKey,
+        nexmoApiSecret:
+          apiSecret === "<Encrypted>" || apiSecret === "<Hidden>"
+            ? false
+            : apiSecret
+      });
+      await this.props.requestRefetch();
+      this.setState({
+        nexmoError: undefined,
+        apiSecret: this.props.config.apiSecret
+      });
+    } catch (caught) {
+      console.log("Error submitting Nexmo auth", JSON.stringify(caught));
+      if (caught.graphQLErrors && caught.graphQLErrors.length > 0) {
+        const nexmoErrors = caught.graphQLErrors.map(error => error.message);
+        nexmoError = nexmoErrors.join(",");
+      } else {
+        nexmoError = caught.message;
+      }
+      this.setState({ nexmoError });
+    }
+    this.handleCloseNexmoDialog();
+  };
+
+  render() {
+    const { organizationId, inlineStyles, styles, config } = this.props;
+    const allSet = isAllSet(config);
+    let baseUrl = "http://base";
+    if (typeof window !== "undefined") {
+      baseUrl = window.location.origin;
+    }
+    const formSchema = yup.object({
+      apiKey: yup
+        .string()
+        .nullable()
+        .max(64),
+      apiSecret: yup
+        .string()
+        .nullable()
+        .max(64)
+    });
+
+    return (
+      <div>
+        {allSet && (
+          <CardContent style={inlineStyles.shadeBox}>
+            <DisplayLink
+              url={`${baseUrl}/nexmo/${organizationId}`}
+              textContent="Nexmo credentials are configured for this organization. Numbers bought through Spoke use this inbound webhook url. Set it as the Inbound SMS and Messages API Inbound URL for numbers you bought elsewhere."
+            />
+            <DisplayLink
+              url={`${baseUrl}/nexmo-message-report/${organizationId}`}
+              textContent="For MMS, set the Messages API Status URL in your Vonage dashboard to this link."
+            />
+            Settings for this organization:
+            <TableContainer>
+              <Table>
+                <TableBody style={inlineStyles.shadeBox}>
+                  <TableRow>
+                    <TableCell>
+                      <b>Nexmo API Key</b>
+                    </TableCell>
+                    <TableCell>{config.apiKey}</TableCell>
+                  </TableRow>
+                  <TableRow>
+                    <TableCell>
+                      <b>Nexmo API Secret</b>
+                    </TableCell>
+                    <TableCell>{config.apiSecret}</TableCell>
+                  </TableRow>
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </CardContent>
+        )}
+        {!(config.serviceManagerNumPicker && config.serviceManagerSticky) && (
+          <CardContent style={inlineStyles.errorBox}>
+            Nexmo requires the sticky-sender and a numpicker (e.g.
+            numpicker-basic) service manager in SERVICE_MANAGERS to choose the
+            sending number.
+          </CardContent>
+        )}
+        {this.state.nexmoError && (
+          <CardContent style={inlineStyles.errorBox}>
+            {this.state.nexmoError}
+          </CardContent>
+        )}
+        <CardContent>
+          <div className={css(styles.section)}>
+            <span className={css(styles.sectionLabel)}>
+              You can set Nexmo (Vonage) API credentials specifically for this
+              Organization by entering them here.
+            </span>
+            <GSForm
+              schema={formSchema}
+              onChange={this.onFormChange}
+              defaultValue={this.state}
+            >
+              <Form.Field
+                as={GSTextField}
+                label="Nexmo API Key"
+                name="apiKey"
+                fullWidth
+              />
+              <Form.Field
+                as={GSTextField}
+                label="Nexmo API Secret"
+                name="apiSecret"
+                fullWidth
+              />
+
+              <Button
+                color="primary"
+                variant="contained"
+                onClick={this.handleOpenNexmoDialog}
+              >
+                {this.props.saveLabel || "Save Nexmo Credentials"}
+              </Button>
+              <Dialog open={this.state.nexmoDialogOpen}>
+                <DialogContent>
+                  <DialogContentText>
+                    Changing the API Key will break any campaigns that are
+                    currently running. Do you want to continue?
+                  </DialogContentText>
+                </DialogContent>
+                <DialogActions>
+                  <Button
+                    style={inlineStyles.dialogButton}
+                    onClick={this.handleCloseNexmoDialog}
+                  >
+                    Cancel
+                  </Button>
+                  <Button
+                    color="primary"
+                    variant="contained"
+                    onClick={this.handleSubmitNexmoAuthForm}
+                  >
+                    Save
+                  </Button>
+                </DialogActions>
+              </Dialog>
+            </GSForm>
+          </div>
+        </CardContent>
+      </div>
+    );
+  }
+}
+
+OrgConfig.propTypes = {
+  organizationId: PropTypes.string,
+  config: PropTypes.object,
+  inlineStyles: PropTypes.object,
+  styles: PropTypes.object,
+  saveLabel: PropTypes.string,
+  onSubmit: PropTypes.func,
+  onAllSetChanged: PropTypes.func,
+  requestRefetch: PropTypes.func
+};
@@ -0,0 +1,89 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import fetch from "node-fetch";
+import urlJoin from "url-join";
+
+import { getConfig } from "../../../server/api/lib/config";
+
+// https://www.plivo.com/docs/sms/api/overview/
+// PLIVO_API_URL can point to the local mock server (see ./mock-server.js)
+export const getApiBaseUrl = organization =>
+  getConfig("PLIVO_API_URL", organization) || "https://api.plivo.com/v1/";
+
+export class PlivoApiError extends Error {
+  constructor(message, status, body) {
+    super(message);
+    this.name = "PlivoApiError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Thin REST client so we don't need Plivo's sdk (and so the mock server can stand in for it)
+ * config must have authId and authToken (unencrypted)
+ */
+export async function plivoRequest(config, method, path, body, organization) {
+  const url = urlJoin(
+    getApiBaseUrl(organization),
+    "Account",
+    config.authId,
+    path,
+    // Plivo requires the trailing slash
+    "/"
+  );
+  const authorization = Buffer.from(
+    `${config.authId}:${config.authToken}`
+  ).toString("base64");
+  const options = {
+    method,
+    headers: {
+      Authorization: `Basic ${authorization}`,
+      "Content-Type": "application/json"
+    }
+  };
+  let finalUrl = url;
+  if (body && method === "GET") {
+    const query = new URLSearchParams(body).toString();
+    finalUrl = `${url}?${query}`;
+  } else if (body) {
+    options.body = JSON.stringify(body);
+  }
+  const res = await fetch(finalUrl, options);
+  const text = await res.text();
+  let result = {};
+  if (text) {
+    try {
+      result = JSON.parse(text);
+    } catch (err) {
+      result = { error: text };
+    }
+  }
+  if (!res.ok) {
+    throw new PlivoApiError(
+      `Plivo API error ${res.status}: ${result.error || text}`,
+      res.status,
+      result
+    );
+  }
+  return result;
+}
+
+/**
+ * Plivo's V2 webhook signature: base64(HMAC-SHA256(authToken, url + nonce))
+ * https://www.plivo.com/docs/sms/concepts/signature-validation
+ */
+export const computeSignature = (authToken, url, nonce) =>
+  createHmac("sha256", authToken)
+    .update(`${url}${nonce}`)
+    .digest("base64");
+
+export const validateSignature = (authToken, url, nonce, signature) => {
+  if (!authToken || !nonce || !signature) {
+    return false;
+  }
+  const expected = Buffer.from(computeSignature(authToken, url, nonce));
+  const received = Buffer.from(String(signature));
+  return (
+    expected.length === received.length && timingSafeEqual(expected, received)
+  );
+};
@@ -0,0 +1,686 @@
+/* eslint-disable no-use-before-define, no-console */
+import urlJoin from "url-join";
+import { log } from "../../../lib";
+import { getFormattedPhoneNumber } from "../../../lib/phone-format";
+import { getConfig, hasConfig } from "../../../server/api/lib/config";
+import { cacheableData, Log, Message, r } from "../../../server/models";
+import wrap from "../../../server/wrap";
+import { getSecret, convertSecret } from "../../secret-manager";
+
+import { saveNewIncomingMessage, parseMessageText } from "../message-sending";
+import { getMessageServiceConfig } from "../service_map";
+import { plivoRequest, validateSignature } from "./api";
+
+// PLIVO error_codes:
+// > 1 (i.e. positive) error_codes are reserved for Plivo delivery report error codes
+//   or the http status of a rejected api request
+// -1 - -MAX_SEND_ATTEMPTS (5): failed send messages (e.g. network failures)
+
+const MAX_SEND_ATTEMPTS = 5;
+const MAX_NUMBERS_PER_SEARCH = 20; // Plivo limit
+const ENABLE_DB_LOG = getConfig("ENABLE_DB_LOG");
+
+export const getMetadata = () => ({
+  supportsOrgConfig: !getConfig("SERVICE_VENDOR_NO_ORGCONFIG", null, {
+    truthy: true
+  }),
+  supportsCampaignConfig: false,
+  name: "plivo"
+});
+
+// https://www.plivo.com/docs/sms/troubleshooting/error-codes
+export const errorDescriptions = {
+  10: "Invalid message (possibly blocked content)",
+  20: "Network error",
+  30: "Spam detected",
+  40: "Invalid source number",
+  50: "Invalid destination number",
+  60: "Loop detected",
+  70: "Destination permanently unavailable",
+  80: "Destination temporarily unavailable",
+  90: "No route available",
+  100: "Prohibited by carrier",
+  110: "Message too long",
+  200: "Source number blocked by STOP from destination number",
+  300: "Failed to dispatch message",
+  420: "Message expired",
+  450: "Destination country disabled",
+  900: "Insufficient credit",
+  910: "Account disabled",
+  1000: "Unknown error"
+};
+
+export function errorDescription(errorCode) {
+  return {
+    code: errorCode,
+    description: errorDescriptions[errorCode] || "Plivo error",
+    link: "https://www.plivo.com/docs/sms/troubleshooting/error-codes"
+  };
+}
+
+export function costData(organization, userNumber) {
+  // FUTURE: tollfree and shortcode numbers have different pricing
+  return {
+    mmsMessage: 0.018,
+    smsSegment: 0.005,
+    source: "https://www.plivo.com/sms/pricing/us/",
+    lastChecked: "2022-06-01"
+  };
+}
+
+const callbackBaseUrl = organization =>
+  getConfig("PLIVO_BASE_CALLBACK_URL", organization) || getConfig("BASE_URL");
+
+/**
+ * Validate that the webhook came from Plivo before proceeding.
+ * Plivo signs the full callback url, so PLIVO_BASE_CALLBACK_URL (or BASE_URL)
+ * needs to match the external-facing url configured on the Plivo application.
+ * Each request has a fresh nonce, which doubles as the replay key.
+ */
+export async function verifyWebhook(req, { organization }) {
+  const nonce = req.get("X-Plivo-Signature-V2-Nonce");
+  if (getConfig("PLIVO_SKIP_VALIDATION", null, { truthy: true })) {
+    return { valid: true, replayKey: nonce };
+  }
+  const { authToken } = await getMessageServiceConfig("plivo", organization, {
+    obscureSensitiveInformation: false
+  });
+  const url = urlJoin(callbackBaseUrl(organization) || "", req.originalUrl);
+  return {
+    valid: Boolean(
+      authToken &&
+        validateSignature(
+          authToken,
+          url,
+          nonce,
+          req.get("X-Plivo-Signature-V2")
+        )
+    ),
+    replayKey: nonce
+  };
+}
+
+export function addServerEndpoints(addPostRoute) {
+  addPostRoute(
+    "/plivo/:orgId?",
+    wrap(async (req, res) => {
+      try {
+        await handleIncomingMessage(req.body);
+      } catch (ex) {
+        log.error(ex);
+      }
+      res.writeHead(200, { "Content-Type": "text/xml" });
+      res.end("<Response></Response>");
+    })
+  );
+
+  addPostRoute(
+    "/plivo-message-report/:orgId?",
+    wrap(async (req, res) => {
+      try {
+        await handleDeliveryReport(req.body, req.params.orgId);
+      } catch (ex) {
+        log.error(ex);
+      }
+      res.writeHead(200, { "Content-Type": "text/xml" });
+      res.end("<Response></Response>");
+    })
+  );
+}
+
+export async function sendMessage({
+  message,
+  contact,
+  trx,
+  organization,
+  campaign,
+  serviceManagerData
+}) {
+  const config = await getMessageServiceConfig("plivo", organization, {
+    obscureSensitiveInformation: false
+  });
+  if (!config || !config.authId || !config.authToken) {
+    log.warn(
+      "cannot actually send SMS message -- plivo is not fully configured:",
+      message.id
+    );
+    if (message.id) {
+      let updateQuery = r
+        .knex("message")
+        .where("id", message.id)
+        .update({ send_status: "SENT", sent_at: new Date() });
+      if (trx) {
+        updateQuery = updateQuery.transacting(trx);
+      }
+      await updateQuery;
+    }
+    return "test_message_uuid";
+  }
+  // userNumber will probably come from serviceManagerData (numpicker/sticky-sender)
+  const userNumber =
+    (serviceManagerData && serviceManagerData.user_number) ||
+    message.user_number ||
+    config.userNumber;
+  if (!userNumber) {
+    throw new Error(
+      "Plivo service-vendor requires a user_number. Make sure to install a numpicker service-manager"
+    );
+  }
+
+  const changes = {};
+  if (userNumber !== message.user_number) {
+    changes.user_number = userNumber;
+  }
+
+  const parsedMessage = parseMessageText(message);
+  const plivoMessage = {
+    src: userNumber.replace(/^\+/, ""),
+    dst: message.contact_number.replace(/^\+/, ""),
+    text: parsedMessage.body,
+    url: urlJoin(
+      callbackBaseUrl(organization) || "",
+      "plivo-message-report",
+      String((organization && organization.id) || "")
+    ),
+    method: "POST",
+    type: "sms"
+  };
+  if (parsedMessage.mediaUrl) {
+    plivoMessage.type = "mms";
+    plivoMessage.media_urls = [parsedMessage.mediaUrl];
+  } else if (serviceManagerData && serviceManagerData.forceMms) {
+    plivoMessage.type = "mms";
+  }
+
+  let response;
+  let err;
+  try {
+    response = await plivoRequest(
+      config,
+      "POST",
+      "Message",
+      plivoMessage,
+      organization
+    );
+  } catch (caught) {
+    err = caught;
+  }
+  return postMessageSend({
+    message,
+    contact,
+    trx,
+    err,
+    response,
+    changes
+  });
+}
+
+export async function postMessageSend({
+  message,
+  contact,
+  trx,
+  err,
+  response,
+  changes
+}) {
+  const changesToSave = changes ? { ...changes } : {};
+  let updateQuery = r.knex("message").where("id", message.id);
+  if (trx) {
+    updateQuery = updateQuery.transacting(trx);
+  }
+  if (err || !response || !response.message_uuid) {
+    log.error("Error sending plivo message", message.id, err);
+    if (err && err.status) {
+      // The api rejected the message, so there's no point in retrying
+      changesToSave.send_status = "ERROR";
+      changesToSave.error_code = err.status;
+    } else {
+      if (message.error_code <= -MAX_SEND_ATTEMPTS) {
+        changesToSave.send_status = "ERROR";
+      }
+      // decrement error code starting from zero
+      changesToSave.error_code = Number(message.error_code || 0) - 1;
+    }
+    let contactUpdateQuery = Promise.resolve(1);
+    if (message.campaign_contact_id) {
+      contactUpdateQuery = r
+        .knex("campaign_contact")
+        .where("id", message.campaign_contact_id)
+        .update("error_code", changesToSave.error_code);
+      if (trx) {
+        contactUpdateQuery = contactUpdateQuery.transacting(trx);
+      }
+    }
+    await Promise.all([updateQuery.update(changesToSave), contactUpdateQuery]);
+    throw err || new Error(`Plivo send failed: ${JSON.stringify(response)}`);
+  }
+
+  Object.assign(changesToSave, {
+    service_id: response.message_uuid[0],
+    send_status: "SENT",
+    service: "plivo",
+    // lookupByCell matches messages sent without a messaging service
+    messageservice_sid: null,
+    sent_at: new Date()
+  });
+  await Promise.all([
+    updateQuery.update(changesToSave),
+    cacheableData.campaignContact.updateStatus(
+      contact,
+      undefined,
+      changesToSave.user_number || message.user_number
+    )
+  ]);
+  return {
+    ...message,
+    ...changesToSave
+  };
+}
+
+export async function handleDeliveryReport(report, orgId) {
+  // https://www.plivo.com/docs/sms/api/message#message-status-callback
+  const messageUuid = report.MessageUUID;
+  if (!messageUuid) {
+    return;
+  }
+  const status = report.Status;
+  log.info(`Message status ${messageUuid}: ${status}`);
+  if (status === "queued" || status === "sent") {
+    return;
+  }
+
+  if (ENABLE_DB_LOG) {
+    await Log.save({
+      message_sid: messageUuid,
+      body: JSON.stringify(report),
+      error_code: Number(report.ErrorCode || 0) || 0,
+      from_num: report.From || null,
+      to_num: report.To || null
+    });
+  }
+
+  if (
+    status === "delivered" ||
+    status === "failed" ||
+    status === "undelivered" ||
+    status === "rejected"
+  ) {
+    const errorCode = Number(report.ErrorCode || 0) || 0;
+    await cacheableData.message.deliveryReport({
+      contactNumber: getFormattedPhoneNumber(report.To),
+      userNumber: report.From ? getFormattedPhoneNumber(report.From) : null,
+      messageSid: messageUuid,
+      service: "plivo",
+      messageServiceSid: null,
+      newStatus: status === "delivered" ? "DELIVERED" : "ERROR",
+      errorCode,
+      // 50: invalid destination, e.g. a landline
+      statusCode: errorCode === 50 ? -1 : null,
+      // TotalAmount is what plivo charged for all the message's parts
+      cost: report.TotalAmount,
+      orgId
+    });
+  }
+}
+
+export function convertMessagePartsToMessage(messageParts) {
+  const firstPart = messageParts[0];
+  const serviceMessages = messageParts.map(part =>
+    JSON.parse(part.service_message)
+  );
+  const text = serviceMessages
+    .map(serviceMessage => serviceMessage.Text || "")
+    .join("");
+  const media = serviceMessages
+    .map(serviceMessage => {
+      const mediaItems = [];
+      for (let m = 0; m < Number(serviceMessage.MediaCount || 0); m++) {
+        mediaItems.push({
+          type: serviceMessage[`MediaContentType${m}`],
+          url: serviceMessage[`MediaUrl${m}`] || serviceMessage[`Media${m}`]
+        });
+      }
+      return mediaItems;
+    })
+    .reduce((acc, val) => acc.concat(val), []);
+  return new Message({
+    contact_number: firstPart.contact_number,
+    user_number: firstPart.user_number,
+    is_from_contact: true,
+    text,
+    media,
+    error_code: null,
+    service_id: firstPart.service_id,
+    // matching to the campaign contact happens through user_number
+    messageservice_sid: null,
+    service: "plivo",
+    send_status: "DELIVERED",
+    user_id: null
+  });
+}
+
+export async function handleIncomingMessage(message) {
+  // https://www.plivo.com/docs/sms/use-cases/receive-sms/node
+  if (
+    !message.hasOwnProperty("From") ||
+    !message.hasOwnProperty("To") ||
+    !message.hasOwnProperty("MessageUUID")
+  ) {
+    log.error(`This is not an incoming message: ${JSON.stringify(message)}`);
+    return;
+  }
+  const { From, To, MessageUUID } = message;
+  const finalMessage = convertMessagePartsToMessage([
+    {
+      service_id: MessageUUID,
+      service_message: JSON.stringify(message),
+      user_number: getFormattedPhoneNumber(To),
+      contact_number: getFormattedPhoneNumber(From)
+    }
+  ]);
+  await saveNewIncomingMessage(finalMessage);
+
+  if (ENABLE_DB_LOG) {
+    await Log.save({
+      message_sid: MessageUUID,
+      body: JSON.stringify(message),
+      error_code: -101,
+      from_num: From || null,
+      to_num: To || null
+    });
+  }
+}
+
+/**
+ * Plivo's equivalent of a messaging service is an 'Application'
+ * where the inbound message url is configured
+ */
+export async function createMessagingService(
+  organization,
+  friendlyName,
+  serviceConfig
+) {
+  const baseUrl = callbackBaseUrl(organization);
+  if (!baseUrl || /\/\/localhost(:|\/)/.test(baseUrl)) {
+    return null;
+  }
+  const config =
+    serviceConfig ||
+    (await getMessageServiceConfig("plivo", organization, {
+      obscureSensitiveInformation: false
+    }));
+  const application = await plivoRequest(
+    config,
+    "POST",
+    "Application",
+    {
+      app_name: friendlyName || `Spoke app, org${organization.id}`,
+      message_url: urlJoin(baseUrl, "plivo", String(organization.id)),
+      message_method: "POST"
+    },
+    organization
+  );
+  return application.app_id;
+}
+
+export async function deleteMessagingService(organization, applicationId) {
+  const config = await getMessageServiceConfig("plivo", organization, {
+    obscureSensitiveInformation: false
+  });
+  await plivoRequest(
+    config,
+    "DELETE",
+    `Application/${applicationId}`,
+    null,
+    organization
+  );
+}
+
+async function searchForAvailableNumbers(
+  config,
+  organization,
+  areaCode,
+  limit
+) {
+  const criteria = {
+    country_iso: getConfig("PHONE_NUMBER_COUNTRY", organization) || "US",
+    services: "sms",
+    limit: Math.min(limit, MAX_NUMBERS_PER_SEARCH)
+  };
+  if (areaCode === "800") {
+    criteria.type = "tollfree";
+  } else {
+    criteria.type = "local";
+    // pattern is matched after the country code
+    criteria.pattern = areaCode;
+  }
+  const response = await plivoRequest(
+    config,
+    "GET",
+    "PhoneNumber",
+    criteria,
+    organization
+  );
+  return response.objects || [];
+}
+
+async function buyNumber(config, organization, number) {
+  const response = await plivoRequest(
+    config,
+    "POST",
+    `PhoneNumber/${number}`,
+    config.applicationId ? { app_id: config.applicationId } : {},
+    organization
+  );
+  if (response.status !== "fulfilled") {
+    throw new Error(`Error buying plivo number: ${JSON.stringify(response)}`);
+  }
+  const phoneNumber = getFormattedPhoneNumber(number);
+  log.debug(`Bought number ${phoneNumber}`);
+  // Note: only works in the US
+  await r.knex("owned_phone_number").insert({
+    organization_id: organization.id,
+    area_code: phoneNumber.slice(2, 5),
+    phone_number: phoneNumber,
+    service: "plivo",
+    service_id: number
+  });
+}
+
+/**
+ * Buy up to <limit> numbers in <areaCode>
+ */
+export async function buyNumbersInAreaCode(
+  organization,
+  areaCode,
+  limit,
+  opts = {}
+) {
+  const config = await getMessageServiceConfig("plivo", organization, {
+    obscureSensitiveInformation: false
+  });
+  let totalPurchased = 0;
+  while (totalPurchased < limit) {
+    const available = await searchForAvailableNumbers(
+      config,
+      organization,
+      areaCode,
+      limit - totalPurchased
+    );
+    let purchasedInBatch = 0;
+    for (const item of available) {
+      await buyNumber(config, organization, item.number);
+      purchasedInBatch++;
+    }
+    totalPurchased += purchasedInBatch;
+    if (purchasedInBatch === 0) {
+      log.warn("Failed to buy as many numbers as requested");
+      break;
+    }
+  }
+  return totalPurchased;
+}
+
+/**
+ * Delete all non-allocated phone numbers in an area code
+ */
+export async function deleteNumbersInAreaCode(organization, areaCode) {
+  const config = await getMessageServiceConfig("plivo", organization, {
+    obscureSensitiveInformation: false
+  });
+  const numbersToDelete = await r
+    .knex("owned_phone_number")
+    .select("service_id", "phone_number")
+    .where({
+      organization_id: organization.id,
+      area_code: areaCode,
+      service: "plivo",
+      allocated_to: null
+    });
+  let successCount = 0;
+  for (const n of numbersToDelete) {
+    try {
+      await plivoRequest(
+        config,
+        "DELETE",
+        `Number/${n.service_id}`,
+        null,
+        organization
+      );
+    } catch (err) {
+      // 404 means Plivo already released it, so safe to remove from inventory
+      if (err.status !== 404) {
+        throw new Error(`Error deleting plivo number: ${err}`);
+      }
+      log.error(`Number not found in Plivo: ${n.phone_number}`);
+    }
+    await r
+      .knex("owned_phone_number")
+      .del()
+      .where({ service: "plivo", service_id: n.service_id });
+    successCount++;
+  }
+  log.debug(`Successfully deleted ${successCount} number(s)`);
+  return successCount;
+}
+
+export const getServiceConfig = async (
+  serviceConfig,
+  organization,
+  options = {}
+) => {
+  const {
+    restrictToOrgFeatures = false,
+    obscureSensitiveInformation = true
+  } = options;
+  let authId;
+  let authToken;
+  let applicationId;
+  if (serviceConfig) {
+    ({ authId, applicationId } = serviceConfig);
+    if (serviceConfig.authToken) {
+      authToken = obscureSensitiveInformation
+        ? "<Encrypted>"
+        : await getSecret(
+            "plivoAuthToken",
+            serviceConfig.authToken,
+            organization
+          );
+    }
+  } else {
+    const getConfigOptions = { onlyLocal: Boolean(restrictToOrgFeatures) };
+    authId = getConfig("PLIVO_AUTH_ID", organization, getConfigOptions);
+    applicationId = getConfig(
+      "PLIVO_APPLICATION_ID",
+      organization,
+      getConfigOptions
+    );
+    if (hasConfig("PLIVO_AUTH_TOKEN", organization, getConfigOptions)) {
+      authToken = obscureSensitiveInformation
+        ? "<Hidden>"
+        : getConfig("PLIVO_AUTH_TOKEN", organization, getConfigOptions);
+    }
+  }
+  const serviceManagers = getConfig("SERVICE_MANAGERS", organization) || "";
+  return {
+    authId,
+    authToken,
+    applicationId,
+    serviceManagerNumPicker: /numpicker/.test(serviceManagers),
+    serviceManagerSticky: /sticky-sender/.test(serviceManagers)
+  };
+};
+
+export const updateConfig = async (oldConfig, config, organization) => {
+  const { authId, authToken, applicationId } = config;
+  if (!authId) {
+    throw new Error("authId is required");
+  }
+  const finalConfig = {
+    ...oldConfig,
+    authId: authId.substr(0, 64),
+    applicationId: applicationId ? applicationId.substr(0, 64) : null
+  };
+  if (authToken) {
+    finalConfig.authToken = await convertSecret(
+      "plivoAuthToken",
+      organization,
+      authToken
+    );
+  }
+  if (!finalConfig.authToken) {
+    throw new Error("authToken is required");
+  }
+  if (authToken && global.TEST_ENVIRONMENT !== "1") {
+    // Make sure Plivo credentials work.
+    try {
+      await plivoRequest({ authId, authToken }, "GET", "", null, organization);
+    } catch (err) {
+      console.log("plivo.updateConfig client error", err);
+      throw new Error("Invalid Plivo credentials");
+    }
+  }
+  if (!finalConfig.applicationId) {
+    try {
+      finalConfig.applicationId = await createMessagingService(
+        organization,
+        `Spoke app, org${organization.id}`,
+        { authId, authToken: authToken || oldConfig.authToken }
+      );
+    } catch (err) {
+      console.log("plivo.updateConfig createMessagingService error", err);
+    }
+  }
+  return finalConfig;
+};
+
+export const fullyConfigured = async organization => {
+  const config = await getMessageServiceConfig("plivo", organization);
+  const serviceManagers = getConfig("SERVICE_MANAGERS", organization) || "";
+  // Plivo does not pick a sending number for us, so a numpicker is required
+  return Boolean(
+    config &&
+      config.authId &&
+      config.authToken &&
+      /numpicker/.test(serviceManagers) &&
+      /sticky-sender/.test(serviceManagers)
+  );
+};
+
+export default {
+  addServerEndpoints,
+  verifyWebhook,
+  convertMessagePartsToMessage,
+  sendMessage,
+  postMessageSend,
+  handleDeliveryReport,
+  handleIncomingMessage,
+  createMessagingService,
+  deleteMessagingService,
+  buyNumbersInAreaCode,
+  deleteNumbersInAreaCode,
+  getServiceConfig,
+  updateConfig,
+  getMetadata,
+  fullyConfigured
+};
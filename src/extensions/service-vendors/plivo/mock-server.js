@@ -0,0 +1,198 @@
+import bodyParser from "body-parser";
+import express from "express";
+import fetch from "node-fetch";
+import urlJoin from "url-join";
+import uuid from "uuid";
+
+import { computeSignature } from "./api";
+
+/**
+ * A local stand-in for the parts of Plivo's REST API that the plivo service-vendor uses.
+ * Point Spoke at it with PLIVO_API_URL=http://localhost:<port>/v1/
+ * and run it with `npm run dev-plivo-mock-server`.
+ *
+ * Messages whose text contains "plivoerror<code>" get a failed delivery report
+ * with that Plivo error code, e.g. "plivoerror200" for an opted-out contact.
+ */
+
+const randomDigits = count =>
+  Array.from({ length: count }, () => Math.floor(Math.random() * 10)).join("");
+
+export async function postSigned(authToken, url, params) {
+  const nonce = randomDigits(20);
+  return fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      "X-Plivo-Signature-V2": computeSignature(authToken, url, nonce),
+      "X-Plivo-Signature-V2-Nonce": nonce
+    },
+    body: new URLSearchParams(params).toString()
+  });
+}
+
+export function createMockServer({
+  authId = "MOCKAUTHID",
+  authToken = "mockauthtoken",
+  callbackBaseUrl = "http://localhost:3000",
+  reportDelay = 0
+} = {}) {
+  const state = {
+    messages: [],
+    ownedNumbers: {},
+    applications: {},
+    callbacks: []
+  };
+
+  const app = express();
+  app.use(bodyParser.json());
+  app.use(bodyParser.urlencoded({ extended: true }));
+
+  const sendCallback = (url, params) => {
+    state.callbacks.push({ url, params });
+    return postSigned(authToken, url, params).catch(err => {
+      // eslint-disable-next-line no-console
+      console.log("plivo mock callback failed", url, err.message);
+    });
+  };
+
+  const account = express.Router({ mergeParams: true });
+  account.use((req, res, next) => {
+    const expected = `Basic ${Buffer.from(`${authId}:${authToken}`).toString(
+      "base64"
+    )}`;
+    if (req.params.authId !== authId || req.get("Authorization") !== expected) {
+      res.status(401).json({ error: "authentication credentials invalid" });
+      return;
+    }
+    next();
+  });
+
+  account.get("/", (req, res) => {
+    res.json({
+      api_id: uuid.v4(),
+      auth_id: authId,
+      cash_credits: "100.00000",
+      name: "Mock Account"
+    });
+  });
+
+  account.post("/Message/", (req, res) => {
+    const { src, dst, text, url, type, media_urls: mediaUrls } = req.body;
+    if (!src || !dst || (!text && !(mediaUrls && mediaUrls.length))) {
+      res.status(400).json({ error: "src, dst and text are required" });
+      return;
+    }
+    const messageUuid = uuid.v4();
+    state.messages.push({
+      messageUuid,
+      src,
+      dst,
+      text,
+      type: type || "sms",
+      mediaUrls: mediaUrls || []
+    });
+    res.status(202).json({
+      api_id: uuid.v4(),
+      message: "message(s) queued",
+      message_uuid: [messageUuid]
+    });
+    if (url) {
+      const errorMatch = String(text || "").match(/plivoerror(\d+)/);
+      setTimeout(
+        () =>
+          sendCallback(url, {
+            MessageUUID: messageUuid,
+            From: src,
+            To: dst,
+            Status: errorMatch ? "failed" : "delivered",
+            ErrorCode: errorMatch ? errorMatch[1] : "000",
+            Units: "1"
+          }),
+        reportDelay
+      );
+    }
+  });
+
+  account.get("/PhoneNumber/", (req, res) => {
+    const limit = Math.min(Number(req.query.limit || 20), 20);
+    const prefix = req.query.type === "tollfree" ? "800" : req.query.pattern;
+    if (!prefix || !/^\d{3}$/.test(prefix)) {
+      res.json({ meta: { total_count: 0 }, objects: [] });
+      return;
+    }
+    // exchanges cannot start with 0 or 1
+    const exchange = () => `${2 + Math.floor(Math.random() * 8)}`;
+    const objects = Array.from({ length: limit }, () => ({
+      number: `1${prefix}${exchange()}${randomDigits(6)}`,
+      type: req.query.type || "local",
+      sms_enabled: true,
+      mms_enabled: true
+    }));
+    res.json({ meta: { total_count: objects.length }, objects });
+  });
+
+  account.post("/PhoneNumber/:number/", (req, res) => {
+    const { number } = req.params;
+    state.ownedNumbers[number] = { appId: req.body.app_id || null };
+    res.status(201).json({
+      api_id: uuid.v4(),
+      message: "created",
+      numbers: [{ number, status: "Success" }],
+      status: "fulfilled"
+    });
+  });
+
+  account.delete("/Number/:number/", (req, res) => {
+    const { number } = req.params;
+    if (!state.ownedNumbers[number]) {
+      res.status(404).json({ error: "not found" });
+      return;
+    }
+    delete state.ownedNumbers[number];
+    res.status(204).end();
+  });
+
+  account.post("/Application/", (req, res) => {
+    const appId = randomDigits(17);
+    state.applications[appId] = { ...req.body };
+    res.status(201).json({
+      api_id: uuid.v4(),
+      app_id: appId,
+      message: "created"
+    });
+  });
+
+  account.delete("/Application/:appId/", (req, res) => {
+    delete state.applications[req.params.appId];
+    res.status(204).end();
+  });
+
+  app.use("/v1/Account/:authId", account);
+
+  // Not part of Plivo's api: simulates a contact texting one of our numbers
+  app.post("/mock/incoming", async (req, res) => {
+    const { from, to, text, orgId, mediaUrl } = req.body;
+    const params = {
+      From: from,
+      To: to,
+      Text: text || "",
+      Type: mediaUrl ? "mms" : "sms",
+      MessageUUID: uuid.v4()
+    };
+    if (mediaUrl) {
+      params.MediaCount = "1";
+      params.MediaUrl0 = mediaUrl;
+      params.MediaContentType0 = "image/jpeg";
+    }
+    const response = await sendCallback(
+      urlJoin(callbackBaseUrl, "plivo", String(orgId || "")),
+      params
+    );
+    res.json({ ...params, spokeStatus: response && response.status });
+  });
+
+  return { app, state };
+}
+
+export default createMockServer;
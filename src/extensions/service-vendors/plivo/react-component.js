@@ -0,0 +1,260 @@
+/* eslint no-console: 0 */
+import { css } from "aphrodite";
+import PropTypes from "prop-types";
+import React from "react";
+import Form from "react-formal";
+import * as yup from "yup";
+import { compose } from "recompose";
+
+import Button from "@material-ui/core/Button";
+import Dialog from "@material-ui/core/Dialog";
+import DialogActions from "@material-ui/core/DialogActions";
+import DialogContent from "@material-ui/core/DialogContent";
+import DialogContentText from "@material-ui/core/DialogContentText";
+import CardContent from "@material-ui/core/CardContent";
+import Table from "@material-ui/core/Table";
+import TableBody from "@material-ui/core/TableBody";
+import TableCell from "@material-ui/core/TableCell";
+import TableContainer from "@material-ui/core/TableContainer";
+import TableRow from "@material-ui/core/TableRow";
+
+import GSForm from "../../../components/forms/GSForm";
+import GSTextField from "../../../components/forms/GSTextField";
+import GSSubmitButton from "../../../components/forms/GSSubmitButton";
+import withMuiTheme from "../../../containers/hoc/withMuiTheme";
+
+export class OrgConfigBase extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { ...this.props.config };
+    this.props.onAllSetChanged(this.isAllSet());
+  }
+
+  isAllSet() {
+    const {
+      authId,
+      authToken,
+      serviceManagerNumPicker,
+      serviceManagerSticky
+    } = this.props.config;
+    return Boolean(
+      authId && authToken && serviceManagerNumPicker && serviceManagerSticky
+    );
+  }
+
+  UNSAFE_componentWillReceiveProps(nextProps) {
+    // the application is auto-created on first save
+    if (
+      nextProps.config.applicationId &&
+      this.props.config.applicationId !== this.state.applicationId
+    ) {
+      this.setState({ applicationId: nextProps.config.applicationId });
+    }
+  }
+
+  onFormChange = value => {
+    this.setState(value);
+  };
+
+  handleOpenDialog = () => this.setState({ dialogOpen: true });
+
+  handleCloseDialog = () => this.setState({ dialogOpen: false });
+
+  handleSubmitAuthForm = async () => {
+    const {
+      authToken,
+      dialogOpen,
+      error,
+      serviceManagerNumPicker,
+      serviceManagerSticky,
+      ...config
+    } = this.state;
+    if (authToken !== "<Encrypted>" && authToken !== "<Hidden>") {
+      config.authToken = authToken;
+    }
+    let newError;
+    this.handleCloseDialog();
+    try {
+      await this.props.onSubmit(config);
+      this.setState({
+        error: undefined
+      });
+    } catch (caught) {
+      console.log("Error submitting Plivo settings", caught);
+      if (caught.graphQLErrors && caught.graphQLErrors.length > 0) {
+        const errors = caught.graphQLErrors.map(error => error.message);
+        newError = errors.join(",");
+      } else {
+        newError = caught.message;
+      }
+      this.setState({ error: newError });
+    }
+  };
+
+  render() {
+    const { organizationId, inlineStyles, styles, config } = this.props;
+    const allSet = this.isAllSet();
+    const formSchema = yup.object({
+      authId: yup
+        .string()
+        .nullable()
+        .max(64),
+      authToken: yup
+        .string()
+        .nullable()
+        .max(64),
+      applicationId: yup
+        .string()
+        .nullable()
+        .max(64)
+    });
+
+    return (
+      <div>
+        {allSet && (
+          <CardContent style={inlineStyles.shadeBox}>
+            Settings for this organization:
+            <TableContainer>
+              <Table>
+                <TableBody style={inlineStyles.shadeBox}>
+                  <TableRow>
+                    <TableCell>
+                      <b>Auth ID</b>
+                    </TableCell>
+                    <TableCell>{config.authId}</TableCell>
+                  </TableRow>
+                  <TableRow>
+                    <TableCell>
+                      <b>Auth Token</b>
+                    </TableCell>
+                    <TableCell>{config.authToken}</TableCell>
+                  </TableRow>
+                  {config.applicationId && (
+                    <TableRow>
+                      <TableCell>
+                        <b>Application Id</b>
+                      </TableCell>
+                      <TableCell>{config.applicationId}</TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </CardContent>
+        )}
+        {!config.serviceManagerNumPicker && (
+          <CardContent style={inlineStyles.errorBox}>
+            Plivo requires a numpicker service manager (e.g. numpicker-basic) in
+            SERVICE_MANAGERS to choose the sending number.
+          </CardContent>
+        )}
+        {!config.serviceManagerSticky && (
+          <CardContent style={inlineStyles.errorBox}>
+            Plivo requires the sticky-sender service manager in SERVICE_MANAGERS
+            so contacts always hear from the same number.
+          </CardContent>
+        )}
+        {this.state.error && (
+          <CardContent style={inlineStyles.errorBox}>
+            {this.state.error}
+          </CardContent>
+        )}
+        <CardContent>
+          <div className={css(styles.section)}>
+            <span className={css(styles.sectionLabel)}>
+              You can set Plivo API credentials specifically for this
+              Organization by entering them here.
+            </span>
+            <GSForm
+              schema={formSchema}
+              onChange={this.onFormChange}
+              onSubmit={this.handleOpenDialog}
+              value={this.state}
+            >
+              <Form.Field
+                as={GSTextField}
+                label="Auth Id"
+                name="authId"
+                fullWidth
+              />
+              <Form.Field
+                as={GSTextField}
+                label="Auth Token"
+                name="authToken"
+                fullWidth
+              />
+              <Form.Field
+                as={GSTextField}
+                label="Application Id (leave blank to auto-create)"
+                name="applicationId"
+                fullWidth
+              />
+              <div>
+                {document.location.hostname === "localhost" ? (
+                  <span>
+                    You will need to deploy somewhere with a publicly accessible
+                    url
+                  </span>
+                ) : (
+                  <span>
+                    <div>
+                      If you create the application manually, set the Message
+                      URL to:{" "}
+                    </div>
+                    <code>
+                      {document.location.protocol}
+                      {"//"}
+                      {document.location.hostname}/plivo/
+                      {organizationId}
+                    </code>
+                  </span>
+                )}
+              </div>
+              <Form.Submit
+                fullWidth
+                maxWidth="md"
+                as={GSSubmitButton}
+                label={this.props.saveLabel || "Save Credentials"}
+              />
+              <Dialog open={this.state.dialogOpen || false}>
+                <DialogContent>
+                  <DialogContentText>
+                    Changing information here will break any campaigns that are
+                    currently running. Do you want to continue?
+                  </DialogContentText>
+                </DialogContent>
+                <DialogActions>
+                  <Button
+                    style={inlineStyles.dialogButton}
+                    onClick={this.handleCloseDialog}
+                  >
+                    Cancel
+                  </Button>
+                  <Button
+                    style={inlineStyles.dialogButton}
+                    onClick={this.handleSubmitAuthForm}
+                  >
+                    Save
+                  </Button>
+                </DialogActions>
+              </Dialog>
+            </GSForm>
+          </div>
+        </CardContent>
+      </div>
+    );
+  }
+}
+
+OrgConfigBase.propTypes = {
+  organizationId: PropTypes.string,
+  config: PropTypes.object,
+  inlineStyles: PropTypes.object,
+  styles: PropTypes.object,
+  saveLabel: PropTypes.string,
+  onSubmit: PropTypes.func,
+  onAllSetChanged: PropTypes.func,
+  requestRefetch: PropTypes.func
+};
+
+export const OrgConfig = compose(withMuiTheme)(OrgConfigBase);
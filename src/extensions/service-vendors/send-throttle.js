@@ -0,0 +1,182 @@
+import { log } from "../../lib";
+import { getConfig } from "../../server/api/lib/config";
+import { r } from "../../server/models";
+
+// Token-bucket throttle for outbound sends, shared by service vendors.
+//
+// Carriers limit throughput per sending number (10DLC tiers, toll-free limits)
+// and vendors limit it per messaging service. When
+//   SEND_RATE_LIMIT_PER_NUMBER and/or SEND_RATE_LIMIT_PER_MESSAGING_SERVICE
+// (messages per second, decimals allowed) are set, each user_number and each
+// messageservice_sid gets a bucket holding SEND_RATE_LIMIT_BURST tokens
+// (default: one second's worth) that refills at that rate.
+//
+// A vendor's sendMessage calls throttleMessageSend() once it knows the sending
+// number/service. Over-limit messages are saved back as QUEUED (keeping the
+// chosen number) and the vendor returns without sending -- a message sender
+// process picks them up again once tokens are available.
+//
+// Buckets live in redis when available (so limits hold across processes),
+// otherwise in per-process memory.
+
+export const THROTTLED = Object.freeze({ throttled: true });
+
+const memoryBuckets = new Map();
+
+// Takes a token from every bucket, or from none of them
+// KEYS: bucket keys; ARGV: now, then rate (per ms) and burst for each key
+const TAKE_TOKENS_SCRIPT = `
+local now = tonumber(ARGV[1])
+local tokens = {}
+for i, key in ipairs(KEYS) do
+  local rate = tonumber(ARGV[i * 2])
+  local burst = tonumber(ARGV[i * 2 + 1])
+  local bucket = redis.call("HMGET", key, "tokens", "updated")
+  local available = tonumber(bucket[1]) or burst
+  local updated = tonumber(bucket[2]) or now
+  available = math.min(burst, available + math.max(0, now - updated) * rate)
+  if available < 1 then
+    return 0
+  end
+  tokens[i] = available
+end
+for i, key in ipairs(KEYS) do
+  local rate = tonumber(ARGV[i * 2])
+  local burst = tonumber(ARGV[i * 2 + 1])
+  redis.call("HMSET", key, "tokens", tostring(tokens[i] - 1), "updated", tostring(now))
+  redis.call("PEXPIRE", key, math.ceil(burst / rate) + 1000)
+end
+return 1
+`;
+
+const bucketKey = (type, id) =>
+  `${process.env.CACHE_PREFIX || ""}send-throttle-${type}-${id}`;
+
+const makeBucket = (type, id, perSecond, organization) => {
+  const rate = Number(perSecond);
+  if (!id || !(rate > 0)) {
+    return null;
+  }
+  const burst = Math.max(
+    1,
+    Number(getConfig("SEND_RATE_LIMIT_BURST", organization)) || rate
+  );
+  return {
+    key: bucketKey(type, id),
+    ratePerMs: rate / 1000,
+    burst
+  };
+};
+
+/**
+ * @returns the buckets a send from userNumber/messagingServiceSid must take a token from
+ */
+export const getSendBuckets = (
+  organization,
+  { userNumber, messagingServiceSid }
+) =>
+  [
+    makeBucket(
+      "number",
+      userNumber,
+      getConfig("SEND_RATE_LIMIT_PER_NUMBER", organization),
+      organization
+    ),
+    makeBucket(
+      "service",
+      messagingServiceSid,
+      getConfig("SEND_RATE_LIMIT_PER_MESSAGING_SERVICE", organization),
+      organization
+    )
+  ].filter(Boolean);
+
+const takeMemoryTokens = (buckets, now) => {
+  const available = buckets.map(({ key, ratePerMs, burst }) => {
+    const bucket = memoryBuckets.get(key) || { tokens: burst, updated: now };
+    return Math.min(
+      burst,
+      bucket.tokens + Math.max(0, now - bucket.updated) * ratePerMs
+    );
+  });
+  if (available.some(tokens => tokens < 1)) {
+    return false;
+  }
+  buckets.forEach(({ key }, i) => {
+    memoryBuckets.set(key, { tokens: available[i] - 1, updated: now });
+  });
+  return true;
+};
+
+/**
+ * Takes one token from each bucket if all of them have one.
+ * @returns true when the send may go ahead
+ */
+export async function takeSendTokens(buckets) {
+  if (!buckets.length) {
+    return true;
+  }
+  const now = Date.now();
+  if (r.redis) {
+    try {
+      const args = [TAKE_TOKENS_SCRIPT, buckets.length];
+      buckets.forEach(({ key }) => args.push(key));
+      args.push(now);
+      buckets.forEach(({ ratePerMs, burst }) => args.push(ratePerMs, burst));
+      const allowed = await r.redis.evalAsync(...args);
+      return Number(allowed) === 1;
+    } catch (err) {
+      // e.g. fakeredis, which has no EVAL
+      log.error("send-throttle: redis error, throttling in memory", err);
+    }
+  }
+  return takeMemoryTokens(buckets, now);
+}
+
+export const clearMemoryBuckets = () => memoryBuckets.clear();
+
+/**
+ * Call from a vendor's sendMessage before sending.
+ * When over the limit, saves the message as QUEUED with the chosen
+ * user_number/messageservice_sid so the retry sends from the same number.
+ * @returns true when the message was throttled and must not be sent now
+ */
+export async function throttleMessageSend({
+  message,
+  organization,
+  userNumber,
+  messagingServiceSid,
+  trx
+}) {
+  const buckets = getSendBuckets(organization, {
+    userNumber,
+    messagingServiceSid
+  });
+  if (await takeSendTokens(buckets)) {
+    return false;
+  }
+  log.info(
+    `send-throttle: queueing message ${message.id} from ${userNumber ||
+      messagingServiceSid}`
+  );
+  if (message.id) {
+    const changes = { send_status: "QUEUED" };
+    if (userNumber && userNumber !== message.user_number) {
+      changes.user_number = userNumber;
+    }
+    if (
+      messagingServiceSid &&
+      messagingServiceSid !== message.messageservice_sid
+    ) {
+      changes.messageservice_sid = messagingServiceSid;
+    }
+    let updateQuery = r
+      .knex("message")
+      .where("id", message.id)
+      .update(changes);
+    if (trx) {
+      updateQuery = updateQuery.transacting(trx);
+    }
+    await updateQuery;
+  }
+  return true;
+}
@@ -2,12 +2,15 @@ import * as nexmo from "./nexmo";
 import * as twilio from "./twilio";
 import * as fakeservice from "./fakeservice";
 import * as bandwidth from "./bandwidth";
+import * as plivo from "./plivo";
 import { getConfig } from "../../server/api/lib/config";
+import { webhookVerifier } from "./webhook-verification";
 
 // TODO this should be built dynamically
 export const serviceMap = {
   bandwidth,
   nexmo,
+  plivo,
   twilio,
   fakeservice
 };
@@ -19,12 +22,18 @@ export const addServerEndpoints = (app, adders) => {
       "addServerEndpoints"
     );
     if (serviceAddServerEndpoints) {
+      // every vendor route gets signature and replay checks first
+      // see webhook-verification.js for the verifyWebhook hook contract
+      const verifier = webhookVerifier(
+        serviceName,
+        exports.tryGetFunctionFromService(serviceName, "verifyWebhook")
+      );
       serviceAddServerEndpoints(
         (route, ...handlers) => {
-          adders.post(app, route, ...handlers);
+          adders.post(app, route, verifier, ...handlers);
         },
         (route, ...handlers) => {
-          adders.get(app, route, ...handlers);
+          adders.get(app, route, verifier, ...handlers);
         }
       );
     }
@@ -16,6 +16,7 @@ import wrap from "../../../server/wrap";
 import { getSecret, convertSecret } from "../../secret-manager";
 
 import { saveNewIncomingMessage, parseMessageText } from "../message-sending";
+import { THROTTLED, throttleMessageSend } from "../send-throttle";
 import { getMessageServiceConfig, getConfigKey } from "../service_map";
 
 // TWILIO error_codes:
@@ -65,30 +66,48 @@ export const getTwilio = async (organization, serviceManagerData) => {
 
 /**
  * Validate that the message came from Twilio before proceeding.
+ * Called for both routes by the shared webhook verification in service_map.
  *
- * @param url The external-facing URL; this may be omitted to use the URL from the request.
+ * Twilio re-sends the same I-Twilio-Idempotency-Token on retries, so that
+ * (or the sid and status) is the replay key.
  */
-const headerValidator = url => {
-  if (!!TWILIO_SKIP_VALIDATION) return (req, res, next) => next();
-
-  return async (req, res, next) => {
-    const organization = req.params.orgId
-      ? await cacheableData.organization.load(req.params.orgId)
-      : null;
-    const { authToken } = await getMessageServiceConfig(
-      "twilio",
-      organization,
-      { obscureSensitiveInformation: false }
-    );
-    const options = {
-      validate: true,
-      protocol: "https",
-      url
-    };
-
-    return Twilio.webhook(authToken, options)(req, res, next);
+export async function verifyWebhook(req, { organization }) {
+  const isReport = /twilio-message-report/.test(req.path);
+  const body = req.body || {};
+  const replayKey =
+    req.get("I-Twilio-Idempotency-Token") ||
+    (body.MessageSid &&
+      `${body.MessageSid}:${body.MessageStatus || body.SmsStatus || ""}`);
+  if (
+    !!TWILIO_SKIP_VALIDATION ||
+    (isReport &&
+      !(
+        getConfig("TWILIO_STATUS_CALLBACK_URL") ||
+        getConfig("TWILIO_VALIDATION")
+      ))
+  ) {
+    return { valid: true, replayKey };
+  }
+  const { authToken } = await getMessageServiceConfig("twilio", organization, {
+    obscureSensitiveInformation: false
+  });
+  // The external-facing URL; when unset the URL from the request is used.
+  const url = isReport
+    ? process.env.TWILIO_STATUS_CALLBACK_URL ||
+      global.TWILIO_STATUS_CALLBACK_URL
+    : process.env.TWILIO_MESSAGE_CALLBACK_URL ||
+      global.TWILIO_MESSAGE_CALLBACK_URL;
+  return {
+    valid: Boolean(
+      authToken &&
+        twilioLibrary.Twilio.validateExpressRequest(req, authToken, {
+          protocol: "https",
+          url
+        })
+    ),
+    replayKey
   };
-};
+}
 
 export const errorDescriptions = {
   12300: "Twilio is unable to process the Content-Type of the provided URL.",
@@ -118,6 +137,8 @@ export function costData(organization, userNumber) {
   return {
     mmsMessage: 0.02,
     smsSegment: 0.0075,
+    // a carrier lookup (see getContactInfo)
+    lookup: 0.005,
     source: "https://www.twilio.com/sms/pricing/us",
     lastChecked: "2022-01-25"
   };
@@ -134,10 +155,6 @@ export function errorDescription(errorCode) {
 export function addServerEndpoints(addPostRoute) {
   addPostRoute(
     "/twilio/:orgId?",
-    headerValidator(
-      process.env.TWILIO_MESSAGE_CALLBACK_URL ||
-        global.TWILIO_MESSAGE_CALLBACK_URL
-    ),
     wrap(async (req, res) => {
       try {
         await handleIncomingMessage(req.body);
@@ -150,19 +167,8 @@ export function addServerEndpoints(addPostRoute) {
     })
   );
 
-  const messageReportHooks = [];
-  if (
-    getConfig("TWILIO_STATUS_CALLBACK_URL") ||
-    getConfig("TWILIO_VALIDATION")
-  ) {
-    messageReportHooks.push(
-      headerValidator(
-        process.env.TWILIO_STATUS_CALLBACK_URL ||
-          global.TWILIO_STATUS_CALLBACK_URL
-      )
-    );
-  }
-  messageReportHooks.push(
+  addPostRoute(
+    "/twilio-message-report/:orgId?",
     wrap(async (req, res) => {
       try {
         const body = req.body;
@@ -175,8 +181,6 @@ export function addServerEndpoints(addPostRoute) {
       res.end(resp.toString());
     })
   );
-
-  addPostRoute("/twilio-message-report/:orgId?", ...messageReportHooks);
 }
 
 async function convertMessagePartsToMessage(messageParts) {
@@ -292,6 +296,18 @@ export async function sendMessage({
     (serviceManagerData && serviceManagerData.user_number) ||
     message.user_number;
 
+  if (
+    await throttleMessageSend({
+      message,
+      organization,
+      userNumber,
+      messagingServiceSid,
+      trx
+    })
+  ) {
+    return THROTTLED;
+  }
+
   return new Promise((resolve, reject) => {
     if (message.service !== "twilio") {
       log.warn("Message not marked as a twilio message", message.id);
@@ -991,6 +1007,20 @@ export async function clearMessagingServicePhones(
   }
 }
 
+/**
+ * The A2P 10DLC registration (usAppToPerson) of a messaging service, if any
+ */
+export async function getMessagingServiceA2pRegistration(
+  organization,
+  messagingServiceSid
+) {
+  const twilioInstance = await exports.getTwilio(organization);
+  const registrations = await twilioInstance.messaging
+    .services(messagingServiceSid)
+    .usAppToPerson.list({ limit: 1 });
+  return registrations[0] || null;
+}
+
 export const getServiceConfig = async (
   serviceConfig,
   organization,
@@ -1189,7 +1219,7 @@ export const fullyConfigured = async (organization, serviceManagerData) => {
 export default {
   syncMessagePartProcessing: !!process.env.JOBS_SAME_PROCESS,
   addServerEndpoints,
-  headerValidator,
+  verifyWebhook,
   convertMessagePartsToMessage,
   sendMessage,
   handleDeliveryReport,
@@ -1202,6 +1232,7 @@ export default {
   addNumbersToMessagingService,
   deleteMessagingService,
   clearMessagingServicePhones,
+  getMessagingServiceA2pRegistration,
   getTwilio,
   getServiceConfig,
   getMessageServiceSid,
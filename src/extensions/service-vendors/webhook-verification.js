@@ -0,0 +1,160 @@
+import { log } from "../../lib";
+import { getConfig } from "../../server/api/lib/config";
+import { cacheableData, r } from "../../server/models";
+
+// Shared verification for the inbound routes every service vendor registers
+// (incoming messages and delivery reports).
+//
+// A vendor opts in by exporting
+//   verifyWebhook(req, { organization, serviceName })
+// which resolves to
+//   {
+//     valid: Boolean, // whether the request is signed/authenticated by the vendor
+//     replayKey: String, // (optional) unique id of this delivery, e.g. a nonce
+//     timestamp: Number, // (optional) signed send time in milliseconds
+//     status: Number, // (optional) http status when invalid (default 403)
+//     headers: Object // (optional) headers to send when invalid
+//   }
+// Invalid requests are rejected, signed timestamps older than
+// WEBHOOK_REPLAY_WINDOW seconds are rejected, and a replayKey seen within
+// that window is acknowledged without being processed again. A delivery
+// whose handler fails (a 5xx or a dropped connection) is forgotten again,
+// so the vendor's retry is processed.
+
+const DEFAULT_REPLAY_WINDOW = 3600;
+
+const memorySeen = new Map();
+
+export const getReplayWindow = () =>
+  Number(getConfig("WEBHOOK_REPLAY_WINDOW")) || DEFAULT_REPLAY_WINDOW;
+
+const pruneMemorySeen = now => {
+  memorySeen.forEach((expires, key) => {
+    if (expires <= now) {
+      memorySeen.delete(key);
+    }
+  });
+};
+
+// the redis (or memory) key recording that a webhook was received
+const seenKey = (serviceName, replayKey) =>
+  `webhook-seen-${serviceName}-${replayKey}`;
+
+/**
+ * Records the replayKey and returns true the first time it is seen
+ * within the replay window. Uses redis when available so that replays are
+ * caught across server processes.
+ */
+export async function markWebhookSeen(serviceName, replayKey) {
+  const key = seenKey(serviceName, replayKey);
+  const windowSeconds = getReplayWindow();
+  if (r.redis) {
+    const result = await r.redis.setAsync(key, "1", "NX", "EX", windowSeconds);
+    return Boolean(result);
+  }
+  const now = Date.now();
+  if (memorySeen.size > 10000) {
+    pruneMemorySeen(now);
+  }
+  const expires = memorySeen.get(key);
+  if (expires && expires > now) {
+    return false;
+  }
+  memorySeen.set(key, now + windowSeconds * 1000);
+  return true;
+}
+
+/**
+ * Forgets a replayKey recorded by markWebhookSeen, so that the next
+ * delivery with that key is processed.
+ */
+export async function clearWebhookSeen(serviceName, replayKey) {
+  const key = seenKey(serviceName, replayKey);
+  if (r.redis) {
+    await r.redis.delAsync(key);
+    return;
+  }
+  memorySeen.delete(key);
+}
+
+export const clearSeenWebhooks = () => memorySeen.clear();
+
+const forgetOnFailure = (res, serviceName, replayKey) => {
+  let forgotten = false;
+  const forget = () => {
+    if (forgotten) {
+      return;
+    }
+    forgotten = true;
+    exports.clearWebhookSeen(serviceName, replayKey).catch(err => {
+      log.error(`${serviceName} webhook replay key was not cleared`, err);
+    });
+  };
+  res.on("finish", () => {
+    if (res.statusCode >= 500) {
+      forget();
+    }
+  });
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      forget();
+    }
+  });
+};
+
+export const webhookVerifier = (serviceName, verify) => async (
+  req,
+  res,
+  next
+) => {
+  if (
+    !verify ||
+    getConfig("WEBHOOK_SKIP_VERIFICATION", null, { truthy: true })
+  ) {
+    next();
+    return;
+  }
+  let result;
+  try {
+    const organization = req.params.orgId
+      ? await cacheableData.organization.load(req.params.orgId)
+      : null;
+    result = await verify(req, { organization, serviceName });
+  } catch (err) {
+    log.error(`${serviceName} webhook verification error`, err);
+    result = { valid: false };
+  }
+
+  if (!result || !result.valid) {
+    log.warn(`${serviceName} webhook failed verification`, req.originalUrl);
+    if (result && result.headers) {
+      res.set(result.headers);
+    }
+    res.status((result && result.status) || 403).send("Invalid signature");
+    return;
+  }
+
+  if (
+    result.timestamp &&
+    Math.abs(Date.now() - result.timestamp) > getReplayWindow() * 1000
+  ) {
+    log.warn(`${serviceName} webhook is outside the replay window`);
+    res.status(403).send("Stale webhook");
+    return;
+  }
+
+  if (
+    result.replayKey &&
+    !(await exports.markWebhookSeen(serviceName, result.replayKey))
+  ) {
+    // the original delivery was already handled, so acknowledge it
+    // to keep the vendor from retrying
+    log.warn(`${serviceName} webhook replay ignored`, result.replayKey);
+    res.status(200).send("Duplicate webhook ignored");
+    return;
+  }
+  if (result.replayKey) {
+    forgetOnFailure(res, serviceName, result.replayKey);
+  }
+  next();
+};
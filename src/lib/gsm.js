@@ -1,3 +1,5 @@
+import { getCharCount, isGsmChar } from "@trt2/gsm-charset-utils";
+
 // SMS is limited to basically ASCII -- special chars can inflate segment count
 // and therefore cost, quite a bit. This replaces common non-ascii versions of ascii chars (e.g. smart quotes)
 // to their ascii equivalents. Spoke does this both during script editing and also message sending
@@ -25,6 +27,61 @@ export const replaceEasyGsmWins = text => {
   });
 };
 
+// true when the character still needs UCS-2 after replaceEasyGsmWins
+export const forcesUcs2 = c =>
+  !Array.from(replaceEasyGsmWins(c)).every(isGsmChar);
+
+/**
+ * Measures text the way it will be sent (after replaceEasyGsmWins).
+ * @returns { charCount, segmentCount, charsPerSegment, encoding: "GSM"|"UCS2", nonGsmChars }
+ *   where nonGsmChars are the characters that force UCS-2 encoding
+ */
+export const getSegmentInfo = text => {
+  const sendText = replaceEasyGsmWins(text || "");
+  const { charCount, msgCount, charsPerSegment, encoding } = getCharCount(
+    sendText
+  );
+  return {
+    charCount,
+    segmentCount: msgCount,
+    charsPerSegment,
+    encoding,
+    nonGsmChars:
+      encoding === "GSM"
+        ? []
+        : Array.from(new Set(Array.from(sendText))).filter(c => !isGsmChar(c))
+  };
+};
+
+// Lengths that script fields are assumed to expand to when measuring a script:
+// long enough for most names, so segment estimates err on the high side.
+export const SCRIPT_FIELD_LENGTHS = {
+  firstName: 12,
+  lastName: 15,
+  texterFirstName: 12,
+  texterLastName: 15,
+  texterAliasOrFirstName: 12,
+  cell: 12,
+  zip: 10,
+  external_id: 12,
+  contactId: 9,
+  contactIdBase62: 6
+};
+const DEFAULT_SCRIPT_FIELD_LENGTH = 20;
+
+/**
+ * Replaces {field}s in a script with placeholder text as long as the field's
+ * longest plausible value, so the result can be measured with getSegmentInfo().
+ */
+export const expandScriptFields = (script, fieldLengths = {}) =>
+  (script || "").replace(/\{([^{}]+)\}/g, (match, field) =>
+    "x".repeat(
+      fieldLengths[field] ||
+        SCRIPT_FIELD_LENGTHS[field] ||
+        DEFAULT_SCRIPT_FIELD_LENGTH
+    )
+  );
+
 // From https://www.twilio.com/docs/messaging/services/smart-encoding-char-list
 export function getGsmReplacements() {
   // make this a function so it can be on the bottom of the file
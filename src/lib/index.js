@@ -14,7 +14,8 @@ export {
   getContactTimezone,
   getUtcFromTimezoneAndHour,
   getUtcFromOffsetAndHour,
-  getSendBeforeTimeUtc
+  getSendBeforeTimeUtc,
+  getScheduledSendTimesUtc
 } from "./timezones";
 export {
   getProcessEnvTz,
@@ -119,6 +119,101 @@ export const getSendBeforeTimeUtc = (
   }
 };
 
+// The zone and texting hours that apply to a contact, following the same
+// precedence as getSendBeforeTimeUtc. null when texting hours are not enforced.
+const getTextingWindow = (contactTimezone, organization, campaign) => {
+  const hasOffset = contactTimezone && contactTimezone.offset;
+  if (campaign.overrideOrganizationTextingHours) {
+    if (!campaign.textingHoursEnforced) {
+      return null;
+    }
+    return {
+      start: campaign.textingHoursStart,
+      end: campaign.textingHoursEnd,
+      ...(hasOffset
+        ? { ...contactTimezone, dstReferenceTimezone: campaign.timezone }
+        : { timezone: campaign.timezone })
+    };
+  }
+  if (!organization.textingHoursEnforced) {
+    return null;
+  }
+  const hours = {
+    start: organization.textingHoursStart,
+    end: organization.textingHoursEnd
+  };
+  const defaultTimezone = getProcessEnvTz(
+    getConfig("DEFAULT_TZ", organization)
+  );
+  if (hasOffset) {
+    return {
+      ...hours,
+      ...contactTimezone,
+      dstReferenceTimezone: getProcessEnvDstReferenceTimezone()
+    };
+  } else if (defaultTimezone) {
+    return { ...hours, timezone: defaultTimezone };
+  }
+  return {
+    ...hours,
+    offset: TIMEZONE_US_FALLBACK_WINDOW.missingTimeZone.offset,
+    hasDST: TIMEZONE_US_FALLBACK_WINDOW.missingTimeZone.hasDST,
+    dstReferenceTimezone: getProcessEnvDstReferenceTimezone()
+  };
+};
+
+const toWindowTime = (time, window) => {
+  if (window.timezone) {
+    return moment(time).tz(window.timezone);
+  }
+  const isDst = moment(time)
+    .tz(window.dstReferenceTimezone)
+    .isDST();
+  return moment(time).utcOffset(
+    window.offset + (window.hasDST && isDst ? 1 : 0)
+  );
+};
+
+/**
+ * For a message scheduled to go out at sendAfter, returns when it can
+ * actually be sent to the contact: sendAfter, moved to the start of the
+ * contact's texting hours if it falls outside of them, and the end of those
+ * texting hours as sendBefore (null when texting hours are not enforced).
+ */
+export const getScheduledSendTimesUtc = (
+  sendAfter,
+  contactTimezone,
+  organization,
+  campaign
+) => {
+  const window = getTextingWindow(contactTimezone, organization, campaign);
+  if (!window) {
+    return { sendAfter: moment(sendAfter).utc(), sendBefore: null };
+  }
+  const localSendAfter = toWindowTime(sendAfter, window);
+  let start = localSendAfter
+    .clone()
+    .hour(window.start)
+    .startOf("hour");
+  let end = localSendAfter
+    .clone()
+    .hour(window.end)
+    .startOf("hour");
+  if (!localSendAfter.isBefore(end)) {
+    start = toWindowTime(start.clone().add(1, "day"), window)
+      .hour(window.start)
+      .startOf("hour");
+    end = start
+      .clone()
+      .hour(window.end)
+      .startOf("hour");
+  }
+  return {
+    sendAfter: moment.max(localSendAfter, start).utc(),
+    sendBefore: end.utc()
+  };
+};
+
 export const getLocalTime = (offset, hasDST, dstReferenceTimezone) => {
   const isDateDST = DstHelper.isDateDst(new Date(), dstReferenceTimezone);
   return moment()
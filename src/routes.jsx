@@ -38,6 +38,7 @@ import {
 } from "./components/AssignmentTexter/Demo";
 import AssignmentSummary from "./components/AssignmentSummary";
 import AdminPhoneNumberInventory from "./containers/AdminPhoneNumberInventory";
+import AdminBilling from "./containers/AdminBilling";
 
 const checkDowntime = (nextState, replace) => {
   if (global.DOWNTIME && nextState.location.pathname !== "/downtime") {
@@ -84,6 +85,7 @@ export default function makeRoutes(requireAuth = () => {}) {
           <Route path="tags" component={Tags} />
           <Route path="settings" component={Settings} />
           <Route path="phone-numbers" component={AdminPhoneNumberInventory} />
+          <Route path="billing" component={AdminBilling} />
         </Route>
       </Route>
       <Route path="app" onEnter={checkTexterDowntime(requireAuth)}>
@@ -167,6 +167,19 @@ export const resolvers = {
       }
       // fake ID so we don't need to look up existance
       return isOptedOut ? { id: "optout" } : null;
+    },
+    optOutHistory: async (campaignContact, _, { loaders }) => {
+      let organizationId = campaignContact.organization_id;
+      if (!organizationId) {
+        const campaign = await loaders.campaign.load(
+          campaignContact.campaign_id
+        );
+        organizationId = campaign.organization_id;
+      }
+      return cacheableData.optOut.history({
+        cell: campaignContact.cell,
+        organizationId
+      });
     }
   }
 };
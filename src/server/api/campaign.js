@@ -5,16 +5,27 @@ import {
   getServiceFromOrganization,
   errorDescription
 } from "../../extensions/service-vendors";
-import { getServiceManagerData } from "../../extensions/service-managers";
+import {
+  getServiceManagerData,
+  getServiceManagers
+} from "../../extensions/service-managers";
+import { parseMessageText } from "../../extensions/service-vendors/message-sending";
+import { getMediaUrls } from "../../extensions/media-storage";
 import { Campaign, JobRequest, r, cacheableData } from "../models";
 import { getUsers } from "./user";
 import { getSideboxChoices } from "./organization";
+import {
+  getCampaignMedia,
+  texterMediaEnabled
+} from "./mutations/campaignMedia";
 import {
   getAvailableIngestMethods,
   getMethodChoiceData
 } from "../../extensions/contact-loaders";
 import { getConfig, getFeatures } from "./lib/config";
+import { expandScriptFields, getSegmentInfo } from "../../lib/gsm";
 import ownedPhoneNumber from "./lib/owned-phone-number";
+import messageCost from "./lib/message-cost";
 const title = 'lower("campaign"."title")';
 import { camelizeKeys } from "humps";
 import usAreaCodes from "us-area-codes/data/codes.json";
@@ -187,6 +198,19 @@ export async function getCampaigns(
   return campaignsQuery;
 }
 
+// How many SMS segments cost as much as one MMS message, as mms-when-cheaper
+// decides it: COST_RATIO_MMS_SMS when it is set, otherwise from the vendor's costs
+const getMmsSmsCostRatio = (organization, costs) => {
+  const mmsSmsCostRatio = getConfig("COST_RATIO_MMS_SMS", organization);
+  if (mmsSmsCostRatio) {
+    return Number(mmsSmsCostRatio);
+  }
+  if (costs.smsSegment && costs.mmsMessage) {
+    return costs.mmsMessage / costs.smsSegment;
+  }
+  return null;
+};
+
 export const resolvers = {
   JobRequest: {
     ...mapFieldsToModel(
@@ -367,6 +391,34 @@ export const resolvers = {
         .where({ campaign_id: campaign.id })
         .orderBy("updated_at", "desc");
     },
+    scheduledSends: async (campaign, _, { user }) => {
+      await accessRequired(
+        user,
+        campaign.organization_id,
+        "SUPERVOLUNTEER",
+        true
+      );
+      const scheduled = await r
+        .knex("message")
+        .join(
+          "campaign_contact",
+          "campaign_contact.id",
+          "message.campaign_contact_id"
+        )
+        .where({
+          "campaign_contact.campaign_id": campaign.id,
+          "message.send_status": "QUEUED",
+          "message.is_scheduled_initial": true
+        })
+        .select("message.send_after")
+        .count("message.id as count")
+        .groupBy("message.send_after")
+        .orderBy("message.send_after");
+      return scheduled.map(row => ({
+        sendAfter: row.send_after,
+        count: Number(row.count)
+      }));
+    },
     ingestMethodsAvailable: async (campaign, _, { user, loaders }) => {
       try {
         await accessRequired(user, campaign.organization_id, "ADMIN", true);
@@ -423,6 +475,7 @@ export const resolvers = {
         reference: status.ingest_data_reference,
         contactsCount: status.contacts_count,
         deletedOptouts: status.deleted_optouts_count,
+        deletedWrongNumbers: status.deleted_wrong_numbers_count,
         deletedDupes: status.duplicate_contacts_count,
         updatedAt: status.updated_at ? new Date(status.updated_at) : null
       };
@@ -525,6 +578,101 @@ export const resolvers = {
         campaignId: campaign.id
       });
     },
+    costEstimate: async (campaign, _, { user, loaders }) => {
+      await accessRequired(
+        user,
+        campaign.organization_id,
+        "SUPERVOLUNTEER",
+        true
+      );
+      const organization = await loaders.organization.load(
+        campaign.organization_id
+      );
+      const service = getServiceFromOrganization(organization);
+      const costs =
+        (service && service.costData && service.costData(organization)) || {};
+      const rootStep = await r
+        .knex("interaction_step")
+        .where({ campaign_id: campaign.id, is_deleted: false })
+        .whereNull("parent_interaction_id")
+        .orderBy("id")
+        .first("script");
+      // the initial message with every {field} at its longest plausible length
+      const { body, mediaUrl } = parseMessageText({
+        text: expandScriptFields((rootStep && rootStep.script) || "")
+      });
+      const { segmentCount, encoding } = getSegmentInfo(body);
+      const smsCost = costs.smsSegment ? segmentCount * costs.smsSegment : null;
+      // mms-when-cheaper switches to MMS past the same cost ratio
+      const mmsSmsCostRatio = getMmsSmsCostRatio(organization, costs);
+      const isMms = Boolean(
+        mediaUrl ||
+          (mmsSmsCostRatio &&
+            segmentCount > mmsSmsCostRatio &&
+            getServiceManagers(organization).some(
+              sm => sm.name === "mms-when-cheaper"
+            ))
+      );
+      const messageCost = isMms ? costs.mmsMessage || null : smsCost;
+      const contactsCount = await r.getCount(
+        r.knex("campaign_contact").where({ campaign_id: campaign.id })
+      );
+      const unmessagedCount = await r.getCount(
+        r.knex("campaign_contact").where({
+          campaign_id: campaign.id,
+          message_status: "needsMessage",
+          is_opted_out: false
+        })
+      );
+      return {
+        service: getServiceNameFromOrganization(organization),
+        source: costs.source,
+        lastChecked: costs.lastChecked,
+        smsSegmentCost: costs.smsSegment,
+        mmsMessageCost: costs.mmsMessage,
+        initialMessageSegments: isMms ? null : segmentCount,
+        initialMessageEncoding: encoding,
+        initialMessageIsMms: isMms,
+        initialMessageCost: messageCost,
+        contactsCount,
+        unmessagedCount,
+        totalCost: messageCost === null ? null : messageCost * contactsCount,
+        remainingCost:
+          messageCost === null ? null : messageCost * unmessagedCount
+      };
+    },
+    messageCosts: async (campaign, _, { user }) => {
+      await accessRequired(
+        user,
+        campaign.organization_id,
+        "SUPERVOLUNTEER",
+        true
+      );
+      return messageCost.getTotals({ campaignId: campaign.id });
+    },
+    texterMessageCosts: async (campaign, _, { user }) => {
+      await accessRequired(
+        user,
+        campaign.organization_id,
+        "SUPERVOLUNTEER",
+        true
+      );
+      return messageCost.getTotalsByTexter({ campaignId: campaign.id });
+    },
+    texterMedia: async (campaign, _, { user, loaders }) => {
+      await accessRequired(user, campaign.organization_id, "TEXTER", true);
+      const organization = await loaders.organization.load(
+        campaign.organization_id
+      );
+      if (!texterMediaEnabled(organization)) {
+        return [];
+      }
+      return getCampaignMedia(campaign).map(item => ({
+        id: item.id,
+        name: item.name,
+        ...getMediaUrls(item)
+      }));
+    },
     texterUIConfig: async (campaign, _, { user, loaders }) => {
       await accessRequired(user, campaign.organization_id, "TEXTER", true);
       const organization = await loaders.organization.load(
@@ -711,6 +859,22 @@ export const resolvers = {
         organization,
         { organization, campaign, user, loaders, fromCampaignStatsPage }
       );
+      if (fromCampaignStatsPage) {
+        // managers without campaign data can still be dry-run from the stats page
+        getServiceManagers(organization)
+          .filter(
+            sm =>
+              typeof sm.onCampaignDryRun === "function" &&
+              !result.find(r => r.name === sm.name)
+          )
+          .forEach(sm => {
+            result.push({
+              name: sm.name,
+              ...sm.metadata(),
+              supportsDryRun: true
+            });
+          });
+      }
       return result.map(r => ({
         id: `${r.name}-org${campaign.organization_id}-${campaign.id}${
           fromCampaignStatsPage ? "stats" : ""
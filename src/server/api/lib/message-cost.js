@@ -0,0 +1,184 @@
+import { r } from "../../models";
+import { log } from "../../../lib";
+import { getSegmentInfo } from "../../../lib/gsm";
+import { parseMessageText } from "../../../extensions/service-vendors/message-sending";
+
+// The message_cost ledger: one row per sent message with the cost estimated
+// from the vendor's costData() at send time, and the actual cost once a
+// delivery report includes a price (only some vendors send one).
+
+export function estimateMessageCost(message, costs, forceMms) {
+  const { body, mediaUrl } = parseMessageText(message);
+  const isMms = Boolean(mediaUrl || forceMms);
+  const segments = isMms ? 1 : getSegmentInfo(body).segmentCount;
+  const cost = isMms ? costs.mmsMessage : costs.smsSegment * segments;
+  return {
+    segments,
+    isMms,
+    cost: typeof cost === "number" && !Number.isNaN(cost) ? cost : null
+  };
+}
+
+/**
+ * Records the estimated cost of a message the vendor accepted.
+ * Failures are logged: the message was sent either way.
+ */
+async function recordMessageCost({
+  message,
+  contact,
+  organization,
+  campaign,
+  service,
+  serviceManagerData
+}) {
+  if (!message.id || !service || !service.costData) {
+    return;
+  }
+  const userNumber =
+    (serviceManagerData && serviceManagerData.user_number) ||
+    message.user_number;
+  try {
+    const costs = service.costData(organization, userNumber) || {};
+    const { segments, isMms, cost } = estimateMessageCost(
+      message,
+      costs,
+      serviceManagerData && serviceManagerData.forceMms
+    );
+    await r
+      .knex("message_cost")
+      .insert({
+        message_id: message.id,
+        organization_id:
+          (organization && organization.id) ||
+          (campaign && campaign.organization_id),
+        campaign_id:
+          (campaign && campaign.id) || (contact && contact.campaign_id),
+        user_id: message.user_id || null,
+        service: message.service,
+        user_number: userNumber || null,
+        segments,
+        is_mms: isMms,
+        estimated_cost: cost
+      })
+      // a message that is sent again (e.g. a retry) keeps one row
+      .onConflict("message_id")
+      .merge();
+  } catch (err) {
+    log.error("message cost was not recorded", {
+      messageId: message.id,
+      error: err.message
+    });
+  }
+}
+
+/**
+ * Saves the price a vendor reported for a message
+ */
+async function recordActualCost({ messageSid, cost }) {
+  const actualCost = Math.abs(Number(cost));
+  if (!messageSid || cost === null || cost === "" || Number.isNaN(actualCost)) {
+    return;
+  }
+  await r
+    .knex("message_cost")
+    .whereIn(
+      "message_id",
+      r
+        .knex("message")
+        .select("id")
+        .where("service_id", messageSid)
+    )
+    .update({ actual_cost: actualCost });
+}
+
+// a function, as r is not ready when this module loads with the models
+const totalColumns = () => [
+  r.knex.raw("count(*) as message_count"),
+  r.knex.raw("sum(message_cost.segments) as segment_count"),
+  r.knex.raw(
+    "sum(case when message_cost.is_mms then 1 else 0 end) as mms_count"
+  ),
+  r.knex.raw("sum(message_cost.estimated_cost) as estimated_cost"),
+  r.knex.raw("sum(message_cost.actual_cost) as actual_cost"),
+  r.knex.raw("count(message_cost.actual_cost) as reported_count")
+];
+
+const toTotals = (row, id = null, name = null) => ({
+  id: id === null ? null : String(id),
+  name,
+  messageCount: Number((row && row.message_count) || 0),
+  segmentCount: Number((row && row.segment_count) || 0),
+  mmsCount: Number((row && row.mms_count) || 0),
+  estimatedCost: Number((row && row.estimated_cost) || 0),
+  // null until a delivery report included a price
+  actualCost:
+    row && row.actual_cost !== null && row.actual_cost !== undefined
+      ? Number(row.actual_cost)
+      : null,
+  reportedCount: Number((row && row.reported_count) || 0)
+});
+
+const ledgerQuery = ({ organizationId, campaignId, fromDate, toDate }) => {
+  let query = r.knexReadOnly("message_cost");
+  if (organizationId) {
+    query = query.where("message_cost.organization_id", organizationId);
+  }
+  if (campaignId) {
+    query = query.where("message_cost.campaign_id", campaignId);
+  }
+  if (fromDate) {
+    query = query.where("message_cost.created_at", ">=", new Date(fromDate));
+  }
+  if (toDate) {
+    query = query.where("message_cost.created_at", "<", new Date(toDate));
+  }
+  return query;
+};
+
+/**
+ * @param filter { organizationId?, campaignId?, fromDate?, toDate? }
+ * @returns { messageCount, segmentCount, mmsCount, estimatedCost, actualCost, reportedCount }
+ */
+async function getTotals(filter) {
+  const row = await ledgerQuery(filter)
+    .select(totalColumns())
+    .first();
+  return toTotals(row);
+}
+
+async function getTotalsByTexter(filter) {
+  const rows = await ledgerQuery(filter)
+    .leftJoin("user", "user.id", "message_cost.user_id")
+    .select(
+      "message_cost.user_id",
+      "user.first_name",
+      "user.last_name",
+      ...totalColumns()
+    )
+    .groupBy("message_cost.user_id", "user.first_name", "user.last_name")
+    .orderBy("estimated_cost", "desc");
+  return rows.map(row =>
+    toTotals(
+      row,
+      row.user_id,
+      row.user_id ? `${row.first_name} ${row.last_name}` : "No texter"
+    )
+  );
+}
+
+async function getTotalsByCampaign(filter) {
+  const rows = await ledgerQuery(filter)
+    .join("campaign", "campaign.id", "message_cost.campaign_id")
+    .select("message_cost.campaign_id", "campaign.title", ...totalColumns())
+    .groupBy("message_cost.campaign_id", "campaign.title")
+    .orderBy("estimated_cost", "desc");
+  return rows.map(row => toTotals(row, row.campaign_id, row.title));
+}
+
+export default {
+  recordMessageCost,
+  recordActualCost,
+  getTotals,
+  getTotalsByTexter,
+  getTotalsByCampaign
+};
@@ -0,0 +1,32 @@
+import { getConfig } from "./config";
+
+// Settings for the number-health service manager, which counts delivery
+// reports per sending number per day in phone_number_health. Also used to
+// show each number's health in Phone Numbers.
+
+// twilio 30007: carrier violation, bandwidth 4470: rejected as spam
+const DEFAULT_ERROR_CODES = "30007,4470";
+const DEFAULT_MAX_ERROR_RATE = 0.1;
+const DEFAULT_MIN_REPORTS = 50;
+const DEFAULT_WINDOW_DAYS = 3;
+
+export const getHealthConfig = organization => ({
+  errorCodes: (
+    getConfig("NUMBER_HEALTH_ERROR_CODES", organization) || DEFAULT_ERROR_CODES
+  )
+    .split(",")
+    .map(code => Number(code.trim()))
+    .filter(Boolean),
+  maxErrorRate:
+    Number(getConfig("NUMBER_HEALTH_MAX_ERROR_RATE", organization)) ||
+    DEFAULT_MAX_ERROR_RATE,
+  minReports:
+    Number(getConfig("NUMBER_HEALTH_MIN_REPORTS", organization)) ||
+    DEFAULT_MIN_REPORTS,
+  windowDays:
+    Number(getConfig("NUMBER_HEALTH_WINDOW_DAYS", organization)) ||
+    DEFAULT_WINDOW_DAYS
+});
+
+// phone_number_health.day for a date
+export const healthDay = (date = new Date()) => date.toISOString().slice(0, 10);
@@ -1,6 +1,7 @@
 import { r } from "../../models";
 import { getConfig } from "./config";
 import usAreaCodes from "us-area-codes/data/codes.json";
+import { getHealthConfig, healthDay } from "./number-health";
 
 async function allocateCampaignNumbers(
   { organizationId, campaignId, areaCode, amount },
@@ -12,7 +13,8 @@ async function allocateCampaignNumbers(
     .where({
       organization_id: organizationId,
       area_code: areaCode,
-      allocated_to: null
+      allocated_to: null,
+      quarantined_at: null
     })
     .limit(amount);
 
@@ -67,25 +69,88 @@ async function listOrganizationCounts(organization) {
       "area_code",
       r.knex.raw("COUNT(allocated_to) as allocated_count"),
       r.knex.raw(
-        "SUM(CASE WHEN allocated_to IS NULL OR allocated_to = 'messaging_service' THEN 1 END) as available_count"
-      )
+        "SUM(CASE WHEN (allocated_to IS NULL OR allocated_to = 'messaging_service') AND quarantined_at IS NULL THEN 1 END) as available_count"
+      ),
+      r.knex.raw("COUNT(quarantined_at) as quarantined_count")
     )
     .where({
       service,
       organization_id: organization.id
     })
     .groupBy("area_code");
-  return counts.map(row => ({
-    areaCode: row.area_code,
-    state: usAreaCodes[row.area_code] || "N/A",
-    allocatedCount: Number(row.allocated_count),
-    availableCount: Number(row.available_count)
-  }));
+  // delivery reports counted by the number-health service manager
+  const { windowDays } = getHealthConfig(organization);
+  const health = await r
+    .knex("owned_phone_number")
+    .join("phone_number_health", function joinHealth() {
+      this.on(
+        "phone_number_health.organization_id",
+        "owned_phone_number.organization_id"
+      ).andOn(
+        "phone_number_health.phone_number",
+        "owned_phone_number.phone_number"
+      );
+    })
+    .select(
+      "owned_phone_number.area_code",
+      r.knex.raw("SUM(delivered_count) as delivered_count"),
+      r.knex.raw("SUM(error_count) as error_count"),
+      r.knex.raw("SUM(flagged_count) as flagged_count")
+    )
+    .where({
+      "owned_phone_number.service": service,
+      "owned_phone_number.organization_id": organization.id
+    })
+    .where(
+      "phone_number_health.day",
+      ">=",
+      healthDay(new Date(Date.now() - (windowDays - 1) * 86400000))
+    )
+    .groupBy("owned_phone_number.area_code");
+  const healthByAreaCode = {};
+  health.forEach(row => {
+    healthByAreaCode[row.area_code] = row;
+  });
+  return counts.map(row => {
+    const areaCodeHealth = healthByAreaCode[row.area_code] || {};
+    return {
+      areaCode: row.area_code,
+      state: usAreaCodes[row.area_code] || "N/A",
+      allocatedCount: Number(row.allocated_count),
+      availableCount: Number(row.available_count || 0),
+      quarantinedCount: Number(row.quarantined_count),
+      deliveredCount: Number(areaCodeHealth.delivered_count || 0),
+      errorCount: Number(areaCodeHealth.error_count || 0),
+      flaggedCount: Number(areaCodeHealth.flagged_count || 0)
+    };
+  });
+}
+
+async function releaseQuarantinedNumbers(organization, areaCode) {
+  const service =
+    getConfig("service", organization) ||
+    getConfig("DEFAULT_SERVICE", organization);
+  const numbers = r
+    .knex("owned_phone_number")
+    .where({
+      service,
+      organization_id: organization.id,
+      area_code: areaCode
+    })
+    .whereNotNull("quarantined_at");
+  // start their delivery rates over, or the next error quarantines them again
+  await r
+    .knex("phone_number_health")
+    .where("organization_id", organization.id)
+    .whereIn("phone_number", numbers.clone().select("phone_number"))
+    .delete();
+  return numbers.update({ quarantined_at: null, quarantine_reason: null });
 }
 
 export default {
   allocateCampaignNumbers,
   releaseCampaignNumbers,
   listCampaignNumbers,
-  listOrganizationCounts
+  listOrganizationCounts,
+  releaseQuarantinedNumbers
 };
@@ -1,5 +1,6 @@
 import { mapFieldsToModel } from "./lib/utils";
 import { Message } from "../models";
+import { getMediaUrls } from "../../extensions/media-storage";
 
 export const resolvers = {
   Message: {
@@ -9,7 +10,10 @@ export const resolvers = {
     ),
     media: msg =>
       // Sometimes it's array, sometimes string. Maybe db vs. cache?
-      typeof msg.media === "string" ? JSON.parse(msg.media) : msg.media || [],
+      (typeof msg.media === "string"
+        ? JSON.parse(msg.media)
+        : msg.media || []
+      ).map(getMediaUrls),
     // cached messages don't have message.id -- why bother
     id: msg => msg.id || `fake${Math.random()}`,
     userId: msg => msg.user_id || null
@@ -2,7 +2,9 @@ import serviceMap from "../../../extensions/service-vendors";
 import { accessRequired } from "../errors";
 import { getConfig } from "../lib/config";
 import { cacheableData } from "../../models";
+import ownedPhoneNumber from "../lib/owned-phone-number";
 import { processServiceManagers } from "../../../extensions/service-managers";
+import { budgetBlocks } from "../../../extensions/service-managers/budget";
 import {
   getServiceFromOrganization,
   getServiceNameFromOrganization
@@ -32,6 +34,14 @@ export const buyPhoneNumbers = async (
       `Service ${serviceName} does not support phone number buying`
     );
   }
+  // throws when the organization's monthly budget for numbers is used up
+  await budgetBlocks(
+    organization,
+    "numbers",
+    "phone-inventory",
+    "buyPhoneNumbers",
+    limit
+  );
   const opts = {};
   const serviceManagerResult = await processServiceManagers(
     "onBuyPhoneNumbers",
@@ -45,6 +55,7 @@ export const buyPhoneNumbers = async (
     }
   );
 
+  // the job records what it spent, once it knows how many numbers it bought
   return await jobRunner.dispatchJob({
     queue_name: `${organizationId}:buy_phone_numbers`,
     organization_id: organizationId,
@@ -91,3 +102,14 @@ export const deletePhoneNumbers = async (
     })
   });
 };
+
+export const releaseQuarantinedPhoneNumbers = async (
+  _,
+  { organizationId, areaCode },
+  { user }
+) => {
+  await accessRequired(user, organizationId, "OWNER");
+  const organization = await cacheableData.organization.load(organizationId);
+  await ownedPhoneNumber.releaseQuarantinedNumbers(organization, areaCode);
+  return organization;
+};
@@ -0,0 +1,79 @@
+import { GraphQLError } from "graphql/error";
+
+import { accessRequired } from "../errors";
+import { getConfig, getFeatures } from "../lib/config";
+import { cacheableData, r } from "../../models";
+import { getMediaStorage, storeMedia } from "../../../extensions/media-storage";
+
+// Images an admin uploads to a campaign, which its texters can attach to replies.
+// They are kept in the campaign's features as
+//   TEXTER_MEDIA: [{ id, name, type, storage, key, size, thumbnailKey? }]
+// and can only be sent when media storage is configured and the organization
+// has turned on TEXTER_MMS_ENABLED.
+
+export const texterMediaEnabled = organization =>
+  Boolean(
+    getMediaStorage() &&
+      getConfig("TEXTER_MMS_ENABLED", organization, { truthy: 1 })
+  );
+
+export const getCampaignMedia = campaign =>
+  getFeatures(campaign).TEXTER_MEDIA || [];
+
+const loadCampaignForMedia = async (campaignId, user) => {
+  const campaign = await cacheableData.campaign.load(campaignId);
+  await accessRequired(user, campaign.organization_id, "ADMIN", true);
+  const organization = await cacheableData.organization.load(
+    campaign.organization_id
+  );
+  if (!texterMediaEnabled(organization)) {
+    throw new GraphQLError("Texter attachments are not enabled");
+  }
+  return campaign;
+};
+
+const saveCampaignMedia = async (campaign, texterMedia) => {
+  const features = getFeatures(campaign);
+  features.TEXTER_MEDIA = texterMedia;
+  await r
+    .knex("campaign")
+    .where("id", campaign.id)
+    .update({ features: JSON.stringify(features) });
+  await cacheableData.campaign.clear(campaign.id);
+  return cacheableData.campaign.load(campaign.id);
+};
+
+export const addCampaignMedia = async (
+  _,
+  { campaignId, name, contentType, data },
+  { user }
+) => {
+  const campaign = await loadCampaignForMedia(campaignId, user);
+  if (!/^image\//.test(contentType)) {
+    throw new GraphQLError("Only images can be attached to messages");
+  }
+  const stored = await storeMedia({
+    body: Buffer.from(data, "base64"),
+    contentType
+  });
+  if (stored.error) {
+    throw new GraphQLError(`Could not save ${name}: ${stored.error}`);
+  }
+  return saveCampaignMedia(
+    campaign,
+    getCampaignMedia(campaign).concat([{ id: stored.key, name, ...stored }])
+  );
+};
+
+export const removeCampaignMedia = async (
+  _,
+  { campaignId, mediaId },
+  { user }
+) => {
+  const campaign = await loadCampaignForMedia(campaignId, user);
+  // the stored file is kept: messages that were already sent still link to it
+  return saveCampaignMedia(
+    campaign,
+    getCampaignMedia(campaign).filter(item => item.id !== mediaId)
+  );
+};
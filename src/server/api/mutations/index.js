@@ -1,10 +1,19 @@
 export { bulkSendMessages } from "./bulkSendMessages";
 export { bulkUpdateScript } from "./bulkUpdateScript";
-export { buyPhoneNumbers, deletePhoneNumbers } from "./buyPhoneNumbers";
+export {
+  buyPhoneNumbers,
+  deletePhoneNumbers,
+  releaseQuarantinedPhoneNumbers
+} from "./buyPhoneNumbers";
+export { addCampaignMedia, removeCampaignMedia } from "./campaignMedia";
 export { editOrganization } from "./editOrganization";
 export { findNewCampaignContact } from "./findNewCampaignContact";
 export { joinOrganization } from "./joinOrganization";
 export { releaseContacts } from "./releaseContacts";
+export {
+  scheduleInitialMessages,
+  cancelScheduledMessages
+} from "./scheduledMessages";
 export { sendMessage } from "./sendMessage";
 export { startCampaign } from "./startCampaign";
 export { updateContactTags } from "./updateContactTags";
@@ -14,4 +23,13 @@ export { releaseCampaignNumbers } from "./releaseCampaignNumbers";
 export { clearCachedOrgAndExtensionCaches } from "./clearCachedOrgAndExtensionCaches";
 export { updateFeedback } from "./updateFeedback";
 export { updateServiceManager } from "./updateServiceManager";
+export {
+  updateAutoOptOutLanguages,
+  testAutoOptOut
+} from "./updateAutoOptOutLanguages";
+export {
+  updateServiceManagerBudget,
+  approveServiceManagerBudget
+} from "./updateServiceManagerBudget";
 export { updateServiceVendorConfig } from "./updateServiceVendorConfig";
+export { unflagWrongNumber } from "./unflagWrongNumber";
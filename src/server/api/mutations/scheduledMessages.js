@@ -0,0 +1,127 @@
+import { GraphQLError } from "graphql/error";
+
+import { accessRequired } from "../errors";
+import { getConfig } from "../lib/config";
+import { cacheableData, r } from "../../models";
+import { jobRunner } from "../../../extensions/job-runners";
+import { Jobs } from "../../../workers/job-processes";
+
+// Scheduled sends use the same gate as sending all messages at once
+const checkScheduledSendsAllowed = organization => {
+  if (
+    !getConfig("ALLOW_SEND_ALL") ||
+    !getConfig("ALLOW_SEND_ALL_ENABLED", organization)
+  ) {
+    throw new GraphQLError("Not allowed to schedule messages");
+  }
+};
+
+export const scheduleInitialMessages = async (
+  _,
+  { campaignId, sendAfter },
+  { user }
+) => {
+  const campaign = await cacheableData.campaign.load(campaignId);
+  await accessRequired(user, campaign.organization_id, "ADMIN", true);
+  const organization = await cacheableData.organization.load(
+    campaign.organization_id
+  );
+  checkScheduledSendsAllowed(organization);
+  if (!campaign.is_started || campaign.is_archived) {
+    throw new GraphQLError(
+      "Messages can only be scheduled for a started campaign that is not archived"
+    );
+  }
+  const sendAfterDate = new Date(sendAfter);
+  if (Number.isNaN(sendAfterDate.getTime())) {
+    throw new GraphQLError("Invalid time to schedule messages for");
+  }
+
+  const job = await jobRunner.dispatchJob({
+    queue_name: `${campaignId}:schedule_initial_messages`,
+    job_type: Jobs.SCHEDULE_INITIAL_MESSAGES,
+    locks_queue: true,
+    campaign_id: campaignId,
+    payload: JSON.stringify({
+      sendAfter: sendAfterDate.toISOString(),
+      userId: user.id
+    })
+  });
+  return job.id;
+};
+
+const CANCEL_BATCH_SIZE = 1000;
+
+export const cancelScheduledMessages = async (
+  _,
+  { campaignId, sendAfter },
+  { user }
+) => {
+  const campaign = await cacheableData.campaign.load(campaignId);
+  await accessRequired(user, campaign.organization_id, "ADMIN", true);
+
+  let lastId = 0;
+  let scheduled;
+  do {
+    let scheduledQuery = r
+      .knex("message")
+      .join(
+        "campaign_contact",
+        "campaign_contact.id",
+        "message.campaign_contact_id"
+      )
+      .where({
+        "campaign_contact.campaign_id": campaignId,
+        "message.send_status": "QUEUED",
+        "message.is_scheduled_initial": true
+      })
+      .where("message.id", ">", lastId);
+    if (sendAfter) {
+      scheduledQuery = scheduledQuery.where(
+        "message.send_after",
+        new Date(sendAfter)
+      );
+    }
+    scheduled = await scheduledQuery
+      .select("message.id", "message.campaign_contact_id")
+      .orderBy("message.id")
+      .limit(CANCEL_BATCH_SIZE);
+    if (!scheduled.length) {
+      break;
+    }
+    lastId = scheduled[scheduled.length - 1].id;
+    const contactIds = scheduled.map(m => m.campaign_contact_id);
+
+    const resetCount = await r.knex.transaction(async trx => {
+      // only messages that have not started sending in the meantime
+      await trx("message")
+        .whereIn(
+          "id",
+          scheduled.map(m => m.id)
+        )
+        .where("send_status", "QUEUED")
+        .delete();
+      // contacts without any other message need their initial message again
+      return trx("campaign_contact")
+        .whereIn("id", contactIds)
+        .where("message_status", "messaged")
+        .whereNotExists(
+          trx("message")
+            .select("id")
+            .whereRaw("message.campaign_contact_id = campaign_contact.id")
+        )
+        .update({ message_status: "needsMessage", updated_at: new Date() });
+    });
+
+    for (let i = 0; i < contactIds.length; i++) {
+      await cacheableData.campaignContact.clear(contactIds[i], campaignId);
+      await cacheableData.message.clear(contactIds[i]);
+    }
+    await cacheableData.campaign.incrCount(
+      campaignId,
+      "messagedCount",
+      -resetCount
+    );
+  } while (scheduled.length === CANCEL_BATCH_SIZE);
+  return cacheableData.campaign.load(campaignId, { forceLoad: true });
+};
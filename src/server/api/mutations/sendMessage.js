@@ -7,6 +7,7 @@ import { replaceEasyGsmWins } from "../../../lib/gsm";
 import { jobRunner } from "../../../extensions/job-runners";
 import { Tasks } from "../../../workers/tasks";
 import { updateContactTags } from "./updateContactTags";
+import { getCampaignMedia, texterMediaEnabled } from "./campaignMedia";
 
 import { sendEmail } from "../../mail";
 import { log } from "../../../lib";
@@ -64,7 +65,8 @@ export const sendRawMessage = async ({
   organization,
   user,
   sendBeforeDate,
-  cannedResponseId
+  cannedResponseId,
+  media
 }) => {
   const orgFeatures = JSON.parse(organization.features || "{}");
 
@@ -85,7 +87,8 @@ export const sendRawMessage = async ({
     service: serviceName,
     is_from_contact: false,
     queued_at: new Date(),
-    send_before: sendBeforeDate
+    send_before: sendBeforeDate,
+    media: media ? JSON.stringify(media) : null
   });
 
   const saveResult = await cacheableData.message.save({
@@ -192,6 +195,28 @@ export const sendMessage = async (
     });
   }
 
+  let media = null;
+  if (message.mediaId) {
+    // texters can only attach the images the campaign allows
+    const item =
+      texterMediaEnabled(organization) &&
+      getCampaignMedia(campaign).find(m => m.id === message.mediaId);
+    if (!item) {
+      throw newError(
+        "This attachment is not available for the campaign",
+        "SENDERR_MEDIA",
+        {
+          message,
+          campaignContactId,
+          user,
+          campaign
+        }
+      );
+    }
+    const { id, name, ...stored } = item;
+    media = [stored];
+  }
+
   let contactTimezone = {};
   if (contact.timezone_offset) {
     // couldn't look up the timezone by zip record, so we load it
@@ -240,7 +265,8 @@ export const sendMessage = async (
     organization,
     user,
     sendBeforeDate,
-    cannedResponseId
+    cannedResponseId,
+    media
   });
 
   if (cannedResponseId) {
@@ -285,7 +311,8 @@ export const sendMessage = async (
         id: "initial",
         text: finalText,
         created_at: new Date(),
-        is_from_contact: false
+        is_from_contact: false,
+        media
       }
     ];
   }
@@ -0,0 +1,16 @@
+import { accessRequired } from "../errors";
+import { cacheableData } from "../../models";
+
+// Clears a wrong-number flag set by mistake, so the cell can be loaded into campaigns again
+export const unflagWrongNumber = async (
+  _,
+  { organizationId, cell },
+  { user }
+) => {
+  await accessRequired(user, organizationId, "ADMIN");
+  await cacheableData.organizationContact.unmarkWrongNumber({
+    organizationId,
+    cell
+  });
+  return cacheableData.organization.load(organizationId);
+};
@@ -0,0 +1,55 @@
+import { cacheableData, r } from "../../models";
+import {
+  getOptOutReply,
+  matchOptOut,
+  shouldSendReply,
+  validateLanguages
+} from "../../../extensions/message-handlers/auto-optout";
+import { getFeatures } from "../lib/config";
+import { accessRequired } from "../errors";
+
+export const updateAutoOptOutLanguages = async (
+  _,
+  { organizationId, languages, languageField },
+  { user }
+) => {
+  await accessRequired(user, organizationId, "OWNER");
+  const organization = await cacheableData.organization.load(organizationId);
+  const features = { ...getFeatures(organization) };
+  features.AUTO_OPTOUT_LANGUAGES = JSON.stringify(validateLanguages(languages));
+  features.AUTO_OPTOUT_LANGUAGE_FIELD = (languageField || "").trim();
+  await r
+    .knex("organization")
+    .where("id", organizationId)
+    .update({ features: JSON.stringify(features) });
+  await cacheableData.organization.clear(organizationId);
+  return cacheableData.organization.load(organizationId);
+};
+
+// Tries a message against the opt-out rules (the saved ones or the ones being edited)
+export const testAutoOptOut = async (
+  _,
+  { organizationId, text, contactLanguage, languages },
+  { user }
+) => {
+  await accessRequired(user, organizationId, "OWNER");
+  const organization = await cacheableData.organization.load(organizationId);
+  const testLanguages = languages ? validateLanguages(languages) : undefined;
+  const match = matchOptOut(text, organization, testLanguages);
+  if (!match) {
+    return { optOut: false };
+  }
+  const { language, reply } = getOptOutReply({
+    organization,
+    messageLanguage: match.language,
+    languages: testLanguages,
+    contactLanguage
+  });
+  return {
+    optOut: true,
+    reason: match.reason,
+    language: language || match.language,
+    reply,
+    sendsReply: shouldSendReply(text, match, organization)
+  };
+};
@@ -1,6 +1,6 @@
 import { GraphQLError } from "graphql/error";
 import { getConfig } from "../../../server/api/lib/config";
-import { cacheableData } from "../../../server/models";
+import { cacheableData, r } from "../../../server/models";
 import { processServiceManagers } from "../../../extensions/service-managers";
 import { accessRequired } from "../errors";
 
@@ -11,14 +11,47 @@ export const updateServiceManager = async (
     serviceManagerName,
     updateData,
     campaignId,
-    fromCampaignStatsPage
+    fromCampaignStatsPage,
+    dryRun
   },
   { user }
 ) => {
   const organization = await cacheableData.organization.load(organizationId);
   let campaign;
   let result;
-  if (campaignId) {
+  if (dryRun) {
+    if (!campaignId) {
+      throw new GraphQLError("A dry run needs a campaign");
+    }
+    await accessRequired(user, organizationId, "SUPERVOLUNTEER", true);
+    campaign = await cacheableData.campaign.load(campaignId);
+    // managers report what the hook would do for a sample of the contacts,
+    // without spending money or changing anything
+    const sampleSize = Number(
+      getConfig("SERVICE_MANAGER_DRY_RUN_SAMPLE_SIZE", organization) || 200
+    );
+    const contactsCount = await r.getCount(
+      r.knex("campaign_contact").where("campaign_id", campaign.id)
+    );
+    const sampleContacts = await r
+      .knex("campaign_contact")
+      .where("campaign_id", campaign.id)
+      .orderByRaw("random()")
+      .limit(sampleSize);
+    result = await processServiceManagers(
+      "onCampaignDryRun",
+      organization,
+      {
+        organization,
+        campaign,
+        user,
+        updateData,
+        sampleContacts,
+        contactsCount
+      },
+      serviceManagerName
+    );
+  } else if (campaignId) {
     // FUTURE: maybe with specific metadata, this could be made lower
     // which could be useful in complement to texter-sideboxes
     await accessRequired(user, organizationId, "SUPERVOLUNTEER", true);
@@ -50,6 +83,7 @@ export const updateServiceManager = async (
     data: null,
     fullyConfigured: null,
     startPolling: null,
+    dryRunReport: null,
     ...result
   };
 };
@@ -0,0 +1,30 @@
+import { cacheableData } from "../../models";
+import {
+  approveBudget,
+  updateBudget
+} from "../../../extensions/service-managers/budget";
+import { accessRequired } from "../errors";
+
+export const updateServiceManagerBudget = async (
+  _,
+  { organizationId, category, monthlyLimit, whenExceeded },
+  { user }
+) => {
+  await accessRequired(user, organizationId, "OWNER", true);
+  const organization = await cacheableData.organization.load(organizationId);
+  return updateBudget(organization, user, category, {
+    monthlyLimit,
+    whenExceeded
+  });
+};
+
+export const approveServiceManagerBudget = async (
+  _,
+  { organizationId, category, amount },
+  { user }
+) => {
+  await accessRequired(user, organizationId, "OWNER", true);
+  const organization = await cacheableData.organization.load(organizationId);
+  await approveBudget(organization, user, category, amount);
+  return organization;
+};
@@ -6,5 +6,13 @@ export const resolvers = {
     ...mapFieldsToModel(["id", "cell", "createdAt"], OptOut),
     assignment: async (optOut, _, { loaders }) =>
       loaders.assignment.load(optOut.assignment_id)
+  },
+  OptOutEvent: {
+    id: event => event.id,
+    event: event => event.event,
+    reason: event => event.reason_code,
+    user: async (event, _, { loaders }) =>
+      event.user_id ? loaders.user.load(event.user_id) : null,
+    createdAt: event => event.created_at
   }
 };
@@ -2,6 +2,7 @@ import { mapFieldsToModel } from "./lib/utils";
 import { getConfig, getFeatures } from "./lib/config";
 import { r, Organization, cacheableData } from "../models";
 import ownedPhoneNumber from "./lib/owned-phone-number";
+import messageCost from "./lib/message-cost";
 import { getTags } from "./tag";
 import { accessRequired } from "./errors";
 import { getCampaigns } from "./campaign";
@@ -14,7 +15,16 @@ import {
   fullyConfigured,
   getServiceMetadata
 } from "../../extensions/service-vendors";
-import { getServiceManagerData } from "../../extensions/service-managers";
+import {
+  getServiceManagerData,
+  getServiceManagers
+} from "../../extensions/service-managers";
+import {
+  listBudgetEvents,
+  listBudgets
+} from "../../extensions/service-managers/budget";
+import { getLanguages as getAutoOptOutLanguages } from "../../extensions/message-handlers/auto-optout";
+import { texterMediaEnabled } from "./mutations/campaignMedia";
 
 export const ownerConfigurable = {
   // ACTION_HANDLERS: 1,
@@ -22,7 +32,8 @@ export const ownerConfigurable = {
   DEFAULT_BATCHSIZE: 1,
   DEFAULT_RESPONSEWINDOW: 1,
   MAX_CONTACTS_PER_TEXTER: 1,
-  MAX_MESSAGE_LENGTH: 1
+  MAX_MESSAGE_LENGTH: 1,
+  TEXTER_MMS_ENABLED: 1
   // MESSAGE_HANDLERS: 1,
   // There is already an endpoint and widget for this:
   // opt_out_message: 1
@@ -90,6 +101,42 @@ export const resolvers = {
         .table("opt_out")
         .getAll(organization.id, { index: "organization_id" });
     },
+    wrongNumbers: async (organization, { since }, { user }) => {
+      await accessRequired(user, organization.id, "ADMIN");
+      const query = r
+        .knexReadOnly("organization_contact")
+        .leftJoin(
+          "campaign_contact",
+          "campaign_contact.id",
+          "organization_contact.wrong_number_campaign_contact_id"
+        )
+        .where("organization_contact.organization_id", organization.id)
+        .whereNotNull("organization_contact.wrong_number_at")
+        .select(
+          "organization_contact.contact_number",
+          "organization_contact.wrong_number_at",
+          "organization_contact.wrong_number_source",
+          "organization_contact.wrong_number_campaign_contact_id",
+          "campaign_contact.campaign_id",
+          "campaign_contact.external_id",
+          "campaign_contact.first_name",
+          "campaign_contact.last_name"
+        )
+        .orderBy("organization_contact.wrong_number_at", "desc");
+      if (since) {
+        query.where("organization_contact.wrong_number_at", ">=", since);
+      }
+      return (await query).map(row => ({
+        cell: row.contact_number,
+        markedAt: row.wrong_number_at,
+        source: row.wrong_number_source,
+        campaignContactId: row.wrong_number_campaign_contact_id,
+        campaignId: row.campaign_id,
+        externalId: row.external_id,
+        firstName: row.first_name,
+        lastName: row.last_name
+      }));
+    },
     people: async (organization, { role, campaignId, sortBy }, { user }) => {
       await accessRequired(user, organization.id, "SUPERVOLUNTEER");
       return buildUsersQuery(organization.id, role, { campaignId }, sortBy);
@@ -148,6 +195,7 @@ export const resolvers = {
           getConfig("ALLOW_SEND_ALL", organization, { truthy: 1 }) &&
           getFeatures(organization).ALLOW_SEND_ALL_ENABLED
       ),
+    texterMediaEnabled: organization => texterMediaEnabled(organization),
     theme: async organization => {
       const themeOptions = {
         palette: {
@@ -214,6 +262,22 @@ export const resolvers = {
         ? JSON.parse(organization.features).opt_out_message
         : getConfig("OPT_OUT_MESSAGE")) ||
       "I'm opting you out of texts immediately. Have a great day.",
+    autoOptOutLanguages: async (organization, _, { user }) => {
+      try {
+        await accessRequired(user, organization.id, "OWNER", true);
+      } catch (err) {
+        return null;
+      }
+      return getAutoOptOutLanguages(organization);
+    },
+    autoOptOutLanguageField: async (organization, _, { user }) => {
+      try {
+        await accessRequired(user, organization.id, "OWNER", true);
+      } catch (err) {
+        return null;
+      }
+      return getConfig("AUTO_OPTOUT_LANGUAGE_FIELD", organization) || "";
+    },
     textingHoursStart: organization => organization.texting_hours_start,
     textingHoursEnd: organization => organization.texting_hours_end,
     texterUIConfig: async (organization, _, { user }) => {
@@ -275,6 +339,14 @@ export const resolvers = {
         return [];
       }
     },
+    serviceManagerBudgets: async (organization, _, { user }) => {
+      await accessRequired(user, organization.id, "OWNER", true);
+      return listBudgets(organization, getServiceManagers(organization));
+    },
+    serviceManagerBudgetEvents: async (organization, _, { user }) => {
+      await accessRequired(user, organization.id, "OWNER", true);
+      return listBudgetEvents(organization.id);
+    },
     fullyConfigured: async organization => {
       return fullyConfigured(organization);
     },
@@ -358,6 +430,38 @@ export const resolvers = {
         return [];
       }
       return await ownedPhoneNumber.listOrganizationCounts(organization);
+    },
+    messageCosts: async (organization, { fromDate, toDate }, { user }) => {
+      await accessRequired(user, organization.id, "ADMIN");
+      return messageCost.getTotals({
+        organizationId: organization.id,
+        fromDate,
+        toDate
+      });
+    },
+    campaignMessageCosts: async (
+      organization,
+      { fromDate, toDate },
+      { user }
+    ) => {
+      await accessRequired(user, organization.id, "ADMIN");
+      return messageCost.getTotalsByCampaign({
+        organizationId: organization.id,
+        fromDate,
+        toDate
+      });
+    },
+    texterMessageCosts: async (
+      organization,
+      { fromDate, toDate },
+      { user }
+    ) => {
+      await accessRequired(user, organization.id, "ADMIN");
+      return messageCost.getTotalsByTexter({
+        organizationId: organization.id,
+        fromDate,
+        toDate
+      });
     }
   }
 };
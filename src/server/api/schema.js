@@ -59,10 +59,15 @@ import {
   bulkUpdateScript,
   buyPhoneNumbers,
   deletePhoneNumbers,
+  releaseQuarantinedPhoneNumbers,
   findNewCampaignContact,
   joinOrganization,
   editOrganization,
   releaseContacts,
+  addCampaignMedia,
+  removeCampaignMedia,
+  scheduleInitialMessages,
+  cancelScheduledMessages,
   sendMessage,
   startCampaign,
   updateContactTags,
@@ -72,7 +77,12 @@ import {
   clearCachedOrgAndExtensionCaches,
   updateFeedback,
   updateServiceManager,
-  updateServiceVendorConfig
+  updateServiceManagerBudget,
+  approveServiceManagerBudget,
+  updateAutoOptOutLanguages,
+  testAutoOptOut,
+  updateServiceVendorConfig,
+  unflagWrongNumber
 } from "./mutations";
 
 import { jobRunner } from "../../extensions/job-runners";
@@ -479,16 +489,26 @@ const rootMutations = {
     bulkUpdateScript,
     buyPhoneNumbers,
     deletePhoneNumbers,
+    releaseQuarantinedPhoneNumbers,
     editOrganization,
     findNewCampaignContact,
     joinOrganization,
     releaseContacts,
+    addCampaignMedia,
+    removeCampaignMedia,
+    scheduleInitialMessages,
+    cancelScheduledMessages,
     sendMessage,
     startCampaign,
     releaseCampaignNumbers,
     clearCachedOrgAndExtensionCaches,
     updateServiceManager,
+    updateServiceManagerBudget,
+    approveServiceManagerBudget,
+    updateAutoOptOutLanguages,
+    testAutoOptOut,
     updateServiceVendorConfig,
+    unflagWrongNumber,
     userAgreeTerms: async (_, { userId }, { user }) => {
       // We ignore userId: you can only agree to terms for yourself
       await r
@@ -20,6 +20,7 @@ import { seedZipCodes } from "./seeds/seed-zip-codes";
 import { setupUserNotificationObservers } from "./notifications";
 import { existsSync } from "fs";
 import { rawAllMethods } from "../extensions/contact-loaders";
+import { addServerEndpoints as mediaStorageAddServerEndpoints } from "../extensions/media-storage";
 import herokuSslRedirect from "heroku-ssl-redirect";
 import { GraphQLError } from "graphql/error";
 
@@ -119,6 +120,7 @@ const routeAdders = {
 };
 
 messagingServicesAddServerEndpoints(app, routeAdders);
+mediaStorageAddServerEndpoints(app);
 
 app.get("/logout-callback", (req, res) => {
   req.logOut();
@@ -79,6 +79,7 @@ export default function renderIndex(html, css, assetMap) {
       window.ALLOW_SEND_ALL=${getConfig("ALLOW_SEND_ALL", null, {
         truthy: 1
       }) || false}
+      window.MEDIA_STORAGE_ENABLED=${Boolean(getConfig("MEDIA_STORAGE"))}
       window.BULK_SEND_CHUNK_SIZE=${process.env.BULK_SEND_CHUNK_SIZE || 0}
       window.MAX_MESSAGE_LENGTH=${process.env.MAX_MESSAGE_LENGTH || 99999}
       window.TERMS_REQUIRE=${getConfig("TERMS_REQUIRE", null, {
@@ -274,7 +274,8 @@ const campaignCache = {
     const features = await r.knex.transaction(async trx => {
       const campaignDb = await trx("campaign")
         .where("id", id)
-        .select("features");
+        .select("features")
+        .first();
       const features = getFeatures(campaignDb);
       let changes = false;
       for (const [featureName, featureValue] of Object.entries(newFeatures)) {
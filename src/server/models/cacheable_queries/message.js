@@ -8,6 +8,7 @@ import {
   serviceManagersHaveImplementation,
   processServiceManagers
 } from "../../../extensions/service-managers";
+import messageCost from "../../api/lib/message-cost";
 
 // QUEUE
 // messages-<contactId>
@@ -150,6 +151,8 @@ const deliveryReport = async ({
   newStatus,
   errorCode,
   statusCode,
+  // the price the vendor charged, when its report includes one
+  cost,
   // not reliable:
   contactId,
   campaignId,
@@ -197,6 +200,10 @@ const deliveryReport = async ({
     .limit(1)
     .update(changes);
 
+  if (cost !== undefined && cost !== null) {
+    await messageCost.recordActualCost({ messageSid, cost });
+  }
+
   if (serviceManagersHaveImplementation("onDeliveryReport")) {
     lookup =
       lookup ||
@@ -231,6 +238,11 @@ const deliveryReport = async ({
 };
 
 const messageCache = {
+  clear: async contactId => {
+    if (r.redis) {
+      await r.redis.delAsync(cacheKey(contactId));
+    }
+  },
   deliveryReport,
   query,
   save: async ({
@@ -427,6 +439,40 @@ const messageCache = {
       }
     }
 
+    if (messageInstance.is_from_contact && campaignId) {
+      if (!organization) {
+        organization = await campaignCache.loadCampaignOrganization({
+          campaignId
+        });
+      }
+      if (
+        serviceManagersHaveImplementation("onIncomingMessage", organization)
+      ) {
+        try {
+          retVal.serviceManagerData = await processServiceManagers(
+            "onIncomingMessage",
+            organization,
+            {
+              message: messageToSave,
+              contact: await campaignContactCache.load(
+                messageToSave.campaign_contact_id
+              ),
+              campaign: await campaignCache.load(campaignId),
+              contactStatus: retVal.contactStatus,
+              handlerContext
+            }
+          );
+        } catch (err) {
+          // the message is saved: don't fail (and retry) receiving it
+          console.error(
+            "onIncomingMessage service manager error",
+            messageToSave.id,
+            err
+          );
+        }
+      }
+    }
+
     return retVal;
   }
 };
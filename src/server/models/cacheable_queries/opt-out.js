@@ -79,7 +79,7 @@ const optOutCache = {
     // (if no cell is present, then clear whole query of organization)
     if (r.redis) {
       if (cell) {
-        await r.redis.sdelAsync(orgCacheKey(organizationId), cell);
+        await r.redis.sremAsync(orgCacheKey(organizationId), cell);
       } else {
         await r.redis.delAsync(orgCacheKey(organizationId));
       }
@@ -158,6 +158,14 @@ const optOutCache = {
       reason_code: reason || "",
       cell
     });
+    await r.knex("opt_out_history").insert({
+      organization_id: organizationId,
+      cell,
+      event: "OPTOUT",
+      reason_code: reason || "",
+      campaign_contact_id: campaignContactId || null,
+      user_id: (user && user.id) || null
+    });
 
     if (noReply) {
       await campaignCache.incrCount(campaign.id, "needsResponseCount", -1);
@@ -181,10 +189,10 @@ const optOutCache = {
       });
     }
 
-    if (serviceManagersHaveImplementation("onOptOut")) {
-      const org =
-        organization || organizationCache.load(campaign.organization_id);
+    const org = organization || (await organizationCache.load(organizationId));
+    if (serviceManagersHaveImplementation("onOptOut", org)) {
       await processServiceManagers("onOptOut", org, {
+        cell,
         contact,
         campaign,
         user,
@@ -194,6 +202,73 @@ const optOutCache = {
       });
     }
   },
+  remove: async ({
+    cell,
+    organizationId,
+    campaignContactId,
+    reason,
+    user, // not present when the contact opted back in by texting
+    organization // not always present
+  }) => {
+    // Opts a cell back in: the reverse of save()
+    // returns the number of opt_out records removed
+    let optOutQuery = r.knex("opt_out").where("cell", cell);
+    if (!sharingOptOuts) {
+      optOutQuery = optOutQuery.where("organization_id", organizationId);
+    }
+    const removed = await optOutQuery.delete();
+    await optOutCache.clearQuery({ cell, organizationId });
+
+    // only contacts of active campaigns, like updateIsOptedOuts
+    let optedOutContacts = r
+      .knex("campaign_contact")
+      .join("campaign", "campaign_contact.campaign_id", "campaign.id")
+      .where("campaign.is_archived", false)
+      .where("campaign_contact.cell", cell)
+      .select("campaign_contact.id");
+    if (!sharingOptOuts) {
+      optedOutContacts = optedOutContacts.where(
+        "campaign.organization_id",
+        organizationId
+      );
+    }
+    await r
+      .knex("campaign_contact")
+      .whereIn("id", optedOutContacts)
+      .where("is_opted_out", true)
+      .update({ is_opted_out: false });
+
+    await r.knex("opt_out_history").insert({
+      organization_id: organizationId,
+      cell,
+      event: "OPTIN",
+      reason_code: reason || "",
+      campaign_contact_id: campaignContactId || null,
+      user_id: (user && user.id) || null
+    });
+
+    const org = organization || (await organizationCache.load(organizationId));
+    if (serviceManagersHaveImplementation("onOptIn", org)) {
+      await processServiceManagers("onOptIn", org, {
+        cell,
+        campaignContactId,
+        user,
+        reason
+      });
+    }
+    return removed;
+  },
+  history: async ({ cell, organizationId }) => {
+    let historyQuery = r
+      .knex("opt_out_history")
+      .where("cell", cell)
+      .orderBy("created_at")
+      .orderBy("id");
+    if (!sharingOptOuts) {
+      historyQuery = historyQuery.where("organization_id", organizationId);
+    }
+    return await historyQuery;
+  },
   loadMany,
   updateIsOptedOuts
 };
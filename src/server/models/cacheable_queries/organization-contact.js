@@ -67,6 +67,42 @@ const organizationContactCache = {
         .expire(cacheKey, 43200) // 12 hours
         .execAsync();
     }
+  },
+  markWrongNumber: async ({
+    organizationId,
+    cell,
+    campaignContactId,
+    source
+  }) => {
+    const existing = await organizationContactCache.query({
+      organizationId,
+      contactNumber: cell
+    });
+    if (existing && existing.wrong_number_at) {
+      return;
+    }
+    await organizationContactCache.save(
+      {
+        organization_id: organizationId,
+        contact_number: cell,
+        wrong_number_at: new Date(),
+        wrong_number_campaign_contact_id: campaignContactId || null,
+        wrong_number_source: source || null
+      },
+      { update: !!existing }
+    );
+  },
+  unmarkWrongNumber: async ({ organizationId, cell }) => {
+    await organizationContactCache.save(
+      {
+        organization_id: organizationId,
+        contact_number: cell,
+        wrong_number_at: null,
+        wrong_number_campaign_contact_id: null,
+        wrong_number_source: null
+      },
+      { update: true }
+    );
   }
 };
 
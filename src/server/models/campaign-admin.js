@@ -15,6 +15,7 @@ const CampaignAdmin = thinky.createModel(
       ingest_success: type.boolean(),
       contacts_count: type.number().integer(),
       deleted_optouts_count: type.number().integer(),
+      deleted_wrong_numbers_count: type.number().integer(),
       duplicate_contacts_count: type.number().integer(),
       updated_at: timestamp(),
       created_at: timestamp()
@@ -62,13 +62,20 @@ const tableList = [
   "job_request",
   "log",
   "message",
+  "message_cost",
+  "messaging_service_registration",
   "opt_out", // good candidate
+  "opt_out_history",
+  "optout_webhook_delivery",
   "pending_message_part",
   "question_response",
+  "service_manager_budget_event",
+  "service_manager_spend",
   "tag",
   "tag_campaign_contact",
   "tag_canned_response",
   "owned_phone_number",
+  "phone_number_health",
   "user_cell",
   "user_organization",
   "zip_code" // good candidate (or by contact)?
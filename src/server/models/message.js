@@ -52,7 +52,11 @@ const Message = thinky.createModel(
       queued_at: timestamp(),
       sent_at: timestamp(),
       service_response_at: timestamp(),
-      send_before: optionalTimestamp()
+      send_before: optionalTimestamp(),
+      // scheduled messages stay QUEUED until this time
+      send_after: optionalTimestamp(),
+      // saved by scheduleInitialMessages (not e.g. held by a service manager)
+      is_scheduled_initial: type.boolean().default(false)
     })
     .allowExtra(false),
   { noAutoCreation: true, dependencies: [User, CampaignContact] }
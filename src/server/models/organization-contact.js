@@ -29,7 +29,11 @@ const OrganizationContact = thinky.createModel(
       carrier: optionalString(),
       created_at: timestamp(),
       last_lookup: optionalTimestamp(),
-      lookup_name: optionalString()
+      lookup_name: optionalString(),
+      // set when the cell is flagged as a wrong number, see message-handlers/wrong-number
+      wrong_number_at: optionalTimestamp(),
+      wrong_number_campaign_contact_id: type.integer(),
+      wrong_number_source: optionalString()
     })
     .allowExtra(false),
   { noAutoCreation: true, dependencies: [Organization] }
@@ -50,4 +54,9 @@ OrganizationContact.ensureIndex(
   doc => [doc("status_code"), doc("organization_id")]
 );
 
+OrganizationContact.ensureIndex(
+  "organization_contact_organization_wrong_number",
+  doc => [doc("organization_id"), doc("wrong_number_at")]
+);
+
 export default OrganizationContact;
@@ -15,6 +15,7 @@ import {
   fixOrgless,
   clearOldJobs,
   importScript,
+  scheduleInitialMessages,
   buyPhoneNumbers,
   deletePhoneNumbers,
   startCampaign,
@@ -23,6 +24,7 @@ import {
 import { setupUserNotificationObservers } from "../server/notifications";
 import { loadContactsFromDataWarehouseFragment } from "../extensions/contact-loaders/datawarehouse";
 import { loadContactS3PullProcessFile } from "../extensions/contact-loaders/s3-pull";
+import { retryDeliveries } from "../extensions/service-managers/optout-webhook";
 
 export { seedZipCodes } from "../server/seeds/seed-zip-codes";
 
@@ -44,6 +46,7 @@ export const Jobs = Object.freeze({
   BUY_PHONE_NUMBERS: "buy_phone_numbers",
   DELETE_PHONE_NUMBERS: "delete_phone_numbers",
   START_CAMPAIGN: "start_campaign",
+  SCHEDULE_INITIAL_MESSAGES: "schedule_initial_messages",
   EXTENSION_JOB: "extension_job"
 });
 
@@ -54,6 +57,7 @@ const jobMap = Object.freeze({
   [Jobs.BUY_PHONE_NUMBERS]: buyPhoneNumbers,
   [Jobs.DELETE_PHONE_NUMBERS]: deletePhoneNumbers,
   [Jobs.START_CAMPAIGN]: startCampaign,
+  [Jobs.SCHEDULE_INITIAL_MESSAGES]: scheduleInitialMessages,
   [Jobs.EXTENSION_JOB]: extensionJob
 });
 
@@ -249,6 +253,19 @@ export const failedDayMessageSender = messageSenderCreator(function(mQuery) {
   return mQuery.where("message.created_at", ">", oneDayAgo);
 }, "SENDING");
 
+export const queuedMessageSender = messageSenderCreator(function(mQuery) {
+  // With JOBS_SAME_PROCESS messages are sent immediately, so messages only
+  // stay QUEUED when a vendor held them back for a send rate limit
+  // (see SEND_RATE_LIMIT_PER_NUMBER) or when they were scheduled for later
+  // (send_after). This sends them once the rate allows and they are due.
+  const oneDayAgo = new Date(new Date() - 1000 * 60 * 60 * 24);
+  return mQuery.where(q =>
+    q
+      .where("message.created_at", ">", oneDayAgo)
+      .orWhereNotNull("message.send_after")
+  );
+}, "QUEUED");
+
 export const erroredMessageSender = messageSenderCreator(function(mQuery) {
   // messages that were attempted to be sent twenty minutes ago in status=SENDING
   // and also error_code < 0 which means a DNS error.
@@ -332,6 +349,11 @@ export async function updateOptOuts(event, context, eventCallback) {
   }
 }
 
+export async function retryOptOutWebhooks(event, context, eventCallback) {
+  // opt-outs the optout-webhook service manager failed to post (see there)
+  await retryDeliveries();
+}
+
 export async function runDatabaseMigrations(event, context, eventCallback) {
   console.log("inside runDatabaseMigrations1");
   console.log("inside runDatabaseMigrations2", event);
@@ -364,7 +386,8 @@ const processMap = {
   messageSender56,
   messageSender789,
   handleIncomingMessages,
-  fixOrgless
+  fixOrgless,
+  retryOptOutWebhooks
 };
 
 // if process.env.JOBS_SAME_PROCESS then we don't need to run
@@ -372,11 +395,13 @@ const processMap = {
 const syncProcessMap = {
   // 'failedMessageSender': failedMessageSender, //see method for danger
   erroredMessageSender,
+  queuedMessageSender,
   handleIncomingMessages,
   checkMessageQueue,
   fixOrgless,
   clearOldJobs,
-  updateOptOuts
+  updateOptOuts,
+  retryOptOutWebhooks
 };
 
 const envProcessMap = String(process.env.JOB_PROCESS_MAP || "")
@@ -8,7 +8,16 @@ import {
   UserOrganization
 } from "../server/models";
 import telemetry from "../server/telemetry";
-import { log, gunzip, zipToTimeZone, convertOffsetsToStrings } from "../lib";
+import camelCaseKeys from "camelcase-keys";
+import {
+  log,
+  gunzip,
+  zipToTimeZone,
+  convertOffsetsToStrings,
+  getScheduledSendTimesUtc
+} from "../lib";
+import { replaceEasyGsmWins } from "../lib/gsm";
+import { applyScript } from "../lib/scripts";
 import { sleep, updateJob } from "./lib";
 import {
   getServiceFromOrganization,
@@ -23,7 +32,9 @@ import {
   serviceManagersHaveImplementation,
   processServiceManagers
 } from "../extensions/service-managers";
+import { recordSpend } from "../extensions/service-managers/budget";
 import importScriptFromDocument from "../server/api/lib/import-script";
+import messageCost from "../server/api/lib/message-cost";
 import { rawIngestMethod } from "../extensions/contact-loaders";
 
 import AWS from "aws-sdk";
@@ -100,6 +111,15 @@ function getOptOutSubQuery(orgId) {
     : optOutsByOrgId(orgId);
 }
 
+// cells flagged as a wrong number are not texted again by the organization
+function getWrongNumberSubQuery(orgId) {
+  return r.knex
+    .select("contact_number")
+    .from("organization_contact")
+    .where("organization_id", orgId)
+    .whereNotNull("wrong_number_at");
+}
+
 export async function getTimezoneByZip(zip) {
   if (zip in zipMemoization) {
     return zipMemoization[zip];
@@ -259,6 +279,7 @@ export async function failedContactLoad(
     .where("campaign_id", campaignId)
     .update({
       deleted_optouts_count: null,
+      deleted_wrong_numbers_count: null,
       duplicate_contacts_count: null,
       contacts_count: finalContactCount,
       ingest_method: job.job_type.replace(/^ingest./, ""),
@@ -291,6 +312,7 @@ export async function completeContactLoad(
   const organization = await Organization.get(campaign.organization_id);
 
   let deleteOptOutCells = null;
+  let deleteWrongNumberCells = null;
   let deleteDuplicateCells = null;
   console.log("completeContactLoad", campaignId, job.id);
   const knexOptOutDeleteResult = await r
@@ -306,6 +328,19 @@ export async function completeContactLoad(
       console.log("Error deleting opt-outs:", campaignId, err);
     });
 
+  await r
+    .knex("campaign_contact")
+    .whereIn("cell", getWrongNumberSubQuery(campaign.organization_id))
+    .where("campaign_id", campaignId)
+    .delete()
+    .then(result => {
+      deleteWrongNumberCells = result;
+      console.log("Deleted wrong numbers: " + deleteWrongNumberCells);
+    })
+    .catch(err => {
+      console.log("Error deleting wrong numbers:", campaignId, err);
+    });
+
   // delete duplicate cells (last wins)
   await r
     .knex("campaign_contact")
@@ -337,6 +372,7 @@ export async function completeContactLoad(
     .where("campaign_id", campaignId)
     .update({
       deleted_optouts_count: deleteOptOutCells,
+      deleted_wrong_numbers_count: deleteWrongNumberCells,
       duplicate_contacts_count: deleteDuplicateCells,
       contacts_count: finalContactCount,
       ingest_method: job.job_type.replace(/^ingest./, ""),
@@ -356,6 +392,7 @@ export async function completeContactLoad(
     jobId: job.id,
     campaignId,
     deleteOptOutCells,
+    deleteWrongNumberCells,
     deleteDuplicateCells,
     ingestResult
   });
@@ -371,7 +408,8 @@ export async function completeContactLoad(
         ingestResult,
         ingestDataReference,
         finalContactCount,
-        deleteOptOutCells
+        deleteOptOutCells,
+        deleteWrongNumberCells
       }
     });
   }
@@ -763,12 +801,19 @@ export async function exportCampaign(job) {
     .leftJoin("user", "assignment.user_id", "user.id")
     .leftJoin("zip_code", "zip_code.zip", "campaign_contact.zip")
     .leftJoin("opt_out", optOutJoins)
+    .leftJoin("organization_contact", {
+      "organization_contact.contact_number": "campaign_contact.cell",
+      "organization_contact.organization_id": r.knexReadOnly.raw(
+        campaign.organization_id
+      )
+    })
     .column([
       "campaign_contact.id",
       "campaign_contact.campaign_id",
       "campaign_contact.assignment_id",
       { optOutCampaign: "campaign_contact.is_opted_out" },
       { optedOut: "opt_out.created_at" },
+      { wrongNumber: "organization_contact.wrong_number_at" },
       { texterFirst: "user.first_name" },
       { texterLast: "user.last_name" },
       { texterEmail: "user.email" },
@@ -1030,6 +1075,176 @@ export async function importScript(job) {
   defensivelyDeleteJob(job);
 }
 
+const SCHEDULE_BATCH_SIZE = 1000;
+
+export async function scheduleInitialMessages(job) {
+  // Saves the initial message for every contact that still needs one as a
+  // QUEUED message with send_after, moved into each contact's texting hours.
+  // The message senders send them once they are due (see sendMessages),
+  // which is when service managers pick the sending number.
+  try {
+    const { sendAfter, userId } = JSON.parse(job.payload);
+    const campaign = await cacheableData.campaign.load(job.campaign_id, {
+      forceLoad: true
+    });
+    const organization = await cacheableData.organization.load(
+      campaign.organization_id
+    );
+    const [initialStep] = await r
+      .knex("interaction_step")
+      .where({
+        campaign_id: campaign.id,
+        parent_interaction_id: null,
+        is_deleted: false
+      })
+      .orderBy("id");
+    if (!initialStep || !initialStep.script) {
+      throw new Error("The campaign has no initial message to schedule");
+    }
+    const serviceName = cacheableData.organization.getMessageService(
+      organization
+    );
+    const textingHours = {
+      organization: {
+        textingHoursStart: organization.texting_hours_start,
+        textingHoursEnd: organization.texting_hours_end,
+        textingHoursEnforced: organization.texting_hours_enforced
+      },
+      campaign: {
+        overrideOrganizationTextingHours:
+          campaign.override_organization_texting_hours,
+        textingHoursEnforced: campaign.texting_hours_enforced,
+        textingHoursStart: campaign.texting_hours_start,
+        textingHoursEnd: campaign.texting_hours_end,
+        timezone: campaign.timezone
+      }
+    };
+    const contactCount = await r.getCount(
+      r.knex("campaign_contact").where({
+        campaign_id: campaign.id,
+        message_status: "needsMessage",
+        is_opted_out: false
+      })
+    );
+    const texters = {};
+    const getTexter = async id => {
+      if (!texters[id]) {
+        texters[id] = camelCaseKeys(await User.get(id));
+      }
+      return texters[id];
+    };
+
+    let scheduledCount = 0;
+    let lastId = 0;
+    let contacts;
+    do {
+      contacts = await r
+        .knex("campaign_contact")
+        .leftJoin(
+          "assignment",
+          "assignment.id",
+          "campaign_contact.assignment_id"
+        )
+        .select("campaign_contact.*", "assignment.user_id")
+        .where({
+          "campaign_contact.campaign_id": campaign.id,
+          "campaign_contact.message_status": "needsMessage",
+          "campaign_contact.is_opted_out": false
+        })
+        .where("campaign_contact.id", ">", lastId)
+        .orderBy("campaign_contact.id")
+        .limit(SCHEDULE_BATCH_SIZE);
+
+      for (let i = 0; i < contacts.length; i++) {
+        const contact = contacts[i];
+        const texterId = contact.user_id || userId;
+        const texter = await getTexter(texterId);
+        const customFields = Object.keys(
+          JSON.parse(contact.custom_fields || "{}")
+        );
+        const text = applyScript({
+          contact: camelCaseKeys({
+            ...contact,
+            customFields: contact.custom_fields
+          }),
+          texter,
+          script: initialStep.script,
+          customFields
+        });
+
+        let contactTimezone = {};
+        if (contact.timezone_offset) {
+          const [offset, hasDST] = contact.timezone_offset.split("_");
+          contactTimezone = {
+            offset: parseInt(offset, 10),
+            hasDST: hasDST === "1"
+          };
+        }
+        const sendTimes = getScheduledSendTimesUtc(
+          sendAfter,
+          contactTimezone,
+          textingHours.organization,
+          textingHours.campaign
+        );
+
+        const saveResult = await cacheableData.message.save({
+          messageInstance: {
+            text: replaceEasyGsmWins(text),
+            contact_number: contact.cell,
+            user_number: "",
+            user_id: texterId,
+            campaign_contact_id: contact.id,
+            messageservice_sid: null,
+            send_status: "QUEUED",
+            service: serviceName,
+            is_from_contact: false,
+            queued_at: new Date(),
+            is_scheduled_initial: true,
+            send_after: sendTimes.sendAfter.toDate(),
+            send_before: sendTimes.sendBefore
+              ? sendTimes.sendBefore.toDate()
+              : null
+          },
+          contact,
+          campaign,
+          organization,
+          texter
+        });
+        if (saveResult.message) {
+          scheduledCount += 1;
+        } else {
+          log.info("scheduleInitialMessages skipped contact", {
+            contactId: contact.id,
+            error: saveResult.error
+          });
+        }
+      }
+      if (contacts.length) {
+        lastId = contacts[contacts.length - 1].id;
+      }
+      await updateJob(
+        job,
+        Math.min(99, Math.floor((100 * scheduledCount) / (contactCount || 1)))
+      );
+    } while (contacts.length === SCHEDULE_BATCH_SIZE);
+
+    log.info("scheduleInitialMessages complete", {
+      campaignId: campaign.id,
+      sendAfter,
+      scheduledCount
+    });
+    await defensivelyDeleteJob(job);
+  } catch (err) {
+    log.error(`JOB ${job.id} FAILED: ${err.message}`, err);
+    if (job.id) {
+      await r
+        .knex("job_request")
+        .where("id", job.id)
+        .update({ result_message: err.message, status: -1 });
+    }
+  }
+}
+
 // add an in-memory guard that the same messages are being sent again and again
 // not related to stale filter
 let pastMessages = [];
@@ -1040,9 +1255,16 @@ export async function sendMessages(queryFunc, defaultStatus) {
     const trx = await r.knex.transaction();
     let messages = [];
     try {
+      // only lock the message rows: vendors update the contact outside of trx
       let messageQuery = trx("message")
-        .forUpdate()
+        .forUpdate("message")
         .where({ send_status: defaultStatus || "QUEUED" })
+        // scheduled messages wait until their send_after time
+        .where(q =>
+          q
+            .whereNull("message.send_after")
+            .orWhere("message.send_after", "<=", new Date())
+        )
         .join(
           "campaign_contact",
           "campaign_contact.id",
@@ -1088,7 +1310,7 @@ export async function sendMessages(queryFunc, defaultStatus) {
           `Sending (${message.service}): ${message.user_number} -> ${message.contact_number}\nMessage: ${message.text}`
         );
         try {
-          await service.sendMessage({
+          const sendArgs = {
             message,
             contact: {
               id: message.campaign_contact_id,
@@ -1107,7 +1329,26 @@ export async function sendMessages(queryFunc, defaultStatus) {
               organization_id: message.organization_id,
               messageservice_sid: message.messageservice_sid
             }
-          });
+          };
+          if (message.is_scheduled_initial) {
+            // saved without a sending number, so service managers
+            // (onMessageSend) choose it now that the message is due
+            const taskResult = await invokeTaskFunction(
+              Tasks.SEND_MESSAGE,
+              sendArgs
+            );
+            if (taskResult && taskResult.queued) {
+              continue;
+            }
+          } else {
+            const sendResult = await service.sendMessage(sendArgs);
+            if (sendResult && sendResult.throttled) {
+              // still QUEUED, so it will be picked up again in a later round
+              continue;
+            }
+            // not in trx: the vendor has the message even if trx rolls back
+            await messageCost.recordMessageCost({ ...sendArgs, service });
+          }
           pastMessages.push(message.id);
           pastMessages = pastMessages.slice(-100); // keep the last 100
         } catch (err) {
@@ -1341,6 +1582,14 @@ export async function buyPhoneNumbers(job) {
       limit,
       opts
     );
+    // see extensions/service-managers/budget.js
+    await recordSpend(
+      organization,
+      "numbers",
+      "phone-inventory",
+      "buyPhoneNumbers",
+      totalPurchased
+    );
     log.info(`Bought ${totalPurchased} number(s)`, {
       status: "COMPLETE",
       areaCode,
@@ -5,6 +5,7 @@ import serviceMap from "../extensions/service-vendors";
 import * as ActionHandlers from "../extensions/action-handlers";
 import { r, cacheableData } from "../server/models";
 import { processServiceManagers } from "../extensions/service-managers";
+import messageCost from "../server/api/lib/message-cost";
 
 export const Tasks = Object.freeze({
   ACTION_HANDLER_QUESTION_RESPONSE: "action_handler:question_response",
@@ -39,7 +40,7 @@ const sendMessage = async ({
   organization,
   campaign
 }) => {
-  const service = serviceMap[message.service];
+  let service = serviceMap[message.service];
   if (!service) {
     throw new Error(`Failed to find service for message ${message}`);
   }
@@ -49,14 +50,93 @@ const sendMessage = async ({
     { message, contact, campaign, service }
   );
 
-  await service.sendMessage({
+  if (serviceManagerData.holdUntil) {
+    // a service manager (e.g. contact-quiet-hours) holds it until later:
+    // it stays QUEUED and a message sender sends it once it is due,
+    // from the number/service the other service managers chose
+    const changes = {
+      send_status: "QUEUED",
+      send_after: serviceManagerData.holdUntil,
+      send_before: serviceManagerData.holdSendBefore || null
+    };
+    if (serviceManagerData.user_number) {
+      changes.user_number = serviceManagerData.user_number;
+    }
+    if (serviceManagerData.messageservice_sid) {
+      changes.messageservice_sid = serviceManagerData.messageservice_sid;
+    }
+    if (serviceManagerData.service && serviceMap[serviceManagerData.service]) {
+      changes.service = serviceManagerData.service;
+    }
+    let holdQuery = r
+      .knex("message")
+      .where("id", message.id)
+      .update(changes);
+    if (trx) {
+      holdQuery = holdQuery.transacting(trx);
+    }
+    await holdQuery;
+    return { queued: true };
+  }
+
+  if (
+    serviceManagerData.service &&
+    serviceManagerData.service !== message.service &&
+    serviceMap[serviceManagerData.service]
+  ) {
+    // a service manager (e.g. vendor-failover) routed this to another vendor
+    message.service = serviceManagerData.service;
+    service = serviceMap[message.service];
+    let updateQuery = r
+      .knex("message")
+      .where("id", message.id)
+      .update({ service: message.service });
+    if (trx) {
+      updateQuery = updateQuery.transacting(trx);
+    }
+    await updateQuery;
+  }
+
+  let sendResult;
+  try {
+    sendResult = await service.sendMessage({
+      message,
+      contact,
+      trx,
+      organization,
+      campaign,
+      serviceManagerData
+    });
+  } catch (err) {
+    await processServiceManagers("onMessageSendResult", organization, {
+      message,
+      contact,
+      campaign,
+      serviceName: message.service,
+      error: err
+    });
+    throw err;
+  }
+  if (sendResult && sendResult.throttled) {
+    // left QUEUED by the vendor: a message sender will send it later
+    return { queued: true };
+  }
+  await messageCost.recordMessageCost({
     message,
     contact,
-    trx,
     organization,
     campaign,
+    service,
     serviceManagerData
   });
+  await processServiceManagers("onMessageSendResult", organization, {
+    message,
+    contact,
+    campaign,
+    serviceName: message.service,
+    error: null
+  });
+  return { queued: false };
 };
 
 const questionResponseActionHandler = async ({
@@ -173,7 +253,7 @@ const taskMap = Object.freeze({
 
 export const invokeTaskFunction = async (taskName, payload) => {
   if (taskName in taskMap) {
-    await taskMap[taskName](payload);
+    return taskMap[taskName](payload);
   } else {
     throw new Error(`Task of type ${taskName} not found`);
   }